@@ -0,0 +1,57 @@
+const express = require('express');
+const cors = require('cors');
+
+// The API, without a server or background jobs; src/index.js serves it and
+// tests drive it directly
+
+// Import routes
+const authRoutes = require('./routes/auth');
+const profileRoutes = require('./routes/profile');
+const trainRoutes = require('./routes/trains');
+const bookingRoutes = require('./routes/bookings');
+const refundRuleRoutes = require('./routes/refundRules');
+const paymentRoutes = require('./routes/payments');
+const journeyRoutes = require('./routes/journeys');
+const stationRoutes = require('./routes/stations');
+const adminRoutes = require('./routes/admin');
+
+const app = express();
+
+// Behind a reverse proxy, per-IP rate limits need the client address it
+// forwards: TRUST_PROXY is a hop count or a list of proxy addresses
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Middleware
+app.use(cors());
+// Keep the raw body so payment callbacks can be signature checked
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
+
+// Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/auth/me', profileRoutes);
+app.use('/api/trains', trainRoutes);
+app.use('/api/bookings', bookingRoutes);
+app.use('/api/refund-rules', refundRuleRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/journeys', journeyRoutes);
+app.use('/api/stations', stationRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+    console.error(err.stack);
+    res.status(500).json({
+        success: false,
+        message: 'Something went wrong!',
+        error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+});
+
+module.exports = app;
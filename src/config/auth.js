@@ -0,0 +1,6 @@
+// Session settings. Access tokens are short-lived JWTs; refresh tokens are
+// opaque, stored server-side and replaced on every use.
+module.exports = {
+    access_token_minutes: Number(process.env.ACCESS_TOKEN_MINUTES) || 15,
+    refresh_token_days: Number(process.env.REFRESH_TOKEN_DAYS) || 30
+};
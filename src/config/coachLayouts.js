@@ -0,0 +1,36 @@
+// Coach layout templates. The pattern repeats along the coach, one entry per
+// berth or seat, and capacity is the usual number of places per coach.
+module.exports = {
+    // Bays of three-tier berths either side of the aisle plus two side berths
+    sleeper: {
+        capacity: 72,
+        pattern: ['lower', 'middle', 'upper', 'lower', 'middle', 'upper', 'side_lower', 'side_upper']
+    },
+    ac_three_tier: {
+        capacity: 64,
+        pattern: ['lower', 'middle', 'upper', 'lower', 'middle', 'upper', 'side_lower', 'side_upper']
+    },
+    ac_two_tier: {
+        capacity: 48,
+        pattern: ['lower', 'upper', 'lower', 'upper', 'side_lower', 'side_upper']
+    },
+    first_ac: {
+        capacity: 24,
+        pattern: ['lower', 'upper']
+    },
+    // Rows of 3 + 2 seats
+    chair_car: {
+        capacity: 78,
+        pattern: ['window', 'middle', 'aisle', 'aisle', 'window']
+    },
+    // Rows of 3 + 3 seats
+    second_sitting: {
+        capacity: 108,
+        pattern: ['window', 'middle', 'aisle', 'aisle', 'middle', 'window']
+    },
+    // Rows of 2 + 2 seats, used for trains created without a composition
+    seating: {
+        capacity: 40,
+        pattern: ['window', 'aisle', 'aisle', 'window']
+    }
+};
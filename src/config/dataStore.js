@@ -0,0 +1,6 @@
+// Where users, trains and bookings are kept. The store names an adapter in
+// src/repositories: mysql, or memory, which keeps everything in this process
+// and is meant for tests.
+module.exports = {
+    store: process.env.DATA_STORE || 'mysql'
+};
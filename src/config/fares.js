@@ -0,0 +1,25 @@
+// Fare engine settings. Percentages apply to the class-adjusted base fare.
+module.exports = {
+    currency: 'INR',
+
+    // Tatkal quota surcharge, clamped to a minimum and maximum per passenger
+    tatkal: {
+        percent: 30,
+        min: 100,
+        max: 500
+    },
+
+    // Dynamic pricing by share of the class already sold on the leg,
+    // highest threshold first
+    dynamic: [
+        { occupancy: 0.9, percent: 40 },
+        { occupancy: 0.75, percent: 20 },
+        { occupancy: 0.5, percent: 10 }
+    ],
+
+    // Concession categories and the discount each one gets
+    concessions: {
+        senior: { percent: 40, min_age: 60 },
+        child: { percent: 50, max_age: 11 }
+    }
+};
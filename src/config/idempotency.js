@@ -0,0 +1,13 @@
+// Idempotency-Key settings for retried booking and cancellation requests
+module.exports = {
+    // How long a key's stored response is replayed before the key can be reused
+    ttl_hours: Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24,
+
+    // A key still in progress after this long is taken to belong to a
+    // request that died with its process, and can be claimed again. Keep it
+    // above the slowest request.
+    lease_seconds: Number(process.env.IDEMPOTENCY_LEASE_SECONDS) || 60,
+
+    // Longest key a client may send
+    max_key_length: 255
+};
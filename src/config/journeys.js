@@ -0,0 +1,13 @@
+// Journey planner settings
+module.exports = {
+    // Changes of train allowed in one itinerary
+    max_changes: 2,
+
+    // Time allowed between arriving on one train and departing on the next
+    min_connection_minutes: Number(process.env.MIN_CONNECTION_MINUTES) || 30,
+    max_connection_minutes: 24 * 60,
+
+    // Itineraries priced per search (fastest first) and returned
+    max_candidates: 50,
+    max_results: 10
+};
@@ -0,0 +1,18 @@
+const os = require('os');
+const path = require('path');
+
+// Outgoing email settings. The transport names an adapter in src/mail.
+module.exports = {
+    transport: process.env.MAIL_TRANSPORT || 'console',
+    from: process.env.MAIL_FROM || 'Railway Bookings <no-reply@railway.local>',
+
+    // Where the file transport writes messages
+    file_directory: process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'railway-mail'),
+
+    // Links in emails point at the client app
+    app_url: process.env.APP_URL || 'http://localhost:3000',
+
+    // Lifetime of the single-use tokens sent by email
+    verification_token_hours: Number(process.env.VERIFICATION_TOKEN_HOURS) || 48,
+    reset_token_minutes: Number(process.env.RESET_TOKEN_MINUTES) || 30
+};
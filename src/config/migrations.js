@@ -0,0 +1,7 @@
+// Schema migration settings. Migrations live in src/database/migrations.
+module.exports = {
+    // What the server does at start-up when the database does not match the
+    // migrations: 'fail' refuses to start, 'warn' logs and carries on and
+    // 'off' skips the check
+    drift_check: process.env.SCHEMA_DRIFT_CHECK || (process.env.NODE_ENV === 'production' ? 'fail' : 'warn')
+};
@@ -0,0 +1,17 @@
+// Payment settings. The gateway names an adapter in src/payments.
+module.exports = {
+    gateway: process.env.PAYMENT_GATEWAY || 'fake',
+
+    // How long a new booking holds its seats while awaiting payment
+    hold_minutes: Number(process.env.PAYMENT_HOLD_MINUTES) || 15,
+
+    // How often the sweeper releases holds that ran out
+    sweep_interval_seconds: Number(process.env.HOLD_SWEEP_INTERVAL_SECONDS) || 60,
+
+    // Shared secret gateway callbacks are signed with
+    webhook_secret: process.env.PAYMENT_WEBHOOK_SECRET || 'local-payment-secret',
+
+    // Whether signed-in users may settle their own payments through
+    // POST /api/payments/:paymentId/simulate
+    simulate: ['development', 'test'].includes(process.env.NODE_ENV)
+};
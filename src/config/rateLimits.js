@@ -0,0 +1,42 @@
+// Request limits per route, as max requests per window. Any limit can be
+// overridden with RATE_LIMIT_<NAME>=max/window_seconds, e.g.
+// RATE_LIMIT_BOOKINGS=20/60, or just the max. A malformed override stops
+// startup rather than quietly switching the limit off.
+const limit = (name, max, windowSeconds) => {
+    const variable = `RATE_LIMIT_${name.toUpperCase()}`;
+    const override = process.env[variable];
+    if (override) {
+        const match = /^([1-9]\d*)(?:\/([1-9]\d*))?$/.exec(override.trim());
+        if (!match) {
+            throw new Error(`${variable} must be max/window_seconds in positive integers, e.g. 20/60; got "${override}"`);
+        }
+        return { max: Number(match[1]), window_seconds: match[2] ? Number(match[2]) : windowSeconds };
+    }
+    return { max, window_seconds: windowSeconds };
+};
+
+module.exports = {
+    // The store names an adapter in src/rateLimit
+    store: process.env.RATE_LIMIT_STORE || 'memory',
+
+    routes: {
+        login: limit('login', 30, 15 * 60),
+        password_reset: limit('password_reset', 5, 60 * 60),
+        bookings: limit('bookings', 10, 60),
+        journey_bookings: limit('journey_bookings', 5, 60),
+        // Per IP address whoever is signed in, so many accounts on one
+        // client do not each get the limit above
+        bookings_per_ip: { ...limit('bookings_per_ip', 30, 60), per_ip: true },
+        journey_bookings_per_ip: { ...limit('journey_bookings_per_ip', 15, 60), per_ip: true }
+    },
+
+    // Failed logins allowed per account and per IP before a lockout. Each
+    // further lockout within a day doubles, up to the maximum.
+    lockout: {
+        account_failures: Number(process.env.LOGIN_MAX_FAILURES) || 5,
+        ip_failures: Number(process.env.LOGIN_MAX_IP_FAILURES) || 20,
+        failure_window_seconds: 15 * 60,
+        base_minutes: Number(process.env.LOCKOUT_BASE_MINUTES) || 1,
+        max_minutes: Number(process.env.LOCKOUT_MAX_MINUTES) || 60
+    }
+};
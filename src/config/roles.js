@@ -0,0 +1,28 @@
+// Access control. Routes check one permission each; a user's role grants a
+// set of permissions and API keys carry their own subset.
+const PERMISSIONS = [
+    'trains:read',
+    'trains:manage',
+    'schedules:manage',
+    'manifests:read',
+    'stations:manage',
+    'refund_rules:manage',
+    'bookings:read',
+    'users:manage',
+    'api_keys:manage',
+    'audit_logs:read'
+];
+
+const ROLES = {
+    admin: PERMISSIONS,
+    // Runs the day-to-day service: calendars, cancelled runs and manifests
+    station_master: ['trains:read', 'schedules:manage', 'manifests:read'],
+    // Looks up customers' bookings and who is travelling on a run
+    support_agent: ['trains:read', 'manifests:read', 'bookings:read'],
+    user: []
+};
+
+module.exports = {
+    PERMISSIONS,
+    ROLES
+};
@@ -0,0 +1,9 @@
+// Live seat map settings. Clients watching a train run are sent seat
+// changes as they commit, and can resume from their last event.
+module.exports = {
+    // How long published events are kept for clients resuming a stream
+    resume_minutes: Number(process.env.SEAT_EVENTS_RESUME_MINUTES) || 10,
+
+    // How often an idle stream sends a comment to keep proxies from closing it
+    heartbeat_seconds: Number(process.env.SEAT_EVENTS_HEARTBEAT_SECONDS) || 25
+};
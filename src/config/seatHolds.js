@@ -0,0 +1,9 @@
+// Seat hold settings. A hold keeps seats picked during seat selection away
+// from other users until the booking is made or the hold runs out.
+module.exports = {
+    // How long a hold lasts
+    ttl_seconds: Number(process.env.SEAT_HOLD_SECONDS) || 300,
+
+    // Most seats one user may hold at a time
+    max_seats: Number(process.env.SEAT_HOLD_MAX_SEATS) || 6
+};
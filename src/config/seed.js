@@ -0,0 +1,14 @@
+// Seed data settings. Fixtures live in src/database/seeds, one directory
+// per environment plus `common`, which every environment loads first.
+module.exports = {
+    // Environment whose fixtures are loaded when none is named
+    environment: process.env.SEED_ENV || process.env.NODE_ENV || 'development',
+
+    // The admin account every environment gets. Without a password no admin
+    // is created; an existing admin keeps the password it has.
+    admin: {
+        username: process.env.ADMIN_USERNAME || 'Admin',
+        email: process.env.ADMIN_EMAIL || 'admin@railway.com',
+        password: process.env.ADMIN_PASSWORD
+    }
+};
@@ -0,0 +1,8 @@
+-- Drop every table of the baseline schema, dependents first
+DROP TABLE IF EXISTS seat_bookings;
+DROP TABLE IF EXISTS seats;
+DROP TABLE IF EXISTS bookings;
+DROP TABLE IF EXISTS train_routes;
+DROP TABLE IF EXISTS stations;
+DROP TABLE IF EXISTS trains;
+DROP TABLE IF EXISTS users;
@@ -1,6 +1,6 @@
--- Create database
-CREATE DATABASE IF NOT EXISTS railway_management;
-USE railway_management;
+-- Baseline schema. Databases set up before migrations existed already have
+-- it: record it as applied with `npm run migrate -- --baseline`, then run
+-- the later migrations as usual.
 
 -- Users table
 CREATE TABLE IF NOT EXISTS users (
@@ -61,7 +61,7 @@ CREATE TABLE IF NOT EXISTS bookings (
 );
 
 -- Add a new table for seats
-CREATE TABLE seats (
+CREATE TABLE IF NOT EXISTS seats (
     id INT PRIMARY KEY AUTO_INCREMENT,
     train_id INT NOT NULL,
     seat_number VARCHAR(10) NOT NULL,
@@ -70,7 +70,7 @@ CREATE TABLE seats (
 );
 
 -- Add a new table for seat bookings
-CREATE TABLE seat_bookings (
+CREATE TABLE IF NOT EXISTS seat_bookings (
     id INT PRIMARY KEY AUTO_INCREMENT,
     booking_id INT NOT NULL,
     seat_id INT NOT NULL,
@@ -90,4 +90,4 @@ CREATE INDEX idx_bookings_date ON bookings(booking_date);
 CREATE INDEX idx_bookings_status ON bookings(booking_status);
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_username ON users(username);
-CREATE INDEX idx_stations_code ON stations(station_code); 
\ No newline at end of file
+CREATE INDEX idx_stations_code ON stations(station_code);
@@ -0,0 +1,5 @@
+ALTER TABLE seat_bookings
+    ADD UNIQUE KEY unique_seat_booking (seat_id, booking_date),
+    DROP INDEX idx_seat_bookings_seat_date,
+    DROP COLUMN from_sequence,
+    DROP COLUMN to_sequence;
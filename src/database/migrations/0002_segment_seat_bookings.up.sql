@@ -0,0 +1,15 @@
+-- Seats are occupied per route segment instead of for the whole journey date
+ALTER TABLE seat_bookings
+    -- Route sequence numbers of the boarding and alighting stops; the seat
+    -- is occupied only on the segments in between
+    ADD COLUMN from_sequence INT NOT NULL,
+    ADD COLUMN to_sequence INT NOT NULL,
+    ADD INDEX idx_seat_bookings_seat_date (seat_id, booking_date),
+    DROP INDEX unique_seat_booking;
+
+-- Existing bookings occupy their seats between their own stops
+UPDATE seat_bookings sb
+JOIN bookings b ON b.id = sb.booking_id
+JOIN train_routes origin ON origin.train_id = b.train_id AND origin.station_id = b.from_station_id
+JOIN train_routes destination ON destination.train_id = b.train_id AND destination.station_id = b.to_station_id
+SET sb.from_sequence = origin.sequence_number, sb.to_sequence = destination.sequence_number;
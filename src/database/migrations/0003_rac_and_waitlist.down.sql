@@ -0,0 +1,4 @@
+ALTER TABLE bookings
+    MODIFY booking_status ENUM('confirmed', 'cancelled') DEFAULT 'confirmed';
+
+ALTER TABLE trains DROP COLUMN rac_seats;
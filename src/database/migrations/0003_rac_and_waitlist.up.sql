@@ -0,0 +1,6 @@
+ALTER TABLE trains
+    -- Passengers per journey date allowed in RAC before the waitlist starts
+    ADD COLUMN rac_seats INT NOT NULL DEFAULT 0;
+
+ALTER TABLE bookings
+    MODIFY booking_status ENUM('confirmed', 'rac', 'waitlisted', 'cancelled') DEFAULT 'confirmed';
@@ -0,0 +1,13 @@
+ALTER TABLE seat_bookings
+    ADD INDEX idx_seat_bookings_seat_date (seat_id, booking_date),
+    DROP FOREIGN KEY fk_seat_bookings_train_run,
+    DROP INDEX idx_seat_bookings_seat_run,
+    DROP COLUMN train_run_id;
+
+ALTER TABLE bookings
+    DROP FOREIGN KEY fk_bookings_train_run,
+    DROP COLUMN train_run_id;
+
+DROP TABLE IF EXISTS train_runs;
+DROP TABLE IF EXISTS train_schedule_exceptions;
+DROP TABLE IF EXISTS train_schedules;
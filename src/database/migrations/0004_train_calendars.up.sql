@@ -0,0 +1,54 @@
+-- Service calendar: the weekdays a train runs within its validity period.
+-- Trains without one run daily.
+CREATE TABLE IF NOT EXISTS train_schedules (
+    train_id INT PRIMARY KEY,
+    running_days SET('MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN') NOT NULL,
+    valid_from DATE NOT NULL,
+    valid_until DATE,
+    FOREIGN KEY (train_id) REFERENCES trains(id) ON DELETE CASCADE
+);
+
+-- Dates a train is cancelled on, or runs on outside its regular days
+CREATE TABLE IF NOT EXISTS train_schedule_exceptions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    train_id INT NOT NULL,
+    exception_date DATE NOT NULL,
+    exception_type ENUM('cancelled', 'added') NOT NULL,
+    reason VARCHAR(255),
+    FOREIGN KEY (train_id) REFERENCES trains(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_train_exception (train_id, exception_date)
+);
+
+-- Concrete departures of a train, created from its calendar when first booked
+CREATE TABLE IF NOT EXISTS train_runs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    train_id INT NOT NULL,
+    run_date DATE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (train_id) REFERENCES trains(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_train_run (train_id, run_date)
+);
+
+ALTER TABLE bookings
+    ADD COLUMN train_run_id INT,
+    ADD CONSTRAINT fk_bookings_train_run FOREIGN KEY (train_run_id) REFERENCES train_runs(id);
+
+ALTER TABLE seat_bookings ADD COLUMN train_run_id INT;
+
+-- Existing bookings belong to the run on their booking date
+INSERT IGNORE INTO train_runs (train_id, run_date)
+SELECT DISTINCT train_id, booking_date FROM bookings;
+
+UPDATE bookings b
+JOIN train_runs r ON r.train_id = b.train_id AND r.run_date = b.booking_date
+SET b.train_run_id = r.id;
+
+UPDATE seat_bookings sb
+JOIN bookings b ON b.id = sb.booking_id
+SET sb.train_run_id = b.train_run_id;
+
+ALTER TABLE seat_bookings
+    MODIFY train_run_id INT NOT NULL,
+    ADD CONSTRAINT fk_seat_bookings_train_run FOREIGN KEY (train_run_id) REFERENCES train_runs(id),
+    ADD INDEX idx_seat_bookings_seat_run (seat_id, train_run_id),
+    DROP INDEX idx_seat_bookings_seat_date;
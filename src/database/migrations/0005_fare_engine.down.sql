@@ -0,0 +1,16 @@
+ALTER TABLE seats
+    DROP FOREIGN KEY fk_seats_class,
+    DROP COLUMN class_code;
+
+ALTER TABLE bookings
+    DROP COLUMN class_code,
+    DROP COLUMN quota,
+    DROP COLUMN fare_breakdown;
+
+ALTER TABLE train_routes DROP COLUMN distance_km;
+
+DROP TABLE IF EXISTS travel_classes;
+
+ALTER TABLE trains
+    DROP COLUMN fare_mode,
+    DROP COLUMN fare_per_km;
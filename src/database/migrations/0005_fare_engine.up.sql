@@ -0,0 +1,36 @@
+ALTER TABLE trains
+    ADD COLUMN fare_mode ENUM('segment', 'distance') NOT NULL DEFAULT 'segment',
+    ADD COLUMN fare_per_km DECIMAL(10,2);
+
+-- Travel classes and their fare multiplier over the base fare
+CREATE TABLE IF NOT EXISTS travel_classes (
+    code VARCHAR(5) PRIMARY KEY,
+    name VARCHAR(50) NOT NULL,
+    fare_multiplier DECIMAL(5,2) NOT NULL DEFAULT 1.00
+);
+
+INSERT IGNORE INTO travel_classes (code, name, fare_multiplier) VALUES
+    ('2S', 'Second Sitting', 0.60),
+    ('SL', 'Sleeper', 1.00),
+    ('CC', 'AC Chair Car', 1.80),
+    ('3E', 'AC 3 Tier Economy', 2.30),
+    ('3A', 'AC 3 Tier', 2.50),
+    ('2A', 'AC 2 Tier', 3.50),
+    ('1A', 'AC First Class', 6.00);
+
+ALTER TABLE train_routes
+    -- Distance from the first stop, used for distance-based fares
+    ADD COLUMN distance_km DECIMAL(8,2);
+
+ALTER TABLE bookings
+    ADD COLUMN class_code VARCHAR(5),
+    ADD COLUMN quota ENUM('general', 'tatkal') NOT NULL DEFAULT 'general',
+    -- Itemised fare computed by the fare engine at booking time
+    ADD COLUMN fare_breakdown JSON;
+
+-- Existing seats, and the bookings on them, are sleeper class
+ALTER TABLE seats
+    ADD COLUMN class_code VARCHAR(5) NOT NULL DEFAULT 'SL',
+    ADD CONSTRAINT fk_seats_class FOREIGN KEY (class_code) REFERENCES travel_classes(code);
+
+UPDATE bookings SET class_code = 'SL' WHERE class_code IS NULL;
@@ -0,0 +1,10 @@
+ALTER TABLE seats
+    DROP FOREIGN KEY fk_seats_coach,
+    DROP COLUMN coach_id,
+    DROP COLUMN berth_number,
+    MODIFY seat_number VARCHAR(10) NOT NULL,
+    MODIFY seat_type ENUM('window', 'aisle', 'middle') NOT NULL;
+
+DROP TABLE IF EXISTS coaches;
+
+ALTER TABLE travel_classes DROP COLUMN default_layout;
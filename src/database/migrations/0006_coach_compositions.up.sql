@@ -0,0 +1,35 @@
+ALTER TABLE travel_classes
+    -- Coach layout template (see src/config/coachLayouts.js) used by default
+    ADD COLUMN default_layout VARCHAR(30) NOT NULL DEFAULT 'seating';
+
+INSERT INTO travel_classes (code, name, fare_multiplier, default_layout) VALUES
+    ('2S', 'Second Sitting', 0.60, 'second_sitting'),
+    ('SL', 'Sleeper', 1.00, 'sleeper'),
+    ('CC', 'AC Chair Car', 1.80, 'chair_car'),
+    ('3E', 'AC 3 Tier Economy', 2.30, 'ac_three_tier'),
+    ('3A', 'AC 3 Tier', 2.50, 'ac_three_tier'),
+    ('2A', 'AC 2 Tier', 3.50, 'ac_two_tier'),
+    ('1A', 'AC First Class', 6.00, 'first_ac')
+ON DUPLICATE KEY UPDATE default_layout = VALUES(default_layout);
+
+-- Coaches making up a train, in marshalling order
+CREATE TABLE IF NOT EXISTS coaches (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    train_id INT NOT NULL,
+    coach_code VARCHAR(10) NOT NULL,
+    class_code VARCHAR(5) NOT NULL,
+    layout VARCHAR(30) NOT NULL,
+    capacity INT NOT NULL,
+    position INT NOT NULL,
+    FOREIGN KEY (train_id) REFERENCES trains(id) ON DELETE CASCADE,
+    FOREIGN KEY (class_code) REFERENCES travel_classes(code),
+    UNIQUE KEY unique_train_coach (train_id, coach_code)
+);
+
+ALTER TABLE seats
+    ADD COLUMN coach_id INT,
+    MODIFY seat_number VARCHAR(20) NOT NULL,
+    ADD COLUMN berth_number INT,
+    -- Seat positions for seating coaches, berth tiers for sleeper coaches
+    MODIFY seat_type ENUM('window', 'aisle', 'middle', 'lower', 'upper', 'side_lower', 'side_upper') NOT NULL,
+    ADD CONSTRAINT fk_seats_coach FOREIGN KEY (coach_id) REFERENCES coaches(id);
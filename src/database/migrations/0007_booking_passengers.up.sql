@@ -0,0 +1,15 @@
+-- Passengers travelling under a booking, each holding one seat once allocated
+CREATE TABLE IF NOT EXISTS passengers (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    booking_id INT NOT NULL,
+    seat_booking_id INT,
+    name VARCHAR(100) NOT NULL,
+    age INT NOT NULL,
+    gender ENUM('male', 'female', 'other') NOT NULL,
+    id_document_type VARCHAR(30),
+    id_document_number VARCHAR(50),
+    concession VARCHAR(20),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+    FOREIGN KEY (seat_booking_id) REFERENCES seat_bookings(id)
+);
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS booking_cancellation_items;
+DROP TABLE IF EXISTS booking_cancellations;
+
+ALTER TABLE passengers DROP COLUMN status;
@@ -0,0 +1,27 @@
+ALTER TABLE passengers
+    ADD COLUMN status ENUM('active', 'cancelled') NOT NULL DEFAULT 'active';
+
+-- Cancellation history: one row per cancel request on a booking
+CREATE TABLE IF NOT EXISTS booking_cancellations (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    booking_id INT NOT NULL,
+    cancelled_by INT,
+    seats_cancelled INT NOT NULL,
+    refund_amount DECIMAL(10,2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+    FOREIGN KEY (cancelled_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- The passengers and seats released by each cancellation
+CREATE TABLE IF NOT EXISTS booking_cancellation_items (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    cancellation_id INT NOT NULL,
+    passenger_id INT,
+    seat_booking_id INT,
+    seat_id INT,
+    refund_amount DECIMAL(10,2) NOT NULL,
+    FOREIGN KEY (cancellation_id) REFERENCES booking_cancellations(id) ON DELETE CASCADE,
+    FOREIGN KEY (passenger_id) REFERENCES passengers(id),
+    FOREIGN KEY (seat_booking_id) REFERENCES seat_bookings(id)
+);
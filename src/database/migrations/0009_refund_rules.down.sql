@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS refunds;
+DROP TABLE IF EXISTS refund_rules;
+
+ALTER TABLE booking_cancellations DROP COLUMN deduction;
@@ -0,0 +1,41 @@
+ALTER TABLE booking_cancellations
+    ADD COLUMN deduction DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- Cancellation charges by hours left before departure. Windows include
+-- min_hours_before and exclude max_hours_before; NULL leaves a side open.
+-- Class specific rules win over rules for every class (class_code NULL).
+CREATE TABLE IF NOT EXISTS refund_rules (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    class_code VARCHAR(5),
+    min_hours_before DECIMAL(8,2),
+    max_hours_before DECIMAL(8,2),
+    deduction_type ENUM('percent', 'flat', 'no_refund') NOT NULL,
+    deduction_value DECIMAL(10,2) NOT NULL DEFAULT 0,
+    priority INT NOT NULL DEFAULT 100,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (class_code) REFERENCES travel_classes(code)
+);
+
+INSERT IGNORE INTO refund_rules (name, min_hours_before, max_hours_before, deduction_type, deduction_value) VALUES
+    ('More than 48 hours', 48, NULL, 'flat', 60),
+    ('12 to 48 hours', 12, 48, 'percent', 25),
+    ('4 to 12 hours', 4, 12, 'percent', 50),
+    ('Under 4 hours', NULL, 4, 'no_refund', 0);
+
+-- Money owed back to the passenger for each cancellation
+CREATE TABLE IF NOT EXISTS refunds (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    booking_id INT NOT NULL,
+    cancellation_id INT NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    deduction DECIMAL(10,2) NOT NULL DEFAULT 0,
+    rule_id INT,
+    rule_name VARCHAR(100),
+    status ENUM('pending', 'processed', 'failed') DEFAULT 'pending',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+    FOREIGN KEY (cancellation_id) REFERENCES booking_cancellations(id) ON DELETE CASCADE,
+    FOREIGN KEY (rule_id) REFERENCES refund_rules(id) ON DELETE SET NULL
+);
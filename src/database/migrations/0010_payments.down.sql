@@ -0,0 +1,16 @@
+ALTER TABLE refunds
+    DROP FOREIGN KEY fk_refunds_payment,
+    DROP COLUMN payment_id,
+    DROP COLUMN gateway_reference,
+    DROP COLUMN processed_at;
+
+DELETE FROM refunds WHERE cancellation_id IS NULL;
+ALTER TABLE refunds MODIFY cancellation_id INT NOT NULL;
+
+DROP TABLE IF EXISTS payments;
+
+UPDATE bookings SET booking_status = 'cancelled' WHERE booking_status IN ('payment_pending', 'payment_failed', 'expired');
+ALTER TABLE bookings
+    DROP INDEX idx_bookings_payment_expiry,
+    DROP COLUMN payment_expires_at,
+    MODIFY booking_status ENUM('confirmed', 'rac', 'waitlisted', 'cancelled') DEFAULT 'confirmed';
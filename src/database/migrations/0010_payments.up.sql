@@ -0,0 +1,28 @@
+ALTER TABLE bookings
+    -- New bookings hold their seats as payment_pending until paid, failed or expired
+    MODIFY booking_status ENUM('payment_pending', 'confirmed', 'rac', 'waitlisted', 'cancelled', 'payment_failed', 'expired') DEFAULT 'payment_pending',
+    ADD COLUMN payment_expires_at DATETIME,
+    ADD INDEX idx_bookings_payment_expiry (booking_status, payment_expires_at);
+
+-- Payments collected through the payment gateway, one per attempt
+CREATE TABLE IF NOT EXISTS payments (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    booking_id INT NOT NULL,
+    gateway VARCHAR(30) NOT NULL,
+    gateway_reference VARCHAR(100) NOT NULL UNIQUE,
+    amount DECIMAL(10,2) NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    status ENUM('pending', 'succeeded', 'failed', 'expired') DEFAULT 'pending',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE
+);
+
+-- Refunds may also be owed for a payment that arrived after its booking's
+-- hold expired, with no cancellation
+ALTER TABLE refunds
+    MODIFY cancellation_id INT,
+    ADD COLUMN payment_id INT,
+    ADD COLUMN gateway_reference VARCHAR(100),
+    ADD COLUMN processed_at DATETIME,
+    ADD CONSTRAINT fk_refunds_payment FOREIGN KEY (payment_id) REFERENCES payments(id);
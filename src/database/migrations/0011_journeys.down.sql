@@ -0,0 +1,9 @@
+ALTER TABLE payments
+    DROP FOREIGN KEY fk_payments_journey,
+    DROP COLUMN journey_id;
+
+ALTER TABLE bookings
+    DROP FOREIGN KEY fk_bookings_journey,
+    DROP COLUMN journey_id;
+
+DROP TABLE IF EXISTS journeys;
@@ -0,0 +1,20 @@
+-- Itineraries booked together: one booking per leg, sharing a payment
+CREATE TABLE IF NOT EXISTS journeys (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    from_station_id INT NOT NULL,
+    to_station_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_journeys_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (from_station_id) REFERENCES stations(id),
+    FOREIGN KEY (to_station_id) REFERENCES stations(id)
+);
+
+ALTER TABLE bookings
+    ADD COLUMN journey_id INT,
+    ADD CONSTRAINT fk_bookings_journey FOREIGN KEY (journey_id) REFERENCES journeys(id);
+
+-- A journey's payment covers all its legs and names the first leg's booking
+ALTER TABLE payments
+    ADD COLUMN journey_id INT,
+    ADD CONSTRAINT fk_payments_journey FOREIGN KEY (journey_id) REFERENCES journeys(id);
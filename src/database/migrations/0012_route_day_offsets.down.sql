@@ -0,0 +1,3 @@
+ALTER TABLE train_routes
+    DROP COLUMN arrival_day_offset,
+    DROP COLUMN departure_day_offset;
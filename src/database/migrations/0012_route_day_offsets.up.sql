@@ -0,0 +1,5 @@
+ALTER TABLE train_routes
+    -- Days after the run date the train reaches and leaves this stop; an
+    -- overnight train reaches its later stops on day 1, 2, ...
+    ADD COLUMN arrival_day_offset INT NOT NULL DEFAULT 0,
+    ADD COLUMN departure_day_offset INT NOT NULL DEFAULT 0;
@@ -0,0 +1 @@
+ALTER TABLE trains DROP COLUMN is_active;
@@ -0,0 +1,3 @@
+ALTER TABLE trains
+    -- Trains out of service are hidden from search and take no bookings
+    ADD COLUMN is_active BOOLEAN NOT NULL DEFAULT TRUE;
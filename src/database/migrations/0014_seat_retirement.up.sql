@@ -0,0 +1,3 @@
+ALTER TABLE seats
+    -- Retired seats are no longer sold but keep their booking history
+    ADD COLUMN is_active BOOLEAN NOT NULL DEFAULT TRUE;
@@ -0,0 +1,34 @@
+ALTER TABLE users
+    -- Grants the permissions listed in src/config/roles.js
+    MODIFY role ENUM('admin', 'station_master', 'support_agent', 'user') DEFAULT 'user';
+
+-- Per-client API keys, acting for the user they were issued to with a subset
+-- of that user's permissions. Only a hash of the key is kept.
+CREATE TABLE IF NOT EXISTS api_keys (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(10) NOT NULL,
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    permissions JSON NOT NULL,
+    user_id INT NOT NULL,
+    created_by INT,
+    last_used_at DATETIME,
+    revoked_at DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Changes made through permission-checked routes and who made them
+CREATE TABLE IF NOT EXISTS audit_logs (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT,
+    api_key_id INT,
+    method VARCHAR(10) NOT NULL,
+    path VARCHAR(255) NOT NULL,
+    status_code INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (api_key_id) REFERENCES api_keys(id) ON DELETE SET NULL,
+    INDEX idx_audit_logs_user (user_id)
+);
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS refresh_tokens;
+
+ALTER TABLE users
+    DROP COLUMN is_active,
+    DROP COLUMN token_version;
@@ -0,0 +1,20 @@
+ALTER TABLE users
+    -- Disabled accounts cannot sign in and their sessions stop working
+    ADD COLUMN is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    -- Bumped to invalidate every access token issued so far
+    ADD COLUMN token_version INT NOT NULL DEFAULT 0;
+
+-- Refresh tokens, hashed. Each login starts a family; using a token replaces
+-- it with the next one in the family.
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    family_id CHAR(36) NOT NULL,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME,
+    replaced_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_refresh_tokens_family (family_id)
+);
@@ -0,0 +1,14 @@
+-- Lockouts after repeated failed logins, per account or per IP address
+CREATE TABLE IF NOT EXISTS lockout_events (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    scope ENUM('account', 'ip') NOT NULL,
+    identifier VARCHAR(100) NOT NULL,
+    user_id INT,
+    ip_address VARCHAR(45),
+    failures INT NOT NULL,
+    lockout_minutes INT NOT NULL,
+    locked_until DATETIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_lockout_events_identifier (scope, identifier)
+);
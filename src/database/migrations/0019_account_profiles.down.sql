@@ -0,0 +1,14 @@
+DROP TABLE IF EXISTS saved_passengers;
+
+ALTER TABLE bookings
+    DROP FOREIGN KEY fk_bookings_user,
+    ADD CONSTRAINT bookings_ibfk_1 FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+
+ALTER TABLE journeys DROP FOREIGN KEY fk_journeys_user;
+ALTER TABLE journeys ADD CONSTRAINT fk_journeys_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+
+ALTER TABLE users
+    DROP COLUMN full_name,
+    DROP COLUMN phone,
+    DROP COLUMN preferences,
+    DROP COLUMN deleted_at;
@@ -0,0 +1,30 @@
+ALTER TABLE users
+    ADD COLUMN full_name VARCHAR(100),
+    ADD COLUMN phone VARCHAR(20),
+    -- Booking defaults such as preferred_berth and preferred_class_code
+    ADD COLUMN preferences JSON,
+    -- Deleted accounts are anonymised in place so their bookings stay on record
+    ADD COLUMN deleted_at DATETIME;
+
+-- Bookings and journeys outlive their user's account
+ALTER TABLE journeys DROP FOREIGN KEY fk_journeys_user;
+ALTER TABLE journeys ADD CONSTRAINT fk_journeys_user FOREIGN KEY (user_id) REFERENCES users(id);
+
+ALTER TABLE bookings
+    DROP FOREIGN KEY bookings_ibfk_1,
+    ADD CONSTRAINT fk_bookings_user FOREIGN KEY (user_id) REFERENCES users(id);
+
+-- Passengers a user travels with often, reusable when booking
+CREATE TABLE IF NOT EXISTS saved_passengers (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    -- Kept instead of an age so it stays right from one trip to the next
+    date_of_birth DATE NOT NULL,
+    gender ENUM('male', 'female', 'other') NOT NULL,
+    id_document_type VARCHAR(30),
+    id_document_number VARCHAR(50),
+    concession VARCHAR(20),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
@@ -0,0 +1,17 @@
+-- Seats a user holds while making a booking, for one leg of a run. Held
+-- seats are unavailable to other users until expires_at.
+CREATE TABLE IF NOT EXISTS seat_holds (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    train_run_id INT NOT NULL,
+    seat_id INT NOT NULL,
+    from_sequence INT NOT NULL,
+    to_sequence INT NOT NULL,
+    expires_at DATETIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (train_run_id) REFERENCES train_runs(id) ON DELETE CASCADE,
+    FOREIGN KEY (seat_id) REFERENCES seats(id) ON DELETE CASCADE,
+    INDEX idx_seat_holds_seat_run (seat_id, train_run_id),
+    INDEX idx_seat_holds_expires (expires_at)
+);
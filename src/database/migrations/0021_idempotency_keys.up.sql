@@ -0,0 +1,18 @@
+-- Responses to requests sent with an Idempotency-Key, replayed when the
+-- same user retries the same request with the same key
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    idempotency_key VARCHAR(255) NOT NULL,
+    method VARCHAR(10) NOT NULL,
+    path VARCHAR(255) NOT NULL,
+    request_hash CHAR(64) NOT NULL,
+    status ENUM('in_progress', 'completed') DEFAULT 'in_progress',
+    response_status INT,
+    response_body JSON,
+    expires_at DATETIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_user_idempotency_key (user_id, idempotency_key),
+    INDEX idx_idempotency_keys_expires (expires_at)
+);
@@ -0,0 +1,3 @@
+ALTER TABLE bookings
+    -- Fixture a sample booking was seeded from, so seeding again finds it
+    ADD COLUMN fixture_ref VARCHAR(100) UNIQUE;
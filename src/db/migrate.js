@@ -0,0 +1,96 @@
+const { label, getStatus, migrate, rollback, openMigrationConnection } = require('./migrator');
+
+const USAGE = `Usage: node src/db/migrate.js <command> [options]
+
+Commands:
+  migrate [--to <version>] [--baseline]   Apply pending migrations
+  rollback [--steps <n>]                  Undo the last n migrations (default 1)
+  status                                  List migrations and whether they are applied
+
+--baseline records migrations as applied without running them, for a
+database created before migrations existed. Without --to it records only
+0001, the schema such a database already has.`;
+
+// Value following a --flag, or undefined
+const option = (args, name) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : undefined;
+};
+
+const positiveInt = (value, name) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`--${name} must be a positive whole number`);
+    }
+    return number;
+};
+
+const commands = {
+    migrate: async (connection, args) => {
+        const to = option(args, 'to');
+        const baseline = args.includes('--baseline');
+        const applied = await migrate(connection, {
+            to: to !== undefined ? positiveInt(to, 'to') : baseline ? 1 : null,
+            baseline
+        });
+
+        if (applied.length === 0) {
+            console.log('Database is up to date');
+        }
+        for (const migration of applied) {
+            console.log(`${baseline ? 'Baselined' : 'Applied'} ${label(migration)}`);
+        }
+    },
+
+    rollback: async (connection, args) => {
+        const steps = option(args, 'steps');
+        const undone = await rollback(connection, {
+            steps: steps === undefined ? 1 : positiveInt(steps, 'steps')
+        });
+
+        if (undone.length === 0) {
+            console.log('No migrations to roll back');
+        }
+        for (const row of undone) {
+            console.log(`Rolled back ${label(row)}`);
+        }
+    },
+
+    status: async (connection) => {
+        const { migrations, changed, missing } = await getStatus(connection);
+        const changedVersions = new Set(changed.map(migration => migration.version));
+
+        for (const migration of migrations) {
+            const state = migration.applied_at
+                ? `applied ${new Date(migration.applied_at).toISOString()}`
+                : 'pending';
+            console.log(`${label(migration)}  ${state}${changedVersions.has(migration.version) ? '  (edited since applied)' : ''}`);
+        }
+        for (const row of missing) {
+            console.log(`${label(row)}  applied, missing on disk`);
+        }
+    }
+};
+
+const run = async () => {
+    const [command, ...args] = process.argv.slice(2);
+    if (!commands[command]) {
+        console.log(USAGE);
+        process.exit(command ? 1 : 0);
+    }
+
+    let connection;
+    try {
+        connection = await openMigrationConnection();
+        await commands[command](connection, args);
+    } catch (err) {
+        console.error(`Migration ${command} failed:`, err.message);
+        process.exitCode = 1;
+    } finally {
+        if (connection) {
+            await connection.end();
+        }
+    }
+};
+
+run();
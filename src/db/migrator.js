@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mysql = require('mysql2/promise');
+
+require('dotenv').config();
+
+// Schema changes are numbered SQL migrations in src/database/migrations:
+// NNNN_name.up.sql applies one and NNNN_name.down.sql, when present, undoes
+// it. Each file runs as a whole, so statements need no special splitting.
+// Applied migrations are recorded in schema_migrations with a checksum of
+// their up file and a fingerprint of the schema they left behind, which is
+// how drift is spotted. MySQL commits DDL as it goes, so a migration that
+// fails part way is not undone and has to be fixed by hand.
+
+const MIGRATIONS_DIR = path.join(__dirname, '../database/migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+const HISTORY_TABLE = `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        schema_fingerprint CHAR(64) NOT NULL,
+        execution_ms INT NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+`;
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// Line endings are normalised so a checkout on another platform still matches
+const checksum = (sql) => sha256(sql.replace(/\r\n/g, '\n'));
+
+const label = (migration) => `${String(migration.version).padStart(4, '0')}_${migration.name}`;
+
+// Migrations on disk, oldest first
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+    const byVersion = new Map();
+
+    for (const file of fs.readdirSync(dir).sort()) {
+        const match = FILE_PATTERN.exec(file);
+        if (!match) {
+            continue;
+        }
+
+        const [, number, name, direction] = match;
+        const version = Number(number);
+        const migration = byVersion.get(version) || { version, name };
+        if (migration.name !== name) {
+            throw new Error(`Migration ${number} is used by both ${migration.name} and ${name}`);
+        }
+
+        migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+        byVersion.set(version, migration);
+    }
+
+    const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+    for (const migration of migrations) {
+        if (!migration.up) {
+            throw new Error(`Migration ${label(migration)} has no up file`);
+        }
+        migration.checksum = checksum(migration.up);
+    }
+
+    return migrations;
+};
+
+// Fingerprint of the tables, columns and indexes in the current database,
+// leaving out the migration history itself
+const schemaFingerprint = async (db) => {
+    const [columns] = await db.query(`
+        SELECT TABLE_NAME, COLUMN_NAME, COLUMN_TYPE, IS_NULLABLE, COLUMN_DEFAULT
+        FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME <> 'schema_migrations'
+        ORDER BY TABLE_NAME, COLUMN_NAME
+    `);
+    const [indexes] = await db.query(`
+        SELECT TABLE_NAME, INDEX_NAME, NON_UNIQUE, SEQ_IN_INDEX, COLUMN_NAME
+        FROM information_schema.STATISTICS
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME <> 'schema_migrations'
+        ORDER BY TABLE_NAME, INDEX_NAME, SEQ_IN_INDEX
+    `);
+
+    return sha256(JSON.stringify({ columns, indexes }));
+};
+
+// Applied migrations, oldest first. A database that has never been
+// migrated has none.
+const getApplied = async (db) => {
+    try {
+        const [rows] = await db.query('SELECT * FROM schema_migrations ORDER BY version');
+        return rows;
+    } catch (err) {
+        if (err.code === 'ER_NO_SUCH_TABLE') {
+            return [];
+        }
+        throw err;
+    }
+};
+
+// Compare the history with the migrations on disk: which are applied,
+// pending, changed since they were applied, or applied but missing on disk
+const getStatus = async (db, migrations = loadMigrations()) => {
+    const applied = await getApplied(db);
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+    const onDisk = new Set(migrations.map(migration => migration.version));
+
+    return {
+        migrations: migrations.map(migration => ({
+            ...migration,
+            applied_at: appliedByVersion.get(migration.version)?.applied_at || null
+        })),
+        pending: migrations.filter(migration => !appliedByVersion.has(migration.version)),
+        changed: migrations.filter(migration =>
+            appliedByVersion.has(migration.version) && appliedByVersion.get(migration.version).checksum !== migration.checksum
+        ),
+        missing: applied.filter(row => !onDisk.has(row.version)),
+        latest: applied[applied.length - 1] || null
+    };
+};
+
+// Problems with the database's schema, as messages; none means it matches
+// the migrations. Used at start-up.
+const checkSchemaDrift = async (db) => {
+    const { pending, changed, missing, latest } = await getStatus(db);
+    const problems = [
+        ...pending.map(migration => `Migration ${label(migration)} has not been applied`),
+        ...changed.map(migration => `Migration ${label(migration)} was edited after it was applied`),
+        ...missing.map(row => `Migration ${label(row)} is applied but missing from ${MIGRATIONS_DIR}`)
+    ];
+
+    if (latest && await schemaFingerprint(db) !== latest.schema_fingerprint) {
+        problems.push(`Schema was changed outside migrations since ${label(latest)} was applied`);
+    }
+
+    return problems;
+};
+
+const record = async (connection, migration, executionMs) => {
+    await connection.query(
+        'INSERT INTO schema_migrations (version, name, checksum, schema_fingerprint, execution_ms) VALUES (?, ?, ?, ?, ?)',
+        [migration.version, migration.name, migration.checksum, await schemaFingerprint(connection), executionMs]
+    );
+};
+
+// Apply pending migrations in order, up to and including version `to` if
+// given. With `baseline` they are recorded as applied without running, for
+// databases whose schema already matches. Refuses to run while applied
+// migrations have been edited. Returns the migrations applied.
+const migrate = async (connection, { to = null, baseline = false, migrations = loadMigrations() } = {}) => {
+    await connection.query(HISTORY_TABLE);
+
+    const { pending, changed } = await getStatus(connection, migrations);
+    if (changed.length > 0) {
+        throw new Error(`Applied migrations were edited: ${changed.map(label).join(', ')}`);
+    }
+
+    const toApply = pending.filter(migration => to === null || migration.version <= to);
+    for (const migration of toApply) {
+        const started = Date.now();
+        if (!baseline) {
+            await connection.query(migration.up);
+        }
+        await record(connection, migration, Date.now() - started);
+    }
+
+    return toApply;
+};
+
+// Undo the last `steps` applied migrations, newest first, using their down
+// files. Returns the migrations rolled back.
+const rollback = async (connection, { steps = 1, migrations = loadMigrations() } = {}) => {
+    const applied = await getApplied(connection);
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+    const toUndo = applied.slice(-steps).reverse();
+
+    for (const row of toUndo) {
+        const migration = byVersion.get(row.version);
+        if (!migration || !migration.down) {
+            throw new Error(`Migration ${label(row)} has no down file to roll back with`);
+        }
+    }
+
+    for (const row of toUndo) {
+        await connection.query(byVersion.get(row.version).down);
+        await connection.query('DELETE FROM schema_migrations WHERE version = ?', [row.version]);
+    }
+
+    return toUndo;
+};
+
+// A connection for running migrations, which may hold several statements
+// per query. The database is created if it does not exist yet.
+const openMigrationConnection = async () => {
+    if (!process.env.DB_NAME) {
+        throw new Error('DB_NAME is not set');
+    }
+
+    const connection = await mysql.createConnection({
+        host: process.env.DB_HOST || 'localhost',
+        user: process.env.DB_USER || 'root',
+        password: process.env.DB_PASSWORD,
+        multipleStatements: true
+    });
+
+    await connection.query(`CREATE DATABASE IF NOT EXISTS ${connection.escapeId(process.env.DB_NAME)}`);
+    await connection.changeUser({ database: process.env.DB_NAME });
+
+    return connection;
+};
+
+module.exports = {
+    label,
+    loadMigrations,
+    getStatus,
+    checkSchemaDrift,
+    migrate,
+    rollback,
+    openMigrationConnection
+};
@@ -0,0 +1,67 @@
+require('dotenv').config();
+
+const seedConfig = require('../config/seed');
+const { label, getStatus, openMigrationConnection } = require('./migrator');
+const { listEnvironments, loadFixtures, seed } = require('./seeder');
+
+const USAGE = `Usage: node src/db/seed.js [--env <name>]
+
+Loads the fixtures in src/database/seeds/common and seeds/<name> (default
+SEED_ENV, then NODE_ENV, then development) along with the admin user from
+ADMIN_EMAIL and ADMIN_PASSWORD. Safe to run again: existing rows are
+updated rather than duplicated.
+
+Environments: ${listEnvironments().join(', ')}`;
+
+// Value following a --flag, or undefined
+const option = (args, name) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : undefined;
+};
+
+const run = async () => {
+    const args = process.argv.slice(2);
+    if (args.includes('--help')) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+
+    const environment = option(args, 'env') || seedConfig.environment;
+
+    let connection;
+    try {
+        const fixtures = loadFixtures(environment);
+        if (!seedConfig.admin.password) {
+            console.log('ADMIN_PASSWORD is not set; skipping the admin user');
+        }
+
+        connection = await openMigrationConnection();
+        const { pending } = await getStatus(connection);
+        if (pending.length > 0) {
+            throw new Error(`Run migrations first; pending: ${pending.map(label).join(', ')}`);
+        }
+
+        await connection.beginTransaction();
+        try {
+            const summary = await seed(connection, fixtures, { admin: seedConfig.admin });
+            await connection.commit();
+
+            console.log(`Seeded ${environment}`);
+            for (const [section, { created, existing }] of Object.entries(summary)) {
+                console.log(`  ${section}: ${created} created, ${existing} already present`);
+            }
+        } catch (err) {
+            await connection.rollback();
+            throw err;
+        }
+    } catch (err) {
+        console.error(`Seeding ${environment} failed:`, err.message);
+        process.exitCode = 1;
+    } finally {
+        if (connection) {
+            await connection.end();
+        }
+    }
+};
+
+run();
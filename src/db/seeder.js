@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const bcrypt = require('bcryptjs');
+const { WEEKDAYS, formatDate, addDays, saveTrainSchedule } = require('../utils/trainCalendar');
+const { resolveComposition, insertCoaches } = require('../utils/coachComposition');
+const { saveRoute } = require('../utils/routeStops');
+const { createBooking } = require('../utils/bookings');
+const { confirmPaidBooking } = require('../utils/payments');
+const { createRepositories } = require('../repositories/mysqlStore');
+
+// Seed data is read from JSON or YAML fixture files in
+// src/database/seeds/<environment>, after those in seeds/common. Files load
+// in name order and their sections are concatenated. Everything is matched
+// on a natural key (station code, train number, email, booking ref) and
+// updated in place, so seeding again leaves the same data rather than
+// duplicates.
+
+const SEEDS_DIR = path.join(__dirname, '../database/seeds');
+const SECTIONS = ['travel_classes', 'stations', 'users', 'trains', 'bookings'];
+const PARSERS = {
+    '.json': (text) => JSON.parse(text),
+    '.yaml': (text) => yaml.load(text),
+    '.yml': (text) => yaml.load(text)
+};
+
+// Environments with a fixtures directory
+const listEnvironments = (dir = SEEDS_DIR) => fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && entry.name !== 'common')
+    .map(entry => entry.name)
+    .sort();
+
+const readFixtureDir = (dir) => {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    return fs.readdirSync(dir)
+        .filter(file => PARSERS[path.extname(file)])
+        .sort()
+        .map(file => {
+            try {
+                return { file, data: PARSERS[path.extname(file)](fs.readFileSync(path.join(dir, file), 'utf8')) || {} };
+            } catch (err) {
+                throw new Error(`Cannot parse fixture ${file}: ${err.message}`);
+            }
+        });
+};
+
+// The fixtures of an environment, merged into one object of sections
+const loadFixtures = (environment, dir = SEEDS_DIR) => {
+    if (!listEnvironments(dir).includes(environment)) {
+        throw new Error(`Unknown seed environment ${environment}; expected one of ${listEnvironments(dir).join(', ')}`);
+    }
+
+    const fixtures = Object.fromEntries(SECTIONS.map(section => [section, []]));
+    for (const { file, data } of [...readFixtureDir(path.join(dir, 'common')), ...readFixtureDir(path.join(dir, environment))]) {
+        for (const [section, entries] of Object.entries(data)) {
+            if (!SECTIONS.includes(section) || !Array.isArray(entries)) {
+                throw new Error(`Fixture ${file}: ${section} is not a list of ${SECTIONS.join(', ')}`);
+            }
+            fixtures[section].push(...entries);
+        }
+    }
+
+    return fixtures;
+};
+
+// Fixture dates are YYYY-MM-DD, or relative to the day of seeding as
+// `today`, `today+7` or `today-1`, so sample data never goes stale
+const resolveDate = (value) => {
+    if (value instanceof Date) {
+        return value.toISOString().slice(0, 10);
+    }
+
+    const relative = /^today([+-]\d+)?$/.exec(value);
+    if (relative) {
+        return addDays(formatDate(new Date()), Number(relative[1] || 0));
+    }
+
+    return value;
+};
+
+const seedTravelClasses = async (connection, travelClasses) => {
+    for (const travelClass of travelClasses) {
+        await connection.query(
+            `INSERT INTO travel_classes (code, name, fare_multiplier, default_layout) VALUES (?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE name = VALUES(name), fare_multiplier = VALUES(fare_multiplier), default_layout = VALUES(default_layout)`,
+            [travelClass.code, travelClass.name, travelClass.fare_multiplier ?? 1, travelClass.default_layout || 'seating']
+        );
+    }
+};
+
+const seedStations = async (connection, stations) => {
+    for (const station of stations) {
+        await connection.query(
+            'INSERT INTO stations (station_name, station_code) VALUES (?, ?) ON DUPLICATE KEY UPDATE station_name = VALUES(station_name)',
+            [station.name, station.code]
+        );
+    }
+};
+
+// Create a user, or bring an existing one's name and role in line. Existing
+// users keep their password. Returns whether the user was created.
+const seedUser = async (connection, user) => {
+    const [[existing]] = await connection.query('SELECT id FROM users WHERE email = ?', [user.email]);
+    if (existing) {
+        await connection.query(
+            'UPDATE users SET username = ?, role = ?, full_name = ?, is_active = TRUE WHERE id = ?',
+            [user.username, user.role || 'user', user.full_name || null, existing.id]
+        );
+        return false;
+    }
+
+    if (!user.password) {
+        throw new Error(`Fixture user ${user.email} needs a password`);
+    }
+
+    await connection.query(
+        `INSERT INTO users (username, email, password, role, full_name, email_verified_at)
+         VALUES (?, ?, ?, ?, ?, NOW())`,
+        [user.username, user.email, await bcrypt.hash(user.password, 10), user.role || 'user', user.full_name || null]
+    );
+    return true;
+};
+
+// Create or update a train with its calendar and route. Coaches are only
+// built for a new train; resize existing ones through the API.
+const seedTrain = async (connection, train, stationIds) => {
+    const repos = createRepositories(connection);
+    const failed = (message) => new Error(`Fixture train ${train.train_number}: ${message}`);
+    const fields = [
+        train.train_name,
+        train.base_fare ?? 100,
+        train.fare_mode || 'segment',
+        train.fare_per_km ?? null,
+        train.rac_seats ?? 0
+    ];
+
+    const [[existing]] = await connection.query('SELECT id FROM trains WHERE train_number = ?', [train.train_number]);
+    let trainId = existing && existing.id;
+    if (existing) {
+        await connection.query(
+            'UPDATE trains SET train_name = ?, fare = ?, fare_mode = ?, fare_per_km = ?, rac_seats = ?, is_active = TRUE WHERE id = ?',
+            [...fields, trainId]
+        );
+    } else {
+        const [result] = await connection.query(
+            'INSERT INTO trains (train_number, train_name, total_seats, fare, fare_mode, fare_per_km, rac_seats) VALUES (?, ?, 0, ?, ?, ?, ?)',
+            [train.train_number, ...fields]
+        );
+        trainId = result.insertId;
+    }
+
+    const schedule = train.schedule || {};
+    await saveTrainSchedule(repos, trainId, {
+        running_days: schedule.running_days || WEEKDAYS,
+        valid_from: resolveDate(schedule.valid_from || 'today'),
+        valid_until: schedule.valid_until ? resolveDate(schedule.valid_until) : null,
+        exceptions: (schedule.exceptions || []).map(exception => ({ ...exception, date: resolveDate(exception.date) }))
+    });
+
+    const [[{ coachCount }]] = await connection.query('SELECT COUNT(*) as coachCount FROM coaches WHERE train_id = ?', [trainId]);
+    if (Number(coachCount) === 0) {
+        const { coaches, error } = await resolveComposition(repos, train.coaches || []);
+        if (error || coaches.length === 0) {
+            throw failed(error || 'needs at least one coach');
+        }
+        await insertCoaches(repos, trainId, coaches);
+    }
+
+    const stops = (train.stops || []).map(stop => {
+        if (!stationIds.has(stop.station)) {
+            throw failed(`unknown station ${stop.station}`);
+        }
+        return { ...stop, station_id: stationIds.get(stop.station), station_code: stop.station };
+    });
+
+    const { error } = await saveRoute(repos, { id: trainId, fare_mode: train.fare_mode || 'segment' }, stops);
+    if (error) {
+        throw failed(error.message);
+    }
+
+    return !existing;
+};
+
+// Book a sample journey, confirmed as if paid, unless the booking with the
+// fixture's ref was seeded before. The ref stays the same from one run to
+// the next while relative booking dates move on.
+const seedBooking = async (connection, booking, stationIds) => {
+    const repos = createRepositories(connection);
+    const failed = (message) => new Error(`Fixture booking for ${booking.user} on ${booking.train}: ${message}`);
+
+    if (!booking.ref) {
+        throw failed('needs a ref');
+    }
+    const [[seeded]] = await connection.query('SELECT id FROM bookings WHERE fixture_ref = ?', [booking.ref]);
+    if (seeded) {
+        return false;
+    }
+
+    const [[user]] = await connection.query('SELECT id FROM users WHERE email = ?', [booking.user]);
+    const [[train]] = await connection.query('SELECT id FROM trains WHERE train_number = ?', [booking.train]);
+    if (!user || !train) {
+        throw failed(!user ? 'unknown user' : 'unknown train');
+    }
+    for (const code of [booking.from, booking.to]) {
+        if (!stationIds.has(code)) {
+            throw failed(`unknown station ${code}`);
+        }
+    }
+
+    const request = {
+        train_id: train.id,
+        from_station_id: stationIds.get(booking.from),
+        to_station_id: stationIds.get(booking.to),
+        booking_date: resolveDate(booking.booking_date),
+        seats_requested: (booking.passengers || []).length,
+        class_code: booking.class_code,
+        quota: booking.quota,
+        passengers: booking.passengers || []
+    };
+
+    const { booking: created, error } = await createBooking(repos, user.id, request);
+    if (error) {
+        throw failed(error.message);
+    }
+
+    await connection.query('UPDATE bookings SET fixture_ref = ? WHERE id = ?', [booking.ref, created.booking_id]);
+    const [[row]] = await connection.query('SELECT * FROM bookings WHERE id = ?', [created.booking_id]);
+    await confirmPaidBooking(repos, row);
+
+    return true;
+};
+
+// Load fixtures and the configured admin inside the caller's transaction.
+// Returns how many of each kind were created and how many already existed.
+const seed = async (connection, fixtures, { admin } = {}) => {
+    const summary = {};
+    const count = (section, created) => {
+        summary[section] = summary[section] || { created: 0, existing: 0 };
+        summary[section][created ? 'created' : 'existing'] += 1;
+    };
+
+    await seedTravelClasses(connection, fixtures.travel_classes);
+    await seedStations(connection, fixtures.stations);
+
+    const [stations] = await connection.query('SELECT id, station_code FROM stations');
+    const stationIds = new Map(stations.map(station => [station.station_code, station.id]));
+
+    const users = admin && admin.password ? [{ ...admin, role: 'admin' }, ...fixtures.users] : fixtures.users;
+    for (const user of users) {
+        count('users', await seedUser(connection, user));
+    }
+
+    for (const train of fixtures.trains) {
+        count('trains', await seedTrain(connection, train, stationIds));
+    }
+
+    for (const booking of fixtures.bookings) {
+        count('bookings', await seedBooking(connection, booking, stationIds));
+    }
+
+    return summary;
+};
+
+module.exports = {
+    listEnvironments,
+    loadFixtures,
+    seed
+};
@@ -1,38 +1,62 @@
-const express = require('express');
-const cors = require('cors');
 const dotenv = require('dotenv');
 
 // Load environment variables
 dotenv.config();
 
-// Import routes
-const authRoutes = require('./routes/auth');
-const trainRoutes = require('./routes/trains');
-const bookingRoutes = require('./routes/bookings');
-
-const app = express();
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/trains', trainRoutes);
-app.use('/api/bookings', bookingRoutes);
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-    console.error(err.stack);
-    res.status(500).json({
-        success: false,
-        message: 'Something went wrong!',
-        error: process.env.NODE_ENV === 'development' ? err.message : undefined
-    });
-});
+const app = require('./app');
+const { startHoldSweeper } = require('./jobs/holdSweeper');
+const pool = require('./config/database');
+const dataStoreConfig = require('./config/dataStore');
+const migrationConfig = require('./config/migrations');
+const { checkSchemaDrift } = require('./db/migrator');
 
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
-    console.log(`Server is running on port ${PORT}`);
+// In production the gateway and its webhook secret must be chosen
+// explicitly; the defaults are the fake gateway and a secret anyone can read
+// in the source
+const missingProductionSettings = () => (process.env.NODE_ENV === 'production'
+    ? ['PAYMENT_GATEWAY', 'PAYMENT_WEBHOOK_SECRET'].filter(name => !process.env[name])
+    : []);
+
+// Check the database matches the migrations before serving requests. The
+// in-memory store has no schema to drift from them, and reads the rows they
+// insert from the migration files themselves.
+const checkSchema = async () => {
+    if (migrationConfig.drift_check === 'off' || dataStoreConfig.store !== 'mysql') {
+        return true;
+    }
+
+    let problems;
+    try {
+        problems = await checkSchemaDrift(pool);
+    } catch (err) {
+        problems = [`Could not check the schema: ${err.message}`];
+    }
+
+    problems.forEach(problem => console.error(`Schema drift: ${problem}`));
+    if (problems.length > 0) {
+        console.error('Run `npm run migrate:status` for details');
+    }
+
+    return problems.length === 0 || migrationConfig.drift_check !== 'fail';
+};
+
+const missing = missingProductionSettings();
+if (missing.length > 0) {
+    console.error(`Refusing to start in production without ${missing.join(' and ')}`);
+    process.exit(1);
+}
+
+checkSchema().then(ok => {
+    if (!ok) {
+        process.exit(1);
+    }
+
+    app.listen(PORT, () => {
+        console.log(`Server is running on port ${PORT}`);
+
+        // Release seats held by bookings whose payment window has passed
+        startHoldSweeper();
+    });
 }); 
\ No newline at end of file
@@ -0,0 +1,73 @@
+const { getStore, transaction } = require('../repositories');
+const paymentConfig = require('../config/payments');
+const { releaseHeldBooking } = require('../utils/payments');
+const { releaseExpiredSeatHolds } = require('../utils/seatHolds');
+const { publishSeatChanges } = require('../utils/seatEvents');
+const { purgeExpiredKeys } = require('../utils/idempotencyKeys');
+
+// Expire pending bookings whose payment hold ran out, one transaction each
+// so a failure only affects that booking. Returns how many were released.
+const releaseExpiredHolds = async () => {
+    const expired = await getStore().repositories.bookings.listExpiredHolds();
+
+    let released = 0;
+    for (const id of expired) {
+        try {
+            await transaction(async (repos) => {
+                // Re-check under the lock: a payment callback may have settled it
+                const booking = await repos.bookings.findExpiredHold(id);
+
+                if (booking) {
+                    await releaseHeldBooking(repos, booking, 'expired');
+                    released++;
+                }
+            });
+        } catch (err) {
+            console.error(`Error releasing hold of booking ${id}:`, err);
+        }
+    }
+
+    return released;
+};
+
+// Run the sweeper on an interval; a sweep still running skips the next tick.
+// Each sweep also clears seat holds that ran out and idempotency keys past
+// their replay window.
+const startHoldSweeper = (intervalSeconds = paymentConfig.sweep_interval_seconds) => {
+    let running = false;
+
+    const timer = setInterval(async () => {
+        if (running) {
+            return;
+        }
+
+        running = true;
+        try {
+            const released = await releaseExpiredHolds();
+            if (released > 0) {
+                console.log(`Released ${released} expired booking hold(s)`);
+            }
+
+            const { repositories } = getStore();
+            const seatHolds = await releaseExpiredSeatHolds(repositories);
+            publishSeatChanges(repositories);
+            if (seatHolds.length > 0) {
+                console.log(`Released ${seatHolds.length} expired seat hold(s)`);
+            }
+
+            await purgeExpiredKeys(repositories);
+        } catch (err) {
+            console.error(err);
+        } finally {
+            running = false;
+        }
+    }, intervalSeconds * 1000);
+
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    releaseExpiredHolds,
+    startHoldSweeper
+};
@@ -0,0 +1,10 @@
+// Prints messages to the server log instead of sending them
+const send = async (message) => {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+    return { delivered: true };
+};
+
+module.exports = {
+    name: 'console',
+    send
+};
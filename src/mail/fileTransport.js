@@ -0,0 +1,22 @@
+const fs = require('fs/promises');
+const path = require('path');
+const mailConfig = require('../config/mail');
+
+// Writes each message as a JSON file, so local runs and tests can read back
+// what would have been sent
+const send = async (message) => {
+    await fs.mkdir(mailConfig.file_directory, { recursive: true });
+
+    const file = path.join(
+        mailConfig.file_directory,
+        `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`
+    );
+    await fs.writeFile(file, JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2));
+
+    return { delivered: true, file };
+};
+
+module.exports = {
+    name: 'file',
+    send
+};
@@ -0,0 +1,25 @@
+const mailConfig = require('../config/mail');
+const consoleTransport = require('./consoleTransport');
+const fileTransport = require('./fileTransport');
+
+// Mail transports by name. A transport provides:
+//   send({ from, to, subject, text }) -> { delivered }
+const transports = {
+    [consoleTransport.name]: consoleTransport,
+    [fileTransport.name]: fileTransport
+};
+
+const getTransport = (name = mailConfig.transport) => {
+    const transport = transports[name];
+    if (!transport) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+    return transport;
+};
+
+const sendMail = (message) => getTransport().send({ from: mailConfig.from, ...message });
+
+module.exports = {
+    getTransport,
+    sendMail
+};
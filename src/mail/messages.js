@@ -0,0 +1,33 @@
+const mailConfig = require('../config/mail');
+
+// Account emails, each carrying a single-use token link
+const verificationEmail = (user, token) => ({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: [
+        `Hello ${user.username},`,
+        '',
+        'Confirm your email address by opening this link:',
+        `${mailConfig.app_url}/verify-email?token=${token}`,
+        '',
+        `The link expires in ${mailConfig.verification_token_hours} hours.`
+    ].join('\n')
+});
+
+const passwordResetEmail = (user, token) => ({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+        `Hello ${user.username},`,
+        '',
+        'Someone asked to reset the password for your account. If it was you, open this link:',
+        `${mailConfig.app_url}/reset-password?token=${token}`,
+        '',
+        `The link expires in ${mailConfig.reset_token_minutes} minutes. If you did not ask for this, you can ignore this email.`
+    ].join('\n')
+});
+
+module.exports = {
+    verificationEmail,
+    passwordResetEmail
+};
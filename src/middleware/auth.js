@@ -1,6 +1,12 @@
-const jwt = require('jsonwebtoken');
+const { getStore } = require('../repositories');
+const { ROLES } = require('../config/roles');
+const { findApiKey } = require('../utils/apiKeys');
+const { recordAudit } = require('../utils/auditLog');
+const { verifyAccessToken } = require('../utils/tokens');
 
-const auth = (req, res, next) => {
+// Require a signed-in user. Tokens of disabled users, or issued before the
+// user logged out everywhere or changed their password, are rejected.
+const auth = async (req, res, next) => {
     try {
         const token = req.header('Authorization')?.replace('Bearer ', '');
         
@@ -11,35 +17,113 @@ const auth = (req, res, next) => {
             });
         }
 
-        const verified = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = verified;
+        const user = await verifyAccessToken(getStore().repositories, token);
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Token verification failed, authorization denied'
+            });
+        }
+
+        req.user = { id: user.id, role: user.role };
         next();
     } catch (err) {
-        res.status(401).json({
+        console.error(err);
+        res.status(500).json({
             success: false,
-            message: 'Token verification failed, authorization denied'
+            message: 'Error verifying authentication token'
         });
     }
 };
 
-const adminAuth = (req, res, next) => {
+// Work out who is calling and what they may do, from a per-client API key
+// or a user's access token. Roles are read from
+// the database so a change of role applies to tokens already issued.
+// Returns null when no credential is valid.
+const identify = async (req) => {
+    const apiKey = req.header('X-API-Key');
+    if (apiKey) {
+        const key = await findApiKey(getStore().repositories, apiKey);
+        if (!key) {
+            return null;
+        }
+
+        // A key never grants more than its owner's role currently does
+        const rolePermissions = ROLES[key.role] || [];
+        return {
+            user_id: key.user_id,
+            api_key_id: key.id,
+            permissions: key.permissions.filter(permission => rolePermissions.includes(permission))
+        };
+    }
+
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    if (!token) {
+        return null;
+    }
+
+    const user = await verifyAccessToken(getStore().repositories, token);
+    if (!user) {
+        return null;
+    }
+
+    return {
+        user_id: user.id,
+        api_key_id: null,
+        permissions: ROLES[user.role] || []
+    };
+};
+
+// Require a permission on a route. The caller is available as req.actor,
+// and every change it makes is written to the audit log.
+const authorize = (permission) => async (req, res, next) => {
     try {
-        const apiKey = req.header('X-Admin-API-Key');
-        
-        if (!apiKey || apiKey !== process.env.ADMIN_API_KEY) {
+        const actor = await identify(req);
+
+        if (!actor) {
             return res.status(401).json({
                 success: false,
-                message: 'Invalid admin API key'
+                message: 'Invalid or missing credentials'
             });
         }
-        
+
+        if (!actor.permissions.includes(permission)) {
+            return res.status(403).json({
+                success: false,
+                message: `Missing permission ${permission}`
+            });
+        }
+
+        req.actor = actor;
+        if (req.method !== 'GET') {
+            res.on('finish', () => {
+                recordAudit(getStore().repositories, actor, req, res.statusCode).catch(err => console.error(err));
+            });
+        }
+
         next();
     } catch (err) {
-        res.status(401).json({
+        console.error(err);
+        res.status(500).json({
+            success: false,
+            message: 'Error checking permissions'
+        });
+    }
+};
+
+// Require the deployment-wide ADMIN_API_KEY. It grants nothing else: the
+// one route taking it makes the first admin, who then acts under their own
+// account.
+const bootstrapKey = (req, res, next) => {
+    const adminKey = req.header('X-Admin-API-Key');
+    if (!process.env.ADMIN_API_KEY || adminKey !== process.env.ADMIN_API_KEY) {
+        return res.status(401).json({
             success: false,
-            message: 'Admin authentication failed'
+            message: 'Invalid or missing admin key'
         });
     }
+
+    next();
 };
 
-module.exports = { auth, adminAuth }; 
\ No newline at end of file
+module.exports = { auth, authorize, bootstrapKey };
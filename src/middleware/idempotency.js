@@ -0,0 +1,90 @@
+const { getStore } = require('../repositories');
+const idempotencyConfig = require('../config/idempotency');
+const { claimKey, completeKey, releaseKey } = require('../utils/idempotencyKeys');
+
+// Make a mutating route safe to retry. A request sent with an
+// Idempotency-Key header runs once per user and key; retries of the same
+// request get the first response again, marked Idempotent-Replayed. Reusing
+// a key for a different request is rejected, as is a retry while the first
+// is still running. Server errors are not stored, so those can be retried.
+// The response is stored before it is sent, so a retry made as soon as it
+// arrives is replayed. Runs after auth.
+const idempotent = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+        return next();
+    }
+
+    if (key.length === 0 || key.length > idempotencyConfig.max_key_length) {
+        return res.status(400).json({
+            success: false,
+            message: `Idempotency-Key must be 1 to ${idempotencyConfig.max_key_length} characters`
+        });
+    }
+
+    try {
+        const { claimed, existing } = await claimKey(getStore().repositories, req.user.id, key, {
+            method: req.method,
+            path: req.baseUrl + req.path,
+            body: req.body
+        });
+
+        if (!claimed) {
+            if (!existing.matches) {
+                return res.status(422).json({
+                    success: false,
+                    message: 'Idempotency-Key has already been used for a different request'
+                });
+            }
+
+            if (existing.status === 'in_progress') {
+                res.set('Retry-After', '1');
+                return res.status(409).json({
+                    success: false,
+                    message: 'A request with this Idempotency-Key is still being processed'
+                });
+            }
+
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.response_status).json(existing.response_body);
+        }
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({
+            success: false,
+            message: 'Error checking idempotency key'
+        });
+    }
+
+    const { repositories } = getStore();
+    let settled = false;
+    const settle = async (work) => {
+        settled = true;
+        try {
+            await work();
+        } catch (err) {
+            console.error('Error saving idempotent response:', err);
+        }
+    };
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        settle(() => (res.statusCode < 500
+            ? completeKey(repositories, req.user.id, key, res.statusCode, body)
+            : releaseKey(repositories, req.user.id, key)
+        )).then(() => json(body));
+        return res;
+    };
+
+    // A request ending without a JSON response, e.g. cut off by the client,
+    // can be retried
+    res.on('close', () => {
+        if (!settled) {
+            settle(() => releaseKey(repositories, req.user.id, key));
+        }
+    });
+
+    next();
+};
+
+module.exports = { idempotent };
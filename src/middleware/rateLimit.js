@@ -0,0 +1,41 @@
+const rateLimitConfig = require('../config/rateLimits');
+const { getStore } = require('../rateLimit');
+
+// Signed-in callers are limited per account, everyone else per IP address,
+// unless the limit is per IP for all
+const clientKey = (req, perIp) => !perIp && req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+
+// Limit a route to the requests configured under `name`
+const rateLimit = (name) => {
+    const { max, window_seconds, per_ip } = rateLimitConfig.routes[name];
+
+    return async (req, res, next) => {
+        try {
+            const { count, expires_at } = await getStore().increment(
+                `rate:${name}:${clientKey(req, per_ip)}`,
+                window_seconds
+            );
+            const retryAfter = Math.max(1, Math.ceil((expires_at - Date.now()) / 1000));
+
+            res.set('RateLimit-Limit', String(max));
+            res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+            res.set('RateLimit-Reset', String(retryAfter));
+
+            if (count > max) {
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({
+                    success: false,
+                    message: 'Too many requests, please try again later'
+                });
+            }
+
+            next();
+        } catch (err) {
+            // A failing store should not take the API down with it
+            console.error(err);
+            next();
+        }
+    };
+};
+
+module.exports = { rateLimit };
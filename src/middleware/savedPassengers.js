@@ -0,0 +1,67 @@
+const { getStore } = require('../repositories');
+
+// Age in whole years on a date
+const ageOn = (dateOfBirth, date = new Date()) => {
+    const born = new Date(dateOfBirth);
+    const age = date.getFullYear() - born.getFullYear();
+    const hadBirthday = date.getMonth() > born.getMonth()
+        || (date.getMonth() === born.getMonth() && date.getDate() >= born.getDate());
+
+    return hadBirthday ? age : age - 1;
+};
+
+// Let a booking list the user's saved passengers by id. Each
+// { saved_passenger_id } entry is replaced with the saved details before the
+// passengers are validated; fields sent alongside it take precedence.
+// Runs after auth.
+const expandSavedPassengers = async (req, res, next) => {
+    try {
+        const { passengers } = req.body;
+        const savedIds = Array.isArray(passengers)
+            ? passengers.filter(passenger => passenger && passenger.saved_passenger_id).map(passenger => Number(passenger.saved_passenger_id))
+            : [];
+
+        if (savedIds.length === 0) {
+            return next();
+        }
+
+        const saved = await getStore().repositories.savedPassengers.findForUser(req.user.id, savedIds);
+        const savedById = new Map(saved.map(passenger => [passenger.id, passenger]));
+
+        const unknown = savedIds.filter(id => !savedById.has(id));
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown saved passengers: ${unknown.join(', ')}`
+            });
+        }
+
+        req.body.passengers = passengers.map(passenger => {
+            if (!passenger || !passenger.saved_passenger_id) {
+                return passenger;
+            }
+
+            const { saved_passenger_id, ...overrides } = passenger;
+            const savedPassenger = savedById.get(Number(saved_passenger_id));
+            return {
+                name: savedPassenger.name,
+                age: ageOn(savedPassenger.date_of_birth),
+                gender: savedPassenger.gender,
+                id_document_type: savedPassenger.id_document_type,
+                id_document_number: savedPassenger.id_document_number,
+                concession: savedPassenger.concession,
+                ...overrides
+            };
+        });
+
+        next();
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({
+            success: false,
+            message: 'Error loading saved passengers'
+        });
+    }
+};
+
+module.exports = { expandSavedPassengers };
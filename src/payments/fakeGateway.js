@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const paymentConfig = require('../config/payments');
+
+// Local stand-in for a payment provider. Payments are never charged: they
+// settle when a callback signed with the webhook secret reports the outcome,
+// which signCallback produces for tests and the simulate endpoint.
+const SIGNATURE_HEADER = 'X-Fake-Signature';
+
+const sign = (payload) =>
+    crypto.createHmac('sha256', paymentConfig.webhook_secret).update(payload).digest('hex');
+
+const createPayment = async ({ amount, currency }) => {
+    const reference = `fake_pay_${crypto.randomUUID()}`;
+
+    return {
+        gateway_reference: reference,
+        checkout_url: `https://fake-gateway.local/checkout/${reference}?amount=${amount}&currency=${currency}`
+    };
+};
+
+// Verify and read a callback; returns null when the signature does not match
+const parseCallback = (req) => {
+    const signature = Buffer.from(req.header(SIGNATURE_HEADER) || '');
+    const expected = Buffer.from(sign(req.rawBody || ''));
+
+    // timingSafeEqual throws on buffers of different byte lengths
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+        return null;
+    }
+
+    const { reference, status } = req.body;
+    return {
+        gateway_reference: reference,
+        status: status === 'succeeded' ? 'succeeded' : 'failed'
+    };
+};
+
+const refund = async () => ({
+    gateway_reference: `fake_refund_${crypto.randomUUID()}`,
+    status: 'processed'
+});
+
+// Body and headers of a callback reporting `status` for a payment
+const signCallback = (reference, status) => {
+    const body = JSON.stringify({ reference, status });
+    return { body, headers: { [SIGNATURE_HEADER]: sign(body) } };
+};
+
+module.exports = {
+    name: 'fake',
+    createPayment,
+    parseCallback,
+    refund,
+    signCallback
+};
@@ -0,0 +1,22 @@
+const paymentConfig = require('../config/payments');
+const fakeGateway = require('./fakeGateway');
+
+// Payment gateway adapters by name. An adapter provides:
+//   createPayment({ reference, amount, currency }) -> { gateway_reference, checkout_url }
+//   parseCallback(req) -> { gateway_reference, status: 'succeeded' | 'failed' }, or null if unsigned
+//   refund({ gateway_reference, amount, currency }) -> { gateway_reference, status: 'processed' | 'failed' }
+const gateways = {
+    [fakeGateway.name]: fakeGateway
+};
+
+const getGateway = (name = paymentConfig.gateway) => {
+    const gateway = gateways[name];
+    if (!gateway) {
+        throw new Error(`Unknown payment gateway: ${name}`);
+    }
+    return gateway;
+};
+
+module.exports = {
+    getGateway
+};
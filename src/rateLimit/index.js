@@ -0,0 +1,23 @@
+const rateLimitConfig = require('../config/rateLimits');
+const memoryStore = require('./memoryStore');
+
+// Counter stores by name. A store provides, with expiry times in ms:
+//   increment(key, ttlSeconds) -> { count, expires_at }, starting a window on first use
+//   get(key) -> { count, expires_at }, or null
+//   set(key, count, ttlSeconds)
+//   reset(key)
+const stores = {
+    [memoryStore.name]: memoryStore
+};
+
+const getStore = (name = rateLimitConfig.store) => {
+    const store = stores[name];
+    if (!store) {
+        throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    return store;
+};
+
+module.exports = {
+    getStore
+};
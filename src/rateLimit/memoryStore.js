@@ -0,0 +1,56 @@
+// Counters kept in this process. Fine for a single server; several servers
+// behind a load balancer need a shared store.
+const counters = new Map();
+
+// Entries are dropped when read after expiring; a sweep clears the rest
+// once the map grows large
+const SWEEP_SIZE = 10000;
+
+const read = (key, now = Date.now()) => {
+    const entry = counters.get(key);
+    if (entry && entry.expires_at <= now) {
+        counters.delete(key);
+        return null;
+    }
+    return entry || null;
+};
+
+const sweep = () => {
+    const now = Date.now();
+    for (const key of counters.keys()) {
+        read(key, now);
+    }
+};
+
+const increment = async (key, ttlSeconds) => {
+    const entry = read(key) || { count: 0, expires_at: Date.now() + ttlSeconds * 1000 };
+    entry.count += 1;
+    counters.set(key, entry);
+
+    if (counters.size > SWEEP_SIZE) {
+        sweep();
+    }
+
+    return { ...entry };
+};
+
+const get = async (key) => {
+    const entry = read(key);
+    return entry ? { ...entry } : null;
+};
+
+const set = async (key, count, ttlSeconds) => {
+    counters.set(key, { count, expires_at: Date.now() + ttlSeconds * 1000 });
+};
+
+const reset = async (key) => {
+    counters.delete(key);
+};
+
+module.exports = {
+    name: 'memory',
+    increment,
+    get,
+    set,
+    reset
+};
@@ -0,0 +1,53 @@
+const dataStoreConfig = require('../config/dataStore');
+const { publishSeatChanges } = require('../utils/seatEvents');
+const mysqlStore = require('./mysqlStore');
+const memoryStore = require('./memoryStore');
+
+// Data stores by name. A store provides:
+//   repositories -> the repositories below, outside any transaction
+//   begin() -> { repositories, commit(), rollback() } for one transaction
+//
+// Repositories are grouped by table (users, trains, seats, bookings, ...),
+// each a set of async functions returning plain rows. See mysql/ for what
+// each one does; memory/ mirrors it.
+const stores = {
+    [mysqlStore.name]: mysqlStore,
+    [memoryStore.name]: memoryStore
+};
+
+const getStore = (name = dataStoreConfig.store) => {
+    const store = stores[name];
+    if (!store) {
+        throw new Error(`Unknown data store: ${name}`);
+    }
+    return store;
+};
+
+// Run `work(repositories)` in a transaction. It commits unless `work` throws
+// or returns { error }, in which case it rolls back. Seat changes recorded on
+// the transaction's repositories are published once it commits.
+const transaction = async (work, store = getStore()) => {
+    const { repositories, commit, rollback } = await store.begin();
+
+    let result;
+    try {
+        result = await work(repositories);
+    } catch (err) {
+        await rollback();
+        throw err;
+    }
+
+    if (result && result.error) {
+        await rollback();
+        return result;
+    }
+
+    await commit();
+    publishSeatChanges(repositories);
+    return result;
+};
+
+module.exports = {
+    getStore,
+    transaction
+};
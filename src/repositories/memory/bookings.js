@@ -0,0 +1,642 @@
+const { ACTIVE_BOOKING_STATUSES } = require('../../utils/routeStops');
+const { QUEUE_STATUSES } = require('../../utils/waitlist');
+const { formatDate } = require('../../utils/trainCalendar');
+const { REFUND_RULE_FIELDS } = require('../../utils/refundPolicy');
+const { where, overlaps, compare } = require('./tables');
+
+const later = (ms) => new Date(Date.now() + ms);
+const MINUTE = 60 * 1000;
+
+// What a JSON column gives back for `value`
+const asJson = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+const among = (ids) => (value) => ids.map(String).includes(String(value));
+
+// In-memory counterparts of the repositories in ../mysql/bookings.js
+const createBookingRepositories = (db) => {
+    // A booking with its train's number, name and fare and its stations
+    const detailed = (booking) => {
+        const train = db.find('trains', where('id', booking.train_id));
+        const from = db.find('stations', where('id', booking.from_station_id));
+        const to = db.find('stations', where('id', booking.to_station_id));
+        return train && from && to && {
+            ...booking,
+            train_number: train.train_number,
+            train_name: train.train_name,
+            train_fare: train.fare,
+            from_station: from.station_name,
+            to_station: to.station_name,
+            from_station_code: from.station_code,
+            to_station_code: to.station_code
+        };
+    };
+
+    const runOf = (trainRunId) => db.find('train_runs', where('id', trainRunId));
+    const upcoming = (trainRunId) => runOf(trainRunId)?.run_date >= formatDate(new Date());
+
+    // Whether a row belongs to one of the user's bookings
+    const ofUsersBooking = (userId) => (row) => db.find('bookings', where('id', row.booking_id))?.user_id === userId;
+
+    const seatOf = (seatBookingId) => {
+        const seatBooking = seatBookingId ? db.find('seat_bookings', where('id', seatBookingId)) : undefined;
+        const seat = seatBooking && db.find('seats', where('id', seatBooking.seat_id));
+        const coach = seat && db.find('coaches', where('id', seat.coach_id));
+        return { seatBooking, seat, coach };
+    };
+
+    return {
+        journeys: {
+            create: async ({ user_id, from_station_id, to_station_id }) => db.insert('journeys', {
+                user_id,
+                from_station_id: Number(from_station_id),
+                to_station_id: Number(to_station_id)
+            }).id,
+
+            findForUser: async (id, userId) => db.find('journeys', journey => where('id', id)(journey) && journey.user_id === userId),
+
+            listForExport: async (userId) => db.select('journeys', journey => journey.user_id === userId)
+        },
+
+        bookings: {
+            create: async (booking) => db.insert('bookings', {
+                user_id: booking.user_id,
+                journey_id: booking.journey_id,
+                train_id: Number(booking.train_id),
+                train_run_id: booking.train_run_id,
+                from_station_id: Number(booking.from_station_id),
+                to_station_id: Number(booking.to_station_id),
+                booking_date: formatDate(booking.booking_date),
+                class_code: booking.class_code,
+                quota: booking.quota,
+                seats_booked: booking.seats_booked,
+                booking_status: 'payment_pending',
+                total_fare: booking.total_fare,
+                fare_breakdown: asJson(booking.fare_breakdown),
+                payment_expires_at: later(booking.payment_minutes * MINUTE)
+            }).id,
+
+            findById: async (id) => db.find('bookings', where('id', id)),
+
+            findByIds: async (ids) => db.select('bookings', booking => among(ids)(booking.id)).sort((a, b) => a.id - b.id),
+
+            findForUser: async (id, userId, { statuses = null } = {}) => db.find('bookings', booking =>
+                where('id', id)(booking) && booking.user_id === userId && (!statuses || statuses.includes(booking.booking_status))
+            ),
+
+            findDetailed: async (id, userId) => {
+                const booking = db.find('bookings', b => where('id', id)(b) && b.user_id === userId);
+                return booking && detailed(booking);
+            },
+
+            listForUser: async (userId) => db.select('bookings', booking => booking.user_id === userId)
+                .map(detailed)
+                .filter(Boolean)
+                .sort((a, b) => compare(b.booking_date, a.booking_date)),
+
+            listForExport: async (userId) => db.select('bookings', booking => booking.user_id === userId),
+
+            listUpcomingForUser: async (userId) => db.select('bookings', booking =>
+                booking.user_id === userId &&
+                ACTIVE_BOOKING_STATUSES.includes(booking.booking_status) &&
+                booking.booking_date >= formatDate(new Date())
+            ).map(booking => ({ id: booking.id })),
+
+            findForSupport: async (id) => {
+                const booking = db.find('bookings', where('id', id));
+                const user = booking && db.find('users', where('id', booking.user_id));
+                const train = booking && db.find('trains', where('id', booking.train_id));
+                return user && train && {
+                    ...booking,
+                    username: user.username,
+                    email: user.email,
+                    train_number: train.train_number,
+                    train_name: train.train_name
+                };
+            },
+
+            listForJourney: async (journeyId) => db.select('bookings', where('journey_id', journeyId))
+                .map(detailed)
+                .filter(Boolean)
+                .sort((a, b) => a.id - b.id),
+
+            listAwaitingPayment: async (id, userId) => {
+                const requested = db.find('bookings', booking => where('id', id)(booking) && booking.user_id === userId);
+                if (!requested) {
+                    return [];
+                }
+
+                return db.select('bookings', booking =>
+                    (booking.id === requested.id || (requested.journey_id !== null && booking.journey_id === requested.journey_id)) &&
+                    booking.booking_status === 'payment_pending' &&
+                    booking.payment_expires_at > new Date()
+                ).sort((a, b) => a.id - b.id);
+            },
+
+            listForPayment: async (payment) => db.select('bookings', payment.journey_id
+                ? where('journey_id', payment.journey_id)
+                : where('id', payment.booking_id)
+            ).sort((a, b) => a.id - b.id).map(booking => ({
+                ...booking,
+                hold_active: booking.payment_expires_at === null ? null : booking.payment_expires_at > new Date()
+            })),
+
+            listExpiredHolds: async () => db.select('bookings', booking =>
+                booking.booking_status === 'payment_pending' && booking.payment_expires_at !== null && booking.payment_expires_at <= new Date()
+            ).map(booking => booking.id),
+
+            findExpiredHold: async (id) => db.find('bookings', booking =>
+                where('id', id)(booking) &&
+                booking.booking_status === 'payment_pending' &&
+                booking.payment_expires_at !== null &&
+                booking.payment_expires_at <= new Date()
+            ),
+
+            setStatus: async (id, status, { endHold = false } = {}) => {
+                db.update('bookings', where('id', id), booking => ({
+                    booking_status: status,
+                    payment_expires_at: endHold ? null : booking.payment_expires_at
+                }));
+            },
+
+            shrink: async (id, { seats_booked, total_fare }) => {
+                db.update('bookings', where('id', id), { seats_booked, total_fare });
+            },
+
+            listQueued: async (trainRunId) => db.select('bookings', booking =>
+                where('train_run_id', trainRunId)(booking) && QUEUE_STATUSES.includes(booking.booking_status)
+            ).sort((a, b) => QUEUE_STATUSES.indexOf(a.booking_status) - QUEUE_STATUSES.indexOf(b.booking_status) || a.id - b.id),
+
+            countRacPassengers: async (trainRunId) => db.rows('bookings')
+                .filter(booking => where('train_run_id', trainRunId)(booking) && booking.booking_status === 'rac')
+                .reduce((passengers, booking) => passengers + booking.seats_booked, 0),
+
+            countAhead: async (booking) => db.rows('bookings').filter(other =>
+                where('train_run_id', booking.train_run_id)(other) &&
+                other.booking_status === booking.booking_status &&
+                other.id < booking.id
+            ).length,
+
+            listActiveForTrain: async (trainId, { upcoming: onlyUpcoming = false } = {}) => db.select('bookings', booking =>
+                where('train_id', trainId)(booking) &&
+                ACTIVE_BOOKING_STATUSES.includes(booking.booking_status) &&
+                (!onlyUpcoming || upcoming(booking.train_run_id))
+            ).map(booking => ({ id: booking.id, from_station_id: booking.from_station_id, to_station_id: booking.to_station_id })),
+
+            countForTrain: async (trainId) => db.rows('bookings').filter(where('train_id', trainId)).length,
+
+            findActiveDuplicate: async ({ user_id, train_id, booking_date, from_station_id, to_station_id }) => {
+                const booking = db.find('bookings', b =>
+                    b.user_id === user_id &&
+                    where('train_id', train_id)(b) &&
+                    b.booking_date === formatDate(booking_date) &&
+                    where('from_station_id', from_station_id)(b) &&
+                    where('to_station_id', to_station_id)(b) &&
+                    ACTIVE_BOOKING_STATUSES.includes(b.booking_status)
+                );
+                return booking && { id: booking.id };
+            }
+        },
+
+        passengers: {
+            create: async (passenger) => {
+                db.insert('passengers', {
+                    booking_id: passenger.booking_id,
+                    seat_booking_id: passenger.seat_booking_id,
+                    name: passenger.name,
+                    age: passenger.age,
+                    gender: passenger.gender,
+                    id_document_type: passenger.id_document_type,
+                    id_document_number: passenger.id_document_number,
+                    concession: passenger.concession
+                });
+            },
+
+            listForBooking: async (bookingId) => db.select('passengers', where('booking_id', bookingId))
+                .sort((a, b) => a.id - b.id)
+                .map(passenger => {
+                    const { seatBooking, seat, coach } = seatOf(passenger.seat_booking_id);
+                    return {
+                        id: passenger.id,
+                        name: passenger.name,
+                        age: passenger.age,
+                        gender: passenger.gender,
+                        id_document_type: passenger.id_document_type,
+                        id_document_number: passenger.id_document_number,
+                        concession: passenger.concession,
+                        status: passenger.status,
+                        seat_booking_id: passenger.seat_booking_id,
+                        seat_status: seatBooking?.status ?? null,
+                        seat_id: seat?.id ?? null,
+                        seat_number: seat?.seat_number ?? null,
+                        seat_type: seat?.seat_type ?? null,
+                        coach_code: coach?.coach_code ?? null
+                    };
+                }),
+
+            listForCancellation: async (bookingId) => db.select('passengers', where('booking_id', bookingId))
+                .sort((a, b) => a.id - b.id)
+                .map(passenger => ({
+                    id: passenger.id,
+                    status: passenger.status,
+                    seat_booking_id: passenger.seat_booking_id,
+                    seat_id: seatOf(passenger.seat_booking_id).seatBooking?.seat_id ?? null
+                })),
+
+            listUnseated: async (bookingId) => db.select('passengers', passenger =>
+                where('booking_id', bookingId)(passenger) && passenger.seat_booking_id === null && passenger.status === 'active'
+            ).sort((a, b) => a.id - b.id).map(passenger => ({ id: passenger.id })),
+
+            assignSeat: async (id, seatBookingId) => {
+                db.update('passengers', where('id', id), { seat_booking_id: seatBookingId });
+            },
+
+            cancel: async (ids) => {
+                db.update('passengers', passenger => among(ids)(passenger.id), { status: 'cancelled' });
+            },
+
+            listManifest: async (trainRunId) => db.select('passengers', passenger => passenger.status === 'active')
+                .map(passenger => ({ passenger, booking: db.find('bookings', where('id', passenger.booking_id)) }))
+                .filter(({ booking }) => booking &&
+                    where('train_run_id', trainRunId)(booking) &&
+                    ['confirmed', 'rac', 'waitlisted'].includes(booking.booking_status))
+                .map(({ passenger, booking }) => {
+                    const seated = seatOf(passenger.seat_booking_id);
+                    const { seat, coach } = seated.seatBooking?.status === 'booked' ? seated : {};
+                    return { passenger, booking, seat, coach };
+                })
+                .sort((a, b) => (a.coach ? 0 : 1) - (b.coach ? 0 : 1) ||
+                    compare(a.coach?.position, b.coach?.position) ||
+                    compare(a.seat?.berth_number, b.seat?.berth_number) ||
+                    a.booking.id - b.booking.id ||
+                    a.passenger.id - b.passenger.id)
+                .map(({ passenger, booking, seat, coach }) => ({
+                    passenger_id: passenger.id,
+                    name: passenger.name,
+                    age: passenger.age,
+                    gender: passenger.gender,
+                    id_document_type: passenger.id_document_type,
+                    id_document_number: passenger.id_document_number,
+                    concession: passenger.concession,
+                    booking_id: booking.id,
+                    booking_status: booking.booking_status,
+                    class_code: booking.class_code,
+                    from_station_code: db.find('stations', where('id', booking.from_station_id))?.station_code,
+                    to_station_code: db.find('stations', where('id', booking.to_station_id))?.station_code,
+                    coach_code: coach?.coach_code ?? null,
+                    seat_number: seat?.seat_number ?? null,
+                    seat_type: seat?.seat_type ?? null
+                })),
+
+            anonymiseForUser: async (userId) => {
+                db.update('passengers', ofUsersBooking(userId), {
+                    name: 'Deleted passenger',
+                    id_document_type: null,
+                    id_document_number: null
+                });
+            }
+        },
+
+        seatBookings: {
+            create: async ({ booking_id, seat_id, train_run_id, booking_date, from_sequence, to_sequence }) => db.insert('seat_bookings', {
+                booking_id,
+                seat_id,
+                train_run_id,
+                booking_date: formatDate(booking_date),
+                from_sequence,
+                to_sequence
+            }).id,
+
+            findByIds: async (ids) => db.select('seat_bookings', seatBooking => among(ids)(seatBooking.id)),
+
+            listBooked: async (bookingId) => db.select('seat_bookings', seatBooking =>
+                where('booking_id', bookingId)(seatBooking) && seatBooking.status === 'booked'
+            ),
+
+            countBooked: async (bookingId) => db.rows('seat_bookings').filter(seatBooking =>
+                where('booking_id', bookingId)(seatBooking) && seatBooking.status === 'booked'
+            ).length,
+
+            listUnassigned: async (bookingId) => db.select('seat_bookings', seatBooking =>
+                where('booking_id', bookingId)(seatBooking) &&
+                seatBooking.status === 'booked' &&
+                !db.rows('passengers').some(passenger => passenger.seat_booking_id === seatBooking.id)
+            ).map(seatBooking => ({ id: seatBooking.id, seat_id: seatBooking.seat_id })),
+
+            cancel: async (ids) => {
+                db.update('seat_bookings', seatBooking => among(ids)(seatBooking.id), { status: 'cancelled' });
+            },
+
+            cancelForBooking: async (bookingId) => db.update('seat_bookings', seatBooking =>
+                where('booking_id', bookingId)(seatBooking) && seatBooking.status === 'booked',
+            { status: 'cancelled' }),
+
+            moveToSeat: async (id, seatId) => {
+                db.update('seat_bookings', where('id', id), { seat_id: seatId });
+            },
+
+            listUpcomingOnSeats: async (seatIds) => db.select('seat_bookings', seatBooking =>
+                among(seatIds)(seatBooking.seat_id) && seatBooking.status === 'booked' && upcoming(seatBooking.train_run_id)
+            ).sort((a, b) => a.train_run_id - b.train_run_id || a.booking_id - b.booking_id || a.id - b.id).map(seatBooking => {
+                const seat = db.find('seats', where('id', seatBooking.seat_id));
+                return { ...seatBooking, seat_number: seat.seat_number, class_code: seat.class_code };
+            }),
+
+            countForTrain: async (trainId) => db.rows('seat_bookings').filter(seatBooking =>
+                where('train_id', trainId)(db.find('seats', where('id', seatBooking.seat_id)) || {})
+            ).length,
+
+            countSeatsOnLeg: async (trainRunId, leg) => new Set(db.rows('seat_bookings')
+                .filter(seatBooking =>
+                    where('train_run_id', trainRunId)(seatBooking) && seatBooking.status === 'booked' && overlaps(seatBooking, leg)
+                )
+                .map(seatBooking => seatBooking.seat_id)).size,
+
+            renumber: async (trainId, renumbering) => {
+                const renumbered = new Map(renumbering);
+                db.update('seat_bookings', seatBooking => where('train_id', trainId)(runOf(seatBooking.train_run_id) || {}), seatBooking => ({
+                    from_sequence: renumbered.get(seatBooking.from_sequence) ?? seatBooking.from_sequence,
+                    to_sequence: renumbered.get(seatBooking.to_sequence) ?? seatBooking.to_sequence
+                }));
+            }
+        },
+
+        seatHolds: {
+            create: async ({ user_id, train_run_id, seat_id, from_sequence, to_sequence, seconds }) => {
+                db.insert('seat_holds', {
+                    user_id,
+                    train_run_id,
+                    seat_id: Number(seat_id),
+                    from_sequence,
+                    to_sequence,
+                    expires_at: later(seconds * 1000)
+                });
+            },
+
+            listForRun: async (userId, trainRunId) => db.select('seat_holds', hold =>
+                hold.user_id === userId && where('train_run_id', trainRunId)(hold)
+            ),
+
+            deleteForRun: async (userId, trainRunId) => {
+                db.remove('seat_holds', hold => hold.user_id === userId && where('train_run_id', trainRunId)(hold));
+            },
+
+            countLive: async (userId) => db.rows('seat_holds').filter(hold =>
+                hold.user_id === userId && hold.expires_at > new Date()
+            ).length,
+
+            countOnLeg: async (trainRunId, leg, { userId = null } = {}) => new Set(db.rows('seat_holds')
+                .filter(hold =>
+                    where('train_run_id', trainRunId)(hold) && hold.expires_at > new Date() && hold.user_id !== userId && overlaps(hold, leg)
+                )
+                .map(hold => hold.seat_id)).size,
+
+            listLive: async (userId, { trainRunId = null } = {}) => db.select('seat_holds', hold =>
+                hold.user_id === userId && hold.expires_at > new Date() && (!trainRunId || where('train_run_id', trainRunId)(hold))
+            ).sort((a, b) => a.expires_at - b.expires_at || a.id - b.id).map(hold => {
+                const seat = db.find('seats', where('id', hold.seat_id));
+                const coach = db.find('coaches', where('id', seat.coach_id));
+                const run = runOf(hold.train_run_id);
+                return {
+                    id: hold.id,
+                    seat_id: hold.seat_id,
+                    seat_number: seat.seat_number,
+                    class_code: seat.class_code,
+                    coach_code: coach?.coach_code ?? null,
+                    train_run_id: hold.train_run_id,
+                    train_id: run.train_id,
+                    run_date: run.run_date,
+                    from_sequence: hold.from_sequence,
+                    to_sequence: hold.to_sequence,
+                    expires_at: hold.expires_at
+                };
+            }),
+
+            findForUser: async (id, userId) => db.find('seat_holds', hold => where('id', id)(hold) && hold.user_id === userId),
+
+            deleteByIds: async (ids) => {
+                db.remove('seat_holds', hold => among(ids)(hold.id));
+            },
+
+            deleteForSeats: async (userId, trainRunId, seatIds) => {
+                db.remove('seat_holds', hold =>
+                    hold.user_id === userId && where('train_run_id', trainRunId)(hold) && among(seatIds)(hold.seat_id)
+                );
+            },
+
+            listExpired: async () => db.select('seat_holds', hold => hold.expires_at <= new Date()).map(hold => ({
+                id: hold.id,
+                user_id: hold.user_id,
+                train_run_id: hold.train_run_id,
+                seat_id: hold.seat_id,
+                from_sequence: hold.from_sequence,
+                to_sequence: hold.to_sequence
+            })),
+
+            deleteForUser: async (userId) => {
+                db.remove('seat_holds', hold => hold.user_id === userId);
+            },
+
+            listLiveForTrain: async (trainId) => db.select('seat_holds', hold =>
+                hold.expires_at > new Date() && where('train_id', trainId)(runOf(hold.train_run_id) || {})
+            ).map(hold => ({
+                id: hold.id,
+                user_id: hold.user_id,
+                train_run_id: hold.train_run_id,
+                seat_id: hold.seat_id,
+                from_sequence: hold.from_sequence,
+                to_sequence: hold.to_sequence
+            })),
+
+            renumber: async (trainId, renumbering) => {
+                const renumbered = new Map(renumbering);
+                db.update('seat_holds', hold => where('train_id', trainId)(runOf(hold.train_run_id) || {}), hold => ({
+                    from_sequence: renumbered.get(hold.from_sequence) ?? hold.from_sequence,
+                    to_sequence: renumbered.get(hold.to_sequence) ?? hold.to_sequence
+                }));
+            }
+        },
+
+        cancellations: {
+            create: async ({ booking_id, cancelled_by, seats_cancelled, refund_amount, deduction }) => db.insert('booking_cancellations', {
+                booking_id,
+                cancelled_by,
+                seats_cancelled,
+                refund_amount,
+                deduction
+            }).id,
+
+            addItems: async (cancellationId, items) => {
+                for (const item of items) {
+                    db.insert('booking_cancellation_items', {
+                        cancellation_id: cancellationId,
+                        passenger_id: item.passenger_id,
+                        seat_booking_id: item.seat_booking_id,
+                        seat_id: item.seat_id,
+                        refund_amount: item.refund_amount
+                    });
+                }
+            },
+
+            listForBooking: async (bookingId) => db.select('booking_cancellations', where('booking_id', bookingId))
+                .sort((a, b) => a.id - b.id)
+                .map(cancellation => {
+                    const refund = db.find('refunds', where('cancellation_id', cancellation.id));
+                    return {
+                        ...cancellation,
+                        refund_id: refund?.id ?? null,
+                        rule_name: refund?.rule_name ?? null,
+                        refund_status: refund?.status ?? null
+                    };
+                }),
+
+            listItems: async (cancellationIds) => db.select('booking_cancellation_items', item => among(cancellationIds)(item.cancellation_id))
+                .sort((a, b) => a.id - b.id)
+                .map(item => ({
+                    ...item,
+                    passenger_name: db.find('passengers', where('id', item.passenger_id))?.name ?? null,
+                    seat_number: db.find('seats', where('id', item.seat_id))?.seat_number ?? null
+                }))
+        },
+
+        refunds: {
+            create: async ({ booking_id, cancellation_id = null, payment_id = null, amount, deduction = 0, rule_id = null, rule_name = null }) => db.insert('refunds', {
+                booking_id,
+                cancellation_id,
+                payment_id,
+                amount,
+                deduction,
+                rule_id,
+                rule_name,
+                status: 'pending'
+            }).id,
+
+            findById: async (id) => db.find('refunds', where('id', id)),
+
+            recordOutcome: async (id, { payment_id, status, gateway_reference }) => {
+                db.update('refunds', where('id', id), {
+                    payment_id,
+                    status,
+                    gateway_reference,
+                    processed_at: status === 'processed' ? new Date() : null
+                });
+            },
+
+            markProcessed: async (id) => {
+                db.update('refunds', where('id', id), { status: 'processed', processed_at: new Date() });
+            },
+
+            listForExport: async (userId) => db.select('refunds', ofUsersBooking(userId))
+        },
+
+        refundRules: {
+            listActive: async () => db.select('refund_rules', rule => rule.is_active),
+
+            list: async () => db.select('refund_rules').sort((a, b) =>
+                Number(Boolean(b.is_active)) - Number(Boolean(a.is_active)) ||
+                (a.class_code === null) - (b.class_code === null) ||
+                a.priority - b.priority ||
+                compare(b.min_hours_before, a.min_hours_before)
+            ),
+
+            findById: async (id) => db.find('refund_rules', where('id', id)),
+
+            create: async (rule) => db.insert('refund_rules', Object.fromEntries(
+                REFUND_RULE_FIELDS.map(field => [field, rule[field]])
+            )).id,
+
+            update: async (id, rule) => {
+                db.update('refund_rules', where('id', id), Object.fromEntries(
+                    REFUND_RULE_FIELDS.map(field => [field, rule[field]])
+                ));
+            },
+
+            deactivate: async (id) => db.update('refund_rules', where('id', id), { is_active: false }) > 0
+        },
+
+        payments: {
+            create: async ({ booking_id, journey_id, gateway, gateway_reference, amount, currency }) => db.insert('payments', {
+                booking_id,
+                journey_id,
+                gateway,
+                gateway_reference,
+                amount,
+                currency
+            }).id,
+
+            findById: async (id) => db.find('payments', where('id', id)),
+
+            findByReference: async (gatewayReference) => db.find('payments', where('gateway_reference', gatewayReference)),
+
+            findForUser: async (id, userId, gateway) => db.find('payments', payment =>
+                where('id', id)(payment) &&
+                payment.gateway === gateway &&
+                db.find('bookings', where('id', payment.booking_id))?.user_id === userId
+            ),
+
+            findSucceededForBooking: async (bookingId) => {
+                const booking = db.find('bookings', where('id', bookingId));
+                return booking && db.select('payments', payment =>
+                    payment.status === 'succeeded' &&
+                    (payment.booking_id === booking.id || (booking.journey_id !== null && payment.journey_id === booking.journey_id))
+                ).sort((a, b) => b.id - a.id)[0];
+            },
+
+            setStatus: async (id, status) => {
+                db.update('payments', where('id', id), { status, updated_at: new Date() });
+            },
+
+            expirePending: async (bookingId) => {
+                db.update('payments', payment => where('booking_id', bookingId)(payment) && payment.status === 'pending', {
+                    status: 'expired',
+                    updated_at: new Date()
+                });
+            },
+
+            listForExport: async (userId) => db.select('payments', ofUsersBooking(userId))
+        },
+
+        idempotencyKeys: {
+            create: async ({ user_id, idempotency_key, method, path, request_hash, hours }) => {
+                db.insert('idempotency_keys', {
+                    user_id,
+                    idempotency_key,
+                    method,
+                    path,
+                    request_hash,
+                    expires_at: later(hours * 60 * MINUTE)
+                });
+            },
+
+            find: async (userId, key) => {
+                const existing = db.find('idempotency_keys', item => item.user_id === userId && item.idempotency_key === key);
+                return existing && { ...existing, response_body: structuredClone(existing.response_body) };
+            },
+
+            complete: async (userId, key, { response_status, response_body }) => {
+                db.update('idempotency_keys', item => item.user_id === userId && item.idempotency_key === key, {
+                    status: 'completed',
+                    response_status,
+                    response_body: asJson(response_body ?? null)
+                });
+            },
+
+            release: async (userId, key) => {
+                db.remove('idempotency_keys', item =>
+                    item.user_id === userId && item.idempotency_key === key && item.status === 'in_progress'
+                );
+            },
+
+            deleteExpired: async ({ userId, key, leaseSeconds } = {}) => db.remove('idempotency_keys', item =>
+                (!userId || (item.user_id === userId && item.idempotency_key === key))
+                && (item.expires_at <= new Date()
+                    || (item.status === 'in_progress' && item.created_at <= later(-leaseSeconds * 1000)))
+            ),
+
+            deleteForUser: async (userId) => {
+                db.remove('idempotency_keys', item => item.user_id === userId);
+            }
+        }
+    };
+};
+
+module.exports = { createBookingRepositories };
@@ -0,0 +1,259 @@
+// Tables held in process memory, shaped like the MySQL schema in
+// src/database/migrations: DATE columns are YYYY-MM-DD strings, TIME
+// columns HH:MM:SS strings and DATETIME columns Date objects. Unique keys
+// are enforced and fail with ER_DUP_ENTRY, as MySQL's do; foreign keys are
+// not.
+
+const { loadMigrations } = require('../../db/migrator');
+
+const now = () => new Date();
+
+// Columns a new row gets when it leaves them out, by table
+const DEFAULTS = {
+    users: () => ({ role: 'user', is_active: true, token_version: 0, email_verified_at: null, full_name: null, phone: null, preferences: null, deleted_at: null, created_at: now() }),
+    trains: () => ({ fare: 100, fare_mode: 'segment', fare_per_km: null, rac_seats: 0, is_active: true, created_at: now() }),
+    travel_classes: () => ({ fare_multiplier: 1, default_layout: 'seating' }),
+    coaches: () => ({}),
+    train_schedules: () => ({ valid_until: null }),
+    train_schedule_exceptions: () => ({ reason: null }),
+    train_runs: () => ({ created_at: now() }),
+    stations: () => ({}),
+    train_routes: () => ({ arrival_time: null, departure_time: null, arrival_day_offset: 0, departure_day_offset: 0, distance_km: null }),
+    journeys: () => ({ created_at: now() }),
+    bookings: () => ({ journey_id: null, train_run_id: null, class_code: null, quota: 'general', seats_booked: 1, fare_breakdown: null, booking_status: 'payment_pending', payment_expires_at: null, fixture_ref: null, created_at: now() }),
+    seats: () => ({ coach_id: null, berth_number: null, class_code: 'SL', is_active: true }),
+    seat_bookings: () => ({ status: 'booked' }),
+    passengers: () => ({ seat_booking_id: null, id_document_type: null, id_document_number: null, concession: null, status: 'active', created_at: now() }),
+    booking_cancellations: () => ({ cancelled_by: null, deduction: 0, created_at: now() }),
+    booking_cancellation_items: () => ({ passenger_id: null, seat_booking_id: null, seat_id: null }),
+    refund_rules: () => ({ class_code: null, min_hours_before: null, max_hours_before: null, deduction_value: 0, priority: 100, is_active: true, created_at: now() }),
+    payments: () => ({ journey_id: null, status: 'pending', created_at: now(), updated_at: now() }),
+    refunds: () => ({ cancellation_id: null, payment_id: null, deduction: 0, rule_id: null, rule_name: null, status: 'pending', gateway_reference: null, processed_at: null, created_at: now() }),
+    saved_passengers: () => ({ id_document_type: null, id_document_number: null, concession: null, created_at: now() }),
+    refresh_tokens: () => ({ revoked_at: null, replaced_by: null, created_at: now() }),
+    user_tokens: () => ({ used_at: null, created_at: now() }),
+    api_keys: () => ({ created_by: null, last_used_at: null, revoked_at: null, created_at: now() }),
+    audit_logs: () => ({ created_at: now() }),
+    lockout_events: () => ({ created_at: now() }),
+    seat_holds: () => ({ created_at: now() }),
+    idempotency_keys: () => ({ status: 'in_progress', response_status: null, response_body: null, created_at: now() })
+};
+
+// Tables keyed by a natural key instead of an AUTO_INCREMENT id
+const NATURAL_KEYS = {
+    travel_classes: 'code',
+    train_schedules: 'train_id'
+};
+
+const UNIQUE_KEYS = {
+    users: [['email'], ['username']],
+    trains: [['train_number']],
+    travel_classes: [['code']],
+    coaches: [['train_id', 'coach_code']],
+    train_schedules: [['train_id']],
+    train_schedule_exceptions: [['train_id', 'exception_date']],
+    train_runs: [['train_id', 'run_date']],
+    stations: [['station_code']],
+    refund_rules: [['name']],
+    payments: [['gateway_reference']],
+    refresh_tokens: [['token_hash']],
+    user_tokens: [['token_hash']],
+    api_keys: [['key_hash']],
+    idempotency_keys: [['user_id', 'idempotency_key']]
+};
+
+const INSERT_STATEMENT = /INSERT (IGNORE )?INTO (\w+) \(([^)]*)\) VALUES([\s\S]*?)(ON DUPLICATE KEY UPDATE [^;]*)?;/g;
+const SQL_VALUE = /'((?:[^']|'')*)'|NULL|-?\d+(?:\.\d+)?/g;
+
+const parseValue = ([text, quoted]) => {
+    if (quoted !== undefined) {
+        return quoted.replace(/''/g, "'");
+    }
+    return text === 'NULL' ? null : Number(text);
+};
+
+// Rows the migrations insert, replayed from their INSERT statements so the
+// two cannot drift apart. Rows are matched on the table's first unique key:
+// INSERT IGNORE keeps a row already there, ON DUPLICATE KEY UPDATE takes the
+// columns it names.
+const readSeedRows = (migrations = loadMigrations()) => {
+    const seedRows = {};
+
+    for (const { up } of migrations) {
+        for (const [, ignore, table, columnList, values, onDuplicate] of up.matchAll(INSERT_STATEMENT)) {
+            const columns = columnList.split(',').map(column => column.trim());
+            const [key] = UNIQUE_KEYS[table];
+            const updated = onDuplicate ? [...onDuplicate.matchAll(/(\w+) = VALUES\(\1\)/g)].map(match => match[1]) : [];
+            seedRows[table] = seedRows[table] || [];
+
+            for (const [, tuple] of values.matchAll(/\(([^)]*)\)/g)) {
+                const parsed = [...tuple.matchAll(SQL_VALUE)].map(parseValue);
+                const row = Object.fromEntries(columns.map((column, index) => [column, parsed[index]]));
+                const existing = seedRows[table].find(other => key.every(column => other[column] === row[column]));
+
+                if (!existing) {
+                    seedRows[table].push(row);
+                } else if (!ignore) {
+                    updated.forEach(column => {
+                        existing[column] = row[column];
+                    });
+                }
+            }
+        }
+    }
+
+    return seedRows;
+};
+
+const SEED_ROWS = readSeedRows();
+
+const duplicateEntry = (table, key) => Object.assign(
+    new Error(`Duplicate entry for ${table} (${key.join(', ')})`),
+    { code: 'ER_DUP_ENTRY' }
+);
+
+// HH:MM as MySQL stores it, HH:MM:SS
+const toTime = (value) => (typeof value === 'string' && /^\d{2}:\d{2}$/.test(value) ? `${value}:00` : value ?? null);
+
+// Rows are copied on the way in and out so callers never hold the stored row
+const copy = (row) => (row ? { ...row } : undefined);
+
+// Matches rows whose `column` equals `value`. Ids from a request arrive as
+// strings, which MySQL would compare as numbers.
+const where = (column, value) => (row) => row[column] !== null && row[column] !== undefined && String(row[column]) === String(value);
+
+// Whether a booking or hold clashes with `leg`; see OVERLAPPING_LEG
+const overlaps = (item, leg) => item.from_sequence < leg.to_sequence && item.to_sequence > leg.from_sequence;
+
+// Ascending order with NULLs first, as MySQL sorts
+const compare = (a, b) => (a === b ? 0 : a === null || a === undefined ? -1 : b === null || b === undefined ? 1 : a < b ? -1 : 1);
+
+const createDatabase = () => {
+    let tables;
+    let lastIds;
+
+    const rows = (table) => tables[table];
+
+    // Fail if `row` would repeat a unique key of another row of the table
+    const checkUnique = (table, row) => {
+        for (const key of UNIQUE_KEYS[table] || []) {
+            const clash = tables[table].some(other => other !== row && key.every(column => other[column] === row[column]));
+            if (clash) {
+                throw duplicateEntry(table, key);
+            }
+        }
+    };
+
+    // Add a row with its defaults. Returns the stored row.
+    const insert = (table, values) => {
+        const row = { ...DEFAULTS[table](), ...values };
+        if (!NATURAL_KEYS[table]) {
+            row.id = (lastIds[table] || 0) + 1;
+        }
+
+        checkUnique(table, row);
+        if (row.id) {
+            lastIds[table] = row.id;
+        }
+        tables[table].push(row);
+        return row;
+    };
+
+    // Apply `changes` to every row matching `where`. Returns how many matched.
+    const update = (table, where, changes) => {
+        const matched = tables[table].filter(where);
+        for (const row of matched) {
+            const previous = { ...row };
+            Object.assign(row, typeof changes === 'function' ? changes(row) : changes);
+            try {
+                checkUnique(table, row);
+            } catch (err) {
+                Object.assign(row, previous);
+                throw err;
+            }
+        }
+        return matched.length;
+    };
+
+    // Delete every row matching `where`. Returns how many were deleted.
+    const remove = (table, where) => {
+        const before = tables[table].length;
+        tables[table] = tables[table].filter(row => !where(row));
+        return before - tables[table].length;
+    };
+
+    const find = (table, where) => copy(tables[table].find(where));
+
+    const select = (table, where = () => true) => tables[table].filter(where).map(copy);
+
+    // Empty every table, back to a freshly migrated database
+    const reset = () => {
+        tables = Object.fromEntries(Object.keys(DEFAULTS).map(table => [table, []]));
+        lastIds = {};
+        for (const [table, seedRows] of Object.entries(SEED_ROWS)) {
+            seedRows.forEach(row => insert(table, row));
+        }
+    };
+
+    // The database as seen by one transaction: writes made through it are
+    // logged so that undo() takes back those writes and no others. Ids handed
+    // out are not reused, as with AUTO_INCREMENT.
+    const journal = () => {
+        const steps = [];
+
+        return {
+            rows,
+            find,
+            select,
+
+            insert: (table, values) => {
+                const row = insert(table, values);
+                steps.push(() => {
+                    tables[table] = tables[table].filter(other => other !== row);
+                });
+                return row;
+            },
+
+            // Only the columns the transaction changed are put back
+            update: (table, where, changes) => {
+                const previous = [];
+                steps.push(() => previous.forEach(([row, values]) => Object.assign(row, values)));
+                return update(table, where, (row) => {
+                    const values = typeof changes === 'function' ? changes(row) : changes;
+                    previous.push([row, Object.fromEntries(Object.keys(values).map(column => [column, row[column]]))]);
+                    return values;
+                });
+            },
+
+            // Rows come back in id order, where they were
+            remove: (table, where) => {
+                const removed = tables[table].filter(where);
+                steps.push(() => {
+                    tables[table].push(...removed);
+                    if (!NATURAL_KEYS[table]) {
+                        tables[table].sort((a, b) => a.id - b.id);
+                    }
+                });
+                return remove(table, where);
+            },
+
+            undo: () => {
+                steps.reverse().forEach(step => step());
+                steps.length = 0;
+            }
+        };
+    };
+
+    reset();
+
+    return { rows, insert, update, remove, find, select, journal, reset };
+};
+
+module.exports = {
+    toTime,
+    copy,
+    where,
+    overlaps,
+    compare,
+    createDatabase
+};
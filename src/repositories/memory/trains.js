@@ -0,0 +1,505 @@
+const { formatDate } = require('../../utils/trainCalendar');
+const { STATION_REFERENCES, TRAIN_FIELDS } = require('../mysql/trains');
+const { toTime, where, overlaps, compare } = require('./tables');
+
+// In-memory counterparts of the repositories in ../mysql/trains.js
+const createTrainRepositories = (db) => {
+    const stopsOf = (trainId) => db.select('train_routes', where('train_id', trainId))
+        .sort((a, b) => a.sequence_number - b.sequence_number)
+        .map(stop => ({ ...stop, station: db.find('stations', where('id', stop.station_id)) }));
+
+    const routeSummary = (stops) => (stops.length > 0
+        ? stops.map(stop => `${stop.station.station_name} (${stop.station.station_code})`).join(' -> ')
+        : null);
+
+    // A train's seats in marshalling order, with their coach
+    const seatsInOrder = (seats) => seats
+        .map(seat => ({ seat, coach: db.find('coaches', where('id', seat.coach_id)) }))
+        .sort((a, b) => compare(a.coach?.position, b.coach?.position) ||
+            compare(a.seat.berth_number, b.seat.berth_number) ||
+            a.seat.id - b.seat.id);
+
+    const bookedOnLeg = (seatId, trainRunId, leg) => db.find('seat_bookings', booking =>
+        booking.seat_id === seatId &&
+        trainRunId !== null && String(booking.train_run_id) === String(trainRunId) &&
+        booking.status === 'booked' &&
+        overlaps(booking, leg)
+    );
+
+    const heldOnLeg = (seatId, trainRunId, leg, holder) => db.find('seat_holds', hold =>
+        hold.seat_id === seatId &&
+        trainRunId !== null && String(hold.train_run_id) === String(trainRunId) &&
+        hold.expires_at > new Date() &&
+        overlaps(hold, leg) &&
+        holder(hold.user_id)
+    );
+
+    return {
+        stations: {
+            list: async () => db.select('stations'),
+
+            search: async (q = null) => db.select('stations', station => !q ||
+                station.station_name.toLowerCase().includes(q.toLowerCase()) ||
+                station.station_code.toLowerCase().startsWith(q.toLowerCase())
+            ).sort((a, b) => a.station_name.localeCompare(b.station_name)),
+
+            findById: async (id) => db.find('stations', where('id', id)),
+
+            findByIds: async (ids) => db.select('stations', station => ids.map(String).includes(String(station.id))),
+
+            create: async ({ name, code }) => db.insert('stations', { station_name: name, station_code: code }).id,
+
+            update: async (id, { name, code }) => {
+                db.update('stations', where('id', id), { station_name: name, station_code: code });
+            },
+
+            delete: async (id) => db.remove('stations', where('id', id)) > 0,
+
+            countUsage: async (id) => ({
+                stops: db.select('train_routes', where('station_id', id)).length,
+                bookings: db.select('bookings', booking =>
+                    where('from_station_id', id)(booking) || where('to_station_id', id)(booking)
+                ).length
+            }),
+
+            merge: async (id, intoId) => {
+                db.update('train_routes', where('station_id', id), { station_id: Number(intoId) });
+                for (const [table, column] of STATION_REFERENCES) {
+                    db.update(table, where(column, id), { [column]: Number(intoId) });
+                }
+                db.remove('stations', where('id', id));
+            },
+
+            findOrCreate: async ({ name, code }) => (db.find('stations', where('station_code', code)) ||
+                db.insert('stations', { station_name: name, station_code: code })).id,
+
+            upsert: async ({ name, code }) => {
+                if (!db.update('stations', where('station_code', code), { station_name: name })) {
+                    db.insert('stations', { station_name: name, station_code: code });
+                }
+            }
+        },
+
+        travelClasses: {
+            list: async () => db.select('travel_classes'),
+
+            findByCode: async (code) => db.find('travel_classes', where('code', code)),
+
+            upsert: async ({ code, name, fare_multiplier, default_layout }) => {
+                if (!db.update('travel_classes', where('code', code), { name, fare_multiplier, default_layout })) {
+                    db.insert('travel_classes', { code, name, fare_multiplier, default_layout });
+                }
+            }
+        },
+
+        trains: {
+            findById: async (id) => db.find('trains', where('id', id)),
+
+            findByNumber: async (trainNumber) => db.find('trains', where('train_number', trainNumber)),
+
+            create: async ({ train_number, train_name, fare, fare_mode, fare_per_km, rac_seats }) => db.insert('trains', {
+                train_number,
+                train_name,
+                total_seats: 0,
+                fare,
+                fare_mode,
+                fare_per_km,
+                rac_seats
+            }).id,
+
+            update: async (id, changes) => {
+                const fields = TRAIN_FIELDS.filter(field => changes[field] !== undefined);
+                db.update('trains', where('id', id), Object.fromEntries(fields.map(field => [field, changes[field]])));
+            },
+
+            // Along with what cascades from it in the schema
+            delete: async (id) => {
+                db.remove('seats', where('train_id', id));
+                for (const table of ['coaches', 'train_schedules', 'train_schedule_exceptions', 'train_runs', 'train_routes', 'bookings']) {
+                    db.remove(table, where('train_id', id));
+                }
+                db.remove('trains', where('id', id));
+            },
+
+            refreshTotalSeats: async (id) => {
+                const total = db.rows('seats').filter(seat => where('train_id', id)(seat) && seat.is_active).length;
+                db.update('trains', where('id', id), { total_seats: total });
+            },
+
+            findServing: async (fromStationId, toStationId) => db.select('trains', train => train.is_active).flatMap(train => {
+                const stops = stopsOf(train.id);
+                return stops.flatMap(from => stops
+                    .filter(to => where('station_id', fromStationId)(from) &&
+                        where('station_id', toStationId)(to) &&
+                        from.sequence_number < to.sequence_number)
+                    .map(to => ({
+                        id: train.id,
+                        train_number: train.train_number,
+                        train_name: train.train_name,
+                        total_seats: train.total_seats,
+                        fare: train.fare,
+                        from_station: from.station.station_name,
+                        to_station: to.station.station_name,
+                        departure_time: from.departure_time,
+                        arrival_time: to.arrival_time,
+                        departure_day_offset: from.departure_day_offset,
+                        arrival_day_offset: to.arrival_day_offset,
+                        from_sequence: from.sequence_number,
+                        to_sequence: to.sequence_number
+                    })));
+            }),
+
+            listSummaries: async ({ trainNumber = null } = {}) => db.select('trains', train => !trainNumber || train.train_number === trainNumber)
+                .map(train => ({ train, stops: stopsOf(train.id) }))
+                .filter(({ stops }) => stops.length > 0)
+                .map(({ train, stops }) => {
+                    const first = stops[0];
+                    const last = stops[stops.length - 1];
+                    return {
+                        id: train.id,
+                        train_number: train.train_number,
+                        train_name: train.train_name,
+                        total_seats: train.total_seats,
+                        fare: train.fare,
+                        created_at: train.created_at,
+                        first_seq: first.sequence_number,
+                        last_seq: last.sequence_number,
+                        from_station: first.station.station_name,
+                        from_station_code: first.station.station_code,
+                        departure_time: first.departure_time,
+                        to_station: last.station.station_name,
+                        to_station_code: last.station.station_code,
+                        arrival_time: last.arrival_time,
+                        route: routeSummary(stops),
+                        booked_seats: db.rows('bookings').filter(booking =>
+                            booking.train_id === train.id && booking.booking_status === 'confirmed'
+                        ).length
+                    };
+                }),
+
+            listRoutes: async () => db.select('trains')
+                .map(train => ({ train, stops: stopsOf(train.id) }))
+                .filter(({ stops }) => stops.length > 0)
+                .map(({ train, stops }) => {
+                    const first = stops[0];
+                    const last = stops[stops.length - 1];
+                    return {
+                        id: train.id,
+                        train_number: train.train_number,
+                        train_name: train.train_name,
+                        total_seats: train.total_seats,
+                        fare: train.fare,
+                        from_station: first.station.station_name,
+                        from_station_code: first.station.station_code,
+                        from_departure_time: first.departure_time,
+                        to_station: last.station.station_name,
+                        to_station_code: last.station.station_code,
+                        to_arrival_time: last.arrival_time,
+                        route: routeSummary(stops)
+                    };
+                }),
+
+            findWithRoute: async (id) => {
+                const train = db.find('trains', where('id', id));
+                return train && { ...train, route: routeSummary(stopsOf(train.id)) };
+            }
+        },
+
+        coaches: {
+            listForTrain: async (trainId) => db.select('coaches', where('train_id', trainId))
+                .sort((a, b) => a.position - b.position),
+
+            lastPosition: async (trainId) => Math.max(0, ...db.rows('coaches')
+                .filter(where('train_id', trainId))
+                .map(coach => coach.position)),
+
+            findLast: async (trainId, classCode = null) => db.select('coaches', coach =>
+                where('train_id', trainId)(coach) && (!classCode || coach.class_code === classCode)
+            ).sort((a, b) => b.position - a.position)[0],
+
+            create: async ({ train_id, coach_code, class_code, layout, capacity, position }) => db.insert('coaches', {
+                train_id: Number(train_id),
+                coach_code,
+                class_code,
+                layout,
+                capacity,
+                position
+            }).id,
+
+            deleteForTrain: async (trainId) => {
+                db.remove('seats', where('train_id', trainId));
+                db.remove('coaches', where('train_id', trainId));
+            },
+
+            refreshCapacities: async (trainId) => {
+                db.update('coaches', where('train_id', trainId), coach => ({
+                    capacity: db.rows('seats').filter(seat => seat.coach_id === coach.id && seat.is_active).length
+                }));
+            }
+        },
+
+        seats: {
+            createMany: async (seats) => {
+                for (const seat of seats) {
+                    db.insert('seats', {
+                        train_id: Number(seat.train_id),
+                        coach_id: seat.coach_id,
+                        seat_number: seat.seat_number,
+                        berth_number: seat.berth_number,
+                        seat_type: seat.seat_type,
+                        class_code: seat.class_code
+                    });
+                }
+            },
+
+            listForTrain: async (trainId, { active, classCode = null }) => seatsInOrder(db.select('seats', seat =>
+                where('train_id', trainId)(seat) &&
+                Boolean(seat.is_active) === Boolean(active) &&
+                (!classCode || seat.class_code === classCode)
+            )).map(({ seat, coach }) => ({ ...seat, coach_code: coach?.coach_code ?? null, layout: coach?.layout ?? null })),
+
+            // One row per seat, with the first clashing booking and hold
+            findOnLeg: async (trainId, trainRunId, leg, { seatIds = null, classCode = null, userId = null } = {}) => db.select('seats', seat =>
+                where('train_id', trainId)(seat) &&
+                seat.is_active &&
+                (!seatIds || seatIds.map(String).includes(String(seat.id))) &&
+                (!classCode || seat.class_code === classCode)
+            ).sort((a, b) => a.id - b.id).map(seat => ({
+                ...seat,
+                seat_booking_id: bookedOnLeg(seat.id, trainRunId, leg)?.id ?? null,
+                seat_hold_id: heldOnLeg(seat.id, trainRunId, leg, holder => holder !== userId)?.id ?? null
+            })),
+
+            getSeatMap: async (trainId, trainRunId, leg, userId, { classCode = null } = {}) => seatsInOrder(db.select('seats', seat =>
+                where('train_id', trainId)(seat) &&
+                seat.is_active &&
+                (!classCode || seat.class_code === classCode)
+            )).map(({ seat, coach }) => {
+                let status = 'available';
+                if (bookedOnLeg(seat.id, trainRunId, leg)) {
+                    status = 'booked';
+                } else if (userId != null && heldOnLeg(seat.id, trainRunId, leg, holder => holder !== userId)) {
+                    status = 'held';
+                } else if (userId != null && heldOnLeg(seat.id, trainRunId, leg, holder => holder === userId)) {
+                    status = 'held_by_you';
+                }
+
+                return {
+                    id: seat.id,
+                    seat_number: seat.seat_number,
+                    seat_type: seat.seat_type,
+                    berth_number: seat.berth_number,
+                    class_code: seat.class_code,
+                    coach_code: coach?.coach_code ?? null,
+                    status
+                };
+            }),
+
+            countActive: async (trainId, classCode) => db.rows('seats').filter(seat =>
+                where('train_id', trainId)(seat) && seat.class_code === classCode && seat.is_active
+            ).length,
+
+            lastBerth: async (coachId) => Math.max(0, ...db.rows('seats')
+                .filter(seat => seat.coach_id === coachId)
+                .map(seat => seat.berth_number || 0)),
+
+            setActive: async (ids, active) => {
+                db.update('seats', seat => ids.includes(seat.id), { is_active: Boolean(active) });
+            },
+
+            listClasses: async (trainId) => {
+                const counts = new Map();
+                for (const seat of db.rows('seats').filter(seat => where('train_id', trainId)(seat) && seat.is_active)) {
+                    counts.set(seat.class_code, (counts.get(seat.class_code) || 0) + 1);
+                }
+
+                return [...counts].map(([code, total]) => ({ travelClass: db.find('travel_classes', where('code', code)), total }))
+                    .filter(({ travelClass }) => travelClass)
+                    .sort((a, b) => a.travelClass.fare_multiplier - b.travelClass.fare_multiplier)
+                    .map(({ travelClass, total }) => ({
+                        class_code: travelClass.code,
+                        class_name: travelClass.name,
+                        total_seats: total
+                    }));
+            }
+        },
+
+        schedules: {
+            find: async (trainId) => db.find('train_schedules', where('train_id', trainId)),
+
+            listExceptions: async (trainId) => db.select('train_schedule_exceptions', where('train_id', trainId))
+                .sort((a, b) => compare(a.exception_date, b.exception_date)),
+
+            save: async (trainId, { running_days, valid_from, valid_until }) => {
+                const schedule = {
+                    running_days: running_days.join(','),
+                    valid_from: formatDate(valid_from),
+                    valid_until: valid_until ? formatDate(valid_until) : null
+                };
+                if (!db.update('train_schedules', where('train_id', trainId), schedule)) {
+                    db.insert('train_schedules', { train_id: Number(trainId), ...schedule });
+                }
+            },
+
+            replaceExceptions: async (trainId, exceptions) => {
+                db.remove('train_schedule_exceptions', where('train_id', trainId));
+                for (const exception of exceptions) {
+                    db.insert('train_schedule_exceptions', {
+                        train_id: Number(trainId),
+                        exception_date: formatDate(exception.date),
+                        exception_type: exception.type,
+                        reason: exception.reason || null
+                    });
+                }
+            },
+
+            saveException: async (trainId, { date, type, reason }) => {
+                const changed = db.update('train_schedule_exceptions', exception =>
+                    where('train_id', trainId)(exception) && exception.exception_date === formatDate(date),
+                { exception_type: type, reason: reason || null });
+                if (!changed) {
+                    db.insert('train_schedule_exceptions', {
+                        train_id: Number(trainId),
+                        exception_date: formatDate(date),
+                        exception_type: type,
+                        reason: reason || null
+                    });
+                }
+            }
+        },
+
+        runs: {
+            find: async (trainId, runDate) => db.find('train_runs', run =>
+                where('train_id', trainId)(run) && run.run_date === formatDate(runDate)
+            ),
+
+            ensure: async (trainId, runDate) => {
+                const exists = db.rows('train_runs').some(run => where('train_id', trainId)(run) && run.run_date === formatDate(runDate));
+                if (!exists) {
+                    db.insert('train_runs', { train_id: Number(trainId), run_date: formatDate(runDate) });
+                }
+            },
+
+            listBetween: async (trainId, from, to) => db.select('train_runs', run =>
+                where('train_id', trainId)(run) && run.run_date >= formatDate(from) && run.run_date <= formatDate(to)
+            ).map(run => ({ id: run.id, run_date: run.run_date })),
+
+            listUpcoming: async (trainId) => db.select('train_runs', run =>
+                where('train_id', trainId)(run) && run.run_date >= formatDate(new Date())
+            ).sort((a, b) => compare(a.run_date, b.run_date)).map(run => ({ id: run.id })),
+
+            listBookedDates: async (trainId) => db.select('train_runs', run =>
+                where('train_id', trainId)(run) &&
+                run.run_date >= formatDate(new Date()) &&
+                db.rows('bookings').some(booking =>
+                    booking.train_run_id === run.id &&
+                    ['payment_pending', 'confirmed', 'rac', 'waitlisted'].includes(booking.booking_status)
+                )
+            ).sort((a, b) => compare(a.run_date, b.run_date)).map(run => ({ run_date: run.run_date })),
+
+            findWithTrain: async (trainId, runDate) => {
+                const run = db.find('train_runs', r => where('train_id', trainId)(r) && r.run_date === formatDate(runDate));
+                const train = run && db.find('trains', where('id', run.train_id));
+                return train && {
+                    id: run.id,
+                    run_date: run.run_date,
+                    train_number: train.train_number,
+                    train_name: train.train_name
+                };
+            }
+        },
+
+        routes: {
+            listStops: async (trainId) => stopsOf(trainId).map(stop => ({
+                station_id: stop.station_id,
+                sequence_number: stop.sequence_number,
+                arrival_time: stop.arrival_time,
+                departure_time: stop.departure_time,
+                arrival_day_offset: stop.arrival_day_offset,
+                departure_day_offset: stop.departure_day_offset,
+                distance_km: stop.distance_km,
+                station_code: stop.station.station_code,
+                station_name: stop.station.station_name
+            })),
+
+            findStops: async (trainId, stationIds) => stopsOf(trainId)
+                .filter(stop => stationIds.map(String).includes(String(stop.station_id)))
+                .map(stop => ({
+                    station_id: stop.station_id,
+                    sequence_number: stop.sequence_number,
+                    distance_km: stop.distance_km,
+                    arrival_time: stop.arrival_time,
+                    arrival_day_offset: stop.arrival_day_offset,
+                    departure_time: stop.departure_time,
+                    departure_day_offset: stop.departure_day_offset
+                })),
+
+            getSpan: async (trainId) => {
+                const stops = stopsOf(trainId);
+                return stops.length > 0
+                    ? { from_sequence: stops[0].sequence_number, to_sequence: stops[stops.length - 1].sequence_number }
+                    : { from_sequence: null, to_sequence: null };
+            },
+
+            countMissingDistances: async (trainId) => db.rows('train_routes').filter(stop =>
+                where('train_id', trainId)(stop) && stop.distance_km === null
+            ).length,
+
+            replace: async (trainId, stops) => {
+                db.remove('train_routes', where('train_id', trainId));
+                for (const [index, stop] of stops.entries()) {
+                    db.insert('train_routes', {
+                        train_id: Number(trainId),
+                        station_id: Number(stop.station_id),
+                        sequence_number: index + 1,
+                        arrival_time: toTime(stop.arrival_time),
+                        departure_time: toTime(stop.departure_time),
+                        arrival_day_offset: stop.arrival_day_offset ?? 0,
+                        departure_day_offset: stop.departure_day_offset ?? 0,
+                        distance_km: stop.distance_km ?? null
+                    });
+                }
+            },
+
+            listTimetableStops: async () => db.select('train_routes')
+                .map(stop => ({ stop, train: db.find('trains', where('id', stop.train_id)) }))
+                .filter(({ train }) => train && train.is_active)
+                .sort((a, b) => a.stop.train_id - b.stop.train_id || a.stop.sequence_number - b.stop.sequence_number)
+                .map(({ stop, train }) => ({
+                    train_id: stop.train_id,
+                    station_id: stop.station_id,
+                    sequence_number: stop.sequence_number,
+                    arrival_time: stop.arrival_time,
+                    arrival_day_offset: stop.arrival_day_offset,
+                    departure_time: stop.departure_time,
+                    departure_day_offset: stop.departure_day_offset,
+                    train_number: train.train_number,
+                    train_name: train.train_name
+                })),
+
+            listCallingAt: async (stationId) => db.select('train_routes', where('station_id', stationId))
+                .map(stop => ({ stop, train: db.find('trains', where('id', stop.train_id)) }))
+                .filter(({ train }) => train)
+                .sort((a, b) => compare(a.stop.departure_time, b.stop.departure_time))
+                .map(({ stop, train }) => ({
+                    id: train.id,
+                    train_number: train.train_number,
+                    train_name: train.train_name,
+                    is_active: train.is_active,
+                    sequence_number: stop.sequence_number,
+                    arrival_time: stop.arrival_time,
+                    arrival_day_offset: stop.arrival_day_offset,
+                    departure_time: stop.departure_time,
+                    departure_day_offset: stop.departure_day_offset
+                })),
+
+            listSharedTrains: async (stationId, otherStationId) => db.select('train_routes', where('station_id', stationId))
+                .filter(stop => db.find('train_routes', other =>
+                    other.train_id === stop.train_id && where('station_id', otherStationId)(other)
+                ))
+                .map(stop => db.find('trains', where('id', stop.train_id)).train_number)
+        }
+    };
+};
+
+module.exports = { createTrainRepositories };
@@ -0,0 +1,273 @@
+const { SAVED_PASSENGER_FIELDS } = require('../../utils/passengers');
+const { where } = require('./tables');
+
+const later = (ms) => new Date(Date.now() + ms);
+const MINUTE = 60 * 1000;
+
+// In-memory counterparts of the repositories in ../mysql/users.js
+const createUserRepositories = (db) => ({
+    users: {
+        findById: async (id) => db.find('users', user => user.id === Number(id)),
+
+        list: async () => db.select('users').map(({ id, username, email, role, is_active, created_at }) => ({
+            id,
+            username,
+            email,
+            role,
+            is_active,
+            created_at
+        })),
+
+        findByEmail: async (email) => db.find('users', user => user.email === email),
+
+        findByEmailOrUsername: async (email, username) =>
+            db.find('users', user => user.email === email || user.username === username),
+
+        findActiveByEmail: async (email, { unverified = false } = {}) => db.find('users', user =>
+            user.email === email && user.is_active && (!unverified || user.email_verified_at === null)
+        ),
+
+        create: async ({ username, email, password, role = 'user', full_name = null, verified = false }) => db.insert('users', {
+            username,
+            email,
+            password,
+            role,
+            full_name,
+            email_verified_at: verified ? new Date() : null
+        }).id,
+
+        updateProfile: async (id, { username, role, full_name }) => {
+            db.update('users', user => user.id === id, { username, role, full_name, is_active: true });
+        },
+
+        updateContact: async (id, { username, email, full_name, phone, unverify = false }) => {
+            db.update('users', user => user.id === id, user => ({
+                username,
+                email,
+                full_name,
+                phone,
+                email_verified_at: unverify ? null : user.email_verified_at
+            }));
+        },
+
+        setPreferences: async (id, preferences) => {
+            db.update('users', user => user.id === id, { preferences: { ...preferences } });
+        },
+
+        anonymise: async (id, password) => {
+            db.update('users', user => user.id === id, {
+                username: `deleted_${id}`,
+                email: `deleted_${id}@deleted.invalid`,
+                password,
+                full_name: null,
+                phone: null,
+                preferences: null,
+                is_active: false,
+                deleted_at: new Date()
+            });
+        },
+
+        setPassword: async (id, password, { verifyEmail = false } = {}) => {
+            db.update('users', user => user.id === id, user => ({
+                password,
+                email_verified_at: verifyEmail ? user.email_verified_at || new Date() : user.email_verified_at
+            }));
+        },
+
+        markEmailVerified: async (id) => {
+            db.update('users', user => user.id === id, user => ({ email_verified_at: user.email_verified_at || new Date() }));
+        },
+
+        bumpTokenVersion: async (id) => {
+            db.update('users', user => user.id === id, user => ({ token_version: user.token_version + 1 }));
+        },
+
+        setRole: async (id, role) => {
+            db.update('users', user => user.id === Number(id), { role });
+        },
+
+        setActive: async (id, isActive) => {
+            db.update('users', user => user.id === Number(id), { is_active: isActive });
+        },
+
+        lockActiveAdmins: async () => db.rows('users').filter(user => user.role === 'admin' && user.is_active).map(user => user.id)
+    },
+
+    refreshTokens: {
+        create: async ({ user_id, token_hash, family_id, days }) => db.insert('refresh_tokens', {
+            user_id,
+            token_hash,
+            family_id,
+            expires_at: later(days * 24 * 60 * MINUTE)
+        }).id,
+
+        findByHash: async (tokenHash) => {
+            const token = db.find('refresh_tokens', item => item.token_hash === tokenHash);
+            const user = token && db.find('users', item => item.id === token.user_id);
+            if (!user) {
+                return undefined;
+            }
+
+            return {
+                ...token,
+                expired: token.expires_at <= new Date(),
+                role: user.role,
+                token_version: user.token_version,
+                is_active: user.is_active
+            };
+        },
+
+        markReplaced: async (id, replacedBy) => {
+            db.update('refresh_tokens', token => token.id === id, { revoked_at: new Date(), replaced_by: replacedBy });
+        },
+
+        revokeFamily: async (familyId) => {
+            db.update('refresh_tokens', token => token.family_id === familyId && !token.revoked_at, { revoked_at: new Date() });
+        },
+
+        revokeForUser: async (userId) => {
+            db.update('refresh_tokens', token => token.user_id === userId && !token.revoked_at, { revoked_at: new Date() });
+        }
+    },
+
+    userTokens: {
+        voidUnused: async (userId, purpose) => {
+            db.update('user_tokens', token => token.user_id === userId && token.purpose === purpose && !token.used_at, {
+                used_at: new Date()
+            });
+        },
+
+        create: async ({ user_id, purpose, token_hash, minutes }) => {
+            db.insert('user_tokens', { user_id, purpose, token_hash, expires_at: later(minutes * MINUTE) });
+        },
+
+        findUsable: async (tokenHash, purpose) => {
+            const token = db.find('user_tokens', item =>
+                item.token_hash === tokenHash && item.purpose === purpose && !item.used_at && item.expires_at > new Date()
+            );
+            return token && { id: token.id, user_id: token.user_id };
+        },
+
+        markUsed: async (id) => {
+            db.update('user_tokens', token => token.id === id, { used_at: new Date() });
+        },
+
+        deleteForUser: async (userId) => {
+            db.remove('user_tokens', token => token.user_id === userId);
+        }
+    },
+
+    lockoutEvents: {
+        create: async ({ scope, identifier, user_id, ip_address, failures, minutes }) => {
+            db.insert('lockout_events', {
+                scope,
+                identifier,
+                user_id,
+                ip_address,
+                failures,
+                lockout_minutes: minutes,
+                locked_until: later(minutes * MINUTE)
+            });
+        },
+
+        list: async ({ scope = null, limit }) => db.select('lockout_events', lockout => !scope || lockout.scope === scope)
+            .sort((a, b) => b.id - a.id)
+            .slice(0, limit)
+            .map(lockout => ({
+                ...lockout,
+                username: db.find('users', user => user.id === lockout.user_id)?.username ?? null
+            }))
+    },
+
+    apiKeys: {
+        create: async ({ name, key_prefix, key_hash, permissions, user_id, created_by }) => db.insert('api_keys', {
+            name,
+            key_prefix,
+            key_hash,
+            permissions,
+            user_id,
+            created_by
+        }).id,
+
+        findActiveByHash: async (keyHash) => {
+            const key = db.find('api_keys', item => item.key_hash === keyHash && !item.revoked_at);
+            const user = key && db.find('users', item => item.id === key.user_id && item.is_active);
+            return user && { id: key.id, user_id: key.user_id, permissions: key.permissions, role: user.role };
+        },
+
+        markUsed: async (id) => {
+            db.update('api_keys', key => key.id === id, { last_used_at: new Date() });
+        },
+
+        list: async () => db.select('api_keys').flatMap(key => {
+            const user = db.find('users', item => item.id === key.user_id);
+            return user ? [{
+                id: key.id,
+                name: key.name,
+                key_prefix: key.key_prefix,
+                permissions: key.permissions,
+                user_id: key.user_id,
+                username: user.username,
+                created_by: key.created_by,
+                last_used_at: key.last_used_at,
+                revoked_at: key.revoked_at,
+                created_at: key.created_at
+            }] : [];
+        }),
+
+        revoke: async (id) => db.update('api_keys', key => where('id', id)(key) && !key.revoked_at, { revoked_at: new Date() }) > 0,
+
+        revokeForUser: async (userId) => {
+            db.update('api_keys', key => key.user_id === userId && !key.revoked_at, { revoked_at: new Date() });
+        }
+    },
+
+    auditLogs: {
+        create: async ({ user_id, api_key_id, method, path, status_code }) => {
+            db.insert('audit_logs', { user_id, api_key_id, method, path, status_code });
+        },
+
+        list: async ({ userId = null, limit }) => db.select('audit_logs', entry => !userId || entry.user_id === Number(userId))
+            .sort((a, b) => b.id - a.id)
+            .slice(0, limit)
+            .map(entry => ({
+                ...entry,
+                username: db.find('users', user => user.id === entry.user_id)?.username ?? null,
+                api_key_name: db.find('api_keys', key => key.id === entry.api_key_id)?.name ?? null
+            }))
+    },
+
+    savedPassengers: {
+        findForUser: async (userId, ids) => db.select('saved_passengers', passenger =>
+            passenger.user_id === userId && ids.includes(passenger.id)
+        ),
+
+        listForUser: async (userId) => db.select('saved_passengers', passenger => passenger.user_id === userId)
+            .sort((a, b) => a.name.localeCompare(b.name)),
+
+        find: async (id, userId) => db.find('saved_passengers', passenger =>
+            where('id', id)(passenger) && passenger.user_id === userId
+        ),
+
+        create: async (userId, passenger) => db.insert('saved_passengers', {
+            user_id: userId,
+            ...Object.fromEntries(SAVED_PASSENGER_FIELDS.map(field => [field, passenger[field] ?? null]))
+        }).id,
+
+        update: async (id, passenger) => {
+            db.update('saved_passengers', where('id', id), Object.fromEntries(
+                SAVED_PASSENGER_FIELDS.map(field => [field, passenger[field]])
+            ));
+        },
+
+        delete: async (id, userId) => db.remove('saved_passengers', passenger =>
+            where('id', id)(passenger) && passenger.user_id === userId
+        ) > 0,
+
+        deleteForUser: async (userId) => {
+            db.remove('saved_passengers', passenger => passenger.user_id === userId);
+        }
+    }
+});
+
+module.exports = { createUserRepositories };
@@ -0,0 +1,57 @@
+const { createDatabase } = require('./memory/tables');
+const { createUserRepositories } = require('./memory/users');
+const { createTrainRepositories } = require('./memory/trains');
+const { createBookingRepositories } = require('./memory/bookings');
+
+// Everything kept in this process and lost on restart. Meant for tests,
+// which get a whole API without a database server.
+const db = createDatabase();
+
+// Repositories over `database`, the whole store or a transaction's journal
+const createRepositories = (database) => ({
+    ...createUserRepositories(database),
+    ...createTrainRepositories(database),
+    ...createBookingRepositories(database)
+});
+
+const repositories = createRepositories(db);
+
+// Transactions run one at a time, as row locks would make them. Rolling one
+// back undoes its own writes, leaving those made outside it meanwhile.
+let queue = Promise.resolve();
+
+const begin = async () => {
+    let finish;
+    const previous = queue;
+    queue = new Promise(resolve => {
+        finish = resolve;
+    });
+    await previous;
+
+    const changes = db.journal();
+
+    return {
+        repositories: createRepositories(changes),
+
+        commit: async () => {
+            finish();
+        },
+
+        rollback: async () => {
+            changes.undo();
+            finish();
+        }
+    };
+};
+
+// Empty every table, for a test to start from scratch
+const reset = () => {
+    db.reset();
+};
+
+module.exports = {
+    name: 'memory',
+    repositories,
+    begin,
+    reset
+};
@@ -0,0 +1,885 @@
+const { ACTIVE_BOOKING_STATUSES } = require('../../utils/routeStops');
+const { QUEUE_STATUSES } = require('../../utils/waitlist');
+const { REFUND_RULE_FIELDS } = require('../../utils/refundPolicy');
+const { OVERLAPPING_LEG } = require('./trains');
+
+// Bookings with their passengers and seats, seat holds, cancellations,
+// refunds and payments, over a pool or a transaction's connection.
+
+// Bookings with their train's number, name and fare and their stations
+const DETAILED_BOOKINGS = `
+    SELECT
+        b.*,
+        t.train_number,
+        t.train_name,
+        t.fare as train_fare,
+        s1.station_name as from_station,
+        s2.station_name as to_station,
+        s1.station_code as from_station_code,
+        s2.station_code as to_station_code
+    FROM bookings b
+    JOIN trains t ON b.train_id = t.id
+    JOIN stations s1 ON b.from_station_id = s1.id
+    JOIN stations s2 ON b.to_station_id = s2.id
+`;
+
+const createBookingRepositories = (db) => ({
+    journeys: {
+        create: async ({ user_id, from_station_id, to_station_id }) => {
+            const [result] = await db.query(
+                'INSERT INTO journeys (user_id, from_station_id, to_station_id) VALUES (?, ?, ?)',
+                [user_id, from_station_id, to_station_id]
+            );
+            return result.insertId;
+        },
+
+        findForUser: async (id, userId) => {
+            const [[journey]] = await db.query(
+                'SELECT * FROM journeys WHERE id = ? AND user_id = ?',
+                [id, userId]
+            );
+            return journey;
+        },
+
+        // The user's journeys as stored, for a data export
+        listForExport: async (userId) => {
+            const [journeys] = await db.query('SELECT * FROM journeys WHERE user_id = ? ORDER BY id', [userId]);
+            return journeys;
+        }
+    },
+
+    bookings: {
+        // A payment_pending booking holding its seats for `payment_minutes`.
+        // Returns its id.
+        create: async (booking) => {
+            const [result] = await db.query(`
+                INSERT INTO bookings (user_id, journey_id, train_id, train_run_id, from_station_id, to_station_id, booking_date, class_code, quota, seats_booked, booking_status, total_fare, fare_breakdown, payment_expires_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'payment_pending', ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))
+            `, [
+                booking.user_id, booking.journey_id, booking.train_id, booking.train_run_id,
+                booking.from_station_id, booking.to_station_id, booking.booking_date, booking.class_code,
+                booking.quota, booking.seats_booked, booking.total_fare, JSON.stringify(booking.fare_breakdown),
+                booking.payment_minutes
+            ]);
+            return result.insertId;
+        },
+
+        findById: async (id) => {
+            const [[booking]] = await db.query('SELECT * FROM bookings WHERE id = ?', [id]);
+            return booking;
+        },
+
+        findByIds: async (ids) => {
+            const [bookings] = await db.query('SELECT * FROM bookings WHERE id IN (?) ORDER BY id', [ids]);
+            return bookings;
+        },
+
+        // One of the user's bookings, optionally only in one of `statuses`.
+        // Locked for update when `lock` is set.
+        findForUser: async (id, userId, { statuses = null, lock = false } = {}) => {
+            const [[booking]] = await db.query(`
+                SELECT * FROM bookings
+                WHERE id = ? AND user_id = ? ${statuses ? 'AND booking_status IN (?)' : ''}
+                ${lock ? 'FOR UPDATE' : ''}
+            `, [id, userId, ...(statuses ? [statuses] : [])]);
+            return booking;
+        },
+
+        // One of the user's bookings with its train and stations
+        findDetailed: async (id, userId) => {
+            const [[booking]] = await db.query(
+                `${DETAILED_BOOKINGS} WHERE b.id = ? AND b.user_id = ?`,
+                [id, userId]
+            );
+            return booking;
+        },
+
+        // The user's bookings with their train and stations, latest travel first
+        listForUser: async (userId) => {
+            const [bookings] = await db.query(
+                `${DETAILED_BOOKINGS} WHERE b.user_id = ? ORDER BY b.booking_date DESC`,
+                [userId]
+            );
+            return bookings;
+        },
+
+        // The user's bookings as stored, for a data export
+        listForExport: async (userId) => {
+            const [bookings] = await db.query('SELECT * FROM bookings WHERE user_id = ? ORDER BY id', [userId]);
+            return bookings;
+        },
+
+        // The user's active bookings that have yet to be travelled on
+        listUpcomingForUser: async (userId) => {
+            const [bookings] = await db.query(
+                'SELECT id FROM bookings WHERE user_id = ? AND booking_status IN (?) AND booking_date >= CURDATE()',
+                [userId, ACTIVE_BOOKING_STATUSES]
+            );
+            return bookings;
+        },
+
+        // Any booking with its customer and train, for support
+        findForSupport: async (id) => {
+            const [[booking]] = await db.query(`
+                SELECT b.*, u.username, u.email, t.train_number, t.train_name
+                FROM bookings b
+                JOIN users u ON b.user_id = u.id
+                JOIN trains t ON b.train_id = t.id
+                WHERE b.id = ?
+            `, [id]);
+            return booking;
+        },
+
+        // The legs of a journey with their train and stations
+        listForJourney: async (journeyId) => {
+            const [bookings] = await db.query(
+                `${DETAILED_BOOKINGS} WHERE b.journey_id = ? ORDER BY b.id`,
+                [journeyId]
+            );
+            return bookings;
+        },
+
+        // A booking of the user still awaiting payment, along with the other
+        // legs of its journey, which are paid for together
+        listAwaitingPayment: async (id, userId) => {
+            const [bookings] = await db.query(`
+                SELECT b.*
+                FROM bookings requested
+                JOIN bookings b ON b.id = requested.id OR b.journey_id = requested.journey_id
+                WHERE requested.id = ? AND requested.user_id = ?
+                AND b.booking_status = 'payment_pending' AND b.payment_expires_at > NOW()
+                ORDER BY b.id
+            `, [id, userId]);
+            return bookings;
+        },
+
+        // The bookings a payment covers, locked, with whether their hold is
+        // still running as hold_active
+        listForPayment: async (payment) => {
+            const [bookings] = await db.query(
+                `SELECT *, payment_expires_at > NOW() as hold_active
+                 FROM bookings
+                 WHERE ${payment.journey_id ? 'journey_id' : 'id'} = ?
+                 ORDER BY id
+                 FOR UPDATE`,
+                [payment.journey_id || payment.booking_id]
+            );
+            return bookings;
+        },
+
+        // Ids of pending bookings whose payment hold ran out
+        listExpiredHolds: async () => {
+            const [bookings] = await db.query(
+                `SELECT id FROM bookings WHERE booking_status = 'payment_pending' AND payment_expires_at <= NOW()`
+            );
+            return bookings.map(booking => booking.id);
+        },
+
+        // A pending booking whose hold ran out, locked for update
+        findExpiredHold: async (id) => {
+            const [[booking]] = await db.query(
+                `SELECT * FROM bookings WHERE id = ? AND booking_status = 'payment_pending' AND payment_expires_at <= NOW() FOR UPDATE`,
+                [id]
+            );
+            return booking;
+        },
+
+        // Ending the payment hold clears payment_expires_at
+        setStatus: async (id, status, { endHold = false } = {}) => {
+            await db.query(
+                `UPDATE bookings SET booking_status = ?${endHold ? ', payment_expires_at = NULL' : ''} WHERE id = ?`,
+                [status, id]
+            );
+        },
+
+        shrink: async (id, { seats_booked, total_fare }) => {
+            await db.query(
+                'UPDATE bookings SET seats_booked = ?, total_fare = ? WHERE id = ?',
+                [seats_booked, total_fare, id]
+            );
+        },
+
+        // Queued bookings of a run, RAC before the waitlist and oldest
+        // first, locked for update
+        listQueued: async (trainRunId) => {
+            const [bookings] = await db.query(
+                `SELECT *
+                 FROM bookings
+                 WHERE train_run_id = ? AND booking_status IN (?)
+                 ORDER BY FIELD(booking_status, 'rac', 'waitlisted'), id
+                 FOR UPDATE`,
+                [trainRunId, QUEUE_STATUSES]
+            );
+            return bookings;
+        },
+
+        // Passengers holding RAC on a run
+        countRacPassengers: async (trainRunId) => {
+            const [[row]] = await db.query(
+                `SELECT COALESCE(SUM(seats_booked), 0) as passengers
+                 FROM bookings
+                 WHERE train_run_id = ? AND booking_status = 'rac'`,
+                [trainRunId]
+            );
+            return Number(row.passengers);
+        },
+
+        // Bookings queued before this one in its queue
+        countAhead: async (booking) => {
+            const [[row]] = await db.query(
+                `SELECT COUNT(*) as ahead
+                 FROM bookings
+                 WHERE train_run_id = ? AND booking_status = ? AND id < ?`,
+                [booking.train_run_id, booking.booking_status, booking.id]
+            );
+            return Number(row.ahead);
+        },
+
+        // Active bookings on a train with their stations, optionally only
+        // those on runs from today onwards
+        listActiveForTrain: async (trainId, { upcoming = false } = {}) => {
+            const [bookings] = await db.query(`
+                SELECT b.id, b.from_station_id, b.to_station_id
+                FROM bookings b
+                ${upcoming ? 'JOIN train_runs r ON b.train_run_id = r.id' : ''}
+                WHERE b.train_id = ? AND b.booking_status IN (?)
+                ${upcoming ? 'AND r.run_date >= CURDATE()' : ''}
+            `, [trainId, ACTIVE_BOOKING_STATUSES]);
+            return bookings;
+        },
+
+        countForTrain: async (trainId) => {
+            const [[{ bookings }]] = await db.query(
+                'SELECT COUNT(*) as bookings FROM bookings WHERE train_id = ?',
+                [trainId]
+            );
+            return bookings;
+        },
+
+        // An active booking by the user for the same leg and day
+        findActiveDuplicate: async ({ user_id, train_id, booking_date, from_station_id, to_station_id }) => {
+            const [[booking]] = await db.query(
+                `SELECT id FROM bookings
+                 WHERE user_id = ? AND train_id = ? AND booking_date = ? AND from_station_id = ? AND to_station_id = ?
+                 AND booking_status IN (?)`,
+                [user_id, train_id, booking_date, from_station_id, to_station_id, ACTIVE_BOOKING_STATUSES]
+            );
+            return booking;
+        }
+    },
+
+    passengers: {
+        create: async (passenger) => {
+            await db.query(
+                'INSERT INTO passengers (booking_id, seat_booking_id, name, age, gender, id_document_type, id_document_number, concession) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                [
+                    passenger.booking_id,
+                    passenger.seat_booking_id,
+                    passenger.name,
+                    passenger.age,
+                    passenger.gender,
+                    passenger.id_document_type,
+                    passenger.id_document_number,
+                    passenger.concession
+                ]
+            );
+        },
+
+        // Passengers of a booking with the seat each one holds
+        listForBooking: async (bookingId) => {
+            const [passengers] = await db.query(`
+                SELECT
+                    p.id,
+                    p.name,
+                    p.age,
+                    p.gender,
+                    p.id_document_type,
+                    p.id_document_number,
+                    p.concession,
+                    p.status,
+                    p.seat_booking_id,
+                    sb.status as seat_status,
+                    s.id as seat_id,
+                    s.seat_number,
+                    s.seat_type,
+                    c.coach_code
+                FROM passengers p
+                LEFT JOIN seat_bookings sb ON p.seat_booking_id = sb.id
+                LEFT JOIN seats s ON sb.seat_id = s.id
+                LEFT JOIN coaches c ON s.coach_id = c.id
+                WHERE p.booking_id = ?
+                ORDER BY p.id
+            `, [bookingId]);
+            return passengers;
+        },
+
+        // Passengers of a booking with their seat booking and seat, locked
+        listForCancellation: async (bookingId) => {
+            const [passengers] = await db.query(`
+                SELECT p.id, p.status, p.seat_booking_id, sb.seat_id
+                FROM passengers p
+                LEFT JOIN seat_bookings sb ON p.seat_booking_id = sb.id
+                WHERE p.booking_id = ?
+                ORDER BY p.id
+                FOR UPDATE
+            `, [bookingId]);
+            return passengers;
+        },
+
+        // Active passengers of a booking still waiting for a seat, in the order listed
+        listUnseated: async (bookingId) => {
+            const [passengers] = await db.query(
+                `SELECT id FROM passengers WHERE booking_id = ? AND seat_booking_id IS NULL AND status = 'active' ORDER BY id`,
+                [bookingId]
+            );
+            return passengers;
+        },
+
+        assignSeat: async (id, seatBookingId) => {
+            await db.query(
+                'UPDATE passengers SET seat_booking_id = ? WHERE id = ?',
+                [seatBookingId, id]
+            );
+        },
+
+        cancel: async (ids) => {
+            await db.query(
+                `UPDATE passengers SET status = 'cancelled' WHERE id IN (?)`,
+                [ids]
+            );
+        },
+
+        // Travelling passengers of a run with their booking, stations and
+        // seat, in marshalling order with unseated passengers last
+        listManifest: async (trainRunId) => {
+            const [passengers] = await db.query(`
+                SELECT
+                    p.id as passenger_id,
+                    p.name,
+                    p.age,
+                    p.gender,
+                    p.id_document_type,
+                    p.id_document_number,
+                    p.concession,
+                    b.id as booking_id,
+                    b.booking_status,
+                    b.class_code,
+                    s1.station_code as from_station_code,
+                    s2.station_code as to_station_code,
+                    c.coach_code,
+                    s.seat_number,
+                    s.seat_type
+                FROM passengers p
+                JOIN bookings b ON p.booking_id = b.id
+                JOIN stations s1 ON b.from_station_id = s1.id
+                JOIN stations s2 ON b.to_station_id = s2.id
+                LEFT JOIN seat_bookings sb ON p.seat_booking_id = sb.id AND sb.status = 'booked'
+                LEFT JOIN seats s ON sb.seat_id = s.id
+                LEFT JOIN coaches c ON s.coach_id = c.id
+                WHERE b.train_run_id = ?
+                AND b.booking_status IN ('confirmed', 'rac', 'waitlisted')
+                AND p.status = 'active'
+                ORDER BY c.position IS NULL, c.position, s.berth_number, b.id, p.id
+            `, [trainRunId]);
+            return passengers;
+        },
+
+        // Blank the identifying details of everyone the user booked for
+        anonymiseForUser: async (userId) => {
+            await db.query(`
+                UPDATE passengers p
+                JOIN bookings b ON p.booking_id = b.id
+                SET p.name = 'Deleted passenger', p.id_document_type = NULL, p.id_document_number = NULL
+                WHERE b.user_id = ?
+            `, [userId]);
+        }
+    },
+
+    seatBookings: {
+        // Returns the new seat booking's id
+        create: async ({ booking_id, seat_id, train_run_id, booking_date, from_sequence, to_sequence }) => {
+            const [result] = await db.query(
+                'INSERT INTO seat_bookings (booking_id, seat_id, train_run_id, booking_date, from_sequence, to_sequence) VALUES (?, ?, ?, ?, ?, ?)',
+                [booking_id, seat_id, train_run_id, booking_date, from_sequence, to_sequence]
+            );
+            return result.insertId;
+        },
+
+        findByIds: async (ids) => {
+            const [seatBookings] = await db.query('SELECT * FROM seat_bookings WHERE id IN (?)', [ids]);
+            return seatBookings;
+        },
+
+        // Seats a booking still holds
+        listBooked: async (bookingId) => {
+            const [seatBookings] = await db.query(
+                `SELECT * FROM seat_bookings WHERE booking_id = ? AND status = 'booked'`,
+                [bookingId]
+            );
+            return seatBookings;
+        },
+
+        countBooked: async (bookingId) => {
+            const [[{ held }]] = await db.query(
+                `SELECT COUNT(*) as held FROM seat_bookings WHERE booking_id = ? AND status = 'booked'`,
+                [bookingId]
+            );
+            return Number(held);
+        },
+
+        // Booked seats of a booking that no passenger holds, locked
+        listUnassigned: async (bookingId) => {
+            const [seatBookings] = await db.query(`
+                SELECT sb.id, sb.seat_id
+                FROM seat_bookings sb
+                WHERE sb.booking_id = ?
+                AND sb.status = 'booked'
+                AND NOT EXISTS (SELECT 1 FROM passengers p WHERE p.seat_booking_id = sb.id)
+                FOR UPDATE
+            `, [bookingId]);
+            return seatBookings;
+        },
+
+        cancel: async (ids) => {
+            await db.query(
+                `UPDATE seat_bookings SET status = 'cancelled' WHERE id IN (?)`,
+                [ids]
+            );
+        },
+
+        // Release every seat a booking holds. Returns how many there were.
+        cancelForBooking: async (bookingId) => {
+            const [result] = await db.query(
+                `UPDATE seat_bookings SET status = 'cancelled' WHERE booking_id = ? AND status = 'booked'`,
+                [bookingId]
+            );
+            return result.affectedRows;
+        },
+
+        moveToSeat: async (id, seatId) => {
+            await db.query('UPDATE seat_bookings SET seat_id = ? WHERE id = ?', [seatId, id]);
+        },
+
+        // Seat bookings still to travel on any of the given seats, with the
+        // seat's number and class, locked
+        listUpcomingOnSeats: async (seatIds) => {
+            const [seatBookings] = await db.query(`
+                SELECT sb.*, s.seat_number, s.class_code
+                FROM seat_bookings sb
+                JOIN seats s ON sb.seat_id = s.id
+                JOIN train_runs r ON sb.train_run_id = r.id
+                WHERE sb.seat_id IN (?)
+                AND sb.status = 'booked'
+                AND r.run_date >= CURDATE()
+                ORDER BY sb.train_run_id, sb.booking_id, sb.id
+                FOR UPDATE
+            `, [seatIds]);
+            return seatBookings;
+        },
+
+        // Seat bookings of any status on a train's seats
+        countForTrain: async (trainId) => {
+            const [[{ booked }]] = await db.query(`
+                SELECT COUNT(*) as booked
+                FROM seat_bookings sb
+                JOIN seats s ON sb.seat_id = s.id
+                WHERE s.train_id = ?
+            `, [trainId]);
+            return booked;
+        },
+
+        // Seats booked on a leg of a run
+        countSeatsOnLeg: async (trainRunId, leg) => {
+            const [[{ booked }]] = await db.query(`
+                SELECT COUNT(DISTINCT sb.seat_id) as booked
+                FROM seat_bookings sb
+                WHERE sb.train_run_id = ?
+                AND sb.status = 'booked'
+                AND ${OVERLAPPING_LEG}
+            `, [trainRunId, leg.to_sequence, leg.from_sequence]);
+            return booked;
+        },
+
+        // Move the seat bookings of a train's runs to new route sequence
+        // numbers; `renumbering` holds [old, new] pairs
+        renumber: async (trainId, renumbering) => {
+            const cases = renumbering.map(() => 'WHEN ? THEN ?').join(' ');
+            const values = renumbering.flat();
+            await db.query(`
+                UPDATE seat_bookings sb
+                JOIN train_runs r ON sb.train_run_id = r.id
+                SET sb.from_sequence = CASE sb.from_sequence ${cases} ELSE sb.from_sequence END,
+                    sb.to_sequence = CASE sb.to_sequence ${cases} ELSE sb.to_sequence END
+                WHERE r.train_id = ?
+            `, [...values, ...values, trainId]);
+        }
+    },
+
+    seatHolds: {
+        create: async ({ user_id, train_run_id, seat_id, from_sequence, to_sequence, seconds }) => {
+            await db.query(
+                `INSERT INTO seat_holds (user_id, train_run_id, seat_id, from_sequence, to_sequence, expires_at)
+                 VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+                [user_id, train_run_id, seat_id, from_sequence, to_sequence, seconds]
+            );
+        },
+
+        // Everything the user holds on a run, live or not
+        listForRun: async (userId, trainRunId) => {
+            const [holds] = await db.query(
+                'SELECT * FROM seat_holds WHERE user_id = ? AND train_run_id = ?',
+                [userId, trainRunId]
+            );
+            return holds;
+        },
+
+        deleteForRun: async (userId, trainRunId) => {
+            await db.query('DELETE FROM seat_holds WHERE user_id = ? AND train_run_id = ?', [userId, trainRunId]);
+        },
+
+        countLive: async (userId) => {
+            const [[{ held }]] = await db.query(
+                'SELECT COUNT(*) as held FROM seat_holds WHERE user_id = ? AND expires_at > NOW()',
+                [userId]
+            );
+            return held;
+        },
+
+        // Seats held live on a leg of a run by anyone but `userId`
+        countOnLeg: async (trainRunId, leg, { userId = null } = {}) => {
+            const [[{ held }]] = await db.query(`
+                SELECT COUNT(DISTINCT h.seat_id) as held
+                FROM seat_holds h
+                WHERE h.train_run_id = ?
+                AND h.expires_at > NOW()
+                AND NOT (h.user_id <=> ?)
+                AND h.from_sequence < ? AND h.to_sequence > ?
+            `, [trainRunId, userId, leg.to_sequence, leg.from_sequence]);
+            return held;
+        },
+
+        // The user's live holds with their seat, coach and run, optionally on
+        // one run only, soonest to expire first
+        listLive: async (userId, { trainRunId = null } = {}) => {
+            const [holds] = await db.query(`
+                SELECT h.id, h.seat_id, s.seat_number, s.class_code, c.coach_code,
+                       h.train_run_id, r.train_id, r.run_date, h.from_sequence, h.to_sequence, h.expires_at
+                FROM seat_holds h
+                JOIN seats s ON h.seat_id = s.id
+                LEFT JOIN coaches c ON s.coach_id = c.id
+                JOIN train_runs r ON h.train_run_id = r.id
+                WHERE h.user_id = ? AND h.expires_at > NOW()
+                ${trainRunId ? 'AND h.train_run_id = ?' : ''}
+                ORDER BY h.expires_at, h.id
+            `, [userId, ...(trainRunId ? [trainRunId] : [])]);
+            return holds;
+        },
+
+        findForUser: async (id, userId) => {
+            const [[hold]] = await db.query('SELECT * FROM seat_holds WHERE id = ? AND user_id = ?', [id, userId]);
+            return hold;
+        },
+
+        deleteByIds: async (ids) => {
+            await db.query('DELETE FROM seat_holds WHERE id IN (?)', [ids]);
+        },
+
+        deleteForSeats: async (userId, trainRunId, seatIds) => {
+            await db.query(
+                'DELETE FROM seat_holds WHERE user_id = ? AND train_run_id = ? AND seat_id IN (?)',
+                [userId, trainRunId, seatIds]
+            );
+        },
+
+        listExpired: async () => {
+            const [holds] = await db.query(
+                'SELECT id, user_id, train_run_id, seat_id, from_sequence, to_sequence FROM seat_holds WHERE expires_at <= NOW()'
+            );
+            return holds;
+        },
+
+        deleteForUser: async (userId) => {
+            await db.query('DELETE FROM seat_holds WHERE user_id = ?', [userId]);
+        },
+
+        // Live holds on any run of the train
+        listLiveForTrain: async (trainId) => {
+            const [holds] = await db.query(`
+                SELECT h.id, h.user_id, h.train_run_id, h.seat_id, h.from_sequence, h.to_sequence
+                FROM seat_holds h
+                JOIN train_runs r ON h.train_run_id = r.id
+                WHERE r.train_id = ? AND h.expires_at > NOW()
+            `, [trainId]);
+            return holds;
+        },
+
+        // Move holds on the train's runs to new stop sequence numbers;
+        // `renumbering` holds [old, new] pairs
+        renumber: async (trainId, renumbering) => {
+            const cases = renumbering.map(() => 'WHEN ? THEN ?').join(' ');
+            const values = renumbering.flat();
+            await db.query(`
+                UPDATE seat_holds h
+                JOIN train_runs r ON h.train_run_id = r.id
+                SET h.from_sequence = CASE h.from_sequence ${cases} ELSE h.from_sequence END,
+                    h.to_sequence = CASE h.to_sequence ${cases} ELSE h.to_sequence END
+                WHERE r.train_id = ?
+            `, [...values, ...values, trainId]);
+        }
+    },
+
+    cancellations: {
+        // Returns the new cancellation's id
+        create: async ({ booking_id, cancelled_by, seats_cancelled, refund_amount, deduction }) => {
+            const [result] = await db.query(
+                'INSERT INTO booking_cancellations (booking_id, cancelled_by, seats_cancelled, refund_amount, deduction) VALUES (?, ?, ?, ?, ?)',
+                [booking_id, cancelled_by, seats_cancelled, refund_amount, deduction]
+            );
+            return result.insertId;
+        },
+
+        addItems: async (cancellationId, items) => {
+            await db.query(
+                'INSERT INTO booking_cancellation_items (cancellation_id, passenger_id, seat_booking_id, seat_id, refund_amount) VALUES ?',
+                [items.map(item => [cancellationId, item.passenger_id, item.seat_booking_id, item.seat_id, item.refund_amount])]
+            );
+        },
+
+        // A booking's cancellations with their refund, oldest first
+        listForBooking: async (bookingId) => {
+            const [cancellations] = await db.query(`
+                SELECT c.*, r.id as refund_id, r.rule_name, r.status as refund_status
+                FROM booking_cancellations c
+                LEFT JOIN refunds r ON r.cancellation_id = c.id
+                WHERE c.booking_id = ?
+                ORDER BY c.id
+            `, [bookingId]);
+            return cancellations;
+        },
+
+        // Items of the given cancellations with the passenger's name and seat number
+        listItems: async (cancellationIds) => {
+            const [items] = await db.query(`
+                SELECT i.*, p.name as passenger_name, s.seat_number
+                FROM booking_cancellation_items i
+                LEFT JOIN passengers p ON i.passenger_id = p.id
+                LEFT JOIN seats s ON i.seat_id = s.id
+                WHERE i.cancellation_id IN (?)
+                ORDER BY i.id
+            `, [cancellationIds]);
+            return items;
+        }
+    },
+
+    refunds: {
+        // Returns the new refund's id
+        create: async ({ booking_id, cancellation_id = null, payment_id = null, amount, deduction = 0, rule_id = null, rule_name = null }) => {
+            const [result] = await db.query(
+                'INSERT INTO refunds (booking_id, cancellation_id, payment_id, amount, deduction, rule_id, rule_name, status) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                [booking_id, cancellation_id, payment_id, amount, deduction, rule_id, rule_name, 'pending']
+            );
+            return result.insertId;
+        },
+
+        findById: async (id) => {
+            const [[refund]] = await db.query('SELECT * FROM refunds WHERE id = ?', [id]);
+            return refund;
+        },
+
+        // Record what the gateway did with a refund; processed ones get processed_at
+        recordOutcome: async (id, { payment_id, status, gateway_reference }) => {
+            await db.query(
+                'UPDATE refunds SET payment_id = ?, status = ?, gateway_reference = ?, processed_at = IF(? = \'processed\', NOW(), NULL) WHERE id = ?',
+                [payment_id, status, gateway_reference, status, id]
+            );
+        },
+
+        markProcessed: async (id) => {
+            await db.query(
+                `UPDATE refunds SET status = 'processed', processed_at = NOW() WHERE id = ?`,
+                [id]
+            );
+        },
+
+        // Refunds of the user's bookings, for a data export
+        listForExport: async (userId) => {
+            const [refunds] = await db.query(`
+                SELECT r.* FROM refunds r
+                JOIN bookings b ON r.booking_id = b.id
+                WHERE b.user_id = ?
+                ORDER BY r.id
+            `, [userId]);
+            return refunds;
+        }
+    },
+
+    refundRules: {
+        listActive: async () => {
+            const [rules] = await db.query('SELECT * FROM refund_rules WHERE is_active = TRUE');
+            return rules;
+        },
+
+        // Active rules first, class rules before the general ones
+        list: async () => {
+            const [rules] = await db.query(
+                'SELECT * FROM refund_rules ORDER BY is_active DESC, class_code IS NULL, priority, min_hours_before DESC'
+            );
+            return rules;
+        },
+
+        findById: async (id) => {
+            const [[rule]] = await db.query('SELECT * FROM refund_rules WHERE id = ?', [id]);
+            return rule;
+        },
+
+        // Returns the new rule's id. A name already in use fails with
+        // ER_DUP_ENTRY, as does update().
+        create: async (rule) => {
+            const [result] = await db.query(
+                `INSERT INTO refund_rules (${REFUND_RULE_FIELDS.join(', ')}) VALUES (?)`,
+                [REFUND_RULE_FIELDS.map(field => rule[field])]
+            );
+            return result.insertId;
+        },
+
+        update: async (id, rule) => {
+            await db.query(
+                `UPDATE refund_rules SET ${REFUND_RULE_FIELDS.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+                [...REFUND_RULE_FIELDS.map(field => rule[field]), id]
+            );
+        },
+
+        // Returns whether the rule exists
+        deactivate: async (id) => {
+            const [result] = await db.query('UPDATE refund_rules SET is_active = FALSE WHERE id = ?', [id]);
+            return result.affectedRows > 0;
+        }
+    },
+
+    payments: {
+        // Returns the new payment's id
+        create: async ({ booking_id, journey_id, gateway, gateway_reference, amount, currency }) => {
+            const [result] = await db.query(
+                'INSERT INTO payments (booking_id, journey_id, gateway, gateway_reference, amount, currency) VALUES (?, ?, ?, ?, ?, ?)',
+                [booking_id, journey_id, gateway, gateway_reference, amount, currency]
+            );
+            return result.insertId;
+        },
+
+        findById: async (id) => {
+            const [[payment]] = await db.query('SELECT * FROM payments WHERE id = ?', [id]);
+            return payment;
+        },
+
+        // Locked for update
+        findByReference: async (gatewayReference) => {
+            const [[payment]] = await db.query(
+                'SELECT * FROM payments WHERE gateway_reference = ? FOR UPDATE',
+                [gatewayReference]
+            );
+            return payment;
+        },
+
+        // A payment through `gateway` for one of the user's bookings
+        findForUser: async (id, userId, gateway) => {
+            const [[payment]] = await db.query(`
+                SELECT p.*
+                FROM payments p
+                JOIN bookings b ON p.booking_id = b.id
+                WHERE p.id = ? AND b.user_id = ? AND p.gateway = ?
+            `, [id, userId, gateway]);
+            return payment;
+        },
+
+        // The latest successful payment covering a booking, directly or
+        // through its journey
+        findSucceededForBooking: async (bookingId) => {
+            const [[payment]] = await db.query(`
+                SELECT p.*
+                FROM payments p
+                JOIN bookings b ON b.id = ?
+                WHERE p.status = 'succeeded' AND (p.booking_id = b.id OR p.journey_id = b.journey_id)
+                ORDER BY p.id DESC
+                LIMIT 1
+            `, [bookingId]);
+            return payment;
+        },
+
+        setStatus: async (id, status) => {
+            await db.query('UPDATE payments SET status = ? WHERE id = ?', [status, id]);
+        },
+
+        // Pending payments of a booking can no longer complete it
+        expirePending: async (bookingId) => {
+            await db.query(
+                `UPDATE payments SET status = 'expired' WHERE booking_id = ? AND status = 'pending'`,
+                [bookingId]
+            );
+        },
+
+        // Payments for the user's bookings, for a data export
+        listForExport: async (userId) => {
+            const [payments] = await db.query(`
+                SELECT p.* FROM payments p
+                JOIN bookings b ON p.booking_id = b.id
+                WHERE b.user_id = ?
+                ORDER BY p.id
+            `, [userId]);
+            return payments;
+        }
+    },
+
+    idempotencyKeys: {
+        // Fails with ER_DUP_ENTRY when the user already has the key
+        create: async ({ user_id, idempotency_key, method, path, request_hash, hours }) => {
+            await db.query(
+                `INSERT INTO idempotency_keys (user_id, idempotency_key, method, path, request_hash, expires_at)
+                 VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+                [user_id, idempotency_key, method, path, request_hash, hours]
+            );
+        },
+
+        find: async (userId, key) => {
+            const [[existing]] = await db.query(
+                'SELECT * FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?',
+                [userId, key]
+            );
+            return existing;
+        },
+
+        complete: async (userId, key, { response_status, response_body }) => {
+            await db.query(
+                `UPDATE idempotency_keys
+                 SET status = 'completed', response_status = ?, response_body = ?
+                 WHERE user_id = ? AND idempotency_key = ?`,
+                [response_status, JSON.stringify(response_body ?? null), userId, key]
+            );
+        },
+
+        // Delete the key if it is still in progress
+        release: async (userId, key) => {
+            await db.query(
+                `DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ? AND status = 'in_progress'`,
+                [userId, key]
+            );
+        },
+
+        // Delete one key if it has expired or been in progress for longer
+        // than `leaseSeconds`, or every such key when none is given. Returns
+        // how many were removed.
+        deleteExpired: async ({ userId, key, leaseSeconds } = {}) => {
+            const [result] = await db.query(`
+                DELETE FROM idempotency_keys
+                WHERE ${userId ? 'user_id = ? AND idempotency_key = ? AND' : ''}
+                (expires_at <= NOW() OR (status = 'in_progress' AND created_at <= DATE_SUB(NOW(), INTERVAL ? SECOND)))
+            `, [...(userId ? [userId, key] : []), leaseSeconds]);
+            return result.affectedRows;
+        },
+
+        deleteForUser: async (userId) => {
+            await db.query('DELETE FROM idempotency_keys WHERE user_id = ?', [userId]);
+        }
+    }
+});
+
+module.exports = { createBookingRepositories };
@@ -0,0 +1,735 @@
+// Trains, their composition, calendar and route, and the stations they call
+// at, over a pool or a transaction's connection.
+
+// Seats are sold per train run and route segment. A booking from stop
+// sequence `from_sequence` to `to_sequence` occupies the segments in between,
+// so two legs clash only when each starts before the other ends.
+const OVERLAPPING_LEG = 'sb.from_sequence < ? AND sb.to_sequence > ?';
+
+// Live seat holds other users have on a leg of a run. Joined on seats `s`,
+// with parameters run id, user id (null for none), to and from sequence.
+const OTHERS_SEAT_HOLDS = `LEFT JOIN seat_holds h ON s.id = h.seat_id
+            AND h.train_run_id = ?
+            AND h.expires_at > NOW()
+            AND NOT (h.user_id <=> ?)
+            AND h.from_sequence < ? AND h.to_sequence > ?`;
+
+// The GROUP_CONCAT of a train's stops as "Name (CODE) -> ...", for train `id`
+const ROUTE_SUMMARY = (id) => `(
+                SELECT GROUP_CONCAT(
+                    CONCAT(s.station_name, ' (', s.station_code, ')')
+                    ORDER BY tr.sequence_number
+                    SEPARATOR ' -> '
+                )
+                FROM train_routes tr
+                JOIN stations s ON tr.station_id = s.id
+                WHERE tr.train_id = ${id}
+            )`;
+
+// Columns outside train_routes that reference a station
+const STATION_REFERENCES = [
+    ['bookings', 'from_station_id'],
+    ['bookings', 'to_station_id'],
+    ['journeys', 'from_station_id'],
+    ['journeys', 'to_station_id']
+];
+
+// Columns of trains that can be changed after creation
+const TRAIN_FIELDS = ['train_number', 'train_name', 'fare', 'fare_mode', 'fare_per_km', 'rac_seats', 'is_active'];
+
+const createTrainRepositories = (db) => ({
+    stations: {
+        list: async () => {
+            const [stations] = await db.query('SELECT id, station_name, station_code FROM stations');
+            return stations;
+        },
+
+        // Stations whose name contains `q` or whose code starts with it, or
+        // every station when there is no `q`, by name
+        search: async (q = null) => {
+            const [stations] = q
+                ? await db.query(
+                    'SELECT id, station_name, station_code FROM stations WHERE station_name LIKE ? OR station_code LIKE ? ORDER BY station_name',
+                    [`%${q}%`, `${q}%`]
+                )
+                : await db.query('SELECT id, station_name, station_code FROM stations ORDER BY station_name');
+            return stations;
+        },
+
+        findById: async (id) => {
+            const [[station]] = await db.query('SELECT id, station_name, station_code FROM stations WHERE id = ?', [id]);
+            return station;
+        },
+
+        // Locked for update when `lock` is set
+        findByIds: async (ids, { lock = false } = {}) => {
+            const [stations] = await db.query(
+                `SELECT id, station_code, station_name FROM stations WHERE id IN (?)${lock ? ' FOR UPDATE' : ''}`,
+                [ids]
+            );
+            return stations;
+        },
+
+        // Returns the new station's id. A code already in use fails with
+        // ER_DUP_ENTRY, as does update().
+        create: async ({ name, code }) => {
+            const [result] = await db.query(
+                'INSERT INTO stations (station_name, station_code) VALUES (?, ?)',
+                [name, code]
+            );
+            return result.insertId;
+        },
+
+        update: async (id, { name, code }) => {
+            await db.query(
+                'UPDATE stations SET station_name = ?, station_code = ? WHERE id = ?',
+                [name, code, id]
+            );
+        },
+
+        // Returns whether the station existed
+        delete: async (id) => {
+            const [result] = await db.query('DELETE FROM stations WHERE id = ?', [id]);
+            return result.affectedRows > 0;
+        },
+
+        // How many route stops and bookings use the station
+        countUsage: async (id) => {
+            const [[usage]] = await db.query(`
+                SELECT
+                    (SELECT COUNT(*) FROM train_routes WHERE station_id = ?) as stops,
+                    (SELECT COUNT(*) FROM bookings WHERE from_station_id = ? OR to_station_id = ?) as bookings
+            `, [id, id, id]);
+            return usage;
+        },
+
+        // Move every route stop, booking and journey at the station over to
+        // `intoId`, then remove it
+        merge: async (id, intoId) => {
+            await db.query('UPDATE train_routes SET station_id = ? WHERE station_id = ?', [intoId, id]);
+            for (const [table, column] of STATION_REFERENCES) {
+                await db.query(`UPDATE ${table} SET ${column} = ? WHERE ${column} = ?`, [intoId, id]);
+            }
+            await db.query('DELETE FROM stations WHERE id = ?', [id]);
+        },
+
+        // Returns the id of the station with `code`, adding it if new
+        findOrCreate: async ({ name, code }) => {
+            const [result] = await db.query(
+                'INSERT IGNORE INTO stations (station_name, station_code) VALUES (?, ?)',
+                [name, code]
+            );
+
+            return result.insertId ||
+                (await db.query('SELECT id FROM stations WHERE station_code = ?', [code]))[0][0].id;
+        },
+
+        // Add a station or rename the one with its code
+        upsert: async ({ name, code }) => {
+            await db.query(
+                'INSERT INTO stations (station_name, station_code) VALUES (?, ?) ON DUPLICATE KEY UPDATE station_name = VALUES(station_name)',
+                [name, code]
+            );
+        }
+    },
+
+    travelClasses: {
+        list: async () => {
+            const [classes] = await db.query('SELECT * FROM travel_classes');
+            return classes;
+        },
+
+        findByCode: async (code) => {
+            const [[travelClass]] = await db.query('SELECT * FROM travel_classes WHERE code = ?', [code]);
+            return travelClass;
+        },
+
+        upsert: async ({ code, name, fare_multiplier, default_layout }) => {
+            await db.query(
+                `INSERT INTO travel_classes (code, name, fare_multiplier, default_layout) VALUES (?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE name = VALUES(name), fare_multiplier = VALUES(fare_multiplier), default_layout = VALUES(default_layout)`,
+                [code, name, fare_multiplier, default_layout]
+            );
+        }
+    },
+
+    trains: {
+        // Locked for update when `lock` is set
+        findById: async (id, { lock = false } = {}) => {
+            const [[train]] = await db.query(`SELECT * FROM trains WHERE id = ?${lock ? ' FOR UPDATE' : ''}`, [id]);
+            return train;
+        },
+
+        findByNumber: async (trainNumber) => {
+            const [[train]] = await db.query('SELECT * FROM trains WHERE train_number = ?', [trainNumber]);
+            return train;
+        },
+
+        // A new train has no seats until coaches are added. Returns its id.
+        create: async ({ train_number, train_name, fare, fare_mode, fare_per_km, rac_seats }) => {
+            const [result] = await db.query(
+                'INSERT INTO trains (train_number, train_name, total_seats, fare, fare_mode, fare_per_km, rac_seats) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [train_number, train_name, 0, fare, fare_mode, fare_per_km, rac_seats]
+            );
+            return result.insertId;
+        },
+
+        // Change any of TRAIN_FIELDS. A train number already in use fails
+        // with ER_DUP_ENTRY.
+        update: async (id, changes) => {
+            const fields = TRAIN_FIELDS.filter(field => changes[field] !== undefined);
+            if (fields.length === 0) {
+                return;
+            }
+
+            await db.query(
+                `UPDATE trains SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+                [...fields.map(field => changes[field]), id]
+            );
+        },
+
+        // Seats do not cascade with their train; the rest of its data does
+        delete: async (id) => {
+            await db.query('DELETE FROM seats WHERE train_id = ?', [id]);
+            await db.query('DELETE FROM trains WHERE id = ?', [id]);
+        },
+
+        // Keep total_seats in step with the train's active seats
+        refreshTotalSeats: async (id) => {
+            await db.query(
+                'UPDATE trains SET total_seats = (SELECT COUNT(*) FROM seats WHERE train_id = ? AND is_active = TRUE) WHERE id = ?',
+                [id, id]
+            );
+        },
+
+        // Active trains calling at both stations in that order, with the
+        // names and timings of the two stops
+        findServing: async (fromStationId, toStationId) => {
+            const [trains] = await db.query(`
+                SELECT
+                    t.id,
+                    t.train_number,
+                    t.train_name,
+                    t.total_seats,
+                    t.fare,
+                    s1.station_name as from_station,
+                    s2.station_name as to_station,
+                    tr1.departure_time as departure_time,
+                    tr2.arrival_time as arrival_time,
+                    tr1.departure_day_offset,
+                    tr2.arrival_day_offset,
+                    tr1.sequence_number as from_sequence,
+                    tr2.sequence_number as to_sequence
+                FROM trains t
+                JOIN train_routes tr1 ON t.id = tr1.train_id AND tr1.station_id = ?
+                JOIN train_routes tr2 ON t.id = tr2.train_id AND tr2.station_id = ?
+                JOIN stations s1 ON tr1.station_id = s1.id
+                JOIN stations s2 ON tr2.station_id = s2.id
+                WHERE tr1.sequence_number < tr2.sequence_number
+                AND t.is_active = TRUE
+            `, [fromStationId, toStationId]);
+            return trains;
+        },
+
+        // Trains with a route, with their end stations, the route as text and
+        // their confirmed bookings; optionally one train number only
+        listSummaries: async ({ trainNumber = null } = {}) => {
+            const [trains] = await db.query(`
+                WITH FirstLastStations AS (
+                    SELECT
+                        t.id,
+                        t.train_number,
+                        t.train_name,
+                        t.total_seats,
+                        t.fare,
+                        t.created_at,
+                        MIN(tr.sequence_number) as first_seq,
+                        MAX(tr.sequence_number) as last_seq
+                    FROM trains t
+                    JOIN train_routes tr ON t.id = tr.train_id
+                    ${trainNumber ? 'WHERE t.train_number = ?' : ''}
+                    GROUP BY t.id
+                )
+                SELECT
+                    f.*,
+                    s1.station_name as from_station,
+                    s1.station_code as from_station_code,
+                    tr1.departure_time,
+                    s2.station_name as to_station,
+                    s2.station_code as to_station_code,
+                    tr2.arrival_time,
+                    ${ROUTE_SUMMARY('f.id')} as route,
+                    (
+                        SELECT COUNT(*)
+                        FROM bookings b
+                        WHERE b.train_id = f.id
+                        AND b.booking_status = 'confirmed'
+                    ) as booked_seats
+                FROM FirstLastStations f
+                JOIN train_routes tr1 ON f.id = tr1.train_id AND tr1.sequence_number = f.first_seq
+                JOIN stations s1 ON tr1.station_id = s1.id
+                JOIN train_routes tr2 ON f.id = tr2.train_id AND tr2.sequence_number = f.last_seq
+                JOIN stations s2 ON tr2.station_id = s2.id
+            `, trainNumber ? [trainNumber] : []);
+            return trains;
+        },
+
+        // Every train with a route, its end stations and the route as text
+        listRoutes: async () => {
+            const [trains] = await db.query(`
+                SELECT
+                    t.id,
+                    t.train_number,
+                    t.train_name,
+                    t.total_seats,
+                    t.fare,
+                    s1.station_name as from_station,
+                    s1.station_code as from_station_code,
+                    tr1.departure_time as from_departure_time,
+                    s2.station_name as to_station,
+                    s2.station_code as to_station_code,
+                    tr2.arrival_time as to_arrival_time,
+                    ${ROUTE_SUMMARY('t.id')} as route
+                FROM trains t
+                JOIN train_routes tr1 ON t.id = tr1.train_id
+                JOIN train_routes tr2 ON t.id = tr2.train_id
+                JOIN stations s1 ON tr1.station_id = s1.id
+                JOIN stations s2 ON tr2.station_id = s2.id
+                WHERE tr1.sequence_number = (
+                    SELECT MIN(sequence_number) FROM train_routes WHERE train_id = t.id
+                )
+                AND tr2.sequence_number = (
+                    SELECT MAX(sequence_number) FROM train_routes WHERE train_id = t.id
+                )
+                GROUP BY t.id
+            `);
+            return trains;
+        },
+
+        // A train with its route as text, null when it has no stops
+        findWithRoute: async (id) => {
+            const [[train]] = await db.query(`
+                SELECT
+                    t.*,
+                    GROUP_CONCAT(
+                        CONCAT(s.station_name, ' (', s.station_code, ')')
+                        ORDER BY tr.sequence_number
+                        SEPARATOR ' -> '
+                    ) as route
+                FROM trains t
+                LEFT JOIN train_routes tr ON t.id = tr.train_id
+                LEFT JOIN stations s ON tr.station_id = s.id
+                WHERE t.id = ?
+                GROUP BY t.id
+            `, [id]);
+            return train;
+        }
+    },
+
+    coaches: {
+        // In marshalling order
+        listForTrain: async (trainId) => {
+            const [coaches] = await db.query(
+                'SELECT * FROM coaches WHERE train_id = ? ORDER BY position',
+                [trainId]
+            );
+            return coaches;
+        },
+
+        lastPosition: async (trainId) => {
+            const [[{ last_position }]] = await db.query(
+                'SELECT COALESCE(MAX(position), 0) as last_position FROM coaches WHERE train_id = ?',
+                [trainId]
+            );
+            return last_position;
+        },
+
+        // The rearmost coach, optionally of one class
+        findLast: async (trainId, classCode = null) => {
+            const [[coach]] = await db.query(`
+                SELECT * FROM coaches
+                WHERE train_id = ? ${classCode ? 'AND class_code = ?' : ''}
+                ORDER BY position DESC
+                LIMIT 1
+            `, [trainId, ...(classCode ? [classCode] : [])]);
+            return coach;
+        },
+
+        // Returns the new coach's id
+        create: async ({ train_id, coach_code, class_code, layout, capacity, position }) => {
+            const [result] = await db.query(
+                'INSERT INTO coaches (train_id, coach_code, class_code, layout, capacity, position) VALUES (?, ?, ?, ?, ?, ?)',
+                [train_id, coach_code, class_code, layout, capacity, position]
+            );
+            return result.insertId;
+        },
+
+        // Delete a train's coaches along with their seats
+        deleteForTrain: async (trainId) => {
+            await db.query('DELETE FROM seats WHERE train_id = ?', [trainId]);
+            await db.query('DELETE FROM coaches WHERE train_id = ?', [trainId]);
+        },
+
+        // Coach capacities count active seats only
+        refreshCapacities: async (trainId) => {
+            await db.query(`
+                UPDATE coaches c
+                SET c.capacity = (SELECT COUNT(*) FROM seats s WHERE s.coach_id = c.id AND s.is_active = TRUE)
+                WHERE c.train_id = ?
+            `, [trainId]);
+        }
+    },
+
+    seats: {
+        // Rows of train_id, coach_id, seat_number, berth_number, seat_type and class_code
+        createMany: async (seats) => {
+            await db.query(
+                'INSERT INTO seats (train_id, coach_id, seat_number, berth_number, seat_type, class_code) VALUES ?',
+                [seats.map(seat => [seat.train_id, seat.coach_id, seat.seat_number, seat.berth_number, seat.seat_type, seat.class_code])]
+            );
+        },
+
+        // Active or retired seats of a train (optionally one class) with their
+        // coach, in marshalling order and locked for update
+        listForTrain: async (trainId, { active, classCode = null }) => {
+            const [seats] = await db.query(`
+                SELECT s.*, c.coach_code, c.layout
+                FROM seats s
+                LEFT JOIN coaches c ON s.coach_id = c.id
+                WHERE s.train_id = ? AND s.is_active = ?
+                ${classCode ? 'AND s.class_code = ?' : ''}
+                ORDER BY c.position, s.berth_number, s.id
+                FOR UPDATE
+            `, [trainId, active, ...(classCode ? [classCode] : [])]);
+            return seats;
+        },
+
+        // Active seats of a train (optionally only `seatIds` or one class),
+        // each with the id of a booking on an overlapping leg of the run and
+        // of a live hold on it by anyone but `userId`, or null. A seat can
+        // appear once per clashing booking or hold. Pass `lock` inside a
+        // transaction to hold the seat rows until it commits.
+        findOnLeg: async (trainId, trainRunId, leg, { seatIds = null, classCode = null, userId = null, lock = false } = {}) => {
+            const [seats] = await db.query(`
+                SELECT s.*, sb.id as seat_booking_id, h.id as seat_hold_id
+                FROM seats s
+                LEFT JOIN seat_bookings sb ON s.id = sb.seat_id
+                    AND sb.train_run_id = ?
+                    AND sb.status = 'booked'
+                    AND ${OVERLAPPING_LEG}
+                ${OTHERS_SEAT_HOLDS}
+                WHERE s.train_id = ?
+                AND s.is_active = TRUE
+                ${seatIds ? 'AND s.id IN (?)' : ''}
+                ${classCode ? 'AND s.class_code = ?' : ''}
+                ORDER BY s.id
+                ${lock ? 'FOR UPDATE' : ''}
+            `, [
+                trainRunId, leg.to_sequence, leg.from_sequence,
+                trainRunId, userId, leg.to_sequence, leg.from_sequence,
+                trainId, ...(seatIds ? [seatIds] : []), ...(classCode ? [classCode] : [])
+            ]);
+            return seats;
+        },
+
+        // Active seats of a train with their coach and status on a leg of a
+        // run: booked, held, held_by_you (held by `userId`) or available
+        getSeatMap: async (trainId, trainRunId, leg, userId, { classCode = null } = {}) => {
+            const [seats] = await db.query(`
+                SELECT
+                    s.id,
+                    s.seat_number,
+                    s.seat_type,
+                    s.berth_number,
+                    s.class_code,
+                    c.coach_code,
+                    CASE
+                        WHEN EXISTS (
+                            SELECT 1 FROM seat_bookings sb
+                            WHERE sb.seat_id = s.id
+                            AND sb.train_run_id = ?
+                            AND sb.status = 'booked'
+                            AND ${OVERLAPPING_LEG}
+                        ) THEN 'booked'
+                        WHEN EXISTS (
+                            SELECT 1 FROM seat_holds h
+                            WHERE h.seat_id = s.id
+                            AND h.train_run_id = ?
+                            AND h.expires_at > NOW()
+                            AND h.from_sequence < ? AND h.to_sequence > ?
+                            AND h.user_id <> ?
+                        ) THEN 'held'
+                        WHEN EXISTS (
+                            SELECT 1 FROM seat_holds h
+                            WHERE h.seat_id = s.id
+                            AND h.train_run_id = ?
+                            AND h.expires_at > NOW()
+                            AND h.from_sequence < ? AND h.to_sequence > ?
+                            AND h.user_id = ?
+                        ) THEN 'held_by_you'
+                        ELSE 'available'
+                    END as status
+                FROM seats s
+                LEFT JOIN coaches c ON s.coach_id = c.id
+                WHERE s.train_id = ?
+                AND s.is_active = TRUE
+                ${classCode ? 'AND s.class_code = ?' : ''}
+                ORDER BY c.position, s.berth_number, s.id
+            `, [
+                trainRunId, leg.to_sequence, leg.from_sequence,
+                trainRunId, leg.to_sequence, leg.from_sequence, userId,
+                trainRunId, leg.to_sequence, leg.from_sequence, userId,
+                trainId, ...(classCode ? [classCode] : [])
+            ]);
+            return seats;
+        },
+
+        countActive: async (trainId, classCode) => {
+            const [[{ seats }]] = await db.query(
+                'SELECT COUNT(*) as seats FROM seats WHERE train_id = ? AND class_code = ? AND is_active = TRUE',
+                [trainId, classCode]
+            );
+            return seats;
+        },
+
+        lastBerth: async (coachId) => {
+            const [[{ last_berth }]] = await db.query(
+                'SELECT COALESCE(MAX(berth_number), 0) as last_berth FROM seats WHERE coach_id = ?',
+                [coachId]
+            );
+            return last_berth;
+        },
+
+        setActive: async (ids, active) => {
+            await db.query('UPDATE seats SET is_active = ? WHERE id IN (?)', [active, ids]);
+        },
+
+        // Travel classes a train carries with their seat counts, cheapest first
+        listClasses: async (trainId) => {
+            const [classes] = await db.query(`
+                SELECT s.class_code, tc.name as class_name, COUNT(*) as total_seats
+                FROM seats s
+                JOIN travel_classes tc ON s.class_code = tc.code
+                WHERE s.train_id = ? AND s.is_active = TRUE
+                GROUP BY s.class_code, tc.name, tc.fare_multiplier
+                ORDER BY tc.fare_multiplier
+            `, [trainId]);
+            return classes;
+        }
+    },
+
+    schedules: {
+        find: async (trainId) => {
+            const [[schedule]] = await db.query(
+                'SELECT * FROM train_schedules WHERE train_id = ?',
+                [trainId]
+            );
+            return schedule;
+        },
+
+        listExceptions: async (trainId) => {
+            const [exceptions] = await db.query(
+                'SELECT * FROM train_schedule_exceptions WHERE train_id = ? ORDER BY exception_date',
+                [trainId]
+            );
+            return exceptions;
+        },
+
+        save: async (trainId, { running_days, valid_from, valid_until }) => {
+            await db.query(
+                `INSERT INTO train_schedules (train_id, running_days, valid_from, valid_until)
+                 VALUES (?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE
+                    running_days = VALUES(running_days),
+                    valid_from = VALUES(valid_from),
+                    valid_until = VALUES(valid_until)`,
+                [trainId, running_days.join(','), valid_from, valid_until || null]
+            );
+        },
+
+        replaceExceptions: async (trainId, exceptions) => {
+            await db.query('DELETE FROM train_schedule_exceptions WHERE train_id = ?', [trainId]);
+            for (const exception of exceptions) {
+                await db.query(
+                    'INSERT INTO train_schedule_exceptions (train_id, exception_date, exception_type, reason) VALUES (?, ?, ?, ?)',
+                    [trainId, exception.date, exception.type, exception.reason || null]
+                );
+            }
+        },
+
+        // Add an exception, or replace the one on its date
+        saveException: async (trainId, { date, type, reason }) => {
+            await db.query(
+                `INSERT INTO train_schedule_exceptions (train_id, exception_date, exception_type, reason)
+                 VALUES (?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE exception_type = VALUES(exception_type), reason = VALUES(reason)`,
+                [trainId, date, type, reason || null]
+            );
+        }
+    },
+
+    runs: {
+        find: async (trainId, runDate) => {
+            const [[run]] = await db.query(
+                'SELECT * FROM train_runs WHERE train_id = ? AND run_date = ?',
+                [trainId, runDate]
+            );
+            return run;
+        },
+
+        // Materialise a run so bookings can reference it
+        ensure: async (trainId, runDate) => {
+            await db.query(
+                'INSERT IGNORE INTO train_runs (train_id, run_date) VALUES (?, ?)',
+                [trainId, runDate]
+            );
+        },
+
+        listBetween: async (trainId, from, to) => {
+            const [runs] = await db.query(
+                'SELECT id, run_date FROM train_runs WHERE train_id = ? AND run_date BETWEEN ? AND ?',
+                [trainId, from, to]
+            );
+            return runs;
+        },
+
+        // Runs from today onwards, earliest first
+        listUpcoming: async (trainId) => {
+            const [runs] = await db.query(
+                'SELECT id FROM train_runs WHERE train_id = ? AND run_date >= CURDATE() ORDER BY run_date',
+                [trainId]
+            );
+            return runs;
+        },
+
+        // Run dates from today onwards that still carry active bookings
+        listBookedDates: async (trainId) => {
+            const [runs] = await db.query(`
+                SELECT DISTINCT r.run_date
+                FROM train_runs r
+                JOIN bookings b ON b.train_run_id = r.id
+                WHERE r.train_id = ?
+                AND r.run_date >= CURDATE()
+                AND b.booking_status IN ('payment_pending', 'confirmed', 'rac', 'waitlisted')
+                ORDER BY r.run_date
+            `, [trainId]);
+            return runs;
+        },
+
+        // A run with its train's number and name
+        findWithTrain: async (trainId, runDate) => {
+            const [[run]] = await db.query(`
+                SELECT r.id, r.run_date, t.train_number, t.train_name
+                FROM train_runs r
+                JOIN trains t ON r.train_id = t.id
+                WHERE r.train_id = ? AND r.run_date = ?
+            `, [trainId, runDate]);
+            return run;
+        }
+    },
+
+    routes: {
+        // A train's stops in travel order with their station's code and name
+        listStops: async (trainId) => {
+            const [stops] = await db.query(`
+                SELECT tr.station_id, tr.sequence_number, tr.arrival_time, tr.departure_time,
+                       tr.arrival_day_offset, tr.departure_day_offset, tr.distance_km,
+                       s.station_code, s.station_name
+                FROM train_routes tr
+                JOIN stations s ON tr.station_id = s.id
+                WHERE tr.train_id = ?
+                ORDER BY tr.sequence_number
+            `, [trainId]);
+            return stops;
+        },
+
+        // The train's stops at any of `stationIds`, in route order
+        findStops: async (trainId, stationIds) => {
+            const [stops] = await db.query(
+                `SELECT station_id, sequence_number, distance_km,
+                        arrival_time, arrival_day_offset, departure_time, departure_day_offset
+                 FROM train_routes
+                 WHERE train_id = ? AND station_id IN (?)
+                 ORDER BY sequence_number`,
+                [trainId, stationIds]
+            );
+            return stops;
+        },
+
+        // Sequence numbers spanning the whole route, nulls when it has no stops
+        getSpan: async (trainId) => {
+            const [[route]] = await db.query(
+                'SELECT MIN(sequence_number) as from_sequence, MAX(sequence_number) as to_sequence FROM train_routes WHERE train_id = ?',
+                [trainId]
+            );
+            return route;
+        },
+
+        countMissingDistances: async (trainId) => {
+            const [[{ missing }]] = await db.query(
+                'SELECT COUNT(*) as missing FROM train_routes WHERE train_id = ? AND distance_km IS NULL',
+                [trainId]
+            );
+            return missing;
+        },
+
+        // Replace a train's stops with `stops`, numbered in the order given
+        replace: async (trainId, stops) => {
+            await db.query('DELETE FROM train_routes WHERE train_id = ?', [trainId]);
+            for (const [index, stop] of stops.entries()) {
+                await db.query(
+                    'INSERT INTO train_routes (train_id, station_id, sequence_number, arrival_time, departure_time, arrival_day_offset, departure_day_offset, distance_km) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                    [trainId, stop.station_id, index + 1, stop.arrival_time ?? null, stop.departure_time ?? null, stop.arrival_day_offset, stop.departure_day_offset, stop.distance_km ?? null]
+                );
+            }
+        },
+
+        // Stops of every train in service, by train then in route order, with
+        // the train's number and name
+        listTimetableStops: async () => {
+            const [stops] = await db.query(`
+                SELECT tr.train_id, tr.station_id, tr.sequence_number,
+                       tr.arrival_time, tr.arrival_day_offset, tr.departure_time, tr.departure_day_offset,
+                       t.train_number, t.train_name
+                FROM train_routes tr
+                JOIN trains t ON t.id = tr.train_id
+                WHERE t.is_active = TRUE
+                ORDER BY tr.train_id, tr.sequence_number
+            `);
+            return stops;
+        },
+
+        // Trains calling at the station with their stop there, by departure
+        listCallingAt: async (stationId) => {
+            const [trains] = await db.query(`
+                SELECT t.id, t.train_number, t.train_name, t.is_active,
+                       tr.sequence_number, tr.arrival_time, tr.arrival_day_offset,
+                       tr.departure_time, tr.departure_day_offset
+                FROM train_routes tr
+                JOIN trains t ON tr.train_id = t.id
+                WHERE tr.station_id = ?
+                ORDER BY tr.departure_time
+            `, [stationId]);
+            return trains;
+        },
+
+        // Numbers of the trains calling at both stations
+        listSharedTrains: async (stationId, otherStationId) => {
+            const [trains] = await db.query(`
+                SELECT t.train_number
+                FROM train_routes a
+                JOIN train_routes b ON a.train_id = b.train_id
+                JOIN trains t ON a.train_id = t.id
+                WHERE a.station_id = ? AND b.station_id = ?
+            `, [stationId, otherStationId]);
+            return trains.map(train => train.train_number);
+        }
+    }
+});
+
+module.exports = {
+    OVERLAPPING_LEG,
+    STATION_REFERENCES,
+    TRAIN_FIELDS,
+    createTrainRepositories
+};
@@ -0,0 +1,352 @@
+const { SAVED_PASSENGER_FIELDS } = require('../../utils/passengers');
+
+// Accounts and everything that authenticates them, over a pool or a
+// transaction's connection.
+const createUserRepositories = (db) => ({
+    users: {
+        // Locked for update when `lock` is set
+        findById: async (id, { lock = false } = {}) => {
+            const [[user]] = await db.query(`SELECT * FROM users WHERE id = ?${lock ? ' FOR UPDATE' : ''}`, [id]);
+            return user;
+        },
+
+        list: async () => {
+            const [users] = await db.query(
+                'SELECT id, username, email, role, is_active, created_at FROM users ORDER BY id'
+            );
+            return users;
+        },
+
+        findByEmail: async (email) => {
+            const [[user]] = await db.query('SELECT * FROM users WHERE email = ?', [email]);
+            return user;
+        },
+
+        findByEmailOrUsername: async (email, username) => {
+            const [[user]] = await db.query(
+                'SELECT * FROM users WHERE email = ? OR username = ?',
+                [email, username]
+            );
+            return user;
+        },
+
+        // An active user by email; only one still to verify it if `unverified`
+        findActiveByEmail: async (email, { unverified = false } = {}) => {
+            const [[user]] = await db.query(
+                `SELECT * FROM users WHERE email = ? AND is_active = TRUE${unverified ? ' AND email_verified_at IS NULL' : ''}`,
+                [email]
+            );
+            return user;
+        },
+
+        // Returns the new user's id. Users created verified skip the email.
+        create: async ({ username, email, password, role = 'user', full_name = null, verified = false }) => {
+            const [result] = await db.query(
+                `INSERT INTO users (username, email, password, role, full_name, email_verified_at)
+                 VALUES (?, ?, ?, ?, ?, ${verified ? 'NOW()' : 'NULL'})`,
+                [username, email, password, role, full_name]
+            );
+            return result.insertId;
+        },
+
+        // Bring a user's name and role in line and re-enable the account
+        updateProfile: async (id, { username, role, full_name }) => {
+            await db.query(
+                'UPDATE users SET username = ?, role = ?, full_name = ?, is_active = TRUE WHERE id = ?',
+                [username, role, full_name, id]
+            );
+        },
+
+        // A user's own contact details; `unverify` when the email changed
+        updateContact: async (id, { username, email, full_name, phone, unverify = false }) => {
+            await db.query(
+                `UPDATE users SET username = ?, email = ?, full_name = ?, phone = ?${unverify ? ', email_verified_at = NULL' : ''} WHERE id = ?`,
+                [username, email, full_name, phone, id]
+            );
+        },
+
+        setPreferences: async (id, preferences) => {
+            await db.query('UPDATE users SET preferences = ? WHERE id = ?', [JSON.stringify(preferences), id]);
+        },
+
+        // Scrub a deleted account of everything identifying its user.
+        // `password` is a hash nobody knows the password for.
+        anonymise: async (id, password) => {
+            await db.query(`
+                UPDATE users
+                SET username = CONCAT('deleted_', id),
+                    email = CONCAT('deleted_', id, '@deleted.invalid'),
+                    password = ?,
+                    full_name = NULL,
+                    phone = NULL,
+                    preferences = NULL,
+                    is_active = FALSE,
+                    deleted_at = NOW()
+                WHERE id = ?
+            `, [password, id]);
+        },
+
+        // A password set through an emailed link also proves the address
+        setPassword: async (id, password, { verifyEmail = false } = {}) => {
+            await db.query(
+                `UPDATE users SET password = ?${verifyEmail ? ', email_verified_at = COALESCE(email_verified_at, NOW())' : ''} WHERE id = ?`,
+                [password, id]
+            );
+        },
+
+        markEmailVerified: async (id) => {
+            await db.query(
+                'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?',
+                [id]
+            );
+        },
+
+        bumpTokenVersion: async (id) => {
+            await db.query('UPDATE users SET token_version = token_version + 1 WHERE id = ?', [id]);
+        },
+
+        setRole: async (id, role) => {
+            await db.query('UPDATE users SET role = ? WHERE id = ?', [role, id]);
+        },
+
+        setActive: async (id, isActive) => {
+            await db.query('UPDATE users SET is_active = ? WHERE id = ?', [isActive, id]);
+        },
+
+        // Locked for update, so two demotions cannot both leave no admin
+        // Ids of the active admins, locked for update so no other
+        // transaction can demote or disable one until this one ends
+        lockActiveAdmins: async () => {
+            const [rows] = await db.query(
+                "SELECT id FROM users WHERE role = 'admin' AND is_active = TRUE FOR UPDATE"
+            );
+            return rows.map(row => row.id);
+        }
+    },
+
+    refreshTokens: {
+        create: async ({ user_id, token_hash, family_id, days }) => {
+            const [result] = await db.query(
+                'INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at) VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))',
+                [user_id, token_hash, family_id, days]
+            );
+            return result.insertId;
+        },
+
+        // With its user's role, token_version and is_active, and whether it
+        // has expired. Locked for update when `lock` is set.
+        findByHash: async (tokenHash, { lock = false } = {}) => {
+            const [[token]] = await db.query(`
+                SELECT rt.*, rt.expires_at <= NOW() as expired, u.role, u.token_version, u.is_active
+                FROM refresh_tokens rt
+                JOIN users u ON rt.user_id = u.id
+                WHERE rt.token_hash = ?
+                ${lock ? 'FOR UPDATE' : ''}
+            `, [tokenHash]);
+            return token;
+        },
+
+        markReplaced: async (id, replacedBy) => {
+            await db.query(
+                'UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = ? WHERE id = ?',
+                [replacedBy, id]
+            );
+        },
+
+        revokeFamily: async (familyId) => {
+            await db.query(
+                'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL',
+                [familyId]
+            );
+        },
+
+        revokeForUser: async (userId) => {
+            await db.query(
+                'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+                [userId]
+            );
+        }
+    },
+
+    userTokens: {
+        voidUnused: async (userId, purpose) => {
+            await db.query(
+                'UPDATE user_tokens SET used_at = NOW() WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+                [userId, purpose]
+            );
+        },
+
+        create: async ({ user_id, purpose, token_hash, minutes }) => {
+            await db.query(
+                'INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at) VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))',
+                [user_id, purpose, token_hash, minutes]
+            );
+        },
+
+        // An unused, unexpired token, locked for update
+        findUsable: async (tokenHash, purpose) => {
+            const [[token]] = await db.query(`
+                SELECT id, user_id
+                FROM user_tokens
+                WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > NOW()
+                FOR UPDATE
+            `, [tokenHash, purpose]);
+            return token;
+        },
+
+        markUsed: async (id) => {
+            await db.query('UPDATE user_tokens SET used_at = NOW() WHERE id = ?', [id]);
+        },
+
+        deleteForUser: async (userId) => {
+            await db.query('DELETE FROM user_tokens WHERE user_id = ?', [userId]);
+        }
+    },
+
+    lockoutEvents: {
+        create: async ({ scope, identifier, user_id, ip_address, failures, minutes }) => {
+            await db.query(
+                'INSERT INTO lockout_events (scope, identifier, user_id, ip_address, failures, lockout_minutes, locked_until) VALUES (?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))',
+                [scope, identifier, user_id, ip_address, failures, minutes, minutes]
+            );
+        },
+
+        // Newest first, with the locked out user's username
+        list: async ({ scope = null, limit }) => {
+            const [lockouts] = await db.query(`
+                SELECT l.*, u.username
+                FROM lockout_events l
+                LEFT JOIN users u ON l.user_id = u.id
+                ${scope ? 'WHERE l.scope = ?' : ''}
+                ORDER BY l.id DESC
+                LIMIT ?
+            `, [...(scope ? [scope] : []), limit]);
+            return lockouts;
+        }
+    },
+
+    apiKeys: {
+        // Returns the new key's id
+        create: async ({ name, key_prefix, key_hash, permissions, user_id, created_by }) => {
+            const [result] = await db.query(
+                'INSERT INTO api_keys (name, key_prefix, key_hash, permissions, user_id, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+                [name, key_prefix, key_hash, JSON.stringify(permissions), user_id, created_by]
+            );
+            return result.insertId;
+        },
+
+        // An unrevoked key of an active user, with the user's role
+        findActiveByHash: async (keyHash) => {
+            const [[key]] = await db.query(`
+                SELECT k.id, k.user_id, k.permissions, u.role
+                FROM api_keys k
+                JOIN users u ON k.user_id = u.id
+                WHERE k.key_hash = ? AND k.revoked_at IS NULL AND u.is_active = TRUE
+            `, [keyHash]);
+            return key;
+        },
+
+        markUsed: async (id) => {
+            await db.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = ?', [id]);
+        },
+
+        // Every key with its user's username, without secrets
+        list: async () => {
+            const [keys] = await db.query(`
+                SELECT k.id, k.name, k.key_prefix, k.permissions, k.user_id, u.username,
+                       k.created_by, k.last_used_at, k.revoked_at, k.created_at
+                FROM api_keys k
+                JOIN users u ON k.user_id = u.id
+                ORDER BY k.id
+            `);
+            return keys;
+        },
+
+        // Returns whether an unrevoked key was revoked
+        revoke: async (id) => {
+            const [result] = await db.query(
+                'UPDATE api_keys SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL',
+                [id]
+            );
+            return result.affectedRows > 0;
+        },
+
+        revokeForUser: async (userId) => {
+            await db.query(
+                'UPDATE api_keys SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+                [userId]
+            );
+        }
+    },
+
+    auditLogs: {
+        create: async ({ user_id, api_key_id, method, path, status_code }) => {
+            await db.query(
+                'INSERT INTO audit_logs (user_id, api_key_id, method, path, status_code) VALUES (?, ?, ?, ?, ?)',
+                [user_id, api_key_id, method, path, status_code]
+            );
+        },
+
+        // Newest first, with the username and API key name
+        list: async ({ userId = null, limit }) => {
+            const [entries] = await db.query(`
+                SELECT a.*, u.username, k.name as api_key_name
+                FROM audit_logs a
+                LEFT JOIN users u ON a.user_id = u.id
+                LEFT JOIN api_keys k ON a.api_key_id = k.id
+                ${userId ? 'WHERE a.user_id = ?' : ''}
+                ORDER BY a.id DESC
+                LIMIT ?
+            `, [...(userId ? [userId] : []), limit]);
+            return entries;
+        }
+    },
+
+    savedPassengers: {
+        findForUser: async (userId, ids) => {
+            const [saved] = await db.query(
+                'SELECT * FROM saved_passengers WHERE user_id = ? AND id IN (?)',
+                [userId, ids]
+            );
+            return saved;
+        },
+
+        listForUser: async (userId) => {
+            const [saved] = await db.query('SELECT * FROM saved_passengers WHERE user_id = ? ORDER BY name', [userId]);
+            return saved;
+        },
+
+        find: async (id, userId) => {
+            const [[saved]] = await db.query('SELECT * FROM saved_passengers WHERE id = ? AND user_id = ?', [id, userId]);
+            return saved;
+        },
+
+        // Returns the new saved passenger's id
+        create: async (userId, passenger) => {
+            const [result] = await db.query(
+                `INSERT INTO saved_passengers (user_id, ${SAVED_PASSENGER_FIELDS.join(', ')}) VALUES (?, ?)`,
+                [userId, SAVED_PASSENGER_FIELDS.map(field => passenger[field] ?? null)]
+            );
+            return result.insertId;
+        },
+
+        update: async (id, passenger) => {
+            await db.query(
+                `UPDATE saved_passengers SET ${SAVED_PASSENGER_FIELDS.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+                [...SAVED_PASSENGER_FIELDS.map(field => passenger[field]), id]
+            );
+        },
+
+        // Returns whether the user had the saved passenger
+        delete: async (id, userId) => {
+            const [result] = await db.query('DELETE FROM saved_passengers WHERE id = ? AND user_id = ?', [id, userId]);
+            return result.affectedRows > 0;
+        },
+
+        deleteForUser: async (userId) => {
+            await db.query('DELETE FROM saved_passengers WHERE user_id = ?', [userId]);
+        }
+    }
+});
+
+module.exports = { createUserRepositories };
@@ -0,0 +1,55 @@
+const pool = require('../config/database');
+const { createUserRepositories } = require('./mysql/users');
+const { createTrainRepositories } = require('./mysql/trains');
+const { createBookingRepositories } = require('./mysql/bookings');
+
+// Repositories over `db`, the pool or a transaction's connection
+const createRepositories = (db) => ({
+    ...createUserRepositories(db),
+    ...createTrainRepositories(db),
+    ...createBookingRepositories(db)
+});
+
+const repositories = createRepositories(pool);
+
+// A transaction on a connection of its own, released once it commits or
+// rolls back
+const begin = async () => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+    } catch (err) {
+        connection.release();
+        throw err;
+    }
+
+    return {
+        repositories: createRepositories(connection),
+
+        commit: async () => {
+            try {
+                await connection.commit();
+            } catch (err) {
+                await connection.rollback();
+                throw err;
+            } finally {
+                connection.release();
+            }
+        },
+
+        rollback: async () => {
+            try {
+                await connection.rollback();
+            } finally {
+                connection.release();
+            }
+        }
+    };
+};
+
+module.exports = {
+    name: 'mysql',
+    repositories,
+    begin,
+    createRepositories
+};
@@ -0,0 +1,346 @@
+const express = require('express');
+const router = express.Router();
+const { getStore } = require('../repositories');
+const { authorize, bootstrapKey } = require('../middleware/auth');
+const { body, validationResult, query } = require('express-validator');
+const { PERMISSIONS, ROLES } = require('../config/roles');
+const { getAuditLogs } = require('../utils/auditLog');
+const { recordAudit } = require('../utils/auditLog');
+const adminService = require('../services/adminService');
+
+// Send a { status, message, ... } error from the admin service
+const sendError = (res, { status, ...details }) => res.status(status).json({
+    success: false,
+    ...details
+});
+
+// Make the first admin from a registered account, with the deployment-wide
+// ADMIN_API_KEY. Returns the admin's own API key; from then on every admin
+// action is made, and logged, under a user account.
+router.post('/bootstrap',
+    bootstrapKey,
+    [
+        body('email').isEmail()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { userId, apiKeyId, apiKey, error } = await adminService.bootstrapAdmin(req.body.email);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            await recordAudit(getStore().repositories, { user_id: userId, api_key_id: apiKeyId }, req, 201);
+
+            res.status(201).json({
+                success: true,
+                message: 'Admin created; store the API key now, it cannot be shown again',
+                user_id: userId,
+                api_key_id: apiKeyId,
+                api_key: apiKey
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error creating admin'
+            });
+        }
+    }
+);
+
+// List users with their roles
+router.get('/users',
+    authorize('users:manage'),
+    async (req, res) => {
+        try {
+            const users = await adminService.listUsers();
+
+            res.json({
+                success: true,
+                users
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching users'
+            });
+        }
+    }
+);
+
+// Change a user's role. The last active admin keeps theirs.
+router.patch('/users/:userId/role',
+    authorize('users:manage'),
+    [
+        body('role').isIn(Object.keys(ROLES))
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { error } = await adminService.changeRole(req.params.userId, req.body.role);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.json({
+                success: true,
+                message: 'User role updated successfully'
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating user role'
+            });
+        }
+    }
+);
+
+// Disable or re-enable a user's account. Disabling signs the user out of
+// every session at once; the last active admin cannot be disabled.
+router.patch('/users/:userId/status',
+    authorize('users:manage'),
+    [
+        body('is_active').isBoolean().toBoolean()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { is_active } = req.body;
+
+            const { error } = await adminService.setUserActive(req.params.userId, is_active);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.json({
+                success: true,
+                message: is_active ? 'User enabled successfully' : 'User disabled successfully'
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating user status'
+            });
+        }
+    }
+);
+
+// List API keys, without their secrets
+router.get('/api-keys',
+    authorize('api_keys:manage'),
+    async (req, res) => {
+        try {
+            const keys = await adminService.listApiKeys();
+
+            res.json({
+                success: true,
+                api_keys: keys
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching API keys'
+            });
+        }
+    }
+);
+
+// Issue an API key to a user, scoped to some of the permissions their role
+// grants. The key is only ever returned here.
+router.post('/api-keys',
+    authorize('api_keys:manage'),
+    [
+        body('name').trim().notEmpty().isLength({ max: 100 }),
+        body('user_id').optional().isInt().toInt(),
+        body('permissions').isArray({ min: 1 }),
+        body('permissions.*').isIn(PERMISSIONS)
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { apiKeyId, apiKey, error } = await adminService.issueApiKey({
+                name: req.body.name,
+                userId: req.body.user_id || req.actor.user_id,
+                permissions: req.body.permissions,
+                createdBy: req.actor.user_id
+            });
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.status(201).json({
+                success: true,
+                message: 'API key issued; store it now, it cannot be shown again',
+                api_key_id: apiKeyId,
+                api_key: apiKey
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error issuing API key'
+            });
+        }
+    }
+);
+
+// Revoke an API key
+router.delete('/api-keys/:keyId',
+    authorize('api_keys:manage'),
+    async (req, res) => {
+        try {
+            const { error } = await adminService.revokeApiKey(req.params.keyId);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.json({
+                success: true,
+                message: 'API key revoked successfully'
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error revoking API key'
+            });
+        }
+    }
+);
+
+// Recent changes made through permission-checked routes
+router.get('/audit-logs',
+    authorize('audit_logs:read'),
+    [
+        query('user_id').optional().isInt().toInt(),
+        query('limit').optional().isInt({ min: 1, max: 500 }).toInt()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const entries = await getAuditLogs(getStore().repositories, {
+                userId: req.query.user_id,
+                limit: req.query.limit
+            });
+
+            res.json({
+                success: true,
+                entries
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching audit logs'
+            });
+        }
+    }
+);
+
+// Lockouts after repeated failed logins, most recent first
+router.get('/lockouts',
+    authorize('audit_logs:read'),
+    [
+        query('scope').optional().isIn(['account', 'ip']),
+        query('limit').optional().isInt({ min: 1, max: 500 }).toInt()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const lockouts = await adminService.listLockouts({
+                scope: req.query.scope,
+                limit: req.query.limit
+            });
+
+            res.json({
+                success: true,
+                lockouts
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching lockouts'
+            });
+        }
+    }
+);
+
+// Lift a user's login lockout early
+router.post('/users/:userId/unlock',
+    authorize('users:manage'),
+    async (req, res) => {
+        try {
+            const { error } = await adminService.unlockUser(req.params.userId);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.json({
+                success: true,
+                message: 'User unlocked successfully'
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error unlocking user'
+            });
+        }
+    }
+);
+
+// Look up any customer's booking, for support
+router.get('/bookings/:bookingId',
+    authorize('bookings:read'),
+    async (req, res) => {
+        try {
+            const { booking, error } = await adminService.getBooking(req.params.bookingId);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.json({
+                success: true,
+                booking
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching booking details'
+            });
+        }
+    }
+);
+
+module.exports = router;
@@ -1,9 +1,22 @@
 const express = require('express');
 const router = express.Router();
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const pool = require('../config/database');
+const { auth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 const { body, validationResult } = require('express-validator');
+const authService = require('../services/authService');
+
+// Send a { status, message, ... } error from the auth service
+const sendError = (res, { status, ...details }) => res.status(status).json({
+    success: false,
+    ...details
+});
+
+// Same reply whether or not the email belongs to an account, so the
+// endpoint cannot be used to find out who is registered
+const EMAIL_SENT_REPLY = {
+    success: true,
+    message: 'If an account exists for that email, a message has been sent to it'
+};
 
 // Register user
 router.post('/register',
@@ -21,32 +34,14 @@ router.post('/register',
 
             const { username, email, password } = req.body;
 
-            // Check if user already exists
-            const [existingUsers] = await pool.query(
-                'SELECT * FROM users WHERE email = ? OR username = ?',
-                [email, username]
-            );
-
-            if (existingUsers.length > 0) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'User already exists'
-                });
+            const { error } = await authService.register({ username, email, password });
+            if (error) {
+                return sendError(res, error);
             }
 
-            // Hash password
-            const salt = await bcrypt.genSalt(10);
-            const hashedPassword = await bcrypt.hash(password, salt);
-
-            // Create user
-            const [result] = await pool.query(
-                'INSERT INTO users (username, email, password) VALUES (?, ?, ?)',
-                [username, email, hashedPassword]
-            );
-
             res.status(201).json({
                 success: true,
-                message: 'User registered successfully'
+                message: 'User registered successfully, check your email to verify your address'
             });
         } catch (err) {
             console.error(err);
@@ -60,6 +55,7 @@ router.post('/register',
 
 // Login user
 router.post('/login',
+    rateLimit('login'),
     [
         body('email').isEmail(),
         body('password').exists()
@@ -73,55 +69,259 @@ router.post('/login',
 
             const { email, password } = req.body;
 
-            // Check if user exists
-            const [users] = await pool.query(
-                'SELECT * FROM users WHERE email = ?',
-                [email]
-            );
-
-            if (users.length === 0) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Invalid credentials'
-                });
+            const { tokens, user, error } = await authService.login({ email, password, ip: req.ip });
+            if (error) {
+                // Locked out after too many failed attempts
+                if (error.locked_until) {
+                    res.set('Retry-After', String(Math.ceil((error.locked_until - Date.now()) / 1000)));
+                }
+                return sendError(res, error);
             }
 
-            const user = users[0];
+            res.json({
+                success: true,
+                ...tokens,
+                user
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error in login'
+            });
+        }
+    }
+);
 
-            // Verify password
-            const isMatch = await bcrypt.compare(password, user.password);
-            if (!isMatch) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Invalid credentials'
-                });
+// Exchange a refresh token for a new access token and refresh token; the
+// old refresh token cannot be used again
+router.post('/refresh',
+    [
+        body('refresh_token').isString().notEmpty()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
             }
 
-            // Create JWT token
-            const token = jwt.sign(
-                { id: user.id, role: user.role },
-                process.env.JWT_SECRET,
-                { expiresIn: '24h' }
-            );
+            const { tokens, error } = await authService.refresh(req.body.refresh_token);
+            if (error) {
+                return sendError(res, error);
+            }
 
             res.json({
                 success: true,
-                token,
-                user: {
-                    id: user.id,
-                    username: user.username,
-                    email: user.email,
-                    role: user.role
-                }
+                ...tokens
             });
         } catch (err) {
             console.error(err);
             res.status(500).json({
                 success: false,
-                message: 'Error in login'
+                message: 'Error refreshing token'
+            });
+        }
+    }
+);
+
+// Log out this device by revoking its refresh token
+router.post('/logout',
+    [
+        body('refresh_token').isString().notEmpty()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            await authService.logout(req.body.refresh_token);
+
+            res.json({
+                success: true,
+                message: 'Logged out successfully'
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error logging out'
+            });
+        }
+    }
+);
+
+// Log out of all devices
+router.post('/logout-all',
+    auth,
+    async (req, res) => {
+        try {
+            await authService.logoutAll(req.user.id);
+
+            res.json({
+                success: true,
+                message: 'Logged out of all devices'
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error logging out'
+            });
+        }
+    }
+);
+
+// Change password; every other session is logged out
+router.post('/change-password',
+    auth,
+    [
+        body('current_password').exists(),
+        body('new_password').isLength({ min: 6 })
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            // Keep the device that made the change signed in
+            const { tokens, error } = await authService.changePassword(req.user.id, req.body);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.json({
+                success: true,
+                message: 'Password changed successfully',
+                ...tokens
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error changing password'
+            });
+        }
+    }
+);
+
+// Confirm an email address with the token sent on registration
+router.post('/verify-email',
+    [
+        body('token').isString().notEmpty()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { error } = await authService.verifyEmail(req.body.token);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.json({
+                success: true,
+                message: 'Email verified successfully'
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error verifying email'
+            });
+        }
+    }
+);
+
+// Send a fresh verification email
+router.post('/resend-verification',
+    rateLimit('password_reset'),
+    [
+        body('email').isEmail()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            await authService.resendVerification(req.body.email);
+
+            res.json(EMAIL_SENT_REPLY);
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error sending verification email'
+            });
+        }
+    }
+);
+
+// Email a password reset link
+router.post('/forgot-password',
+    rateLimit('password_reset'),
+    [
+        body('email').isEmail()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            await authService.forgotPassword(req.body.email);
+
+            res.json(EMAIL_SENT_REPLY);
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error sending password reset email'
+            });
+        }
+    }
+);
+
+// Set a new password with a reset token; every session is logged out
+router.post('/reset-password',
+    [
+        body('token').isString().notEmpty(),
+        body('new_password').isLength({ min: 6 })
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { error } = await authService.resetPassword(req.body.token, req.body.new_password);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.json({
+                success: true,
+                message: 'Password reset successfully, please log in'
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error resetting password'
             });
         }
     }
 );
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -1,94 +1,75 @@
 const express = require('express');
 const router = express.Router();
-const pool = require('../config/database');
 const { auth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { expandSavedPassengers } = require('../middleware/savedPassengers');
+const { idempotent } = require('../middleware/idempotency');
 const { body, validationResult, query } = require('express-validator');
-
-// Book a seat
+const { formatDate } = require('../utils/trainCalendar');
+const { QUOTAS } = require('../utils/fareEngine');
+const { SEAT_TYPES } = require('../utils/coachComposition');
+const { passengerValidators } = require('../utils/passengers');
+const { currentCursor, eventsSince, subscribeToRun } = require('../utils/seatEvents');
+const seatEventConfig = require('../config/seatEvents');
+const bookingService = require('../services/bookingService');
+
+// Send a { status, message, ... } error from the booking service
+const sendError = (res, { status, ...details }) => res.status(status).json({
+    success: false,
+    ...details
+});
+
+// Book seats, or join the RAC/waitlist queue when the leg is full. Seats are
+// either picked by the client (selected_seats) or allocated by the server
+// from seats_requested and class_code, honouring seat preferences. Either
+// way the booking awaits payment: seats are held until the payment hold
+// expires, and queue requests join the queue once paid. Clients retrying
+// after a timeout send the same Idempotency-Key to avoid booking twice.
 router.post('/',
+    rateLimit('bookings_per_ip'),
     auth,
+    rateLimit('bookings'),
+    idempotent,
+    expandSavedPassengers,
     [
         body('train_id').isInt(),
         body('from_station_id').isInt(),
         body('to_station_id').isInt(),
         body('booking_date').isDate(),
-        body('selected_seats').isArray().notEmpty(),
-        body('selected_seats.*').isInt()
+        body('selected_seats').if(body('seats_requested').not().exists()).isArray({ min: 1 }),
+        body('selected_seats.*').isInt(),
+        body('seats_requested').optional().isInt({ min: 1 }).toInt(),
+        body('class_code').if(body('seats_requested').exists()).notEmpty(),
+        body('seat_preference').optional({ values: 'null' }).isIn(SEAT_TYPES),
+        body('seat_together').optional().isBoolean().toBoolean(),
+        body('quota').optional().isIn(QUOTAS),
+        ...passengerValidators()
     ],
     async (req, res) => {
-        const connection = await pool.getConnection();
-        await connection.beginTransaction();
-
         try {
-            const { train_id, from_station_id, to_station_id, booking_date, selected_seats } = req.body;
-            const user_id = req.user.id;
-
-            // Lock only the selected seats for the given date
-            const [seats] = await connection.query(`
-                SELECT s.*, sb.id as booking_id
-                FROM seats s
-                LEFT JOIN seat_bookings sb ON s.id = sb.seat_id 
-                    AND sb.booking_date = ? 
-                    AND sb.status = 'booked'
-                WHERE s.train_id = ? 
-                AND s.id IN (?)
-                FOR UPDATE
-            `, [booking_date, train_id, selected_seats]);
-
-            // Check if any of the selected seats are already booked
-            const alreadyBookedSeats = seats.filter(seat => seat.booking_id !== null);
-            if (alreadyBookedSeats.length > 0) {
-                await connection.rollback();
-                return res.status(400).json({
-                    success: false,
-                    message: `Seats ${alreadyBookedSeats.map(s => s.seat_number).join(', ')} are already booked`
-                });
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
             }
 
-            // Get train details for fare calculation
-            const [train] = await connection.query(
-                'SELECT * FROM trains WHERE id = ?',
-                [train_id]
-            );
-
-            // Calculate total fare
-            const total_fare = train[0].fare * selected_seats.length;
-
-            // Create the main booking
-            const [bookingResult] = await connection.query(
-                'INSERT INTO bookings (user_id, train_id, from_station_id, to_station_id, booking_date, booking_status, total_fare) VALUES (?, ?, ?, ?, ?, ?, ?)',
-                [user_id, train_id, from_station_id, to_station_id, booking_date, 'confirmed', total_fare]
-            );
-
-            const bookingId = bookingResult.insertId;
-
-            // Book each selected seat
-            for (const seatId of selected_seats) {
-                await connection.query(
-                    'INSERT INTO seat_bookings (booking_id, seat_id, booking_date) VALUES (?, ?, ?)',
-                    [bookingId, seatId, booking_date]
-                );
+            const { booking, payment, error } = await bookingService.bookSeats(req.user.id, req.body);
+            if (error) {
+                return sendError(res, error);
             }
 
-            await connection.commit();
-
+            const { queued, ...details } = booking;
             res.status(201).json({
                 success: true,
-                message: 'Booking successful',
-                booking_id: bookingId,
-                seats_booked: selected_seats.length,
-                total_fare: total_fare
+                message: queued ? 'Booking created, it joins the queue once paid' : 'Seats held, awaiting payment',
+                ...details,
+                payment
             });
-
         } catch (err) {
-            await connection.rollback();
             console.error(err);
             res.status(500).json({
                 success: false,
                 message: 'Error creating booking'
             });
-        } finally {
-            connection.release();
         }
     }
 );
@@ -98,64 +79,14 @@ router.get('/:bookingId',
     auth,
     async (req, res) => {
         try {
-            const { bookingId } = req.params;
-            const userId = req.user.id;
-
-            const [bookings] = await pool.query(`
-                SELECT 
-                    b.*,
-                    t.train_number,
-                    t.train_name,
-                    t.fare as train_fare,
-                    s1.station_name as from_station,
-                    s2.station_name as to_station,
-                    s1.station_code as from_station_code,
-                    s2.station_code as to_station_code
-                FROM bookings b
-                JOIN trains t ON b.train_id = t.id
-                JOIN stations s1 ON b.from_station_id = s1.id
-                JOIN stations s2 ON b.to_station_id = s2.id
-                WHERE b.id = ? AND b.user_id = ?
-            `, [bookingId, userId]);
-
-            if (bookings.length === 0) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Booking not found'
-                });
+            const { booking, error } = await bookingService.getBooking(req.user.id, req.params.bookingId);
+            if (error) {
+                return sendError(res, error);
             }
 
-            const booking = bookings[0];
-
-            // Format the response
-            const formattedBooking = {
-                id: booking.id,
-                train: {
-                    id: booking.train_id,
-                    number: booking.train_number,
-                    name: booking.train_name,
-                    fare: booking.train_fare
-                },
-                from_station: {
-                    id: booking.from_station_id,
-                    name: booking.from_station,
-                    code: booking.from_station_code
-                },
-                to_station: {
-                    id: booking.to_station_id,
-                    name: booking.to_station,
-                    code: booking.to_station_code
-                },
-                booking_date: booking.booking_date,
-                seats_booked: booking.seats_booked,
-                total_fare: booking.total_fare,
-                booking_status: booking.booking_status,
-                created_at: booking.created_at
-            };
-
             res.json({
                 success: true,
-                booking: formattedBooking
+                booking
             });
         } catch (err) {
             console.error('Error fetching booking details:', err);
@@ -172,42 +103,11 @@ router.get('/user/bookings',
     auth,
     async (req, res) => {
         try {
-            const userId = req.user.id;
-
-            const [bookings] = await pool.query(`
-                SELECT 
-                    b.*,
-                    t.train_number,
-                    t.train_name,
-                    t.fare as train_fare,
-                    s1.station_name as from_station,
-                    s2.station_name as to_station
-                FROM bookings b
-                JOIN trains t ON b.train_id = t.id
-                JOIN stations s1 ON b.from_station_id = s1.id
-                JOIN stations s2 ON b.to_station_id = s2.id
-                WHERE b.user_id = ?
-                ORDER BY b.booking_date DESC
-            `, [userId]);
-
-            // Update existing bookings with correct seats
-            const updatedBookings = await Promise.all(bookings.map(async (booking) => {
-                if (!booking.seats_booked || booking.seats_booked === 0) {
-                    // Update the booking with correct seats_booked
-                    await pool.query(
-                        'UPDATE bookings SET seats_booked = ? WHERE id = ?',
-                        [1, booking.id]
-                    );
-                }
-                return {
-                    ...booking,
-                    seats_booked: booking.seats_booked || 1
-                };
-            }));
+            const bookings = await bookingService.listBookings(req.user.id);
 
             res.json({
                 success: true,
-                bookings: updatedBookings
+                bookings
             });
         } catch (err) {
             console.error(err);
@@ -219,140 +119,144 @@ router.get('/user/bookings',
     }
 );
 
-// Cancel a booking
+// Cancel a whole booking, or specific passengers or seats under it. Retries
+// sent with the same Idempotency-Key get the first cancellation's response.
 router.patch('/:bookingId/cancel',
     auth,
+    idempotent,
     [
-        body('seats_to_cancel').optional().isInt({ min: 1 })
+        body('passenger_ids').optional().isArray({ min: 1 }),
+        body('passenger_ids.*').isInt().toInt(),
+        body('seat_ids').optional().isArray({ min: 1 }),
+        body('seat_ids.*').isInt().toInt()
     ],
     async (req, res) => {
-        const connection = await pool.getConnection();
-        await connection.beginTransaction();
-
         try {
             const errors = validationResult(req);
             if (!errors.isEmpty()) {
-                await connection.rollback();
                 return res.status(400).json({ errors: errors.array() });
             }
 
-            const { bookingId } = req.params;
-            const userId = req.user.id;
-            const seatsToCancel = req.body.seats_to_cancel || 1; // Default to 1 if not specified
-
-            console.log('BookingId:', bookingId, 'UserId:', userId);
-
-            // Check if booking exists and belongs to user
-            const [bookings] = await connection.query(`
-                SELECT b.*, t.fare
-                FROM bookings b
-                JOIN trains t ON b.train_id = t.id
-                WHERE b.id = ? AND b.user_id = ? AND b.booking_status = 'confirmed'
-            `, [bookingId, userId]);
-
-            if (bookings.length === 0) {
-                await connection.rollback();
-                return res.status(404).json({
-                    success: false,
-                    message: 'Booking not found or already cancelled'
-                });
+            // Pick the passengers/seats being cancelled; everything if none are named
+            const { booking, cancellation, promoted, refund, error } = await bookingService.cancelBooking(
+                req.user.id,
+                req.params.bookingId,
+                req.body
+            );
+            if (error) {
+                return sendError(res, error);
             }
 
-            const booking = bookings[0];
-            const bookingDate = new Date(booking.booking_date);
-            const now = new Date();
+            res.json({
+                success: true,
+                message: cancellation.remaining_seats === 0 ?
+                    'Booking cancelled successfully' :
+                    `${cancellation.seats_cancelled} seat(s) cancelled successfully`,
+                booking_id: booking.id,
+                ...cancellation,
+                refund_status: refund.status,
+                promoted_bookings: promoted
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error cancelling booking'
+            });
+        }
+    }
+);
 
-            // Check if booking can be cancelled (at least 24 hours before booking date)
-            const hoursUntilBooking = (bookingDate - now) / (1000 * 60 * 60);
-            if (hoursUntilBooking < 24) {
-                await connection.rollback();
-                return res.status(400).json({
-                    success: false,
-                    message: 'Bookings can only be cancelled at least 24 hours before booking date'
-                });
+// Quote the refund for cancelling a booking, or some passengers or seats of it
+router.get('/:bookingId/refund-quote',
+    auth,
+    [
+        query('passenger_ids').optional().toArray(),
+        query('passenger_ids.*').isInt().toInt(),
+        query('seat_ids').optional().toArray(),
+        query('seat_ids.*').isInt().toInt()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
             }
 
-            // Check if trying to cancel more seats than booked
-            if (seatsToCancel > booking.seats_booked) {
-                await connection.rollback();
-                return res.status(400).json({
-                    success: false,
-                    message: `Cannot cancel more seats than booked. You have ${booking.seats_booked} seats booked.`
-                });
+            const { quote, error } = await bookingService.quoteCancellation(req.user.id, req.params.bookingId, req.query);
+            if (error) {
+                return sendError(res, error);
             }
 
-            const remainingSeats = booking.seats_booked - seatsToCancel;
-            const refundAmount = seatsToCancel * booking.fare;
-
-            if (remainingSeats === 0) {
-                // If all seats are being cancelled, update booking status to cancelled
-                await connection.query(
-                    'UPDATE bookings SET booking_status = ? WHERE id = ?',
-                    ['cancelled', bookingId]
-                );
-            } else {
-                // Update the booking with remaining seats and new total fare
-                await connection.query(
-                    'UPDATE bookings SET seats_booked = ?, total_fare = ? WHERE id = ?',
-                    [remainingSeats, remainingSeats * booking.fare, bookingId]
-                );
-            }
+            res.json({
+                success: true,
+                cancellable: !quote.departed,
+                quote
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error calculating refund'
+            });
+        }
+    }
+);
 
-            await connection.commit();
+// Get a booking's cancellation history
+router.get('/:bookingId/cancellations',
+    auth,
+    async (req, res) => {
+        try {
+            const { cancellations, error } = await bookingService.listCancellations(req.user.id, req.params.bookingId);
+            if (error) {
+                return sendError(res, error);
+            }
 
             res.json({
                 success: true,
-                message: seatsToCancel === booking.seats_booked ? 
-                    'Booking cancelled successfully' : 
-                    `${seatsToCancel} seat(s) cancelled successfully`,
-                booking_id: bookingId,
-                remaining_seats: remainingSeats,
-                refund_amount: refundAmount
+                cancellations
             });
         } catch (err) {
-            await connection.rollback();
             console.error(err);
             res.status(500).json({
                 success: false,
-                message: 'Error cancelling booking'
+                message: 'Error fetching cancellation history'
             });
-        } finally {
-            connection.release();
         }
     }
 );
 
-// Get seat availability
+// Get seat availability. Seats other users hold show as 'held', the
+// signed-in user's own holds as 'held_by_you'. The cursor lets a client
+// stream changes from this snapshot on (see /seats/events).
 router.get('/seats/availability',
     auth,
     [
         query('train_id').isInt(),
-        query('booking_date').isDate()
+        query('booking_date').isDate(),
+        query('from_station_id').optional().isInt(),
+        query('to_station_id').optional().isInt(),
+        query('class_code').optional().notEmpty()
     ],
     async (req, res) => {
         try {
-            const { train_id, booking_date } = req.query;
-
-            const [seats] = await pool.query(`
-                SELECT 
-                    s.id,
-                    s.seat_number,
-                    s.seat_type,
-                    CASE 
-                        WHEN sb.id IS NOT NULL THEN 'booked'
-                        ELSE 'available'
-                    END as status
-                FROM seats s
-                LEFT JOIN seat_bookings sb ON s.id = sb.seat_id 
-                    AND sb.booking_date = ? 
-                    AND sb.status = 'booked'
-                WHERE s.train_id = ?
-                ORDER BY CAST(SUBSTRING(s.seat_number, 2) AS UNSIGNED)
-            `, [booking_date, train_id]);
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            // The cursor is taken before the seat map is read
+            const { cursor, classes, seats, error } = await bookingService.getSeatAvailability(req.user.id, req.query);
+            if (error) {
+                return sendError(res, error);
+            }
 
             res.json({
                 success: true,
-                seats: seats
+                cursor,
+                classes,
+                seats
             });
         } catch (err) {
             console.error(err);
@@ -364,4 +268,164 @@ router.get('/seats/availability',
     }
 );
 
-module.exports = router; 
\ No newline at end of file
+
+// Stream seat changes on a train run as Server-Sent Events. Each 'seats'
+// event names a change (booked, released, held or hold_released) and the
+// seats it touched with the route segments they cover, so clients apply it
+// only where it overlaps their leg. To resume without gaps, pass the cursor
+// from seat availability or reconnect with Last-Event-ID. A 'reset' event
+// means changes were missed and the seat map should be reloaded. Events
+// carry no personal data, so the stream is public: browsers' EventSource
+// cannot send an Authorization header.
+router.get('/seats/events',
+    [
+        query('train_id').isInt(),
+        query('booking_date').isDate(),
+        query('from_station_id').optional().isInt(),
+        query('to_station_id').optional().isInt(),
+        query('cursor').optional().isString()
+    ],
+    async (req, res) => {
+        let run;
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const found = await bookingService.findEventRun(req.query);
+            if (found.error) {
+                return sendError(res, found.error);
+            }
+
+            run = found.run;
+        } catch (err) {
+            console.error(err);
+            return res.status(500).json({
+                success: false,
+                message: 'Error opening seat event stream'
+            });
+        }
+
+        const send = (type, data, id) => {
+            res.write(`event: ${type}\n${id ? `id: ${id}\n` : ''}data: ${JSON.stringify(data)}\n\n`);
+        };
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        send('ready', { train_run_id: run.id, run_date: formatDate(run.run_date) });
+
+        // Replay what the client missed, then follow live changes
+        const cursor = req.get('Last-Event-ID') || req.query.cursor;
+        const missed = cursor ? eventsSince(run.id, cursor) : [];
+        if (missed === null) {
+            send('reset', { cursor: currentCursor() }, currentCursor());
+        } else {
+            missed.forEach(event => send('seats', event, event.cursor));
+        }
+
+        const unsubscribe = subscribeToRun(run.id, event => send('seats', event, event.cursor));
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), seatEventConfig.heartbeat_seconds * 1000);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+    }
+);
+
+// Hold seats while the user fills in their booking. Other users see them as
+// taken until the hold expires; booking them uses the hold up. A new hold on
+// the same run replaces the user's earlier one.
+router.post('/seats/holds',
+    rateLimit('bookings_per_ip'),
+    auth,
+    rateLimit('bookings'),
+    [
+        body('train_id').isInt(),
+        body('from_station_id').isInt(),
+        body('to_station_id').isInt(),
+        body('booking_date').isDate(),
+        body('seat_ids').isArray({ min: 1 }),
+        body('seat_ids.*').isInt().toInt()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { holds, error } = await bookingService.placeSeatHold(req.user.id, req.body);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.status(201).json({
+                success: true,
+                message: 'Seats held',
+                holds
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error holding seats'
+            });
+        }
+    }
+);
+
+// List the signed-in user's seat holds
+router.get('/seats/holds',
+    auth,
+    async (req, res) => {
+        try {
+            res.json({
+                success: true,
+                holds: await bookingService.listSeatHolds(req.user.id)
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching seat holds'
+            });
+        }
+    }
+);
+
+// Release a seat hold early
+router.delete('/seats/holds/:holdId',
+    auth,
+    async (req, res) => {
+        try {
+            const released = await bookingService.releaseHold(req.user.id, req.params.holdId);
+            if (!released) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Seat hold not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Seat hold released'
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error releasing seat hold'
+            });
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,187 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { expandSavedPassengers } = require('../middleware/savedPassengers');
+const { idempotent } = require('../middleware/idempotency');
+const { body, validationResult, query } = require('express-validator');
+const journeyConfig = require('../config/journeys');
+const { QUOTAS } = require('../utils/fareEngine');
+const { SEAT_TYPES } = require('../utils/coachComposition');
+const { passengerValidators } = require('../utils/passengers');
+const { formatInstant } = require('../utils/journeyPlanner');
+const journeyService = require('../services/journeyService');
+
+const SORT_OPTIONS = ['duration', 'fare'];
+
+// Send a { status, message, ... } error from the journey service
+const sendError = (res, { status, ...details }) => res.status(status).json({
+    success: false,
+    ...details
+});
+
+// Search itineraries, direct or with up to two changes of train
+router.get('/search',
+    [
+        query('from_station_id').isInt().toInt(),
+        query('to_station_id').isInt().toInt(),
+        query('date').isDate(),
+        query('max_changes').optional().isInt({ min: 0, max: journeyConfig.max_changes }).toInt(),
+        query('min_connection_minutes').optional().isInt({ min: 0, max: journeyConfig.max_connection_minutes }).toInt(),
+        query('sort_by').optional().isIn(SORT_OPTIONS),
+        query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const {
+                from_station_id,
+                to_station_id,
+                date,
+                max_changes,
+                min_connection_minutes,
+                sort_by,
+                limit
+            } = req.query;
+
+            if (from_station_id === to_station_id) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Origin and destination must differ'
+                });
+            }
+
+            const { itineraries, stations } = await journeyService.searchJourneys({
+                fromStationId: from_station_id,
+                toStationId: to_station_id,
+                date,
+                maxChanges: max_changes,
+                minConnectionMinutes: min_connection_minutes,
+                sortBy: sort_by,
+                limit
+            });
+
+            res.json({
+                success: true,
+                itineraries: itineraries.map(itinerary => ({
+                    changes: itinerary.changes,
+                    departure_time: formatInstant(itinerary.departure),
+                    arrival_time: formatInstant(itinerary.arrival),
+                    duration_minutes: itinerary.duration_minutes,
+                    fare: itinerary.fare,
+                    connections: itinerary.legs.slice(1).map((leg, index) => ({
+                        station: stations.get(leg.from_station_id),
+                        wait_minutes: (leg.departure - itinerary.legs[index].arrival) / 60000
+                    })),
+                    legs: itinerary.legs.map(leg => ({
+                        train: {
+                            id: leg.train_id,
+                            number: leg.train_number,
+                            name: leg.train_name
+                        },
+                        booking_date: leg.booking_date,
+                        run_date: leg.run_date,
+                        from_station: stations.get(leg.from_station_id),
+                        to_station: stations.get(leg.to_station_id),
+                        departure_time: formatInstant(leg.departure),
+                        arrival_time: formatInstant(leg.arrival),
+                        fare: leg.fare,
+                        seats_available: leg.seats_available,
+                        classes: leg.classes
+                    }))
+                }))
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error planning journeys'
+            });
+        }
+    }
+);
+
+// Book every leg of an itinerary in one transaction; any leg failing books
+// nothing. The legs share one payment covering the whole journey. Retries
+// are safe with an Idempotency-Key, as for single bookings.
+router.post('/bookings',
+    rateLimit('journey_bookings_per_ip'),
+    auth,
+    rateLimit('journey_bookings'),
+    idempotent,
+    expandSavedPassengers,
+    [
+        body('legs').isArray({ min: 2, max: journeyConfig.max_changes + 1 }),
+        body('legs.*.train_id').isInt(),
+        body('legs.*.from_station_id').isInt(),
+        body('legs.*.to_station_id').isInt(),
+        body('legs.*.booking_date').isDate(),
+        body('legs.*').custom(leg => Boolean(leg.selected_seats || (leg.seats_requested && leg.class_code)))
+            .withMessage('Each leg needs selected_seats, or seats_requested and class_code'),
+        body('legs.*.selected_seats').optional().isArray({ min: 1 }),
+        body('legs.*.selected_seats.*').isInt(),
+        body('legs.*.seats_requested').optional().isInt({ min: 1 }).toInt(),
+        body('seat_preference').optional({ values: 'null' }).isIn(SEAT_TYPES),
+        body('seat_together').optional().isBoolean().toBoolean(),
+        body('quota').optional().isIn(QUOTAS),
+        ...passengerValidators()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { journeyId, bookings, payment, error } = await journeyService.bookJourney(req.user.id, req.body);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.status(201).json({
+                success: true,
+                message: 'Journey booked, awaiting payment',
+                journey_id: journeyId,
+                bookings,
+                total_fare: Math.round(bookings.reduce((total, booking) => total + booking.total_fare, 0) * 100) / 100,
+                payment
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error booking journey'
+            });
+        }
+    }
+);
+
+// Get a booked journey with its legs
+router.get('/:journeyId',
+    auth,
+    async (req, res) => {
+        try {
+            const { journey, error } = await journeyService.getJourney(req.user.id, req.params.journeyId);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.json({
+                success: true,
+                journey
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching journey'
+            });
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const { body, validationResult } = require('express-validator');
+const { getGateway } = require('../payments');
+const paymentConfig = require('../config/payments');
+const paymentService = require('../services/paymentService');
+
+// Send a { status, message, ... } error from the payment service
+const sendError = (res, { status, ...details }) => res.status(status).json({
+    success: false,
+    ...details
+});
+
+// Start (or retry) payment for a booking, or a journey, awaiting payment
+router.post('/',
+    auth,
+    [
+        body('booking_id').isInt()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            // A journey leg is paid for together with the other legs
+            const { payment, error } = await paymentService.payForBooking(req.user.id, req.body.booking_id);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.status(201).json({
+                success: true,
+                payment
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error starting payment'
+            });
+        }
+    }
+);
+
+// Payment gateway callback; the adapter verifies the signature
+router.post('/callback',
+    async (req, res) => {
+        try {
+            const outcome = getGateway().parseCallback(req);
+            if (!outcome) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid callback signature'
+                });
+            }
+
+            const result = await paymentService.applyPaymentOutcome(outcome.gateway_reference, outcome.status);
+            if (!result) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Payment not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                ...result
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error processing payment callback'
+            });
+        }
+    }
+);
+
+// Complete a payment through the local fake gateway. Only mounted in
+// development and test, since it lets users mark their own bookings paid.
+if (paymentConfig.simulate) {
+    router.post('/:paymentId/simulate',
+        auth,
+        [
+            body('status').isIn(['succeeded', 'failed'])
+        ],
+        async (req, res) => {
+            try {
+                const errors = validationResult(req);
+                if (!errors.isEmpty()) {
+                    return res.status(400).json({ errors: errors.array() });
+                }
+
+                const gateway = getGateway();
+                if (gateway.name !== 'fake') {
+                    return res.status(404).json({
+                        success: false,
+                        message: 'Payments can only be simulated with the fake gateway'
+                    });
+                }
+
+                const { result, error } = await paymentService.simulatePayment(
+                    req.user.id,
+                    req.params.paymentId,
+                    gateway,
+                    req.body.status
+                );
+                if (error) {
+                    return sendError(res, error);
+                }
+
+                res.json({
+                    success: true,
+                    ...result
+                });
+            } catch (err) {
+                console.error(err);
+                res.status(500).json({
+                    success: false,
+                    message: 'Error simulating payment'
+                });
+            }
+        }
+    );
+}
+
+module.exports = router;
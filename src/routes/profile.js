@@ -0,0 +1,287 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const { body, validationResult } = require('express-validator');
+const fareConfig = require('../config/fares');
+const { QUOTAS } = require('../utils/fareEngine');
+const { SEAT_TYPES } = require('../utils/coachComposition');
+const { GENDERS, ID_DOCUMENT_TYPES } = require('../utils/passengers');
+const accountService = require('../services/accountService');
+
+// Send a { status, message, ... } error from the account service
+const sendError = (res, { status, ...details }) => res.status(status).json({
+    success: false,
+    ...details
+});
+
+// Validation for a saved passenger; every field is optional when editing
+const savedPassengerValidators = ({ optional = false } = {}) => {
+    const field = (name) => optional ? body(name).optional() : body(name);
+
+    return [
+        field('name').trim().isLength({ min: 1, max: 100 }),
+        field('date_of_birth').isDate(),
+        field('gender').isIn(GENDERS),
+        body('id_document_type').optional({ values: 'null' }).isIn(ID_DOCUMENT_TYPES),
+        body('id_document_number').optional({ values: 'null' }).trim().isLength({ min: 1, max: 50 }),
+        body('concession').optional({ values: 'null' }).isIn(Object.keys(fareConfig.concessions))
+    ];
+};
+
+// Get the signed-in user's profile
+router.get('/',
+    auth,
+    async (req, res) => {
+        try {
+            const { profile, error } = await accountService.getProfile(req.user.id);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.json({
+                success: true,
+                user: profile
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching profile'
+            });
+        }
+    }
+);
+
+// Update contact details. A new email address has to be verified again.
+router.patch('/',
+    auth,
+    [
+        body('username').optional().trim().isLength({ min: 3 }),
+        body('email').optional().isEmail(),
+        body('full_name').optional({ values: 'null' }).trim().isLength({ max: 100 }),
+        body('phone').optional({ values: 'null' }).trim().matches(/^\+?[0-9 -]{6,20}$/)
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { profile, emailChanged, error } = await accountService.updateProfile(req.user.id, req.body);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.json({
+                success: true,
+                message: emailChanged
+                    ? 'Profile updated successfully, check your email to verify the new address'
+                    : 'Profile updated successfully',
+                user: profile
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating profile'
+            });
+        }
+    }
+);
+
+// Update booking preferences; fields sent as null are cleared
+router.patch('/preferences',
+    auth,
+    [
+        body('preferred_berth').optional({ values: 'null' }).isIn(SEAT_TYPES),
+        body('preferred_class_code').optional({ values: 'null' }).isString().isLength({ max: 5 }),
+        body('preferred_quota').optional({ values: 'null' }).isIn(QUOTAS),
+        body('seat_together').optional({ values: 'null' }).isBoolean().toBoolean()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { preferences, error } = await accountService.updatePreferences(req.user.id, req.body);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.json({
+                success: true,
+                message: 'Preferences updated successfully',
+                preferences
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating preferences'
+            });
+        }
+    }
+);
+
+// List saved passengers
+router.get('/passengers',
+    auth,
+    async (req, res) => {
+        try {
+            const passengers = await accountService.listSavedPassengers(req.user.id);
+
+            res.json({
+                success: true,
+                passengers
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching saved passengers'
+            });
+        }
+    }
+);
+
+// Save a passenger to reuse when booking
+router.post('/passengers',
+    auth,
+    savedPassengerValidators(),
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { saved_passenger_id } = await accountService.addSavedPassenger(req.user.id, req.body);
+
+            res.status(201).json({
+                success: true,
+                message: 'Passenger saved successfully',
+                saved_passenger_id
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error saving passenger'
+            });
+        }
+    }
+);
+
+// Edit a saved passenger
+router.patch('/passengers/:passengerId',
+    auth,
+    savedPassengerValidators({ optional: true }),
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { error } = await accountService.updateSavedPassenger(req.user.id, req.params.passengerId, req.body);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.json({
+                success: true,
+                message: 'Saved passenger updated successfully'
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating saved passenger'
+            });
+        }
+    }
+);
+
+// Remove a saved passenger
+router.delete('/passengers/:passengerId',
+    auth,
+    async (req, res) => {
+        try {
+            const { error } = await accountService.removeSavedPassenger(req.user.id, req.params.passengerId);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.json({
+                success: true,
+                message: 'Saved passenger removed successfully'
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error removing saved passenger'
+            });
+        }
+    }
+);
+
+// Download everything held about the signed-in user
+router.get('/export',
+    auth,
+    async (req, res) => {
+        try {
+            const data = await accountService.exportAccount(req.user.id);
+
+            res.set('Content-Disposition', `attachment; filename="account-${req.user.id}.json"`);
+            res.json({
+                success: true,
+                data
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error exporting account'
+            });
+        }
+    }
+);
+
+// Delete the signed-in user's account, confirmed with their password.
+// Past bookings stay on record without anything identifying the user.
+router.delete('/',
+    auth,
+    [
+        body('password').exists()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { error } = await accountService.deleteAccount(req.user.id, req.body.password);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.json({
+                success: true,
+                message: 'Account deleted successfully'
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error deleting account'
+            });
+        }
+    }
+);
+
+module.exports = router;
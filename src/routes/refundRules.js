@@ -0,0 +1,136 @@
+const express = require('express');
+const router = express.Router();
+const { authorize } = require('../middleware/auth');
+const { body, validationResult } = require('express-validator');
+const { DEDUCTION_TYPES } = require('../utils/refundPolicy');
+const refundRuleService = require('../services/refundRuleService');
+
+// Send a { status, message, ... } error from the refund rule service
+const sendError = (res, { status, ...details }) => res.status(status).json({
+    success: false,
+    ...details
+});
+
+const ruleValidators = (optional) => {
+    const field = (name) => optional ? body(name).optional() : body(name);
+
+    return [
+        field('name').notEmpty(),
+        body('class_code').optional({ values: 'null' }).notEmpty(),
+        body('min_hours_before').optional({ values: 'null' }).isFloat({ min: 0 }),
+        body('max_hours_before').optional({ values: 'null' }).isFloat({ min: 0 }),
+        field('deduction_type').isIn(DEDUCTION_TYPES),
+        body('deduction_value').optional().isFloat({ min: 0 }),
+        body('priority').optional().isInt(),
+        body('is_active').optional().isBoolean()
+    ];
+};
+
+// List refund rules (Admin only)
+router.get('/',
+    authorize('refund_rules:manage'),
+    async (req, res) => {
+        try {
+            const rules = await refundRuleService.listRules();
+
+            res.json({
+                success: true,
+                rules
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching refund rules'
+            });
+        }
+    }
+);
+
+// Add a refund rule (Admin only)
+router.post('/',
+    authorize('refund_rules:manage'),
+    ruleValidators(false),
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { rule_id, error } = await refundRuleService.addRule(req.body);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.status(201).json({
+                success: true,
+                message: 'Refund rule added successfully',
+                rule_id
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error adding refund rule'
+            });
+        }
+    }
+);
+
+// Update a refund rule (Admin only)
+router.put('/:ruleId',
+    authorize('refund_rules:manage'),
+    ruleValidators(true),
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { error } = await refundRuleService.updateRule(req.params.ruleId, req.body);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.json({
+                success: true,
+                message: 'Refund rule updated successfully'
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating refund rule'
+            });
+        }
+    }
+);
+
+// Deactivate a refund rule (Admin only). Rules stay on record because past
+// refunds reference them.
+router.delete('/:ruleId',
+    authorize('refund_rules:manage'),
+    async (req, res) => {
+        try {
+            const { error } = await refundRuleService.deactivateRule(req.params.ruleId);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.json({
+                success: true,
+                message: 'Refund rule deactivated successfully'
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error deactivating refund rule'
+            });
+        }
+    }
+);
+
+module.exports = router;
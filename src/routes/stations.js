@@ -0,0 +1,182 @@
+const express = require('express');
+const router = express.Router();
+const { authorize } = require('../middleware/auth');
+const { body, validationResult, query } = require('express-validator');
+const stationService = require('../services/stationService');
+
+// Send a { status, message, ... } error from the station service
+const sendError = (res, { status, ...details }) => res.status(status).json({
+    success: false,
+    ...details
+});
+
+// List stations, optionally filtered by name or code
+router.get('/',
+    [
+        query('q').optional().trim().notEmpty()
+    ],
+    async (req, res) => {
+        try {
+            const stations = await stationService.searchStations(req.query.q);
+
+            res.json({
+                success: true,
+                stations
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching stations'
+            });
+        }
+    }
+);
+
+// Get a station with the trains calling there
+router.get('/:stationId', async (req, res) => {
+    try {
+        const { station, error } = await stationService.getStation(req.params.stationId);
+        if (error) {
+            return sendError(res, error);
+        }
+
+        res.json({
+            success: true,
+            station
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching station'
+        });
+    }
+});
+
+// Add a station (Admin only)
+router.post('/',
+    authorize('stations:manage'),
+    [
+        body('station_name').trim().notEmpty(),
+        body('station_code').trim().notEmpty().isLength({ max: 10 })
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { station_id, error } = await stationService.addStation(req.body);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.status(201).json({
+                success: true,
+                message: 'Station added successfully',
+                station_id
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error adding station'
+            });
+        }
+    }
+);
+
+// Rename a station or change its code (Admin only)
+router.patch('/:stationId',
+    authorize('stations:manage'),
+    [
+        body('station_name').optional().trim().notEmpty(),
+        body('station_code').optional().trim().notEmpty().isLength({ max: 10 })
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { error } = await stationService.updateStation(req.params.stationId, req.body);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.json({
+                success: true,
+                message: 'Station updated successfully'
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating station'
+            });
+        }
+    }
+);
+
+// Merge a duplicate station into another (Admin only): routes, bookings
+// and journeys move over and the duplicate is removed
+router.post('/:stationId/merge',
+    authorize('stations:manage'),
+    [
+        body('into_station_id').isInt().toInt()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { station_id, error } = await stationService.mergeStation(req.params.stationId, req.body.into_station_id);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.json({
+                success: true,
+                message: 'Stations merged successfully',
+                station_id
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error merging stations'
+            });
+        }
+    }
+);
+
+// Delete a station no route or booking uses (Admin only)
+router.delete('/:stationId',
+    authorize('stations:manage'),
+    async (req, res) => {
+        try {
+            const { error } = await stationService.deleteStation(req.params.stationId);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.json({
+                success: true,
+                message: 'Station deleted successfully'
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error deleting station'
+            });
+        }
+    }
+);
+
+module.exports = router;
@@ -1,19 +1,103 @@
 const express = require('express');
 const router = express.Router();
-const pool = require('../config/database');
-const { adminAuth, auth } = require('../middleware/auth');
-const { body, validationResult } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const { body, validationResult, query, param } = require('express-validator');
+const { CONCESSIONS, QUOTAS } = require('../utils/fareEngine');
+const { WEEKDAYS, formatDate, addDays } = require('../utils/trainCalendar');
+const trainService = require('../services/trainService');
+
+// Send a { status, message, ... } error from the train service
+const sendError = (res, { status, ...details }) => res.status(status).json({
+    success: false,
+    ...details
+});
+
+const FARE_MODES = ['segment', 'distance'];
+
+// Validation for a service calendar, either nested under `prefix` or at the top level
+const scheduleValidators = (prefix = '') => {
+    const field = (name) => body(`${prefix}${name}`);
+    const scheduleGiven = prefix ? body(prefix.slice(0, -1)).exists() : body().exists();
+
+    return [
+        field('running_days').if(scheduleGiven).isArray({ min: 1 }),
+        field('running_days.*').isIn(WEEKDAYS),
+        field('valid_from').if(scheduleGiven).isDate(),
+        field('valid_until').optional({ values: 'null' }).isDate(),
+        field('exceptions').optional().isArray(),
+        field('exceptions.*.date').isDate(),
+        field('exceptions.*.type').isIn(['cancelled', 'added'])
+    ];
+};
+
+// Validation for a coach composition; entries name a coach or expand
+// prefix + count into several
+const compositionValidators = (field, { optional = false } = {}) => [
+    optional ? body(field).optional().isArray({ min: 1 }) : body(field).isArray({ min: 1 }),
+    body(`${field}.*`).custom(coach => Boolean(coach.code || (coach.prefix && coach.count)))
+        .withMessage('Each coach needs a code, or a prefix and count'),
+    body(`${field}.*.class_code`).notEmpty(),
+    body(`${field}.*.count`).optional().isInt({ min: 1, max: 50 }),
+    body(`${field}.*.seats`).optional().isInt({ min: 1, max: 200 })
+];
+
+// Validation for route stops, in a list under `field` or a single stop at the top level
+const stopValidators = (field) => {
+    const stopField = (name) => body(field ? `${field}.*.${name}` : name);
+
+    return [
+        stopField('arrival_time').optional({ values: 'null' }).matches(/^\d{2}:\d{2}(:\d{2})?$/),
+        stopField('departure_time').optional({ values: 'null' }).matches(/^\d{2}:\d{2}(:\d{2})?$/),
+        stopField('arrival_day_offset').optional({ values: 'null' }).isInt({ min: 0 }).toInt(),
+        stopField('departure_day_offset').optional({ values: 'null' }).isInt({ min: 0 }).toInt(),
+        stopField('distance_km').optional({ values: 'null' }).isFloat({ min: 0 })
+    ];
+};
+
+// Run a route edit through the train service and send the outcome
+const updateRoute = async (res, edit) => {
+    try {
+        const { stops, error } = await edit();
+        if (error) {
+            return sendError(res, error);
+        }
+
+        res.json({
+            success: true,
+            message: 'Train route updated successfully',
+            stops
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating train route'
+        });
+    }
+};
 
 // Add new train (Admin only)
 router.post('/',
-    adminAuth,
+    authorize('trains:manage'),
     [
         body('train_number').notEmpty(),
         body('train_name').notEmpty(),
-        body('total_seats').isInt({ min: 1 }),
+        // Without a coach composition, total_seats plain seats are generated
+        body('total_seats').if(body('coaches').not().exists()).isInt({ min: 1 }),
+        ...compositionValidators('coaches', { optional: true }),
+        body('class_code').optional().notEmpty(),
         body('stations').isArray({ min: 2 }),
         body('base_fare').isFloat({ min: 0 }).optional(),
-        body('journey_date').isISO8601().toDate()
+        body('fare_mode').isIn(FARE_MODES).optional(),
+        body('fare_per_km').if(body('fare_mode').equals('distance')).isFloat({ min: 0 }),
+        body('stations.*.distance_km').if(body('fare_mode').equals('distance')).isFloat({ min: 0 }),
+        // Day offsets are inferred from the times where not given
+        body('stations.*.arrival_day_offset').optional({ values: 'null' }).isInt({ min: 0 }).toInt(),
+        body('stations.*.departure_day_offset').optional({ values: 'null' }).isInt({ min: 0 }).toInt(),
+        body('rac_seats').isInt({ min: 0 }).optional(),
+        // A single journey_date is still accepted as a one-day calendar
+        body('journey_date').if(body('schedule').not().exists()).isDate(),
+        ...scheduleValidators('schedule.')
     ],
     async (req, res) => {
         try {
@@ -22,70 +106,16 @@ router.post('/',
                 return res.status(400).json({ errors: errors.array() });
             }
 
-            const { train_number, train_name, total_seats, stations, base_fare = 100, journey_date } = req.body;
-
-            // Start transaction
-            const connection = await pool.getConnection();
-            await connection.beginTransaction();
-
-            try {
-                // Insert train with base fare and journey_date
-                const [trainResult] = await connection.query(
-                    'INSERT INTO trains (train_number, train_name, total_seats, fare, journey_date) VALUES (?, ?, ?, ?, ?)',
-                    [train_number, train_name, total_seats, base_fare, journey_date]
-                );
-
-                const trainId = trainResult.insertId;
-
-                // Generate seat data (example: 10 seats, alternating window/aisle)
-                const seatTypes = ['window', 'aisle'];
-                const seatInserts = [];
-                for (let i = 1; i <= total_seats; i++) {
-                    const seatNumber = `A${i}`;
-                    const seatType = seatTypes[i % 2];
-                    seatInserts.push([trainId, seatNumber, seatType]);
-                }
-
-                // Bulk insert seats
-                await connection.query(
-                    'INSERT INTO seats (train_id, seat_number, seat_type) VALUES ?',
-                    [seatInserts]
-                );
-
-                // Insert stations and routes
-                for (let i = 0; i < stations.length; i++) {
-                    const station = stations[i];
-                    
-                    // Insert station if not exists
-                    const [stationResult] = await connection.query(
-                        'INSERT IGNORE INTO stations (station_name, station_code) VALUES (?, ?)',
-                        [station.name, station.code]
-                    );
-
-                    const stationId = stationResult.insertId || 
-                        (await connection.query('SELECT id FROM stations WHERE station_code = ?', [station.code]))[0][0].id;
-
-                    // Insert route
-                    await connection.query(
-                        'INSERT INTO train_routes (train_id, station_id, sequence_number, arrival_time, departure_time) VALUES (?, ?, ?, ?, ?)',
-                        [trainId, stationId, i + 1, station.arrival_time, station.departure_time]
-                    );
-                }
-
-                await connection.commit();
-                res.status(201).json({
-                    success: true,
-                    message: 'Train added successfully',
-                    train_id: trainId,
-                    base_fare: base_fare,
-                    journey_date: journey_date
-                });
-            } catch (err) {
-                await connection.rollback();
-                throw err;
-            } finally {
-                connection.release();
+            const { error, ...train } = await trainService.createTrain(req.body);
+            if (error) {
+                return sendError(res, error);
             }
+
+            res.status(201).json({
+                success: true,
+                message: 'Train added successfully',
+                ...train
+            });
         } catch (err) {
             console.error(err);
             res.status(500).json({
@@ -109,46 +139,11 @@ router.get('/search', async (req, res) => {
             });
         }
 
-        // Find trains that have both from_station_id and to_station_id in their route, with correct order
-        const [trains] = await pool.query(`
-            SELECT 
-                t.id,
-                t.train_number,
-                t.train_name,
-                t.total_seats,
-                t.fare,
-                s1.station_name as from_station,
-                s2.station_name as to_station,
-                tr1.departure_time as departure_time,
-                tr2.arrival_time as arrival_time,
-                (
-                    SELECT COUNT(*)
-                    FROM bookings b
-                    WHERE b.train_id = t.id
-                    AND b.booking_date = ?
-                    AND b.booking_status = 'confirmed'
-                    AND b.from_station_id = ?
-                    AND b.to_station_id = ?
-                ) as booked_seats
-            FROM trains t
-            JOIN train_routes tr1 ON t.id = tr1.train_id AND tr1.station_id = ?
-            JOIN train_routes tr2 ON t.id = tr2.train_id AND tr2.station_id = ?
-            JOIN stations s1 ON tr1.station_id = s1.id
-            JOIN stations s2 ON tr2.station_id = s2.id
-            WHERE tr1.sequence_number < tr2.sequence_number
-            GROUP BY t.id, t.train_number, t.train_name, t.total_seats, t.fare,
-                     s1.station_name, s2.station_name, tr1.departure_time, tr2.arrival_time
-            HAVING (t.total_seats - booked_seats) > 0
-        `, [date, from_station_id, to_station_id, from_station_id, to_station_id]);
-
-        const trainsWithAvailability = trains.map(train => ({
-            ...train,
-            available_seats: train.total_seats - (train.booked_seats || 0)
-        }));
+        const trains = await trainService.searchTrains({ from_station_id, to_station_id, date });
 
         res.json({
             success: true,
-            trains: trainsWithAvailability
+            trains
         });
     } catch (err) {
         console.error(err);
@@ -159,11 +154,53 @@ router.get('/search', async (req, res) => {
     }
 });
 
-// Update train seats (Admin only)
-router.patch('/:trainId/seats',
-    adminAuth,
+// Replace a train's service calendar (admins and station masters)
+router.put('/:trainId/schedule',
+    authorize('schedules:manage'),
+    scheduleValidators(),
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { trainId } = req.params;
+            const schedule = {
+                running_days: req.body.running_days,
+                valid_from: req.body.valid_from,
+                valid_until: req.body.valid_until,
+                exceptions: req.body.exceptions
+            };
+
+            // Refuses calendars that would drop runs passengers are booked on
+            const { error } = await trainService.replaceSchedule(trainId, schedule);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.json({
+                success: true,
+                message: 'Train schedule updated successfully',
+                schedule
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating train schedule'
+            });
+        }
+    }
+);
+
+// Cancel or add a single run date (admins and station masters)
+router.post('/:trainId/schedule/exceptions',
+    authorize('schedules:manage'),
     [
-        body('total_seats').isInt({ min: 1 })
+        body('date').isDate(),
+        body('type').isIn(['cancelled', 'added']),
+        body('reason').optional().isString()
     ],
     async (req, res) => {
         try {
@@ -172,40 +209,178 @@ router.patch('/:trainId/seats',
                 return res.status(400).json({ errors: errors.array() });
             }
 
-            const { trainId } = req.params;
-            const { total_seats } = req.body;
+            const { type } = req.body;
+
+            const { error } = await trainService.saveScheduleException(req.params.trainId, req.body);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.status(201).json({
+                success: true,
+                message: type === 'cancelled' ? 'Run cancelled successfully' : 'Run added successfully'
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating train schedule'
+            });
+        }
+    }
+);
+
+// List the dates a train runs on
+router.get('/:trainId/runs',
+    [
+        query('from').optional().isDate(),
+        query('to').optional().isDate()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
 
-            const [result] = await pool.query(
-                'UPDATE trains SET total_seats = ? WHERE id = ?',
-                [total_seats, trainId]
-            );
+            const { trainId } = req.params;
+            const from = req.query.from || formatDate(new Date());
+            const to = req.query.to || addDays(from, 30);
 
-            if (result.affectedRows === 0) {
-                return res.status(404).json({
+            if (to < from || to > addDays(from, 366)) {
+                return res.status(400).json({
                     success: false,
-                    message: 'Train not found'
+                    message: 'Date range must be between 0 and 366 days'
                 });
             }
 
+            const { error, ...runs } = await trainService.listRuns(trainId, from, to);
+            if (error) {
+                return sendError(res, error);
+            }
+
             res.json({
                 success: true,
-                message: 'Train seats updated successfully'
+                ...runs
             });
         } catch (err) {
             console.error(err);
             res.status(500).json({
                 success: false,
-                message: 'Error updating train seats'
+                message: 'Error fetching train runs'
             });
         }
     }
 );
 
-// Update train fare (Admin only)
-router.patch('/:trainId/fare',
-    adminAuth,
+// Passenger manifest of a train run for the crew (staff only)
+router.get('/:trainId/runs/:runDate/manifest',
+    authorize('manifests:read'),
+    [
+        param('runDate').isDate()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { trainId, runDate } = req.params;
+
+            const { run, passengers, error } = await trainService.getManifest(trainId, runDate);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.json({
+                success: true,
+                run,
+                total_passengers: passengers.length,
+                passengers
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching passenger manifest'
+            });
+        }
+    }
+);
+
+// Add coaches to a train's composition (Admin only)
+router.post('/:trainId/coaches',
+    authorize('trains:manage'),
+    compositionValidators('coaches'),
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { coaches, error } = await trainService.addCoaches(req.params.trainId, req.body.coaches);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.status(201).json({
+                success: true,
+                message: 'Coaches added successfully',
+                coaches
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error adding coaches'
+            });
+        }
+    }
+);
+
+// Replace a train's composition before it has taken any bookings (Admin only)
+router.put('/:trainId/coaches',
+    authorize('trains:manage'),
+    compositionValidators('coaches'),
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { coaches, error } = await trainService.replaceCoaches(req.params.trainId, req.body.coaches);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.json({
+                success: true,
+                message: 'Train composition updated successfully',
+                coaches
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating train composition'
+            });
+        }
+    }
+);
+
+// Quote an itemised fare for a leg of a train run
+router.get('/:trainId/fare',
     [
-        body('fare').isFloat({ min: 0 })
+        query('from_station_id').isInt(),
+        query('to_station_id').isInt(),
+        query('date').isDate(),
+        query('class_code').notEmpty(),
+        query('quota').optional().isIn(QUOTAS),
+        query('concessions').optional().isArray(),
+        query('concessions.*').optional({ values: 'falsy' }).isIn(CONCESSIONS)
     ],
     async (req, res) => {
         try {
@@ -215,18 +390,92 @@ router.patch('/:trainId/fare',
             }
 
             const { trainId } = req.params;
-            const { fare } = req.body;
+            const { from_station_id, to_station_id, date, class_code, quota = 'general' } = req.query;
+            const concessions = req.query.concessions
+                ? req.query.concessions.map(concession => concession || null)
+                : [null];
+
+            const { fare, error } = await trainService.getFare(trainId, {
+                from_station_id,
+                to_station_id,
+                date,
+                class_code,
+                quota,
+                concessions
+            });
+            if (error) {
+                return sendError(res, error);
+            }
 
-            const [result] = await pool.query(
-                'UPDATE trains SET fare = ? WHERE id = ?',
-                [fare, trainId]
-            );
+            res.json({
+                success: true,
+                fare
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error calculating fare'
+            });
+        }
+    }
+);
 
-            if (result.affectedRows === 0) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Train not found'
-                });
+// Resize a train, or one of its travel classes, to total_seats seats
+// (Admin only). Seats with upcoming bookings are only removed with
+// reaccommodate set, moving those bookings to other free seats.
+router.patch('/:trainId/seats',
+    authorize('trains:manage'),
+    [
+        body('total_seats').isInt({ min: 1 }).toInt(),
+        body('class_code').optional().notEmpty(),
+        body('reaccommodate').optional().isBoolean().toBoolean()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { error, ...result } = await trainService.resizeTrain(req.params.trainId, req.body);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.json({
+                success: true,
+                message: 'Train seats updated successfully',
+                ...result
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating train seats'
+            });
+        }
+    }
+);
+
+// Update train fare (Admin only)
+router.patch('/:trainId/fare',
+    authorize('trains:manage'),
+    [
+        body('fare').optional().isFloat({ min: 0 }),
+        body('fare_mode').optional().isIn(FARE_MODES),
+        body('fare_per_km').optional().isFloat({ min: 0 })
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { error } = await trainService.updateFare(req.params.trainId, req.body);
+            if (error) {
+                return sendError(res, error);
             }
 
             res.json({
@@ -243,65 +492,138 @@ router.patch('/:trainId/fare',
     }
 );
 
-// Get all trains (Admin only)
+// Replace a train's route, or reorder it (Admin only). Stops already on the
+// route keep any timings not given.
+router.put('/:trainId/route',
+    authorize('trains:manage'),
+    [
+        body('stops').isArray({ min: 2 }),
+        body('stops.*.station_id').isInt().toInt(),
+        ...stopValidators('stops')
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        await updateRoute(res, () => trainService.replaceRoute(req.params.trainId, req.body.stops));
+    }
+);
+
+// Add a stop to a train's route (Admin only); position is 1-based and
+// defaults to the end of the route
+router.post('/:trainId/stops',
+    authorize('trains:manage'),
+    [
+        body('station_id').isInt().toInt(),
+        body('position').optional().isInt({ min: 1 }).toInt(),
+        ...stopValidators()
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        await updateRoute(res, () => trainService.addStop(req.params.trainId, req.body));
+    }
+);
+
+// Update the timings or distance of a route stop (Admin only)
+router.patch('/:trainId/stops/:stationId',
+    authorize('trains:manage'),
+    stopValidators(),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        await updateRoute(res, () => trainService.updateStop(req.params.trainId, req.params.stationId, req.body));
+    }
+);
+
+// Remove a stop from a train's route (Admin only); refused while active
+// bookings board or alight there
+router.delete('/:trainId/stops/:stationId',
+    authorize('trains:manage'),
+    async (req, res) => {
+        await updateRoute(res, () => trainService.removeStop(req.params.trainId, req.params.stationId));
+    }
+);
+
+// Update a train's details, or take it out of service (Admin only)
+router.patch('/:trainId',
+    authorize('trains:manage'),
+    [
+        body('train_number').optional().notEmpty(),
+        body('train_name').optional().notEmpty(),
+        body('rac_seats').optional().isInt({ min: 0 }).toInt(),
+        body('is_active').optional().isBoolean().toBoolean()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            // Trains carrying passengers on upcoming runs stay in service
+            const { error } = await trainService.updateTrain(req.params.trainId, req.body);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.json({
+                success: true,
+                message: 'Train updated successfully'
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating train'
+            });
+        }
+    }
+);
+
+// Delete a train that has never been booked (Admin only); trains with
+// booking history are deactivated instead
+router.delete('/:trainId',
+    authorize('trains:manage'),
+    async (req, res) => {
+        try {
+            const { error } = await trainService.deleteTrain(req.params.trainId);
+            if (error) {
+                return sendError(res, error);
+            }
+
+            res.json({
+                success: true,
+                message: 'Train deleted successfully'
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({
+                success: false,
+                message: 'Error deleting train'
+            });
+        }
+    }
+);
+
+// Get all trains (staff only)
 router.get('/',
-    adminAuth,
+    authorize('trains:read'),
     async (req, res) => {
         try {
-            const [trains] = await pool.query(`
-                WITH FirstLastStations AS (
-                    SELECT 
-                        t.id,
-                        t.train_number,
-                        t.train_name,
-                        t.total_seats,
-                        t.fare,
-                        t.created_at,
-                        MIN(tr.sequence_number) as first_seq,
-                        MAX(tr.sequence_number) as last_seq
-                    FROM trains t
-                    JOIN train_routes tr ON t.id = tr.train_id
-                    GROUP BY t.id
-                )
-                SELECT 
-                    f.*,
-                    s1.station_name as from_station,
-                    s1.station_code as from_station_code,
-                    tr1.departure_time,
-                    s2.station_name as to_station,
-                    s2.station_code as to_station_code,
-                    tr2.arrival_time,
-                    (
-                        SELECT GROUP_CONCAT(
-                            CONCAT(s.station_name, ' (', s.station_code, ')')
-                            ORDER BY tr.sequence_number
-                            SEPARATOR ' -> '
-                        )
-                        FROM train_routes tr
-                        JOIN stations s ON tr.station_id = s.id
-                        WHERE tr.train_id = f.id
-                    ) as route,
-                    (
-                        SELECT COUNT(*)
-                        FROM bookings b
-                        WHERE b.train_id = f.id
-                        AND b.booking_status = 'confirmed'
-                    ) as booked_seats
-                FROM FirstLastStations f
-                JOIN train_routes tr1 ON f.id = tr1.train_id AND tr1.sequence_number = f.first_seq
-                JOIN stations s1 ON tr1.station_id = s1.id
-                JOIN train_routes tr2 ON f.id = tr2.train_id AND tr2.sequence_number = f.last_seq
-                JOIN stations s2 ON tr2.station_id = s2.id
-            `);
-
-            const trainsWithAvailability = trains.map(train => ({
-                ...train,
-                available_seats: train.total_seats - (train.booked_seats || 0)
-            }));
+            const trains = await trainService.listTrains();
 
             res.json({ 
                 success: true, 
-                trains: trainsWithAvailability 
+                trains
             });
         } catch (err) {
             console.error(err);
@@ -314,194 +636,85 @@ router.get('/',
     }
 );
 
-// Get train by ID
-router.get('/:trainId', async (req, res) => {
+// Declared before /:trainId, which would otherwise capture these paths
+// Get all stations
+router.get('/stations', async (req, res) => {
     try {
-        const { trainId } = req.params;
-
-        const [trains] = await pool.query(`
-            SELECT 
-                t.*,
-                GROUP_CONCAT(
-                    CONCAT(s.station_name, ' (', s.station_code, ')')
-                    ORDER BY tr.sequence_number
-                    SEPARATOR ' -> '
-                ) as route
-            FROM trains t
-            LEFT JOIN train_routes tr ON t.id = tr.train_id
-            LEFT JOIN stations s ON tr.station_id = s.id
-            WHERE t.id = ?
-            GROUP BY t.id
-        `, [trainId]);
-
-        if (trains.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'Train not found'
-            });
-        }
-
+        const stations = await trainService.listStations();
         res.json({
             success: true,
-            train: trains[0]
+            stations
         });
     } catch (err) {
         console.error(err);
         res.status(500).json({
             success: false,
-            message: 'Error fetching train details'
+            message: 'Error fetching stations'
         });
     }
 });
 
-// Get train by train number
-router.get('/number/:trainNumber', async (req, res) => {
+// Get train routes
+router.get('/routes', async (req, res) => {
+    console.log("GET /api/trains/routes called");
     try {
-        const { trainNumber } = req.params;
-        console.log('Searching for train number:', trainNumber);
-
-        // First get the train details with first and last stations
-        const [trains] = await pool.query(`
-            WITH FirstLastStations AS (
-                SELECT 
-                    t.id,
-                    t.train_number,
-                    t.train_name,
-                    t.total_seats,
-                    t.fare,
-                    t.created_at,
-                    MIN(tr.sequence_number) as first_seq,
-                    MAX(tr.sequence_number) as last_seq
-                FROM trains t
-                JOIN train_routes tr ON t.id = tr.train_id
-                WHERE t.train_number = ?
-                GROUP BY t.id
-            )
-            SELECT 
-                f.*,
-                s1.station_name as from_station,
-                s1.station_code as from_station_code,
-                tr1.departure_time,
-                s2.station_name as to_station,
-                s2.station_code as to_station_code,
-                tr2.arrival_time,
-                (
-                    SELECT GROUP_CONCAT(
-                        CONCAT(s.station_name, ' (', s.station_code, ')')
-                        ORDER BY tr.sequence_number
-                        SEPARATOR ' -> '
-                    )
-                    FROM train_routes tr
-                    JOIN stations s ON tr.station_id = s.id
-                    WHERE tr.train_id = f.id
-                ) as route,
-                (
-                    SELECT COUNT(*)
-                    FROM bookings b
-                    WHERE b.train_id = f.id
-                    AND b.booking_status = 'confirmed'
-                ) as booked_seats
-            FROM FirstLastStations f
-            JOIN train_routes tr1 ON f.id = tr1.train_id AND tr1.sequence_number = f.first_seq
-            JOIN stations s1 ON tr1.station_id = s1.id
-            JOIN train_routes tr2 ON f.id = tr2.train_id AND tr2.sequence_number = f.last_seq
-            JOIN stations s2 ON tr2.station_id = s2.id
-        `, [trainNumber]);
-
-        if (trains.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'Train not found',
-                searchedNumber: trainNumber
-            });
-        }
-
-        const train = {
-            ...trains[0],
-            available_seats: trains[0].total_seats - (trains[0].booked_seats || 0)
-        };
+        const trains = await trainService.listRoutes();
 
         res.json({
             success: true,
-            train
+            trains
         });
     } catch (err) {
-        console.error('Error in train number search:', err);
+        console.error(err);
         res.status(500).json({
             success: false,
-            message: 'Error fetching train details',
-            error: err.message
+            message: 'Error fetching train routes'
         });
     }
 });
 
-// Get all stations
-router.get('/stations', async (req, res) => {
+// Get train by ID
+router.get('/:trainId', async (req, res) => {
     try {
-        const [stations] = await pool.query('SELECT id, station_name, station_code FROM stations');
+        const { train, error } = await trainService.getTrain(req.params.trainId);
+        if (error) {
+            return sendError(res, error);
+        }
+
         res.json({
             success: true,
-            stations
+            train
         });
     } catch (err) {
         console.error(err);
         res.status(500).json({
             success: false,
-            message: 'Error fetching stations'
+            message: 'Error fetching train details'
         });
     }
 });
 
-// Get train routes
-router.get('/routes', async (req, res) => {
-    console.log("GET /api/trains/routes called");
+// Get train by train number
+router.get('/number/:trainNumber', async (req, res) => {
     try {
-        const [trains] = await pool.query(`
-            SELECT 
-                t.id,
-                t.train_number,
-                t.train_name,
-                t.total_seats,
-                t.fare,
-                s1.station_name as from_station,
-                s1.station_code as from_station_code,
-                tr1.departure_time as from_departure_time,
-                s2.station_name as to_station,
-                s2.station_code as to_station_code,
-                tr2.arrival_time as to_arrival_time,
-                (
-                    SELECT GROUP_CONCAT(
-                        CONCAT(s.station_name, ' (', s.station_code, ')')
-                        ORDER BY tr.sequence_number
-                        SEPARATOR ' -> '
-                    )
-                    FROM train_routes tr
-                    JOIN stations s ON tr.station_id = s.id
-                    WHERE tr.train_id = t.id
-                ) as route
-            FROM trains t
-            JOIN train_routes tr1 ON t.id = tr1.train_id
-            JOIN train_routes tr2 ON t.id = tr2.train_id
-            JOIN stations s1 ON tr1.station_id = s1.id
-            JOIN stations s2 ON tr2.station_id = s2.id
-            WHERE tr1.sequence_number = (
-                SELECT MIN(sequence_number) FROM train_routes WHERE train_id = t.id
-            )
-            AND tr2.sequence_number = (
-                SELECT MAX(sequence_number) FROM train_routes WHERE train_id = t.id
-            )
-            GROUP BY t.id
-        `);
+        const { trainNumber } = req.params;
+        console.log('Searching for train number:', trainNumber);
+
+        const { train, error } = await trainService.getTrainByNumber(trainNumber);
+        if (error) {
+            return sendError(res, error);
+        }
 
         res.json({
             success: true,
-            trains
+            train
         });
     } catch (err) {
-        console.error(err);
+        console.error('Error in train number search:', err);
         res.status(500).json({
             success: false,
-            message: 'Error fetching train routes'
+            message: 'Error fetching train details',
+            error: err.message
         });
     }
 });
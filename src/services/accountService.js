@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { getStore, transaction } = require('../repositories');
+const { SAVED_PASSENGER_FIELDS, getBookingPassengers } = require('../utils/passengers');
+const { revokeUserTokens } = require('../utils/tokens');
+const { createUserToken } = require('../utils/userTokens');
+const { sendMail } = require('../mail');
+const { verificationEmail } = require('../mail/messages');
+
+// A signed-in user's own profile, preferences, saved passengers and account.
+// Functions return their result, or { error: { status, message } } when
+// refused.
+
+// Profile fields a user can read and change about themselves
+const PROFILE_FIELDS = ['id', 'username', 'email', 'role', 'full_name', 'phone', 'preferences', 'email_verified_at', 'created_at'];
+
+const PREFERENCE_FIELDS = ['preferred_berth', 'preferred_class_code', 'preferred_quota', 'seat_together'];
+
+const USER_NOT_FOUND = { error: { status: 404, message: 'User not found' } };
+const SAVED_PASSENGER_NOT_FOUND = { error: { status: 404, message: 'Saved passenger not found' } };
+
+// The user's profile, or null once the account is deleted
+const readProfile = async (repos, userId) => {
+    const user = await repos.users.findById(userId);
+    if (!user || user.deleted_at) {
+        return null;
+    }
+
+    return {
+        ...Object.fromEntries(PROFILE_FIELDS.map(field => [field, user[field]])),
+        preferences: user.preferences || {},
+        email_verified: user.email_verified_at !== null
+    };
+};
+
+const getProfile = async (userId) => {
+    const profile = await readProfile(getStore().repositories, userId);
+    return profile ? { profile } : USER_NOT_FOUND;
+};
+
+// Update contact details; fields left out keep their value. A new email
+// address has to be verified again.
+const updateProfile = async (userId, changes) => {
+    const { repositories } = getStore();
+
+    const current = await readProfile(repositories, userId);
+    if (!current) {
+        return USER_NOT_FOUND;
+    }
+
+    const {
+        username = current.username,
+        email = current.email,
+        full_name = current.full_name,
+        phone = current.phone
+    } = changes;
+    const emailChanged = email !== current.email;
+
+    try {
+        await repositories.users.updateContact(current.id, { username, email, full_name, phone, unverify: emailChanged });
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') {
+            return { error: { status: 409, message: 'Username or email is already in use' } };
+        }
+        throw err;
+    }
+
+    // The profile change stands even if the email cannot be sent
+    if (emailChanged) {
+        try {
+            const token = await createUserToken(repositories, current.id, 'verify_email');
+            await sendMail(verificationEmail({ username, email }, token));
+        } catch (err) {
+            console.error('Error sending email:', err);
+        }
+    }
+
+    return { profile: await readProfile(repositories, current.id), emailChanged };
+};
+
+// Fields sent as null are cleared
+const updatePreferences = async (userId, changes) => {
+    const { repositories } = getStore();
+
+    const profile = await readProfile(repositories, userId);
+    if (!profile) {
+        return USER_NOT_FOUND;
+    }
+
+    const preferences = { ...profile.preferences };
+    for (const field of PREFERENCE_FIELDS) {
+        if (changes[field] === null) {
+            delete preferences[field];
+        } else if (changes[field] !== undefined) {
+            preferences[field] = changes[field];
+        }
+    }
+
+    await repositories.users.setPreferences(profile.id, preferences);
+    return { preferences };
+};
+
+const listSavedPassengers = async (userId) => getStore().repositories.savedPassengers.listForUser(userId);
+
+const addSavedPassenger = async (userId, passenger) => ({
+    saved_passenger_id: await getStore().repositories.savedPassengers.create(userId, passenger)
+});
+
+// Fields left out keep their value
+const updateSavedPassenger = async (userId, passengerId, changes) => {
+    const { repositories } = getStore();
+
+    const saved = await repositories.savedPassengers.find(passengerId, userId);
+    if (!saved) {
+        return SAVED_PASSENGER_NOT_FOUND;
+    }
+
+    for (const field of SAVED_PASSENGER_FIELDS) {
+        if (changes[field] !== undefined) {
+            saved[field] = changes[field];
+        }
+    }
+
+    await repositories.savedPassengers.update(saved.id, saved);
+    return { saved_passenger_id: saved.id };
+};
+
+const removeSavedPassenger = async (userId, passengerId) => {
+    if (!await getStore().repositories.savedPassengers.delete(passengerId, userId)) {
+        return SAVED_PASSENGER_NOT_FOUND;
+    }
+
+    return { saved_passenger_id: Number(passengerId) };
+};
+
+// Everything held about a user, for a data export
+const exportAccount = async (userId) => {
+    const { repositories } = getStore();
+
+    const bookings = await repositories.bookings.listForExport(userId);
+    for (const booking of bookings) {
+        booking.passengers = await getBookingPassengers(repositories, booking.id);
+    }
+
+    return {
+        exported_at: new Date().toISOString(),
+        profile: await readProfile(repositories, userId),
+        saved_passengers: await repositories.savedPassengers.listForUser(userId),
+        journeys: await repositories.journeys.listForExport(userId),
+        bookings,
+        payments: await repositories.payments.listForExport(userId),
+        refunds: await repositories.refunds.listForExport(userId)
+    };
+};
+
+// Delete a user's account, confirmed with their password. Bookings are kept
+// for accounting but no longer identify anyone: the user row is scrubbed
+// rather than deleted and passenger details are blanked. Refused while the
+// user still has bookings to travel on.
+const deleteAccount = async (userId, password) => transaction(async (repos) => {
+    const user = await repos.users.findById(userId, { lock: true });
+    if (!user || user.deleted_at) {
+        return USER_NOT_FOUND;
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+        return { error: { status: 400, message: 'Password is incorrect' } };
+    }
+
+    const upcoming = await repos.bookings.listUpcomingForUser(user.id);
+    if (upcoming.length > 0) {
+        return {
+            error: {
+                status: 409,
+                message: 'Cancel your upcoming bookings before deleting your account',
+                booking_ids: upcoming.map(booking => booking.id)
+            }
+        };
+    }
+
+    await repos.passengers.anonymiseForUser(user.id);
+    await repos.savedPassengers.deleteForUser(user.id);
+    await repos.userTokens.deleteForUser(user.id);
+    await repos.seatHolds.deleteForUser(user.id);
+    await repos.idempotencyKeys.deleteForUser(user.id);
+    await repos.apiKeys.revokeForUser(user.id);
+    await revokeUserTokens(repos, user.id);
+
+    // A random password nobody knows keeps the row unusable for login
+    await repos.users.anonymise(user.id, await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10));
+
+    return { userId: user.id };
+});
+
+module.exports = {
+    getProfile,
+    updateProfile,
+    updatePreferences,
+    listSavedPassengers,
+    addSavedPassenger,
+    updateSavedPassenger,
+    removeSavedPassenger,
+    exportAccount,
+    deleteAccount
+};
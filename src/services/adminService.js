@@ -0,0 +1,161 @@
+const { getStore, transaction } = require('../repositories');
+const { PERMISSIONS, ROLES } = require('../config/roles');
+const { generateApiKey } = require('../utils/apiKeys');
+const { revokeUserTokens } = require('../utils/tokens');
+const { getBookingPassengers } = require('../utils/passengers');
+const { unlockAccount } = require('../utils/loginThrottle');
+
+// Users' roles and access, managed by admins, and support lookups. Functions
+// return their result, or { error: { status, message } } when refused.
+
+const USER_NOT_FOUND = { error: { status: 404, message: 'User not found' } };
+
+// Whether demoting or disabling `user` would leave no active admin. The
+// admins stay locked until the transaction ends, so two admins cannot demote
+// each other at once.
+const isLastAdmin = async (repos, user) => user.role === 'admin'
+    && Boolean(user.is_active)
+    && (await repos.users.lockActiveAdmins()).length <= 1;
+
+// Make a registered user the first admin and issue them a personal API key
+// with every permission. Refused once an active admin exists.
+const bootstrapAdmin = async (email) => transaction(async (repos) => {
+    if ((await repos.users.lockActiveAdmins()).length > 0) {
+        return { error: { status: 409, message: 'An admin already exists; ask them for an API key' } };
+    }
+
+    const user = await repos.users.findActiveByEmail(email);
+    if (!user) {
+        return USER_NOT_FOUND;
+    }
+
+    await repos.users.setRole(user.id, 'admin');
+
+    const { key, prefix, hash } = generateApiKey();
+    const apiKeyId = await repos.apiKeys.create({
+        name: 'Bootstrap key',
+        key_prefix: prefix,
+        key_hash: hash,
+        permissions: PERMISSIONS,
+        user_id: user.id,
+        created_by: user.id
+    });
+
+    return { userId: user.id, apiKeyId, apiKey: key };
+});
+
+const changeRole = async (userId, role) => transaction(async (repos) => {
+    const user = await repos.users.findById(userId, { lock: true });
+    if (!user) {
+        return USER_NOT_FOUND;
+    }
+
+    if (role !== 'admin' && await isLastAdmin(repos, user)) {
+        return { error: { status: 409, message: 'The last active admin cannot be demoted' } };
+    }
+
+    await repos.users.setRole(user.id, role);
+    return { userId: user.id };
+});
+
+// Disabling signs the user out of every session at once
+const setUserActive = async (userId, isActive) => transaction(async (repos) => {
+    const user = await repos.users.findById(userId, { lock: true });
+    if (!user) {
+        return USER_NOT_FOUND;
+    }
+
+    if (!isActive && await isLastAdmin(repos, user)) {
+        return { error: { status: 409, message: 'The last active admin cannot be disabled' } };
+    }
+
+    await repos.users.setActive(user.id, isActive);
+    if (!isActive) {
+        await revokeUserTokens(repos, user.id);
+    }
+
+    return { userId: user.id };
+});
+
+const listUsers = async () => getStore().repositories.users.list();
+
+// Lift a user's login lockout early
+const unlockUser = async (userId) => {
+    const user = await getStore().repositories.users.findById(userId);
+    if (!user) {
+        return USER_NOT_FOUND;
+    }
+
+    await unlockAccount(user.email);
+    return { userId: user.id };
+};
+
+const listLockouts = async ({ scope = null, limit = 100 } = {}) => getStore().repositories.lockoutEvents.list({ scope, limit });
+
+const listApiKeys = async () => getStore().repositories.apiKeys.list();
+
+// Issue an API key to a user, scoped to some of the permissions their role
+// grants. The key is only ever returned here.
+const issueApiKey = async ({ name, userId, permissions, createdBy }) => {
+    const { repositories } = getStore();
+
+    const user = await repositories.users.findById(userId);
+    if (!user) {
+        return USER_NOT_FOUND;
+    }
+
+    const beyondRole = permissions.filter(permission => !ROLES[user.role].includes(permission));
+    if (beyondRole.length > 0) {
+        return { error: { status: 400, message: `Role ${user.role} does not grant ${beyondRole.join(', ')}` } };
+    }
+
+    const { key, prefix, hash } = generateApiKey();
+    const apiKeyId = await repositories.apiKeys.create({
+        name,
+        key_prefix: prefix,
+        key_hash: hash,
+        permissions: [...new Set(permissions)],
+        user_id: user.id,
+        created_by: createdBy
+    });
+
+    return { apiKeyId, apiKey: key };
+};
+
+const revokeApiKey = async (keyId) => {
+    if (!await getStore().repositories.apiKeys.revoke(keyId)) {
+        return { error: { status: 404, message: 'API key not found or already revoked' } };
+    }
+
+    return { apiKeyId: Number(keyId) };
+};
+
+// Any customer's booking with its passengers, for support
+const getBooking = async (bookingId) => {
+    const { repositories } = getStore();
+
+    const booking = await repositories.bookings.findForSupport(bookingId);
+    if (!booking) {
+        return { error: { status: 404, message: 'Booking not found' } };
+    }
+
+    return {
+        booking: {
+            ...booking,
+            passengers: await getBookingPassengers(repositories, booking.id)
+        }
+    };
+};
+
+module.exports = {
+    bootstrapAdmin,
+    changeRole,
+    setUserActive,
+    listUsers,
+    unlockUser,
+    listLockouts,
+    listApiKeys,
+    issueApiKey,
+    revokeApiKey,
+    getBooking
+};
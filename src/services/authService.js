@@ -0,0 +1,178 @@
+const bcrypt = require('bcryptjs');
+const { getStore, transaction } = require('../repositories');
+const { issueTokens, rotateRefreshToken, revokeRefreshToken, revokeUserTokens } = require('../utils/tokens');
+const { createUserToken, consumeUserToken } = require('../utils/userTokens');
+const { getLockout, recordLoginFailure, clearLoginFailures } = require('../utils/loginThrottle');
+const { sendMail } = require('../mail');
+const { verificationEmail, passwordResetEmail } = require('../mail/messages');
+
+// Registration, login and the tokens that keep a user signed in. Functions
+// return their result, or { error: { status, message } } when refused.
+
+// Account emails are best effort: a mail failure is logged, not returned
+const deliver = async (message) => {
+    try {
+        await sendMail(message);
+    } catch (err) {
+        console.error('Error sending email:', err);
+    }
+};
+
+const hashPassword = async (password) => bcrypt.hash(password, await bcrypt.genSalt(10));
+
+const register = async ({ username, email, password }) => {
+    const { repositories } = getStore();
+
+    const existing = await repositories.users.findByEmailOrUsername(email, username);
+    if (existing) {
+        return { error: { status: 400, message: 'User already exists' } };
+    }
+
+    const userId = await repositories.users.create({ username, email, password: await hashPassword(password) });
+
+    const token = await createUserToken(repositories, userId, 'verify_email');
+    await deliver(verificationEmail({ username, email }, token));
+
+    return { userId };
+};
+
+// A short-lived access token plus a refresh token for this device. Failed
+// attempts count towards a lockout, reported with its locked_until.
+const login = async ({ email, password, ip }) => {
+    const { repositories } = getStore();
+
+    const lockedUntil = await getLockout(email, ip);
+    if (lockedUntil) {
+        return {
+            error: {
+                status: 429,
+                message: 'Too many failed login attempts, please try again later',
+                locked_until: lockedUntil
+            }
+        };
+    }
+
+    const user = await repositories.users.findByEmail(email);
+    if (!user) {
+        await recordLoginFailure(repositories, { email, ip });
+        return { error: { status: 400, message: 'Invalid credentials' } };
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+        await recordLoginFailure(repositories, { email, ip, userId: user.id });
+        return { error: { status: 400, message: 'Invalid credentials' } };
+    }
+
+    await clearLoginFailures(email);
+
+    if (!user.is_active) {
+        return { error: { status: 403, message: 'This account has been disabled' } };
+    }
+
+    const { tokens } = await issueTokens(repositories, user);
+
+    return {
+        tokens,
+        user: {
+            id: user.id,
+            username: user.username,
+            email: user.email,
+            role: user.role,
+            email_verified: user.email_verified_at !== null
+        }
+    };
+};
+
+const refresh = async (refreshToken) => {
+    // A reused token still revokes its family, so the transaction commits
+    // either way
+    const { rotated } = await transaction(async (repos) => ({
+        rotated: await rotateRefreshToken(repos, refreshToken)
+    }));
+
+    if (rotated.error) {
+        return { error: { status: 401, message: rotated.error } };
+    }
+
+    return { tokens: rotated.tokens };
+};
+
+const logout = async (refreshToken) => revokeRefreshToken(getStore().repositories, refreshToken);
+
+const logoutAll = async (userId) => revokeUserTokens(getStore().repositories, userId);
+
+// Every other session is logged out; the device making the change gets
+// fresh tokens
+const changePassword = async (userId, { current_password, new_password }) => {
+    const { repositories } = getStore();
+
+    const user = await repositories.users.findById(userId);
+    const isMatch = await bcrypt.compare(current_password, user.password);
+    if (!isMatch) {
+        return { error: { status: 400, message: 'Current password is incorrect' } };
+    }
+
+    await repositories.users.setPassword(userId, await hashPassword(new_password));
+    await revokeUserTokens(repositories, userId);
+
+    const { tokens } = await issueTokens(repositories, await repositories.users.findById(userId));
+    return { tokens };
+};
+
+const verifyEmail = async (token) => transaction(async (repos) => {
+    const userId = await consumeUserToken(repos, token, 'verify_email');
+    if (!userId) {
+        return { error: { status: 400, message: 'Verification link is invalid or has expired' } };
+    }
+
+    await repos.users.markEmailVerified(userId);
+    return { userId };
+});
+
+// Nothing is said about whether the email belongs to an account
+const resendVerification = async (email) => {
+    const { repositories } = getStore();
+
+    const user = await repositories.users.findActiveByEmail(email, { unverified: true });
+    if (user) {
+        const token = await createUserToken(repositories, user.id, 'verify_email');
+        await deliver(verificationEmail(user, token));
+    }
+};
+
+const forgotPassword = async (email) => {
+    const { repositories } = getStore();
+
+    const user = await repositories.users.findActiveByEmail(email);
+    if (user) {
+        const token = await createUserToken(repositories, user.id, 'reset_password');
+        await deliver(passwordResetEmail(user, token));
+    }
+};
+
+// Every session is logged out. Receiving the reset email also proves the
+// address.
+const resetPassword = async (token, newPassword) => transaction(async (repos) => {
+    const userId = await consumeUserToken(repos, token, 'reset_password');
+    if (!userId) {
+        return { error: { status: 400, message: 'Reset link is invalid or has expired' } };
+    }
+
+    await repos.users.setPassword(userId, await hashPassword(newPassword), { verifyEmail: true });
+    await revokeUserTokens(repos, userId);
+    return { userId };
+});
+
+module.exports = {
+    register,
+    login,
+    refresh,
+    logout,
+    logoutAll,
+    changePassword,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    resetPassword
+};
@@ -0,0 +1,242 @@
+const { getStore, transaction } = require('../repositories');
+const { getLegSequences, getRouteSequences } = require('../utils/seatInventory');
+const { QUEUE_STATUSES, getQueuePosition, promoteQueue } = require('../utils/waitlist');
+const { getTrainRun } = require('../utils/trainCalendar');
+const { runDateForBoarding } = require('../utils/routeTiming');
+const { getBookingPassengers } = require('../utils/passengers');
+const { getCancellableUnits, selectUnits, cancelBookingUnits, getCancellationHistory } = require('../utils/cancellations');
+const { quoteRefund } = require('../utils/refundPolicy');
+const { openPayment, processRefund } = require('../utils/payments');
+const { createBooking } = require('../utils/bookings');
+const { holdSeats, getSeatHolds, releaseSeatHold } = require('../utils/seatHolds');
+const { publishSeatChanges, currentCursor } = require('../utils/seatEvents');
+
+// Bookings, their cancellation and the seat holds made before booking.
+// Functions return their result, or { error: { status, message } } when
+// refused.
+
+const CANCELLABLE_STATUSES = ['confirmed', ...QUEUE_STATUSES];
+
+// Book seats, or a place in the queue, awaiting payment. The payment is
+// opened once the booking is committed.
+const bookSeats = async (userId, request) => {
+    const { booking, error } = await transaction(async (repos) => createBooking(repos, userId, request));
+    if (error) {
+        return { error };
+    }
+
+    return {
+        booking,
+        payment: await openPayment(getStore().repositories, [booking.booking_id])
+    };
+};
+
+// One of the user's bookings with its train, stations, passengers and
+// place in the queue
+const getBooking = async (userId, bookingId) => {
+    const { repositories } = getStore();
+
+    const booking = await repositories.bookings.findDetailed(bookingId, userId);
+    if (!booking) {
+        return { error: { status: 404, message: 'Booking not found' } };
+    }
+
+    return {
+        booking: {
+            id: booking.id,
+            journey_id: booking.journey_id,
+            train: {
+                id: booking.train_id,
+                number: booking.train_number,
+                name: booking.train_name,
+                fare: booking.train_fare
+            },
+            from_station: {
+                id: booking.from_station_id,
+                name: booking.from_station,
+                code: booking.from_station_code
+            },
+            to_station: {
+                id: booking.to_station_id,
+                name: booking.to_station,
+                code: booking.to_station_code
+            },
+            booking_date: booking.booking_date,
+            class_code: booking.class_code,
+            quota: booking.quota,
+            seats_booked: booking.seats_booked,
+            total_fare: booking.total_fare,
+            fare_breakdown: booking.fare_breakdown,
+            booking_status: booking.booking_status,
+            payment_expires_at: booking.payment_expires_at,
+            queue_position: await getQueuePosition(repositories, booking),
+            passengers: await getBookingPassengers(repositories, booking.id),
+            created_at: booking.created_at
+        }
+    };
+};
+
+const listBookings = async (userId) => getStore().repositories.bookings.listForUser(userId);
+
+// The passengers or seats of a booking being cancelled; everything if none
+// are named
+const pickUnits = async (repos, booking, { passenger_ids, seat_ids }) => {
+    const activeUnits = await getCancellableUnits(repos, booking);
+    const { units, unknownIds } = selectUnits(activeUnits, { passenger_ids, seat_ids });
+
+    if (unknownIds.length > 0 || units.length === 0) {
+        return {
+            error: {
+                status: 400,
+                message: `Not active under this booking: ${passenger_ids ? 'passengers' : 'seats'} ${unknownIds.join(', ')}`
+            }
+        };
+    }
+
+    return { units };
+};
+
+// Cancel a whole booking, or some of its passengers or seats. Deductions
+// follow the refund rules for the time left before departure, and freed
+// seats or RAC slots move the queue along. The refund goes back through the
+// gateway once the cancellation is committed.
+const cancelBooking = async (userId, bookingId, { passenger_ids, seat_ids }) => {
+    if (passenger_ids && seat_ids) {
+        return { error: { status: 400, message: 'Give either passenger_ids or seat_ids, not both' } };
+    }
+
+    const result = await transaction(async (repos) => {
+        const booking = await repos.bookings.findForUser(bookingId, userId, { statuses: CANCELLABLE_STATUSES, lock: true });
+        if (!booking) {
+            return { error: { status: 404, message: 'Booking not found or already cancelled' } };
+        }
+
+        const { units, error } = await pickUnits(repos, booking, { passenger_ids, seat_ids });
+        if (error) {
+            return { error };
+        }
+
+        const quote = await quoteRefund(repos, booking, units);
+        if (quote.departed) {
+            return { error: { status: 400, message: 'Bookings cannot be cancelled after departure' } };
+        }
+
+        const cancellation = await cancelBookingUnits(repos, booking, quote, userId);
+
+        const promoted = booking.booking_status === 'waitlisted'
+            ? { confirmed: [], moved_to_rac: [] }
+            : await promoteQueue(repos, booking.train_id, booking.train_run_id);
+
+        return { booking, cancellation, promoted };
+    });
+
+    if (result.error) {
+        return result;
+    }
+
+    const refund = await processRefund(getStore().repositories, result.cancellation.refund_id);
+    return { ...result, refund };
+};
+
+// What cancelling a booking, or some of it, would refund
+const quoteCancellation = async (userId, bookingId, { passenger_ids, seat_ids }) => {
+    const { repositories } = getStore();
+
+    const booking = await repositories.bookings.findForUser(bookingId, userId, { statuses: CANCELLABLE_STATUSES });
+    if (!booking) {
+        return { error: { status: 404, message: 'Booking not found or already cancelled' } };
+    }
+
+    const { units, error } = await pickUnits(repositories, booking, { passenger_ids, seat_ids });
+    if (error) {
+        return { error };
+    }
+
+    return { quote: await quoteRefund(repositories, booking, units) };
+};
+
+const listCancellations = async (userId, bookingId) => {
+    const { repositories } = getStore();
+
+    const booking = await repositories.bookings.findForUser(bookingId, userId);
+    if (!booking) {
+        return { error: { status: 404, message: 'Booking not found' } };
+    }
+
+    return { cancellations: await getCancellationHistory(repositories, booking.id) };
+};
+
+// The run and leg a seat map query is about. Without stations the leg is
+// the whole route, so seats show as taken if booked anywhere on it.
+const findLegRun = async ({ train_id, booking_date, from_station_id, to_station_id }, { create = false } = {}) => {
+    const { repositories } = getStore();
+
+    const leg = from_station_id && to_station_id
+        ? await getLegSequences(repositories, train_id, from_station_id, to_station_id)
+        : await getRouteSequences(repositories, train_id);
+
+    if (!leg) {
+        return { error: { status: 400, message: 'Train does not run between the selected stations' } };
+    }
+
+    const run = await getTrainRun(repositories, train_id, runDateForBoarding(booking_date, leg.from_day_offset), { create });
+    if (!run) {
+        return { error: { status: 400, message: 'Train does not run on the selected date' } };
+    }
+
+    return { leg, run };
+};
+
+// The seat map of a leg, summarised per travel class, with the cursor to
+// stream changes from. Seats the user holds are still available to them.
+const getSeatAvailability = async (userId, { train_id, class_code, ...search }) => {
+    const { leg, run, error } = await findLegRun({ train_id, ...search });
+    if (error) {
+        return { error };
+    }
+
+    // Changes published from here on may not be in this snapshot
+    const cursor = currentCursor();
+
+    const seats = await getStore().repositories.seats.getSeatMap(train_id, run.id, leg, userId, { classCode: class_code });
+
+    const classes = new Map();
+    for (const seat of seats) {
+        const summary = classes.get(seat.class_code) || { class_code: seat.class_code, total_seats: 0, available_seats: 0 };
+        summary.total_seats += 1;
+        summary.available_seats += ['available', 'held_by_you'].includes(seat.status) ? 1 : 0;
+        classes.set(seat.class_code, summary);
+    }
+
+    return { cursor, classes: [...classes.values()], seats };
+};
+
+// The run whose seat changes a client follows, materialised if need be
+const findEventRun = async (search) => findLegRun(search, { create: true });
+
+const placeSeatHold = async (userId, request) => transaction(async (repos) => holdSeats(repos, userId, request));
+
+const listSeatHolds = async (userId) => getSeatHolds(getStore().repositories, userId);
+
+// Returns whether the user had the hold
+const releaseHold = async (userId, holdId) => {
+    const { repositories } = getStore();
+
+    const released = await releaseSeatHold(repositories, userId, holdId);
+    publishSeatChanges(repositories);
+    return released;
+};
+
+module.exports = {
+    bookSeats,
+    getBooking,
+    listBookings,
+    cancelBooking,
+    quoteCancellation,
+    listCancellations,
+    getSeatAvailability,
+    findEventRun,
+    placeSeatHold,
+    listSeatHolds,
+    releaseHold
+};
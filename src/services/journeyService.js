@@ -0,0 +1,101 @@
+const { getStore, transaction } = require('../repositories');
+const { createBooking } = require('../utils/bookings');
+const { openPayment } = require('../utils/payments');
+const { planJourneys, checkConnections } = require('../utils/journeyPlanner');
+
+// Itineraries across trains and the journeys booked from them. Functions
+// return their result, or { error: { status, message } } when refused.
+
+// Station name and code for each id in a list
+const getStations = async (repos, stationIds) => {
+    const stations = await repos.stations.findByIds([...new Set(stationIds)]);
+    return new Map(stations.map(station => [
+        station.id,
+        { id: station.id, name: station.station_name, code: station.station_code }
+    ]));
+};
+
+// Itineraries, direct or with changes of train, with the stations their legs
+// name
+const searchJourneys = async (search) => {
+    const { repositories } = getStore();
+
+    const itineraries = await planJourneys(repositories, search);
+
+    const stations = itineraries.length > 0
+        ? await getStations(repositories, itineraries.flatMap(itinerary =>
+            itinerary.legs.flatMap(leg => [leg.from_station_id, leg.to_station_id])
+        ))
+        : new Map();
+
+    return { itineraries, stations };
+};
+
+// Book every leg of an itinerary in one transaction; any leg failing books
+// nothing. The same passengers travel on every leg, and the legs share one
+// payment, opened once the journey is committed.
+const bookJourney = async (userId, { legs, passengers, quota, seat_preference, seat_together }) => {
+    const result = await transaction(async (repos) => {
+        const connectionError = await checkConnections(repos, legs);
+        if (connectionError) {
+            return { error: { status: 400, message: connectionError } };
+        }
+
+        const journeyId = await repos.journeys.create({
+            user_id: userId,
+            from_station_id: legs[0].from_station_id,
+            to_station_id: legs[legs.length - 1].to_station_id
+        });
+
+        const bookings = [];
+        for (const [index, leg] of legs.entries()) {
+            const { booking, error } = await createBooking(
+                repos,
+                userId,
+                { ...leg, passengers, quota, seat_preference, seat_together },
+                { journeyId }
+            );
+
+            if (error) {
+                return { error: { ...error, message: `Leg ${index + 1}: ${error.message}` } };
+            }
+
+            const { queued, ...details } = booking;
+            bookings.push(details);
+        }
+
+        return { journeyId, bookings };
+    });
+
+    if (result.error) {
+        return result;
+    }
+
+    return {
+        ...result,
+        payment: await openPayment(getStore().repositories, result.bookings.map(booking => booking.booking_id))
+    };
+};
+
+// One of the user's journeys with its legs
+const getJourney = async (userId, journeyId) => {
+    const { repositories } = getStore();
+
+    const journey = await repositories.journeys.findForUser(journeyId, userId);
+    if (!journey) {
+        return { error: { status: 404, message: 'Journey not found' } };
+    }
+
+    return {
+        journey: {
+            ...journey,
+            bookings: await repositories.bookings.listForJourney(journey.id)
+        }
+    };
+};
+
+module.exports = {
+    searchJourneys,
+    bookJourney,
+    getJourney
+};
@@ -0,0 +1,48 @@
+const { getStore, transaction } = require('../repositories');
+const { startPayment, settlePayment, processRefund } = require('../utils/payments');
+
+// Payments for bookings and the outcomes gateways report for them.
+// Functions return their result, or { error: { status, message } } when
+// refused.
+
+// Start (or retry) payment for a booking awaiting payment. A journey leg is
+// paid for together with the other legs.
+const payForBooking = async (userId, bookingId) => {
+    const { repositories } = getStore();
+
+    const bookings = await repositories.bookings.listAwaitingPayment(bookingId, userId);
+    if (bookings.length === 0) {
+        return { error: { status: 404, message: 'No booking awaiting payment found' } };
+    }
+
+    return { payment: await startPayment(repositories, bookings) };
+};
+
+// Settle a payment from a gateway outcome, then send any refund it owes.
+// Returns null for an unknown payment.
+const applyPaymentOutcome = async (gatewayReference, status) => {
+    const result = await transaction(async (repos) => settlePayment(repos, gatewayReference, status));
+
+    if (result && result.refund_id) {
+        const refund = await processRefund(getStore().repositories, result.refund_id);
+        result.refund_status = refund.status;
+    }
+
+    return result;
+};
+
+// Complete one of the user's payments through `gateway`
+const simulatePayment = async (userId, paymentId, gateway, status) => {
+    const payment = await getStore().repositories.payments.findForUser(paymentId, userId, gateway.name);
+    if (!payment) {
+        return { error: { status: 404, message: 'Payment not found' } };
+    }
+
+    return { result: await applyPaymentOutcome(payment.gateway_reference, status) };
+};
+
+module.exports = {
+    payForBooking,
+    applyPaymentOutcome,
+    simulatePayment
+};
@@ -0,0 +1,101 @@
+const { getStore } = require('../repositories');
+const { REFUND_RULE_FIELDS } = require('../utils/refundPolicy');
+
+// The rules refunds are quoted from, managed by admins. Functions return
+// their result, or { error: { status, message } } when refused.
+
+const RULE_NOT_FOUND = { error: { status: 404, message: 'Refund rule not found' } };
+const DUPLICATE_NAME = { error: { status: 409, message: 'A refund rule with this name already exists' } };
+
+// What a new rule gets for the fields it leaves out
+const RULE_DEFAULTS = {
+    class_code: null,
+    min_hours_before: null,
+    max_hours_before: null,
+    deduction_value: 0,
+    priority: 100,
+    is_active: true
+};
+
+// Checks a complete rule the schema cannot express; returns an error message
+const checkRule = async (repos, rule) => {
+    if (rule.min_hours_before !== null && rule.max_hours_before !== null
+        && Number(rule.min_hours_before) >= Number(rule.max_hours_before)) {
+        return 'min_hours_before must be less than max_hours_before';
+    }
+
+    if (rule.deduction_type === 'percent' && Number(rule.deduction_value) > 100) {
+        return 'A percent deduction cannot exceed 100';
+    }
+
+    if (rule.class_code && !await repos.travelClasses.findByCode(rule.class_code)) {
+        return `Unknown class ${rule.class_code}`;
+    }
+
+    return null;
+};
+
+// Check and save `rule` with `save`, refusing a name already in use
+const saveRule = async (repos, rule, save) => {
+    const message = await checkRule(repos, rule);
+    if (message) {
+        return { error: { status: 400, message } };
+    }
+
+    try {
+        return await save();
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') {
+            return DUPLICATE_NAME;
+        }
+        throw err;
+    }
+};
+
+const listRules = async () => getStore().repositories.refundRules.list();
+
+const addRule = async (fields) => {
+    const { repositories } = getStore();
+    const rule = { ...RULE_DEFAULTS, ...fields };
+
+    return saveRule(repositories, rule, async () => ({
+        rule_id: await repositories.refundRules.create(rule)
+    }));
+};
+
+// Change some of a rule's fields; the others keep their value
+const updateRule = async (ruleId, changes) => {
+    const { repositories } = getStore();
+
+    const rule = await repositories.refundRules.findById(ruleId);
+    if (!rule) {
+        return RULE_NOT_FOUND;
+    }
+
+    for (const field of REFUND_RULE_FIELDS) {
+        if (changes[field] !== undefined) {
+            rule[field] = changes[field];
+        }
+    }
+
+    return saveRule(repositories, rule, async () => {
+        await repositories.refundRules.update(rule.id, rule);
+        return { rule_id: rule.id };
+    });
+};
+
+// Rules stay on record because past refunds reference them
+const deactivateRule = async (ruleId) => {
+    if (!await getStore().repositories.refundRules.deactivate(ruleId)) {
+        return RULE_NOT_FOUND;
+    }
+
+    return { rule_id: Number(ruleId) };
+};
+
+module.exports = {
+    listRules,
+    addRule,
+    updateRule,
+    deactivateRule
+};
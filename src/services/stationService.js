@@ -0,0 +1,119 @@
+const { getStore, transaction } = require('../repositories');
+
+// Stations and the trains calling at them. Functions return their result, or
+// { error: { status, message } } when refused.
+
+const STATION_NOT_FOUND = { error: { status: 404, message: 'Station not found' } };
+const DUPLICATE_CODE = { error: { status: 409, message: 'A station with this code already exists' } };
+
+const searchStations = async (q) => getStore().repositories.stations.search(q);
+
+// A station with the trains calling there
+const getStation = async (stationId) => {
+    const { repositories } = getStore();
+
+    const station = await repositories.stations.findById(stationId);
+    if (!station) {
+        return STATION_NOT_FOUND;
+    }
+
+    return {
+        station: {
+            ...station,
+            trains: await repositories.routes.listCallingAt(station.id)
+        }
+    };
+};
+
+const addStation = async ({ station_name, station_code }) => {
+    try {
+        const stationId = await getStore().repositories.stations.create({ name: station_name, code: station_code });
+        return { station_id: stationId };
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') {
+            return DUPLICATE_CODE;
+        }
+        throw err;
+    }
+};
+
+// Rename a station or change its code; fields left out keep their value
+const updateStation = async (stationId, changes) => {
+    const { repositories } = getStore();
+
+    const station = await repositories.stations.findById(stationId);
+    if (!station) {
+        return STATION_NOT_FOUND;
+    }
+
+    const {
+        station_name = station.station_name,
+        station_code = station.station_code
+    } = changes;
+
+    try {
+        await repositories.stations.update(station.id, { name: station_name, code: station_code });
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') {
+            return DUPLICATE_CODE;
+        }
+        throw err;
+    }
+
+    return { station_id: station.id };
+};
+
+// Merge a duplicate station into another: routes, bookings and journeys move
+// over and the duplicate is removed
+const mergeStation = async (stationId, intoStationId) => {
+    if (Number(stationId) === Number(intoStationId)) {
+        return { error: { status: 400, message: 'A station cannot be merged into itself' } };
+    }
+
+    return transaction(async (repos) => {
+        const stations = await repos.stations.findByIds([stationId, intoStationId], { lock: true });
+        if (stations.length !== 2) {
+            return STATION_NOT_FOUND;
+        }
+
+        // A train calling at both would end up stopping twice at one station
+        const trainNumbers = await repos.routes.listSharedTrains(stationId, intoStationId);
+        if (trainNumbers.length > 0) {
+            return {
+                error: {
+                    status: 409,
+                    message: 'Both stations are on the route of the same trains',
+                    train_numbers: trainNumbers
+                }
+            };
+        }
+
+        await repos.stations.merge(stationId, intoStationId);
+        return { station_id: Number(intoStationId) };
+    });
+};
+
+// Only a station no route or booking uses is deleted
+const deleteStation = async (stationId) => {
+    const { repositories } = getStore();
+
+    const usage = await repositories.stations.countUsage(stationId);
+    if (usage.stops > 0 || usage.bookings > 0) {
+        return { error: { status: 409, message: 'Station is still used by train routes or bookings; merge it instead' } };
+    }
+
+    if (!await repositories.stations.delete(stationId)) {
+        return STATION_NOT_FOUND;
+    }
+
+    return { station_id: Number(stationId) };
+};
+
+module.exports = {
+    searchStations,
+    getStation,
+    addStation,
+    updateStation,
+    mergeStation,
+    deleteStation
+};
@@ -0,0 +1,551 @@
+const { getStore, transaction } = require('../repositories');
+const { getLegSequences } = require('../utils/seatInventory');
+const { quoteFare, getClassOptions } = require('../utils/fareEngine');
+const { resolveComposition, insertCoaches } = require('../utils/coachComposition');
+const { stopMinutes, resolveDayOffsets, describeStop, runDateForBoarding, stopDate } = require('../utils/routeTiming');
+const { getRouteStops, editStop, saveRoute } = require('../utils/routeStops');
+const { resizeSeats } = require('../utils/seatResize');
+const {
+    WEEKDAYS,
+    formatDate,
+    runsOn,
+    listRunDates,
+    getTrainCalendar,
+    getTrainRun,
+    getBookedRunDates,
+    saveTrainSchedule
+} = require('../utils/trainCalendar');
+
+// Trains, their calendar, composition and route. Functions return their
+// result, or { error: { status, message } } when refused.
+
+const TRAIN_NOT_FOUND = { error: { status: 404, message: 'Train not found' } };
+
+// available_seats from the train's seats and those booked or held
+const withAvailability = (train) => ({
+    ...train,
+    available_seats: train.total_seats - (train.booked_seats || 0) - (train.held_seats || 0)
+});
+
+// Add a train with its calendar, coaches and route. Without a composition,
+// total_seats plain seats are generated; without a schedule, journey_date
+// is a one-day calendar.
+const createTrain = async ({
+    train_number,
+    train_name,
+    total_seats,
+    class_code,
+    base_fare = 100,
+    fare_mode = 'segment',
+    fare_per_km = null,
+    rac_seats = 0,
+    journey_date,
+    ...details
+}) => {
+    const composition = details.coaches || [
+        { code: 'A', class_code: class_code || 'SL', layout: 'seating', seats: total_seats }
+    ];
+
+    const { coaches, error } = await resolveComposition(getStore().repositories, composition);
+    if (error) {
+        return { error: { status: 400, message: error } };
+    }
+
+    const { stops: stations, error: timingError } = resolveDayOffsets(details.stations);
+    if (timingError) {
+        return { error: { status: 400, message: timingError } };
+    }
+
+    const schedule = details.schedule || {
+        running_days: WEEKDAYS,
+        valid_from: journey_date,
+        valid_until: journey_date
+    };
+
+    let trainId;
+    try {
+        trainId = await transaction(async (repos) => {
+            const id = await repos.trains.create({
+            train_number,
+            train_name,
+                fare: base_fare,
+                fare_mode,
+                fare_per_km,
+                rac_seats
+            });
+
+            await saveTrainSchedule(repos, id, schedule);
+
+            // Generate coaches and their seats; this also sets total_seats
+            await insertCoaches(repos, id, coaches);
+
+            const stops = [];
+            for (const station of stations) {
+                stops.push({ ...station, station_id: await repos.stations.findOrCreate(station) });
+            }
+            await repos.routes.replace(id, stops);
+
+            return id;
+        });
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') {
+            return { error: { status: 409, message: 'A train with this number already exists' } };
+        }
+        throw err;
+    }
+
+    return {
+        train_id: trainId,
+        total_seats: coaches.reduce((total, coach) => total + coach.capacity, 0),
+        coaches,
+        base_fare,
+        fare_mode,
+        schedule
+    };
+};
+
+// Trains calling at both stations in that order on a boarding date, each
+// priced in every class. Full trains are kept so passengers can still join
+// the RAC/waitlist queue.
+const searchTrains = async ({ from_station_id, to_station_id, date }) => {
+    const { repositories } = getStore();
+    const trains = await repositories.trains.findServing(from_station_id, to_station_id);
+
+    // The date is when the passenger boards, so trains reaching the origin
+    // after midnight belong to the previous day's run. Keep only trains
+    // whose calendar has that run.
+    const results = [];
+    for (const { from_sequence, to_sequence, ...train } of trains) {
+        const runDate = runDateForBoarding(date, train.departure_day_offset);
+        const run = await getTrainRun(repositories, train.id, runDate);
+        if (!run) {
+            continue;
+        }
+
+        // A seat someone holds cannot be booked until the hold lapses
+        const leg = { from_sequence, to_sequence };
+        const bookedSeats = await repositories.seatBookings.countSeatsOnLeg(run.id, leg);
+        const heldSeats = await repositories.seatHolds.countOnLeg(run.id, leg);
+        const classes = await getClassOptions(repositories, train.id, run.id, from_station_id, to_station_id);
+        const departure = stopMinutes(train.departure_time, train.departure_day_offset);
+        const arrival = stopMinutes(train.arrival_time, train.arrival_day_offset);
+
+        results.push({
+            ...withAvailability({ ...train, booked_seats: bookedSeats, held_seats: heldSeats }),
+            run_date: runDate,
+            arrival_date: stopDate(runDate, train.arrival_day_offset),
+            duration_minutes: departure !== null && arrival !== null ? arrival - departure : null,
+            base_fare: train.fare,
+            fare: classes.length > 0 ? Math.min(...classes.map(item => item.fare)) : null,
+            classes
+        });
+    }
+
+    return results;
+};
+
+// Replace a train's service calendar. Calendars that would drop runs
+// passengers are booked on are refused, listing those dates.
+const replaceSchedule = async (trainId, schedule) => transaction(async (repos) => {
+    const train = await repos.trains.findById(trainId, { lock: true });
+    if (!train) {
+        return TRAIN_NOT_FOUND;
+    }
+
+    const current = await getTrainCalendar(repos, train.id);
+    const proposed = {
+        schedule: { ...schedule, running_days: schedule.running_days.join(',') },
+        exceptions: schedule.exceptions
+            ? schedule.exceptions.map(item => ({ exception_date: item.date, exception_type: item.type }))
+            : current.exceptions
+    };
+    const droppedDates = (await getBookedRunDates(repos, train.id))
+        .filter(date => !runsOn(proposed, date));
+
+    if (droppedDates.length > 0) {
+        return {
+            error: {
+                status: 409,
+                message: 'Schedule would remove runs that have active bookings',
+                dates: droppedDates
+            }
+        };
+    }
+
+    await saveTrainSchedule(repos, train.id, schedule);
+
+    return { schedule };
+});
+
+// Cancel or add a single run date
+const saveScheduleException = async (trainId, { date, type, reason }) => transaction(async (repos) => {
+    const train = await repos.trains.findById(trainId, { lock: true });
+    if (!train) {
+        return TRAIN_NOT_FOUND;
+    }
+
+    if (type === 'cancelled' && (await getBookedRunDates(repos, train.id)).includes(date)) {
+        return { error: { status: 409, message: 'Cannot cancel a run that has active bookings' } };
+    }
+
+    await repos.schedules.saveException(train.id, { date, type, reason: reason || null });
+    return { type };
+});
+
+// The dates a train runs on between `from` and `to`, with the id of each
+// run that has been materialised
+const listRuns = async (trainId, from, to) => {
+    const { repositories } = getStore();
+
+    const train = await repositories.trains.findById(trainId);
+    if (!train) {
+        return TRAIN_NOT_FOUND;
+    }
+
+    const calendar = await getTrainCalendar(repositories, train.id);
+    const materialised = await repositories.runs.listBetween(train.id, from, to);
+    const runIds = new Map(materialised.map(run => [formatDate(run.run_date), run.id]));
+
+    return {
+        schedule: calendar.schedule,
+        exceptions: calendar.exceptions,
+        runs: listRunDates(calendar, from, to).map(date => ({
+            run_date: date,
+            run_id: runIds.get(date) || null
+        }))
+    };
+};
+
+// Passengers travelling on a run, for the crew
+const getManifest = async (trainId, runDate) => {
+    const { repositories } = getStore();
+
+    const run = await repositories.runs.findWithTrain(trainId, runDate);
+    if (!run) {
+        return { error: { status: 404, message: 'No bookings recorded for this train run' } };
+    }
+
+    return {
+        run,
+        passengers: await repositories.passengers.listManifest(run.id)
+    };
+};
+
+const addCoaches = async (trainId, entries) => {
+    const { repositories } = getStore();
+
+    const train = await repositories.trains.findById(trainId);
+    if (!train) {
+        return TRAIN_NOT_FOUND;
+    }
+
+    const existing = await repositories.coaches.listForTrain(train.id);
+    const { coaches, error } = await resolveComposition(
+        repositories,
+        entries,
+        existing.map(coach => coach.coach_code)
+    );
+    if (error) {
+        return { error: { status: 400, message: error } };
+    }
+
+    await transaction(async (repos) => {
+        await insertCoaches(repos, train.id, coaches);
+    });
+
+    return { coaches };
+};
+
+// Replace a train's composition; only before it has taken any bookings,
+// since seats referenced by bookings cannot be regenerated
+const replaceCoaches = async (trainId, entries) => {
+    const { repositories } = getStore();
+
+    const train = await repositories.trains.findById(trainId);
+    if (!train) {
+        return TRAIN_NOT_FOUND;
+    }
+
+    const { coaches, error } = await resolveComposition(repositories, entries);
+    if (error) {
+        return { error: { status: 400, message: error } };
+    }
+
+    return transaction(async (repos) => {
+        if (await repos.seatBookings.countForTrain(train.id) > 0) {
+            return {
+                error: {
+                    status: 409,
+                    message: 'Train already has bookings; add coaches instead of replacing the composition'
+                }
+            };
+        }
+
+        await repos.coaches.deleteForTrain(train.id);
+        await insertCoaches(repos, train.id, coaches);
+        return { coaches };
+    });
+};
+
+// An itemised fare for a leg of the run a passenger boarding on `date` takes
+const getFare = async (trainId, { from_station_id, to_station_id, date, class_code, quota, concessions }) => {
+    const { repositories } = getStore();
+
+    const leg = await getLegSequences(repositories, trainId, from_station_id, to_station_id);
+    if (!leg) {
+        return { error: { status: 400, message: 'Train does not run between the selected stations' } };
+    }
+
+    const run = await getTrainRun(repositories, trainId, runDateForBoarding(date, leg.from_day_offset));
+    if (!run) {
+        return { error: { status: 400, message: 'Train does not run on the selected date' } };
+    }
+
+    const fare = await quoteFare(repositories, {
+        trainId,
+        trainRunId: run.id,
+        leg,
+        classCode: class_code,
+        quota,
+        concessions
+    });
+
+    if (!fare) {
+        return { error: { status: 404, message: `Train has no seats in class ${class_code}` } };
+    }
+
+    return { fare };
+};
+
+// Resize a train, or one of its classes. Seats with upcoming bookings are
+// only removed with `reaccommodate`, which moves those bookings.
+const resizeTrain = async (trainId, { total_seats, class_code, reaccommodate }) => transaction(async (repos) => {
+    const train = await repos.trains.findById(trainId, { lock: true });
+    if (!train) {
+        return TRAIN_NOT_FOUND;
+    }
+
+    return resizeSeats(repos, train.id, total_seats, {
+        classCode: class_code,
+        reaccommodate
+    });
+});
+
+// Distance pricing needs a rate and a distance at every stop
+const updateFare = async (trainId, changes) => {
+    const { repositories } = getStore();
+
+    const train = await repositories.trains.findById(trainId);
+    if (!train) {
+        return TRAIN_NOT_FOUND;
+    }
+
+    const {
+        fare = train.fare,
+        fare_mode = train.fare_mode,
+        fare_per_km = train.fare_per_km
+    } = changes;
+
+    if (fare_mode === 'distance') {
+        const missing = await repositories.routes.countMissingDistances(train.id);
+        if (fare_per_km === null || missing > 0) {
+            return { error: { status: 400, message: 'Distance pricing needs fare_per_km and a distance for every stop' } };
+        }
+    }
+
+    await repositories.trains.update(train.id, { fare, fare_mode, fare_per_km });
+    return { fare, fare_mode, fare_per_km };
+};
+
+// Run an edit of a train's route in a transaction. `edit(current, repos)`
+// returns the new stops in travel order, or { error }.
+const editRoute = async (trainId, edit) => transaction(async (repos) => {
+    const train = await repos.trains.findById(trainId, { lock: true });
+    if (!train) {
+        return TRAIN_NOT_FOUND;
+    }
+
+    const current = await getRouteStops(repos, train.id);
+    const stops = await edit(current, repos);
+    if (stops.error) {
+        return stops;
+    }
+
+    const result = await saveRoute(repos, train, stops);
+    if (result.error) {
+        return result;
+    }
+
+    return { stops: result.stops.map(stop => ({ ...stop, ...describeStop(stop) })) };
+});
+
+// Replace or reorder a route; stops already on it keep any timings not given
+const replaceRoute = async (trainId, stops) => editRoute(trainId, async (current, repos) => {
+    const stationIds = stops.map(stop => stop.station_id);
+    const stations = await repos.stations.findByIds(stationIds);
+
+    const missing = stationIds.filter(id => !stations.some(station => station.id === id));
+    if (missing.length > 0) {
+        return { error: { status: 400, message: `Unknown stations: ${missing.join(', ')}` } };
+    }
+
+    return stops.map(stop => {
+        const existing = current.find(item => item.station_id === stop.station_id);
+        const station = stations.find(item => item.id === stop.station_id);
+        return editStop(existing || { ...station, station_id: station.id }, stop);
+    });
+});
+
+// Add a stop at a 1-based position, by default the end of the route
+const addStop = async (trainId, { station_id, position, ...changes }) => editRoute(trainId, async (current, repos) => {
+    const [station] = await repos.stations.findByIds([station_id]);
+    if (!station) {
+        return { error: { status: 400, message: 'Station not found' } };
+    }
+    if (current.some(stop => stop.station_id === station.id)) {
+        return { error: { status: 409, message: 'Station is already on this route' } };
+    }
+
+    const index = Math.min(position || current.length + 1, current.length + 1);
+    const stop = editStop({ ...station, station_id: station.id }, changes);
+
+    return [...current.slice(0, index - 1), stop, ...current.slice(index - 1)];
+});
+
+const updateStop = async (trainId, stationId, changes) => editRoute(trainId, async (current) => {
+    if (!current.some(stop => stop.station_id === Number(stationId))) {
+        return { error: { status: 404, message: 'Stop not found on this route' } };
+    }
+
+    return current.map(stop => stop.station_id === Number(stationId) ? editStop(stop, changes) : stop);
+});
+
+// Refused while active bookings board or alight there
+const removeStop = async (trainId, stationId) => editRoute(trainId, async (current) => {
+    if (!current.some(stop => stop.station_id === Number(stationId))) {
+        return { error: { status: 404, message: 'Stop not found on this route' } };
+    }
+
+    return current.filter(stop => stop.station_id !== Number(stationId));
+});
+
+// Change a train's details. Trains carrying passengers on upcoming runs
+// stay in service.
+const updateTrain = async (trainId, { train_number, train_name, rac_seats, is_active }) => {
+    const { repositories } = getStore();
+
+    const train = await repositories.trains.findById(trainId);
+    if (!train) {
+        return TRAIN_NOT_FOUND;
+    }
+
+    if (is_active === false && train.is_active) {
+        const bookings = await repositories.bookings.listActiveForTrain(train.id, { upcoming: true });
+        if (bookings.length > 0) {
+            return {
+                error: {
+                    status: 409,
+                    message: 'Train has active bookings on upcoming runs',
+                    booking_ids: bookings.map(booking => booking.id)
+                }
+            };
+        }
+    }
+
+    try {
+        await repositories.trains.update(train.id, { train_number, train_name, rac_seats, is_active });
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') {
+            return { error: { status: 409, message: 'Another train already has this number' } };
+        }
+        throw err;
+    }
+
+    return { train_id: train.id };
+};
+
+// Only trains that have never been booked are deleted; the others are
+// deactivated instead
+const deleteTrain = async (trainId) => transaction(async (repos) => {
+    const train = await repos.trains.findById(trainId, { lock: true });
+    if (!train) {
+        return TRAIN_NOT_FOUND;
+    }
+
+    if (await repos.bookings.countForTrain(train.id) > 0) {
+        return { error: { status: 409, message: 'Train has bookings on record, deactivate it instead' } };
+    }
+
+    await repos.trains.delete(train.id);
+    return { train_id: train.id };
+});
+
+const listTrains = async () => (await getStore().repositories.trains.listSummaries()).map(withAvailability);
+
+const listStations = async () => getStore().repositories.stations.list();
+
+const listRoutes = async () => getStore().repositories.trains.listRoutes();
+
+// A train with its coaches and stops, timed in minutes since leaving the
+// origin
+const getTrain = async (trainId) => {
+    const { repositories } = getStore();
+
+    const train = await repositories.trains.findWithRoute(trainId);
+    if (!train) {
+        return TRAIN_NOT_FOUND;
+    }
+
+    const coaches = (await repositories.coaches.listForTrain(train.id))
+        .map(({ coach_code, class_code, layout, capacity, position }) => ({ coach_code, class_code, layout, capacity, position }));
+
+    const stops = (await repositories.routes.listStops(train.id)).map(stop => ({ ...stop, ...describeStop(stop) }));
+    const start = stops.length > 0 ? stops[0].departure_minutes : null;
+    for (const stop of stops) {
+        stop.elapsed_minutes = start !== null && stop.arrival_minutes !== null ? stop.arrival_minutes - start : null;
+        stop.day = stop.arrival_day_offset + 1;
+    }
+
+    return {
+        train: {
+            ...train,
+            duration_minutes: stops.length > 0 ? stops[stops.length - 1].elapsed_minutes : null,
+            stops,
+            coaches
+        }
+    };
+};
+
+const getTrainByNumber = async (trainNumber) => {
+    const [train] = await getStore().repositories.trains.listSummaries({ trainNumber });
+    if (!train) {
+        return { error: { ...TRAIN_NOT_FOUND.error, searchedNumber: trainNumber } };
+    }
+
+    return { train: withAvailability(train) };
+};
+
+module.exports = {
+    createTrain,
+    searchTrains,
+    replaceSchedule,
+    saveScheduleException,
+    listRuns,
+    getManifest,
+    addCoaches,
+    replaceCoaches,
+    getFare,
+    resizeTrain,
+    updateFare,
+    replaceRoute,
+    addStop,
+    updateStop,
+    removeStop,
+    updateTrain,
+    deleteTrain,
+    listTrains,
+    listStations,
+    listRoutes,
+    getTrain,
+    getTrainByNumber
+};
@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+// API keys are shown once when issued; only their SHA-256 hash is stored,
+// with a short prefix so admins can tell keys apart.
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const generateApiKey = () => {
+    const key = `rk_${crypto.randomBytes(24).toString('hex')}`;
+    return {
+        key,
+        prefix: key.slice(0, 10),
+        hash: hashApiKey(key)
+    };
+};
+
+// The active key matching a presented secret, with its owner's role,
+// or null. Keys stop working while their owner's account is disabled.
+const findApiKey = async (repos, key) => {
+    const found = await repos.apiKeys.findActiveByHash(hashApiKey(key));
+
+    if (!found) {
+        return null;
+    }
+
+    await repos.apiKeys.markUsed(found.id);
+    return found;
+};
+
+module.exports = {
+    generateApiKey,
+    findApiKey
+};
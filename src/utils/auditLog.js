@@ -0,0 +1,19 @@
+// Every change made through a permission-checked route is logged against
+// the user, and the API key if one was used, that made it.
+const recordAudit = async (repos, actor, req, statusCode) => {
+    await repos.auditLogs.create({
+        user_id: actor.user_id,
+        api_key_id: actor.api_key_id,
+        method: req.method,
+        path: req.originalUrl.slice(0, 255),
+        status_code: statusCode
+    });
+};
+
+// Most recent audit entries, optionally for one user
+const getAuditLogs = async (repos, { userId = null, limit = 100 } = {}) => repos.auditLogs.list({ userId, limit });
+
+module.exports = {
+    recordAudit,
+    getAuditLogs
+};
@@ -0,0 +1,249 @@
+const paymentConfig = require('../config/payments');
+const { getLegSequences, findFreeSeats } = require('./seatInventory');
+const { getTrainRun } = require('./trainCalendar');
+const { runDateForBoarding } = require('./routeTiming');
+const { quoteFare } = require('./fareEngine');
+const { isEligibleForConcession, insertPassengers } = require('./passengers');
+const { allocateSeats } = require('./seatAllocator');
+const { consumeSeatHolds } = require('./seatHolds');
+const { recordSeatChange } = require('./seatEvents');
+
+const rejected = (message) => ({ error: { status: 400, message } });
+
+// Pick seats for a request's passengers from the free seats of its leg.
+// Seat preferences fall back to the booking's, then to the user's saved
+// preferences; groups sit together unless asked otherwise.
+const allocateForPassengers = async (repos, userId, trainId, freeSeats, request) => {
+    const { preferences } = await repos.users.findById(userId);
+    const saved = preferences || {};
+
+    const coaches = await repos.coaches.listForTrain(trainId);
+    const coachById = new Map(coaches.map(coach => [coach.id, coach]));
+    const seats = freeSeats.map(seat => ({
+        ...seat,
+        layout: coachById.get(seat.coach_id)?.layout,
+        coach_position: coachById.get(seat.coach_id)?.position
+    }));
+
+    const wants = request.passengers.map(passenger =>
+        passenger.seat_preference || request.seat_preference || saved.preferred_berth || null
+    );
+
+    return allocateSeats(seats, wants, {
+        together: request.seat_together ?? saved.seat_together ?? true
+    });
+};
+
+// Create one payment_pending booking inside the caller's transaction. It holds
+// `selected_seats`, or `seats_requested` seats in `class_code` picked by the
+// allocator, or when the leg is full it is a queue request for them. Seats
+// the user holds are theirs to book and the holds are used up. Returns
+// { booking } on success or { error: { status, message } }, in which case the
+// caller rolls back.
+const createBooking = async (repos, userId, request, { journeyId = null } = {}) => {
+    const {
+        train_id,
+        from_station_id,
+        to_station_id,
+        booking_date,
+        selected_seats,
+        seats_requested,
+        passengers,
+        quota = 'general'
+    } = request;
+
+    // Every seat carries exactly one named passenger
+    const seatCount = selected_seats ? selected_seats.length : seats_requested;
+    if (passengers.length !== seatCount) {
+        return rejected(`Expected ${seatCount} passenger(s), got ${passengers.length}`);
+    }
+
+    const ineligible = passengers.filter(passenger => !isEligibleForConcession(passenger));
+    if (ineligible.length > 0) {
+        return rejected(`Passengers not eligible for the claimed concession: ${ineligible.map(p => p.name).join(', ')}`);
+    }
+
+    const concessions = passengers.map(passenger => passenger.concession || null);
+    if (quota === 'tatkal' && concessions.some(Boolean)) {
+        return rejected('Concessions are not available under the tatkal quota');
+    }
+
+    const train = await repos.trains.findById(train_id);
+    if (!train || !train.is_active) {
+        return rejected('Train is not in service');
+    }
+
+    // Resolve the leg being travelled on this train's route
+    const leg = await getLegSequences(repos, train_id, from_station_id, to_station_id);
+    if (!leg) {
+        return rejected('Train does not run between the selected stations');
+    }
+
+    // Inventory is held per run, so the train must actually run that day.
+    // booking_date is the boarding date, which is a later day of the run for
+    // stops reached after midnight.
+    const runDate = runDateForBoarding(booking_date, leg.from_day_offset);
+    const run = await getTrainRun(repos, train_id, runDate, { create: true });
+    if (!run) {
+        return rejected('Train does not run on the selected date');
+    }
+
+    // No seats picked: allocate them while the leg has room
+    const { class_code } = request;
+    let seatIds = selected_seats;
+    let allocation = null;
+    if (!selected_seats) {
+        const freeSeats = await findFreeSeats(repos, train_id, run.id, leg, {
+            lock: true,
+            classCode: class_code,
+            userId
+        });
+        if (freeSeats.length >= seats_requested) {
+            allocation = await allocateForPassengers(repos, userId, train_id, freeSeats, request);
+            seatIds = allocation.seats.map(seat => seat.id);
+        }
+    }
+
+    // Otherwise the leg is full: queue the request
+    if (!seatIds) {
+        const fare = await quoteFare(repos, {
+            trainId: train_id,
+            trainRunId: run.id,
+            leg,
+            classCode: class_code,
+            quota,
+            concessions
+        });
+        if (!fare) {
+            return rejected(`Train has no seats in class ${class_code}`);
+        }
+
+        const bookingId = await repos.bookings.create({
+            user_id: userId,
+            journey_id: journeyId,
+            train_id,
+            train_run_id: run.id,
+            from_station_id,
+            to_station_id,
+            booking_date,
+            class_code,
+            quota,
+            seats_booked: seats_requested,
+            total_fare: fare.total,
+            fare_breakdown: fare,
+            payment_minutes: paymentConfig.hold_minutes
+        });
+
+        // Queued passengers get seats when the booking is promoted
+        await insertPassengers(repos, bookingId, passengers);
+
+        return {
+            booking: {
+                booking_id: bookingId,
+                booking_status: 'payment_pending',
+                queued: true,
+                seats_booked: seats_requested,
+                total_fare: fare.total,
+                fare_breakdown: fare
+            }
+        };
+    }
+
+    // Lock the selected seats along with any bookings overlapping this leg
+    // and other users' holds on it
+    const seats = await repos.seats.findOnLeg(train_id, run.id, leg, { seatIds, userId, lock: true });
+
+    const foundSeatIds = new Set(seats.map(seat => seat.id));
+    if (foundSeatIds.size !== new Set(seatIds).size) {
+        return rejected('Some selected seats do not belong to this train or are out of service');
+    }
+
+    // Check if any of the selected seats are already booked on an overlapping leg
+    const alreadyBookedSeats = [...new Set(
+        seats.filter(seat => seat.seat_booking_id !== null).map(seat => seat.seat_number)
+    )];
+    if (alreadyBookedSeats.length > 0) {
+        return rejected(`Seats ${alreadyBookedSeats.join(', ')} are already booked`);
+    }
+
+    const heldSeats = [...new Set(
+        seats.filter(seat => seat.seat_hold_id !== null).map(seat => seat.seat_number)
+    )];
+    if (heldSeats.length > 0) {
+        return rejected(`Seats ${heldSeats.join(', ')} are held by another user`);
+    }
+
+    // A booking is priced in a single travel class
+    const classCodes = [...new Set(seats.map(seat => seat.class_code))];
+    if (classCodes.length > 1) {
+        return rejected('All selected seats must be in the same class');
+    }
+
+    // Calculate the itemised fare
+    const fare = await quoteFare(repos, {
+        trainId: train_id,
+        trainRunId: run.id,
+        leg,
+        classCode: classCodes[0],
+        quota,
+        concessions
+    });
+
+    // Create the main booking
+    const bookingId = await repos.bookings.create({
+        user_id: userId,
+        journey_id: journeyId,
+        train_id,
+        train_run_id: run.id,
+        from_station_id,
+        to_station_id,
+        booking_date,
+        class_code: classCodes[0],
+        quota,
+        seats_booked: seatIds.length,
+        total_fare: fare.total,
+        fare_breakdown: fare,
+        payment_minutes: paymentConfig.hold_minutes
+    });
+
+    // Hold each selected seat, in the order passengers were listed
+    const seatBookingIds = [];
+    for (const seatId of seatIds) {
+        seatBookingIds.push(await repos.seatBookings.create({
+            booking_id: bookingId,
+            seat_id: seatId,
+            train_run_id: run.id,
+            booking_date,
+            from_sequence: leg.from_sequence,
+            to_sequence: leg.to_sequence
+        }));
+    }
+
+    await consumeSeatHolds(repos, userId, run.id, seatIds);
+    recordSeatChange(repos, 'booked', seatIds.map(seat_id => ({ train_run_id: run.id, seat_id, ...leg })));
+
+    await insertPassengers(repos, bookingId, passengers, seatBookingIds);
+
+    return {
+        booking: {
+            booking_id: bookingId,
+            booking_status: 'payment_pending',
+            queued: false,
+            seats_booked: seatIds.length,
+            total_fare: fare.total,
+            fare_breakdown: fare,
+            ...(allocation && {
+                allocation: {
+                    seats: allocation.seats.map(seat => seat.seat_number),
+                    together: allocation.together,
+                    preferences_met: allocation.met,
+                    preferences_requested: allocation.requested
+                }
+            })
+        }
+    };
+};
+
+module.exports = {
+    createBooking
+};
@@ -0,0 +1,139 @@
+const { recordSeatChange } = require('./seatEvents');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Fare paid for the passenger at `fareIndex` in the booking's fare breakdown,
+// or the average fare per seat for bookings priced without one
+const passengerFare = (booking, fareIndex) => {
+    const line = booking.fare_breakdown && booking.fare_breakdown.passengers[fareIndex];
+    return line ? line.fare : booking.total_fare / booking.seats_booked;
+};
+
+// Active places under a booking that can be cancelled: one per passenger,
+// plus any seats booked before passengers were recorded
+const getCancellableUnits = async (repos, booking) => {
+    const passengers = await repos.passengers.listForCancellation(booking.id);
+    const unassignedSeats = await repos.seatBookings.listUnassigned(booking.id);
+
+    const passengerUnits = passengers
+        .map((passenger, index) => ({
+            passenger_id: passenger.id,
+            seat_booking_id: passenger.seat_booking_id,
+            seat_id: passenger.seat_id,
+            fare: passengerFare(booking, index),
+            active: passenger.status === 'active'
+        }))
+        .filter(unit => unit.active)
+        .map(({ active, ...unit }) => unit);
+
+    const seatUnits = unassignedSeats.map(seatBooking => ({
+        passenger_id: null,
+        seat_booking_id: seatBooking.id,
+        seat_id: seatBooking.seat_id,
+        fare: booking.total_fare / booking.seats_booked
+    }));
+
+    return [...passengerUnits, ...seatUnits];
+};
+
+// Narrow the active places to the passengers or seats named in a request;
+// nothing named means the whole booking. Also returns unmatched ids.
+const selectUnits = (activeUnits, { passenger_ids, seat_ids }) => {
+    if (passenger_ids) {
+        const units = activeUnits.filter(unit => passenger_ids.includes(unit.passenger_id));
+        return { units, unknownIds: passenger_ids.filter(id => !units.some(unit => unit.passenger_id === id)) };
+    }
+
+    if (seat_ids) {
+        const units = activeUnits.filter(unit => seat_ids.includes(unit.seat_id));
+        return { units, unknownIds: seat_ids.filter(id => !units.some(unit => unit.seat_id === id)) };
+    }
+
+    return { units: activeUnits, unknownIds: [] };
+};
+
+// Cancel the places in a refund quote (see quoteRefund) inside the caller's
+// transaction: release their seats, shrink or cancel the booking and record
+// the cancellation together with its refund
+const cancelBookingUnits = async (repos, booking, quote, cancelledBy) => {
+    const units = quote.items;
+    const remainingSeats = booking.seats_booked - units.length;
+
+    if (remainingSeats === 0) {
+        await repos.bookings.setStatus(booking.id, 'cancelled');
+    } else {
+        await repos.bookings.shrink(booking.id, {
+            seats_booked: remainingSeats,
+            total_fare: roundAmount(Math.max(booking.total_fare - quote.fare, 0))
+        });
+    }
+
+    const seatBookingIds = units.map(unit => unit.seat_booking_id).filter(Boolean);
+    if (seatBookingIds.length > 0) {
+        const seatBookings = await repos.seatBookings.findByIds(seatBookingIds);
+        await repos.seatBookings.cancel(seatBookingIds);
+        recordSeatChange(repos, 'released', seatBookings);
+    }
+
+    const passengerIds = units.map(unit => unit.passenger_id).filter(Boolean);
+    if (passengerIds.length > 0) {
+        await repos.passengers.cancel(passengerIds);
+    }
+
+    const cancellationId = await repos.cancellations.create({
+        booking_id: booking.id,
+        cancelled_by: cancelledBy,
+        seats_cancelled: units.length,
+        refund_amount: quote.refund_amount,
+        deduction: quote.deduction
+    });
+
+    await repos.cancellations.addItems(cancellationId, units.map(unit => ({
+        passenger_id: unit.passenger_id,
+        seat_booking_id: unit.seat_booking_id,
+        seat_id: unit.seat_id,
+        refund_amount: unit.refund
+    })));
+
+    const refundId = await repos.refunds.create({
+        booking_id: booking.id,
+        cancellation_id: cancellationId,
+        amount: quote.refund_amount,
+        deduction: quote.deduction,
+        rule_id: quote.rule ? quote.rule.id : null,
+        rule_name: quote.rule ? quote.rule.name : null
+    });
+
+    return {
+        cancellation_id: cancellationId,
+        refund_id: refundId,
+        seats_cancelled: units.length,
+        remaining_seats: remainingSeats,
+        refund_amount: quote.refund_amount,
+        deduction: quote.deduction,
+        refund_rule: quote.rule
+    };
+};
+
+// Cancellation history of a booking, oldest first
+const getCancellationHistory = async (repos, bookingId) => {
+    const cancellations = await repos.cancellations.listForBooking(bookingId);
+
+    if (cancellations.length === 0) {
+        return [];
+    }
+
+    const items = await repos.cancellations.listItems(cancellations.map(cancellation => cancellation.id));
+
+    return cancellations.map(cancellation => ({
+        ...cancellation,
+        items: items.filter(item => item.cancellation_id === cancellation.id)
+    }));
+};
+
+module.exports = {
+    getCancellableUnits,
+    selectUnits,
+    cancelBookingUnits,
+    getCancellationHistory
+};
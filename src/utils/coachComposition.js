@@ -0,0 +1,100 @@
+const COACH_LAYOUTS = require('../config/coachLayouts');
+
+// Every seat or berth type the layouts produce
+const SEAT_TYPES = [...new Set(Object.values(COACH_LAYOUTS).flatMap(layout => layout.pattern))];
+
+// Expand shorthand entries such as { class_code: 'SL', prefix: 'S', count: 10 }
+// into one entry per coach (S1..S10)
+const expandComposition = (entries) => entries.flatMap(entry => {
+    if (!entry.count) {
+        return [entry];
+    }
+
+    return Array.from({ length: entry.count }, (_, i) => ({
+        ...entry,
+        code: `${entry.prefix}${i + 1}`
+    }));
+});
+
+// Resolve the layout and capacity of every coach in a composition, falling
+// back to the class's default layout. Returns { error } when it is invalid.
+const resolveComposition = async (repos, entries, existingCodes = []) => {
+    const classes = await repos.travelClasses.list();
+    const defaultLayouts = new Map(classes.map(travelClass => [travelClass.code, travelClass.default_layout]));
+    const usedCodes = new Set(existingCodes);
+    const coaches = [];
+
+    for (const coach of expandComposition(entries)) {
+        if (!defaultLayouts.has(coach.class_code)) {
+            return { error: `Unknown travel class ${coach.class_code}` };
+        }
+
+        const layout = coach.layout || defaultLayouts.get(coach.class_code);
+        if (!COACH_LAYOUTS[layout]) {
+            return { error: `Unknown coach layout ${layout}` };
+        }
+
+        if (usedCodes.has(coach.code)) {
+            return { error: `Coach ${coach.code} appears more than once` };
+        }
+        usedCodes.add(coach.code);
+
+        coaches.push({
+            code: coach.code,
+            class_code: coach.class_code,
+            layout,
+            capacity: coach.seats || COACH_LAYOUTS[layout].capacity
+        });
+    }
+
+    return { coaches };
+};
+
+// Seats of a coach numbered 1..capacity, typed by its layout pattern
+const buildCoachSeats = (coach) => {
+    const { pattern } = COACH_LAYOUTS[coach.layout];
+
+    return Array.from({ length: coach.capacity }, (_, i) => ({
+        seat_number: `${coach.code}-${i + 1}`,
+        berth_number: i + 1,
+        seat_type: pattern[i % pattern.length]
+    }));
+};
+
+// Append resolved coaches to a train, generate their seats and keep
+// trains.total_seats in step with the seats table
+const insertCoaches = async (repos, trainId, coaches) => {
+    const lastPosition = await repos.coaches.lastPosition(trainId);
+
+    for (const [index, coach] of coaches.entries()) {
+        const coachId = await repos.coaches.create({
+            train_id: trainId,
+            coach_code: coach.code,
+            class_code: coach.class_code,
+            layout: coach.layout,
+            capacity: coach.capacity,
+            position: lastPosition + index + 1
+        });
+
+        await repos.seats.createMany(buildCoachSeats(coach).map(seat => ({
+            ...seat,
+            train_id: trainId,
+            coach_id: coachId,
+            class_code: coach.class_code
+        })));
+    }
+
+    await repos.trains.refreshTotalSeats(trainId);
+};
+
+// Travel classes a train carries with their seat counts, cheapest first
+const getTrainClasses = (repos, trainId) => repos.seats.listClasses(trainId);
+
+module.exports = {
+    COACH_LAYOUTS,
+    SEAT_TYPES,
+    resolveComposition,
+    buildCoachSeats,
+    insertCoaches,
+    getTrainClasses
+};
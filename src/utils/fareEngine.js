@@ -0,0 +1,122 @@
+const fareConfig = require('../config/fares');
+const { getLegSequences, getRouteSequences, findFreeSeats } = require('./seatInventory');
+const { getTrainClasses } = require('./coachComposition');
+
+const CONCESSIONS = Object.keys(fareConfig.concessions);
+const QUOTAS = ['general', 'tatkal'];
+
+const roundFare = (amount) => Math.round(amount * 100) / 100;
+
+// Fare of one passenger for a leg before class and surcharges. Segment
+// pricing pro-rates the train's end-to-end fare by the stops travelled;
+// distance pricing charges per kilometre between the two stops.
+const legBaseFare = (train, leg) => {
+    if (train.fare_mode === 'distance') {
+        return (leg.to_distance - leg.from_distance) * train.fare_per_km;
+    }
+
+    return train.fare * (leg.to_sequence - leg.from_sequence) / leg.route_segments;
+};
+
+const dynamicSurchargePercent = (occupancy) => {
+    const tier = fareConfig.dynamic.find(item => occupancy >= item.occupancy);
+    return tier ? tier.percent : 0;
+};
+
+// Itemised fare for a group of passengers travelling together in one class.
+// `concessions` holds one entry per passenger: a category name or null.
+const calculateFare = ({ train, leg, travelClass, quota = 'general', occupancy = 0, concessions }) => {
+    const multiplier = Number(travelClass.fare_multiplier);
+    const baseFare = roundFare(legBaseFare(train, leg) * multiplier);
+
+    let tatkalSurcharge = 0;
+    if (quota === 'tatkal') {
+        const { percent, min, max } = fareConfig.tatkal;
+        tatkalSurcharge = roundFare(Math.min(Math.max(baseFare * percent / 100, min), max));
+    }
+
+    const dynamicSurcharge = roundFare(baseFare * dynamicSurchargePercent(occupancy) / 100);
+
+    const passengers = concessions.map(concession => {
+        const concessionDiscount = concession
+            ? roundFare(baseFare * fareConfig.concessions[concession].percent / 100)
+            : 0;
+
+        return {
+            concession: concession || null,
+            base_fare: baseFare,
+            tatkal_surcharge: tatkalSurcharge,
+            dynamic_surcharge: dynamicSurcharge,
+            concession_discount: concessionDiscount,
+            fare: roundFare(baseFare + tatkalSurcharge + dynamicSurcharge - concessionDiscount)
+        };
+    });
+
+    return {
+        currency: fareConfig.currency,
+        fare_mode: train.fare_mode,
+        class_code: travelClass.code,
+        class_multiplier: multiplier,
+        quota,
+        segments: leg.to_sequence - leg.from_sequence,
+        distance_km: leg.to_distance === null ? null : Number(leg.to_distance) - Number(leg.from_distance),
+        occupancy: roundFare(occupancy),
+        passengers,
+        total: roundFare(passengers.reduce((total, passenger) => total + passenger.fare, 0))
+    };
+};
+
+// Price a leg of a train run for the given class, loading what the engine
+// needs. Returns null when the train has no seats in that class.
+const quoteFare = async (repos, { trainId, trainRunId, leg, classCode, quota, concessions = [null] }) => {
+    const train = await repos.trains.findById(trainId);
+    const travelClass = await repos.travelClasses.findByCode(classCode);
+    const seats = await repos.seats.countActive(trainId, classCode);
+
+    if (!train || !travelClass || seats === 0) {
+        return null;
+    }
+
+    const route = await getRouteSequences(repos, trainId);
+    const freeSeats = await findFreeSeats(repos, trainId, trainRunId, leg, { classCode });
+
+    return calculateFare({
+        train,
+        leg: { ...leg, route_segments: route.to_sequence - route.from_sequence },
+        travelClass,
+        quota,
+        occupancy: 1 - freeSeats.length / seats,
+        concessions
+    });
+};
+
+// Free seats and the fare for one adult in each class a train carries,
+// on a leg of a run
+const getClassOptions = async (repos, trainId, trainRunId, fromStationId, toStationId) => {
+    const leg = await getLegSequences(repos, trainId, fromStationId, toStationId);
+    const classes = await getTrainClasses(repos, trainId);
+
+    const options = [];
+    for (const travelClass of classes) {
+        const classCode = travelClass.class_code;
+        const freeSeats = await findFreeSeats(repos, trainId, trainRunId, leg, { classCode });
+        const fare = await quoteFare(repos, { trainId, trainRunId, leg, classCode });
+
+        options.push({
+            ...travelClass,
+            available_seats: freeSeats.length,
+            fare: fare.total,
+            fare_breakdown: fare
+        });
+    }
+
+    return options;
+};
+
+module.exports = {
+    CONCESSIONS,
+    QUOTAS,
+    calculateFare,
+    quoteFare,
+    getClassOptions
+};
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const idempotencyConfig = require('../config/idempotency');
+
+// A request is identified by its method, path and body. Object keys are
+// sorted first so a client re-serialising the same body still matches.
+const canonical = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(canonical);
+    }
+
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]));
+    }
+
+    return value;
+};
+
+const hashRequest = (method, path, body) => crypto
+    .createHash('sha256')
+    .update(JSON.stringify([method, path, canonical(body || {})]))
+    .digest('hex');
+
+// Claim a key for a request before running it. Returns { claimed: true }
+// for a new key, or the existing key's row for a retry. Expired keys, and
+// keys left in progress past their lease, are treated as new.
+const claimKey = async (repos, userId, key, request) => {
+    const requestHash = hashRequest(request.method, request.path, request.body);
+
+    await repos.idempotencyKeys.deleteExpired({ userId, key, leaseSeconds: idempotencyConfig.lease_seconds });
+
+    try {
+        await repos.idempotencyKeys.create({
+            user_id: userId,
+            idempotency_key: key,
+            method: request.method,
+            path: request.path,
+            request_hash: requestHash,
+            hours: idempotencyConfig.ttl_hours
+        });
+        return { claimed: true };
+    } catch (err) {
+        if (err.code !== 'ER_DUP_ENTRY') {
+            throw err;
+        }
+    }
+
+    const existing = await repos.idempotencyKeys.find(userId, key);
+
+    return {
+        claimed: false,
+        existing: { ...existing, matches: existing.request_hash === requestHash }
+    };
+};
+
+// Store the response to replay for retries of a claimed key
+const completeKey = async (repos, userId, key, statusCode, body) => {
+    await repos.idempotencyKeys.complete(userId, key, { response_status: statusCode, response_body: body });
+};
+
+// Give up a claimed key so the request can be retried, e.g. after a server error
+const releaseKey = async (repos, userId, key) => {
+    await repos.idempotencyKeys.release(userId, key);
+};
+
+// Delete keys past their replay window or lease. Returns how many were
+// removed.
+const purgeExpiredKeys = async (repos) => repos.idempotencyKeys.deleteExpired({ leaseSeconds: idempotencyConfig.lease_seconds });
+
+module.exports = {
+    claimKey,
+    completeKey,
+    releaseKey,
+    purgeExpiredKeys
+};
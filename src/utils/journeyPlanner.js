@@ -0,0 +1,272 @@
+const journeyConfig = require('../config/journeys');
+const { addDays, runsOn, getTrainCalendar, getTrainRun } = require('./trainCalendar');
+const { describeStop, runDateForBoarding, stopDate } = require('./routeTiming');
+const { getClassOptions } = require('./fareEngine');
+
+// Itineraries of up to three trains between two stations. Stop times are
+// handled as minutes from midnight of the run date (see routeTiming), and
+// instants as milliseconds on a UTC clock standing in for local time, so
+// they never depend on the server's time zone.
+const MINUTE = 60 * 1000;
+
+const dateToInstant = (date) => Date.parse(`${date}T00:00:00Z`);
+
+// YYYY-MM-DDTHH:MM of an instant
+const formatInstant = (instant) => new Date(instant).toISOString().slice(0, 16);
+
+// Every train in service with its stops in route order
+const loadTimetables = async (repos) => {
+    const stops = await repos.routes.listTimetableStops();
+
+    const timetables = new Map();
+    for (const stop of stops) {
+        if (!timetables.has(stop.train_id)) {
+            timetables.set(stop.train_id, {
+                id: stop.train_id,
+                train_number: stop.train_number,
+                train_name: stop.train_name,
+                stops: []
+            });
+        }
+
+        const { arrival_minutes, departure_minutes } = describeStop(stop);
+        timetables.get(stop.train_id).stops.push({
+            station_id: stop.station_id,
+            sequence_number: stop.sequence_number,
+            departure_day_offset: stop.departure_day_offset,
+            arrival: arrival_minutes,
+            departure: departure_minutes
+        });
+    }
+
+    return timetables;
+};
+
+// Stations from which `stationId` can be reached with at most k + 1 trains,
+// for k = 0..maxChanges; used to prune the search
+const stationsReaching = (timetables, stationId, maxChanges) => {
+    const reach = [];
+    let targets = new Set([stationId]);
+
+    for (let k = 0; k <= maxChanges; k++) {
+        const stations = new Set(k > 0 ? reach[k - 1] : []);
+        for (const timetable of timetables.values()) {
+            timetable.stops.forEach((stop, index) => {
+                if (timetable.stops.slice(index + 1).some(later => targets.has(later.station_id))) {
+                    stations.add(stop.station_id);
+                }
+            });
+        }
+        reach.push(stations);
+        targets = new Set([...stations, stationId]);
+    }
+
+    return reach;
+};
+
+// Run date of a train leaving `stop` on `date` (for the first leg), or at the
+// earliest run departing from `readyAt` within the allowed connection window
+const findRunDate = (calendar, stop, { date, readyAt, maxWait }) => {
+    if (readyAt === undefined) {
+        const runDate = runDateForBoarding(date, stop.departure_day_offset);
+        return runsOn(calendar, runDate) ? runDate : null;
+    }
+
+    let runDate = formatInstant(readyAt - stop.departure * MINUTE).slice(0, 10);
+    for (let attempt = 0; attempt < 3; attempt++, runDate = addDays(runDate, 1)) {
+        const departure = dateToInstant(runDate) + stop.departure * MINUTE;
+        if (departure < readyAt) {
+            continue;
+        }
+        if (departure - readyAt > maxWait) {
+            return null;
+        }
+        if (runsOn(calendar, runDate)) {
+            return runDate;
+        }
+    }
+
+    return null;
+};
+
+// Find itineraries from one station to another departing on `date`, with up
+// to `maxChanges` changes of train at least `minConnectionMinutes` apart
+const findItineraries = async (repos, timetables, {
+    fromStationId,
+    toStationId,
+    date,
+    maxChanges = journeyConfig.max_changes,
+    minConnectionMinutes = journeyConfig.min_connection_minutes
+}) => {
+    const reach = stationsReaching(timetables, Number(toStationId), maxChanges);
+    const calendars = new Map();
+    const calendarOf = async (trainId) => {
+        if (!calendars.has(trainId)) {
+            calendars.set(trainId, await getTrainCalendar(repos, trainId));
+        }
+        return calendars.get(trainId);
+    };
+
+    const itineraries = [];
+
+    const extend = async (stationId, readyAt, legs, visited) => {
+        const trainsLeft = maxChanges + 1 - legs.length;
+
+        for (const timetable of timetables.values()) {
+            if (legs.some(leg => leg.train_id === timetable.id)) {
+                continue;
+            }
+
+            const boardIndex = timetable.stops.findIndex(stop => stop.station_id === stationId);
+            if (boardIndex === -1 || boardIndex === timetable.stops.length - 1) {
+                continue;
+            }
+
+            const board = timetable.stops[boardIndex];
+            const runDate = findRunDate(await calendarOf(timetable.id), board, {
+                date,
+                readyAt,
+                maxWait: journeyConfig.max_connection_minutes * MINUTE
+            });
+            if (!runDate) {
+                continue;
+            }
+
+            const runStart = dateToInstant(runDate);
+            for (const alight of timetable.stops.slice(boardIndex + 1)) {
+                if (visited.has(alight.station_id)) {
+                    continue;
+                }
+
+                const leg = {
+                    train_id: timetable.id,
+                    train_number: timetable.train_number,
+                    train_name: timetable.train_name,
+                    run_date: runDate,
+                    booking_date: stopDate(runDate, board.departure_day_offset),
+                    from_station_id: stationId,
+                    to_station_id: alight.station_id,
+                    from_sequence: board.sequence_number,
+                    to_sequence: alight.sequence_number,
+                    departure: runStart + board.departure * MINUTE,
+                    arrival: runStart + alight.arrival * MINUTE
+                };
+
+                if (alight.station_id === Number(toStationId)) {
+                    itineraries.push([...legs, leg]);
+                    break;
+                }
+
+                if (trainsLeft > 1 && reach[trainsLeft - 2].has(alight.station_id)) {
+                    await extend(
+                        alight.station_id,
+                        leg.arrival + minConnectionMinutes * MINUTE,
+                        [...legs, leg],
+                        new Set([...visited, alight.station_id])
+                    );
+                }
+            }
+        }
+    };
+
+    await extend(Number(fromStationId), undefined, [], new Set([Number(fromStationId)]));
+
+    return itineraries.map(legs => ({
+        legs,
+        changes: legs.length - 1,
+        departure: legs[0].departure,
+        arrival: legs[legs.length - 1].arrival,
+        duration_minutes: (legs[legs.length - 1].arrival - legs[0].departure) / MINUTE
+    }));
+};
+
+// Classes, seats and fares for each leg; a leg is priced at its cheapest
+// class with free seats, or its cheapest class when every class is full
+const priceItineraries = async (repos, itineraries) => {
+    const cache = new Map();
+    const optionsFor = async (leg) => {
+        const key = `${leg.train_id}:${leg.run_date}:${leg.from_station_id}:${leg.to_station_id}`;
+        if (!cache.has(key)) {
+            const run = await getTrainRun(repos, leg.train_id, leg.run_date);
+            cache.set(key, await getClassOptions(repos, leg.train_id, run.id, leg.from_station_id, leg.to_station_id));
+        }
+        return cache.get(key);
+    };
+
+    for (const itinerary of itineraries) {
+        for (const leg of itinerary.legs) {
+            leg.classes = await optionsFor(leg);
+
+            const open = leg.classes.filter(option => option.available_seats > 0);
+            const candidates = open.length > 0 ? open : leg.classes;
+            leg.fare = candidates.length > 0 ? Math.min(...candidates.map(option => option.fare)) : null;
+            leg.seats_available = open.length > 0;
+        }
+
+        itinerary.fare = itinerary.legs.some(leg => leg.fare === null)
+            ? null
+            : Math.round(itinerary.legs.reduce((total, leg) => total + leg.fare, 0) * 100) / 100;
+    }
+
+    return itineraries;
+};
+
+const SORTERS = {
+    duration: (a, b) => a.duration_minutes - b.duration_minutes || (a.fare ?? Infinity) - (b.fare ?? Infinity),
+    fare: (a, b) => (a.fare ?? Infinity) - (b.fare ?? Infinity) || a.duration_minutes - b.duration_minutes
+};
+
+// Plan, price and rank itineraries for a search
+const planJourneys = async (repos, { sortBy = 'duration', limit = journeyConfig.max_results, ...search }) => {
+    const timetables = await loadTimetables(repos);
+    const itineraries = (await findItineraries(repos, timetables, search))
+        .sort(SORTERS.duration)
+        .slice(0, journeyConfig.max_candidates);
+
+    await priceItineraries(repos, itineraries);
+
+    return itineraries.sort(SORTERS[sortBy]).slice(0, limit);
+};
+
+// Check that booked legs, each dated by its boarding day, chain station to
+// station and leave enough time to change trains. Returns an error message, or null when the legs connect.
+const checkConnections = async (repos, legs, minConnectionMinutes = journeyConfig.min_connection_minutes) => {
+    const timetables = await loadTimetables(repos);
+
+    let previous = null;
+    for (const [index, leg] of legs.entries()) {
+        const timetable = timetables.get(Number(leg.train_id));
+        const board = timetable && timetable.stops.find(stop => stop.station_id === Number(leg.from_station_id));
+        const alight = timetable && timetable.stops.find(stop => stop.station_id === Number(leg.to_station_id));
+
+        if (!board || !alight || alight.sequence_number <= board.sequence_number) {
+            return `Leg ${index + 1}: train does not run between the selected stations`;
+        }
+
+        const runStart = dateToInstant(runDateForBoarding(leg.booking_date, board.departure_day_offset));
+        const current = {
+            to_station_id: Number(leg.to_station_id),
+            departure: runStart + board.departure * MINUTE,
+            arrival: runStart + alight.arrival * MINUTE
+        };
+
+        if (previous) {
+            if (previous.to_station_id !== Number(leg.from_station_id)) {
+                return `Leg ${index + 1} must start where leg ${index} ends`;
+            }
+            if (current.departure - previous.arrival < minConnectionMinutes * MINUTE) {
+                return `Leg ${index + 1} leaves less than ${minConnectionMinutes} minutes after leg ${index} arrives`;
+            }
+        }
+
+        previous = current;
+    }
+
+    return null;
+};
+
+module.exports = {
+    formatInstant,
+    planJourneys,
+    checkConnections
+};
@@ -0,0 +1,76 @@
+const { lockout } = require('../config/rateLimits');
+const { getStore } = require('../rateLimit');
+
+// Failed logins are counted per account and per IP address. Reaching the
+// limit locks that account or address out; every further lockout within a
+// day lasts twice as long as the one before. Lockouts are recorded for
+// admins to review.
+const DAY_SECONDS = 24 * 60 * 60;
+
+const subjects = (email, ip) => [
+    { scope: 'account', identifier: email.toLowerCase(), max: lockout.account_failures },
+    { scope: 'ip', identifier: ip, max: lockout.ip_failures }
+];
+
+// When the account or address is locked out, the time it opens again
+const getLockout = async (email, ip) => {
+    const store = getStore();
+    let lockedUntil = null;
+
+    for (const { scope, identifier } of subjects(email, ip)) {
+        const lock = await store.get(`lock:${scope}:${identifier}`);
+        if (lock && (!lockedUntil || lock.expires_at > lockedUntil)) {
+            lockedUntil = lock.expires_at;
+        }
+    }
+
+    return lockedUntil ? new Date(lockedUntil) : null;
+};
+
+const recordLoginFailure = async (repos, { email, ip, userId = null }) => {
+    const store = getStore();
+
+    for (const { scope, identifier, max } of subjects(email, ip)) {
+        const failures = await store.increment(`failures:${scope}:${identifier}`, lockout.failure_window_seconds);
+        if (failures.count < max) {
+            continue;
+        }
+
+        const { count: lockouts } = await store.increment(`lockouts:${scope}:${identifier}`, DAY_SECONDS);
+        const minutes = Math.min(lockout.base_minutes * 2 ** (lockouts - 1), lockout.max_minutes);
+
+        await store.set(`lock:${scope}:${identifier}`, 1, minutes * 60);
+        await store.reset(`failures:${scope}:${identifier}`);
+
+        await repos.lockoutEvents.create({
+            scope,
+            identifier,
+            user_id: scope === 'account' ? userId : null,
+            ip_address: ip,
+            failures: failures.count,
+            minutes
+        });
+    }
+};
+
+// A successful login clears the account's failed attempts
+const clearLoginFailures = async (email) => {
+    await getStore().reset(`failures:account:${email.toLowerCase()}`);
+};
+
+// Lift an account's lockout early and forget its earlier lockouts
+const unlockAccount = async (email) => {
+    const store = getStore();
+    const identifier = email.toLowerCase();
+
+    await store.reset(`lock:account:${identifier}`);
+    await store.reset(`lockouts:account:${identifier}`);
+    await store.reset(`failures:account:${identifier}`);
+};
+
+module.exports = {
+    getLockout,
+    recordLoginFailure,
+    clearLoginFailures,
+    unlockAccount
+};
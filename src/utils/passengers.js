@@ -0,0 +1,65 @@
+const { body } = require('express-validator');
+const fareConfig = require('../config/fares');
+const { SEAT_TYPES } = require('./coachComposition');
+
+const GENDERS = ['male', 'female', 'other'];
+const ID_DOCUMENT_TYPES = ['aadhaar', 'passport', 'pan', 'driving_licence', 'voter_id'];
+
+// Details kept about a passenger a user saves to book with again
+const SAVED_PASSENGER_FIELDS = ['name', 'date_of_birth', 'gender', 'id_document_type', 'id_document_number', 'concession'];
+
+// Validation for a list of passengers in the request body
+const passengerValidators = (field = 'passengers') => [
+    body(field).isArray({ min: 1 }),
+    body(`${field}.*.name`).trim().isLength({ min: 1, max: 100 }),
+    body(`${field}.*.age`).isInt({ min: 0, max: 125 }).toInt(),
+    body(`${field}.*.gender`).isIn(GENDERS),
+    body(`${field}.*.id_document_type`).optional({ values: 'null' }).isIn(ID_DOCUMENT_TYPES),
+    body(`${field}.*.id_document_number`).optional({ values: 'null' }).trim().isLength({ min: 1, max: 50 }),
+    body(`${field}.*`).custom(passenger => !passenger.id_document_type || Boolean(passenger.id_document_number))
+        .withMessage('An ID document type needs a document number'),
+    body(`${field}.*.concession`).optional({ values: 'null' }).isIn(Object.keys(fareConfig.concessions)),
+    // Seat type wanted when the server allocates seats
+    body(`${field}.*.seat_preference`).optional({ values: 'null' }).isIn(SEAT_TYPES)
+];
+
+// Whether a passenger's age qualifies for the concession they claim
+const isEligibleForConcession = (passenger) => {
+    if (!passenger.concession) {
+        return true;
+    }
+
+    const { min_age: minAge, max_age: maxAge } = fareConfig.concessions[passenger.concession];
+    return (minAge === undefined || passenger.age >= minAge)
+        && (maxAge === undefined || passenger.age <= maxAge);
+};
+
+// Record a booking's passengers; seatBookingIds[i] is the seat of passengers[i],
+// absent for passengers still queued for a seat
+const insertPassengers = async (repos, bookingId, passengers, seatBookingIds = []) => {
+    for (const [index, passenger] of passengers.entries()) {
+        await repos.passengers.create({
+            booking_id: bookingId,
+            seat_booking_id: seatBookingIds[index] || null,
+            name: passenger.name,
+            age: passenger.age,
+            gender: passenger.gender,
+            id_document_type: passenger.id_document_type || null,
+            id_document_number: passenger.id_document_number || null,
+            concession: passenger.concession || null
+        });
+    }
+};
+
+// Passengers of a booking with the seat each one holds
+const getBookingPassengers = (repos, bookingId) => repos.passengers.listForBooking(bookingId);
+
+module.exports = {
+    GENDERS,
+    ID_DOCUMENT_TYPES,
+    SAVED_PASSENGER_FIELDS,
+    passengerValidators,
+    isEligibleForConcession,
+    insertPassengers,
+    getBookingPassengers
+};
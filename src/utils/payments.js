@@ -0,0 +1,203 @@
+const { getGateway } = require('../payments');
+const { currency } = require('../config/fares');
+const { getQueueStatus, promoteQueue } = require('./waitlist');
+const { recordSeatChange } = require('./seatEvents');
+
+// New bookings start as payment_pending, holding their seats until
+// payment_expires_at. A successful payment confirms the booking (or queues it
+// when it holds no seats); a failed payment or a lapsed hold releases them.
+// The legs of a journey share one payment and settle together.
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Open one gateway payment for the fare of pending bookings: a single
+// booking, or every leg of a journey
+const startPayment = async (repos, bookings) => {
+    const gateway = getGateway();
+    const [booking] = bookings;
+    const amount = roundAmount(bookings.reduce((total, item) => total + Number(item.total_fare), 0));
+
+    const checkout = await gateway.createPayment({
+        reference: booking.journey_id ? `journey-${booking.journey_id}` : `booking-${booking.id}`,
+        amount,
+        currency
+    });
+
+    const paymentId = await repos.payments.create({
+        booking_id: booking.id,
+        journey_id: booking.journey_id || null,
+        gateway: gateway.name,
+        gateway_reference: checkout.gateway_reference,
+        amount,
+        currency
+    });
+
+    return {
+        payment_id: paymentId,
+        gateway: gateway.name,
+        gateway_reference: checkout.gateway_reference,
+        checkout_url: checkout.checkout_url,
+        amount,
+        currency,
+        expires_at: booking.payment_expires_at
+    };
+};
+
+// Open the payment for bookings just committed. A gateway error leaves the
+// bookings holding their seats; the client can retry through /api/payments.
+const openPayment = async (repos, bookingIds) => {
+    try {
+        const bookings = await repos.bookings.findByIds(bookingIds);
+        return await startPayment(repos, bookings);
+    } catch (err) {
+        console.error(err);
+        return null;
+    }
+};
+
+// End a pending booking's hold with the given status, freeing its seats for
+// the queue. Must run inside a transaction holding the booking row.
+const releaseHeldBooking = async (repos, booking, status) => {
+    await repos.bookings.setStatus(booking.id, status, { endHold: true });
+
+    const seatBookings = await repos.seatBookings.listBooked(booking.id);
+    const released = await repos.seatBookings.cancelForBooking(booking.id);
+    recordSeatChange(repos, 'released', seatBookings);
+
+    await repos.payments.expirePending(booking.id);
+
+    if (released === 0) {
+        return { confirmed: [], moved_to_rac: [] };
+    }
+
+    return promoteQueue(repos, booking.train_id, booking.train_run_id);
+};
+
+// Paid bookings keep the seats they hold; bookings without seats join the queue
+const confirmPaidBooking = async (repos, booking) => {
+    const held = await repos.seatBookings.countBooked(booking.id);
+
+    let bookingStatus = 'confirmed';
+    if (held === 0) {
+        const train = await repos.trains.findById(booking.train_id, { lock: true });
+        bookingStatus = await getQueueStatus(repos, train, booking.train_run_id, booking.seats_booked);
+    }
+
+    await repos.bookings.setStatus(booking.id, bookingStatus, { endHold: true });
+
+    return bookingStatus;
+};
+
+// Apply a gateway outcome to a payment and the bookings it pays for inside
+// the caller's transaction. Repeated callbacks for a settled payment change
+// nothing. A payment that succeeds after any of its holds lapsed is refunded
+// in full; the returned refund_id must be passed to processRefund once
+// committed.
+const settlePayment = async (repos, gatewayReference, status) => {
+    const payment = await repos.payments.findByReference(gatewayReference);
+
+    if (!payment) {
+        return null;
+    }
+
+    const result = {
+        payment_id: payment.id,
+        booking_id: payment.booking_id,
+        journey_id: payment.journey_id,
+        payment_status: payment.status,
+        bookings: [],
+        refund_id: null
+    };
+
+    if (payment.status !== 'pending') {
+        return { ...result, duplicate: true };
+    }
+
+    const bookings = await repos.bookings.listForPayment(payment);
+
+    await repos.payments.setStatus(payment.id, status);
+    result.payment_status = status;
+
+    const pending = bookings.filter(booking => booking.booking_status === 'payment_pending');
+    const paidInTime = status === 'succeeded'
+        && pending.length === bookings.length
+        && bookings.every(booking => booking.hold_active);
+
+    for (const booking of bookings) {
+        let bookingStatus = booking.booking_status;
+
+        if (paidInTime) {
+            bookingStatus = await confirmPaidBooking(repos, booking);
+        } else if (booking.booking_status === 'payment_pending') {
+            bookingStatus = status === 'failed' ? 'payment_failed' : 'expired';
+            await releaseHeldBooking(repos, booking, bookingStatus);
+        }
+
+        result.bookings.push({ booking_id: booking.id, booking_status: bookingStatus });
+    }
+
+    if (status === 'succeeded' && !paidInTime) {
+        result.refund_id = await repos.refunds.create({
+            booking_id: payment.booking_id,
+            payment_id: payment.id,
+            amount: payment.amount,
+            rule_name: 'Payment received after hold expired'
+        });
+    }
+
+    return result;
+};
+
+// Send a pending refund back through the gateway that took the payment.
+// Refunds for bookings paid outside the gateway stay pending for manual
+// handling. Call outside any transaction: it waits on the gateway.
+const processRefund = async (repos, refundId) => {
+    const refund = await repos.refunds.findById(refundId);
+
+    if (!refund || refund.status !== 'pending') {
+        return refund || null;
+    }
+
+    if (Number(refund.amount) === 0) {
+        await repos.refunds.markProcessed(refund.id);
+        return { ...refund, status: 'processed' };
+    }
+
+    // Journey legs are paid for by the journey's payment
+    const payment = refund.payment_id
+        ? await repos.payments.findById(refund.payment_id)
+        : await repos.payments.findSucceededForBooking(refund.booking_id);
+
+    if (!payment) {
+        return refund;
+    }
+
+    let outcome;
+    try {
+        outcome = await getGateway(payment.gateway).refund({
+            gateway_reference: payment.gateway_reference,
+            amount: Number(refund.amount),
+            currency: payment.currency
+        });
+    } catch (err) {
+        console.error(err);
+        outcome = { gateway_reference: null, status: 'failed' };
+    }
+
+    await repos.refunds.recordOutcome(refund.id, {
+        payment_id: payment.id,
+        status: outcome.status,
+        gateway_reference: outcome.gateway_reference
+    });
+
+    return { ...refund, payment_id: payment.id, status: outcome.status, gateway_reference: outcome.gateway_reference };
+};
+
+module.exports = {
+    startPayment,
+    openPayment,
+    releaseHeldBooking,
+    confirmPaidBooking,
+    settlePayment,
+    processRefund
+};
@@ -0,0 +1,98 @@
+const { formatDate } = require('./trainCalendar');
+
+// Refunds are the cancelled fare less a charge from the refund rule covering
+// the time left before the train leaves the boarding station.
+const DEDUCTION_TYPES = ['percent', 'flat', 'no_refund'];
+
+// Columns of a refund rule an admin sets
+const REFUND_RULE_FIELDS = [
+    'name',
+    'class_code',
+    'min_hours_before',
+    'max_hours_before',
+    'deduction_type',
+    'deduction_value',
+    'priority',
+    'is_active'
+];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// When the booked passengers board: the boarding date plus the departure
+// time at their boarding stop
+const getDepartureTime = async (repos, booking) => {
+    const [stop] = await repos.routes.findStops(booking.train_id, [booking.from_station_id]);
+
+    return new Date(`${formatDate(booking.booking_date)}T${(stop && stop.departure_time) || '00:00:00'}`);
+};
+
+// The rule covering a cancellation made `hours` before departure. Rules for
+// the booking's class win over rules for every class, then lower priority
+// numbers win. Windows include their lower bound and exclude the upper one.
+const selectRefundRule = (rules, classCode, hours) => {
+    const matching = rules.filter(rule =>
+        (rule.class_code === null || rule.class_code === classCode)
+        && (rule.min_hours_before === null || hours >= Number(rule.min_hours_before))
+        && (rule.max_hours_before === null || hours < Number(rule.max_hours_before))
+    );
+
+    matching.sort((a, b) =>
+        (b.class_code !== null) - (a.class_code !== null) || a.priority - b.priority
+    );
+
+    return matching[0] || null;
+};
+
+// Deduction for one passenger's fare under a rule; no rule means a full refund
+const deductionFor = (rule, fare) => {
+    if (!rule) {
+        return 0;
+    }
+
+    switch (rule.deduction_type) {
+        case 'no_refund':
+            return fare;
+        case 'flat':
+            return Math.min(Number(rule.deduction_value), fare);
+        default:
+            return roundAmount(fare * Number(rule.deduction_value) / 100);
+    }
+};
+
+// Refund owed for cancelling some places (see getCancellableUnits) of a booking now
+const quoteRefund = async (repos, booking, units, now = new Date()) => {
+    const departure = await getDepartureTime(repos, booking);
+    const hours = (departure - now) / (1000 * 60 * 60);
+
+    const rules = await repos.refundRules.listActive();
+    const rule = selectRefundRule(rules, booking.class_code, hours);
+
+    const items = units.map(unit => {
+        const fare = roundAmount(unit.fare);
+        const deduction = roundAmount(deductionFor(rule, fare));
+        return { ...unit, fare, deduction, refund: roundAmount(fare - deduction) };
+    });
+
+    return {
+        departure_time: departure,
+        hours_before_departure: roundAmount(hours),
+        departed: hours <= 0,
+        rule: rule && {
+            id: rule.id,
+            name: rule.name,
+            deduction_type: rule.deduction_type,
+            deduction_value: rule.deduction_value
+        },
+        items,
+        fare: roundAmount(items.reduce((total, item) => total + item.fare, 0)),
+        deduction: roundAmount(items.reduce((total, item) => total + item.deduction, 0)),
+        refund_amount: roundAmount(items.reduce((total, item) => total + item.refund, 0))
+    };
+};
+
+module.exports = {
+    DEDUCTION_TYPES,
+    REFUND_RULE_FIELDS,
+    selectRefundRule,
+    quoteRefund
+};
@@ -0,0 +1,120 @@
+const { resolveDayOffsets } = require('./routeTiming');
+const { recordSeatChange } = require('./seatEvents');
+
+// Booking statuses that still hold a place on a train
+const ACTIVE_BOOKING_STATUSES = ['payment_pending', 'confirmed', 'rac', 'waitlisted'];
+
+const STOP_FIELDS = ['arrival_time', 'departure_time', 'arrival_day_offset', 'departure_day_offset', 'distance_km'];
+
+const getRouteStops = (repos, trainId) => repos.routes.listStops(trainId);
+
+// Apply edits to a stop. A time given without its day offset has the
+// offset worked out again from the surrounding stops.
+const editStop = (stop, changes) => {
+    const edited = { ...stop };
+    for (const field of STOP_FIELDS) {
+        if (changes[field] !== undefined) {
+            edited[field] = changes[field];
+        }
+    }
+
+    for (const field of ['arrival', 'departure']) {
+        if (changes[`${field}_time`] !== undefined && changes[`${field}_day_offset`] === undefined) {
+            edited[`${field}_day_offset`] = null;
+        }
+    }
+
+    return edited;
+};
+
+// Active bookings a route would break: their boarding or alighting station
+// is gone, or the two no longer come in travel order
+const findBrokenBookings = async (repos, trainId, stationIds) => {
+    const bookings = await repos.bookings.listActiveForTrain(trainId);
+
+    const position = new Map(stationIds.map((stationId, index) => [stationId, index]));
+    return bookings
+        .filter(booking => !position.has(booking.from_station_id)
+            || !position.has(booking.to_station_id)
+            || position.get(booking.from_station_id) >= position.get(booking.to_station_id))
+        .map(booking => booking.id);
+};
+
+// Replace a train's route with `stops` (in travel order) inside the caller's
+// transaction. Seat bookings and live holds are renumbered to the new
+// sequence numbers so every leg still covers the stops between its two
+// stations; holds whose stations left the route or swapped order are released.
+// Returns { stops } or { error: { status, message, booking_ids } }.
+const saveRoute = async (repos, train, stops) => {
+    const stationIds = stops.map(stop => Number(stop.station_id));
+    if (stops.length < 2) {
+        return { error: { status: 400, message: 'A route needs at least two stops' } };
+    }
+    if (new Set(stationIds).size !== stationIds.length) {
+        return { error: { status: 400, message: 'A station can only appear once on a route' } };
+    }
+
+    const { stops: timed, error } = resolveDayOffsets(stops.map(stop => ({ ...stop, code: stop.station_code })));
+    if (error) {
+        return { error: { status: 400, message: error } };
+    }
+
+    const distances = timed.map(stop => stop.distance_km);
+    if (train.fare_mode === 'distance' && distances.some(distance => distance === null || distance === undefined)) {
+        return { error: { status: 400, message: 'Distance pricing needs a distance for every stop' } };
+    }
+    const known = distances.filter(distance => distance !== null && distance !== undefined).map(Number);
+    if (known.some((distance, index) => index > 0 && distance < known[index - 1])) {
+        return { error: { status: 400, message: 'Distances must not decrease along the route' } };
+    }
+
+    const brokenBookings = await findBrokenBookings(repos, train.id, stationIds);
+    if (brokenBookings.length > 0) {
+        return {
+            error: {
+                status: 409,
+                message: 'Route change would strand active bookings',
+                booking_ids: brokenBookings
+            }
+        };
+    }
+
+    const current = await getRouteStops(repos, train.id);
+    const oldSequences = new Map(current.map(stop => [stop.station_id, stop.sequence_number]));
+
+    await repos.routes.replace(train.id, timed);
+
+    // Old sequence number -> new one, for stations kept on the route
+    const renumbering = stationIds
+        .map((stationId, index) => [oldSequences.get(stationId), index + 1])
+        .filter(([oldSequence, newSequence]) => oldSequence !== undefined && oldSequence !== newSequence);
+
+    // Old sequence number -> new one, null for stations dropped from the route
+    const newSequences = new Map(current.map(stop => [
+        stop.sequence_number,
+        stationIds.indexOf(stop.station_id) + 1 || null
+    ]));
+    const releasedHolds = (await repos.seatHolds.listLiveForTrain(train.id)).filter(hold => {
+        const from = newSequences.get(hold.from_sequence);
+        const to = newSequences.get(hold.to_sequence);
+        return !from || !to || from >= to;
+    });
+    if (releasedHolds.length > 0) {
+        await repos.seatHolds.deleteByIds(releasedHolds.map(hold => hold.id));
+        recordSeatChange(repos, 'hold_released', releasedHolds);
+    }
+
+    if (renumbering.length > 0) {
+        await repos.seatBookings.renumber(train.id, renumbering);
+        await repos.seatHolds.renumber(train.id, renumbering);
+    }
+
+    return { stops: await getRouteStops(repos, train.id) };
+};
+
+module.exports = {
+    ACTIVE_BOOKING_STATUSES,
+    getRouteStops,
+    editStop,
+    saveRoute
+};
@@ -0,0 +1,84 @@
+const { formatDate, addDays } = require('./trainCalendar');
+
+// A stop's arrival and departure are a TIME plus a day offset counted from
+// the run date, the day the train leaves its origin (offset 0). Times are
+// compared as minutes after midnight of the run date.
+const DAY_MINUTES = 24 * 60;
+
+const toMinutes = (time) => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+const stopMinutes = (time, dayOffset) =>
+    time === null || time === undefined ? null : toMinutes(time) + dayOffset * DAY_MINUTES;
+
+// Fill in day offsets missing from new route stops, carrying over a day
+// whenever a time is earlier than the one before it, and check that the
+// timings never run backwards. Returns { stops } or { error }.
+const resolveDayOffsets = (stations) => {
+    let day = 0;
+    let last = null;
+    const stops = [];
+
+    for (const [index, station] of stations.entries()) {
+        const stop = { ...station };
+
+        for (const field of ['arrival', 'departure']) {
+            const time = station[`${field}_time`];
+            const offsetField = `${field}_day_offset`;
+
+            if (time === null || time === undefined) {
+                stop[offsetField] = station[offsetField] ?? day;
+                continue;
+            }
+
+            let offset = station[offsetField];
+            if (offset === undefined || offset === null) {
+                offset = last !== null && stopMinutes(time, day) < last ? day + 1 : day;
+            }
+
+            const minutes = stopMinutes(time, offset);
+            if (last !== null && minutes < last) {
+                return { error: `Stop ${index + 1} (${station.code}) is timed before the stop preceding it` };
+            }
+
+            stop[offsetField] = offset;
+            day = offset;
+            last = minutes;
+        }
+
+        stops.push(stop);
+    }
+
+    return { stops };
+};
+
+// Timings of a route stop in minutes after midnight of the run date, with
+// how long the train halts there
+const describeStop = (stop) => {
+    const arrival = stopMinutes(stop.arrival_time, stop.arrival_day_offset);
+    const departure = stopMinutes(stop.departure_time, stop.departure_day_offset);
+
+    return {
+        arrival_minutes: arrival ?? departure,
+        departure_minutes: departure ?? arrival,
+        halt_minutes: arrival !== null && departure !== null ? departure - arrival : null
+    };
+};
+
+// The run a passenger boarding on `date` is booked on, when the train leaves
+// the boarding stop `dayOffset` days into its run
+const runDateForBoarding = (date, dayOffset = 0) => addDays(formatDate(date), -dayOffset);
+
+// The date a run reaches a stop `dayOffset` days in
+const stopDate = (runDate, dayOffset = 0) => addDays(formatDate(runDate), dayOffset);
+
+module.exports = {
+    DAY_MINUTES,
+    stopMinutes,
+    resolveDayOffsets,
+    describeStop,
+    runDateForBoarding,
+    stopDate
+};
@@ -0,0 +1,115 @@
+const COACH_LAYOUTS = require('../config/coachLayouts');
+
+// Picks seats for passengers from the free seats of a leg. A coach is made
+// of bays, one repeat of its layout pattern (a compartment of berths or a
+// row of seats), so seats in the same or neighbouring bays are adjacent.
+// Groups travelling together are kept within as few bays of one coach as
+// possible; within that, passengers get the seat type they asked for where
+// one is free. When no coach can take the whole group, seats are filled in
+// coach order instead.
+
+const bayLength = (seat) => {
+    const layout = COACH_LAYOUTS[seat.layout];
+    return layout ? layout.pattern.length : 1;
+};
+
+const bayOf = (seat) => Math.floor((seat.berth_number - 1) / bayLength(seat));
+
+const inCoachOrder = (a, b) =>
+    (a.coach_position ?? a.coach_id ?? 0) - (b.coach_position ?? b.coach_id ?? 0)
+    || (a.berth_number ?? 0) - (b.berth_number ?? 0)
+    || a.id - b.id;
+
+// Give each passenger a seat from `seats`: preferred seat types first,
+// then the remaining seats in order. Returns the seats by passenger and how
+// many preferences were met.
+const assign = (seats, wants) => {
+    const remaining = [...seats];
+    const assigned = new Array(wants.length);
+    let met = 0;
+
+    wants.forEach((want, index) => {
+        const match = want ? remaining.findIndex(seat => seat.seat_type === want) : -1;
+        if (match >= 0) {
+            assigned[index] = remaining.splice(match, 1)[0];
+            met += 1;
+        }
+    });
+
+    wants.forEach((want, index) => {
+        if (!assigned[index]) {
+            assigned[index] = remaining.shift();
+        }
+    });
+
+    return { seats: assigned, met };
+};
+
+// Runs of bays in one coach holding at least `count` free seats, narrowest
+// first. A run may be at most one bay longer than the group needs, so its
+// seats stay close together.
+const findBlocks = (seats, count) => {
+    const coaches = new Map();
+    for (const seat of seats) {
+        const key = seat.coach_id ?? 0;
+        coaches.set(key, [...(coaches.get(key) || []), seat]);
+    }
+
+    const blocks = [];
+    for (const coachSeats of coaches.values()) {
+        const maxSpan = Math.ceil(count / bayLength(coachSeats[0]));
+        const bays = [...new Set(coachSeats.map(bayOf))].sort((a, b) => a - b);
+
+        for (const [start, firstBay] of bays.entries()) {
+            let block = [];
+            for (const bay of bays.slice(start)) {
+                if (bay - firstBay > maxSpan) {
+                    break;
+                }
+
+                block = block.concat(coachSeats.filter(seat => bayOf(seat) === bay));
+                if (block.length >= count) {
+                    blocks.push({ span: bay - firstBay, seats: block });
+                    break;
+                }
+            }
+        }
+    }
+
+    return blocks.sort((a, b) => a.span - b.span);
+};
+
+// Choose seats for `wants.length` passengers, where wants[i] is the seat
+// type passenger i prefers or null. Seats carry their coach's layout and
+// coach_position. Returns null if there are too few seats.
+const allocateSeats = (freeSeats, wants, { together = true } = {}) => {
+    if (freeSeats.length < wants.length) {
+        return null;
+    }
+
+    const seats = [...freeSeats].sort(inCoachOrder);
+    const requested = wants.filter(Boolean).length;
+
+    if (together && wants.length > 1) {
+        const blocks = findBlocks(seats, wants.length);
+        if (blocks.length > 0) {
+            // Among the tightest blocks, the one meeting the most preferences
+            const tightest = blocks.filter(block => block.span === blocks[0].span);
+            let best = null;
+            for (const block of tightest) {
+                const candidate = assign(block.seats, wants);
+                if (!best || candidate.met > best.met) {
+                    best = candidate;
+                }
+            }
+
+            return { ...best, together: true, requested };
+        }
+    }
+
+    return { ...assign(seats, wants), together: wants.length === 1, requested };
+};
+
+module.exports = {
+    allocateSeats
+};
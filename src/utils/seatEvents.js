@@ -0,0 +1,121 @@
+const { EventEmitter } = require('events');
+const seatEventConfig = require('../config/seatEvents');
+
+// Seat changes are published per train run to clients watching its seat map.
+// Changes made in a transaction are recorded against its repositories and
+// only published once it has committed, so a rollback never reaches clients.
+// Events live in this process only, for as long as clients may resume from
+// them.
+//
+// Each event carries a cursor, `<boot>.<sequence>`. The boot part changes on
+// every restart, so a cursor from before one can be told apart and the
+// client told to reload instead.
+
+const CHANGES = ['booked', 'released', 'held', 'hold_released'];
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const boot = Date.now().toString(36);
+const pending = new WeakMap();
+const history = new Map();
+let sequence = 0;
+let prunedThrough = 0;
+
+// Note that seats changed through `repos`, a transaction's repositories or
+// the store's own. Seats are seat_bookings or seat_holds rows, or anything
+// else carrying train_run_id, seat_id, from_sequence and to_sequence.
+const recordSeatChange = (repos, change, seats) => {
+    if (!CHANGES.includes(change)) {
+        throw new Error(`Unknown seat change: ${change}`);
+    }
+
+    if (seats.length > 0) {
+        pending.set(repos, [...(pending.get(repos) || []), { change, seats }]);
+    }
+};
+
+const pruneHistory = () => {
+    const cutoff = Date.now() - seatEventConfig.resume_minutes * 60 * 1000;
+
+    for (const [trainRunId, events] of history) {
+        while (events.length > 0 && events[0].published_at < cutoff) {
+            prunedThrough = Math.max(prunedThrough, events.shift().sequence);
+        }
+
+        if (events.length === 0) {
+            history.delete(trainRunId);
+        }
+    }
+};
+
+// Publish what was recorded on `repos`, one event per change and run. Call
+// it after committing, or straight after a change made outside a transaction.
+const publishSeatChanges = (repos) => {
+    const changes = pending.get(repos) || [];
+    pending.delete(repos);
+
+    pruneHistory();
+
+    for (const { change, seats } of changes) {
+        const byRun = new Map();
+        for (const seat of seats) {
+            byRun.set(seat.train_run_id, [...(byRun.get(seat.train_run_id) || []), seat]);
+        }
+
+        for (const [trainRunId, runSeats] of byRun) {
+            sequence += 1;
+            const event = {
+                sequence,
+                published_at: Date.now(),
+                data: {
+                    cursor: `${boot}.${sequence}`,
+                    change,
+                    train_run_id: trainRunId,
+                    seats: runSeats.map(seat => ({
+                        seat_id: seat.seat_id,
+                        from_sequence: seat.from_sequence,
+                        to_sequence: seat.to_sequence,
+                        ...(change === 'held' && { expires_at: seat.expires_at })
+                    }))
+                }
+            };
+
+            history.set(trainRunId, [...(history.get(trainRunId) || []), event]);
+            bus.emit(`run:${trainRunId}`, event.data);
+        }
+    }
+};
+
+// Cursor of the latest event published
+const currentCursor = () => `${boot}.${sequence}`;
+
+// Events of a run published after `cursor`, or null if some may have been
+// missed (the cursor is from before a restart or older than the history)
+const eventsSince = (trainRunId, cursor) => {
+    const [cursorBoot, cursorSequence] = String(cursor).split('.');
+    const after = Number(cursorSequence);
+
+    if (cursorBoot !== boot || !Number.isInteger(after) || after > sequence || after < prunedThrough) {
+        return null;
+    }
+
+    return (history.get(trainRunId) || [])
+        .filter(event => event.sequence > after)
+        .map(event => event.data);
+};
+
+// Call `listener` with each event published for a run. Returns a function
+// that unsubscribes.
+const subscribeToRun = (trainRunId, listener) => {
+    bus.on(`run:${trainRunId}`, listener);
+    return () => bus.off(`run:${trainRunId}`, listener);
+};
+
+module.exports = {
+    recordSeatChange,
+    publishSeatChanges,
+    currentCursor,
+    eventsSince,
+    subscribeToRun
+};
@@ -0,0 +1,114 @@
+const seatHoldConfig = require('../config/seatHolds');
+const { getLegSequences } = require('./seatInventory');
+const { getTrainRun } = require('./trainCalendar');
+const { runDateForBoarding } = require('./routeTiming');
+const { recordSeatChange } = require('./seatEvents');
+
+// Seat holds reserve seats for one user while they fill in a booking. Held
+// seats count as taken for everyone else until the hold expires or the
+// user's booking takes them over.
+
+const failed = (status, message) => ({ error: { status, message } });
+
+// Hold `seat_ids` on a leg for the user, replacing whatever they held on the
+// same run. Runs inside the caller's transaction. Returns { holds } or
+// { error: { status, message } }, in which case the caller rolls back.
+const holdSeats = async (repos, userId, request) => {
+    const { train_id, from_station_id, to_station_id, booking_date } = request;
+    const seatIds = [...new Set(request.seat_ids)];
+
+    const train = await repos.trains.findById(train_id);
+    if (!train || !train.is_active) {
+        return failed(400, 'Train is not in service');
+    }
+
+    const leg = await getLegSequences(repos, train_id, from_station_id, to_station_id);
+    if (!leg) {
+        return failed(400, 'Train does not run between the selected stations');
+    }
+
+    const run = await getTrainRun(repos, train_id, runDateForBoarding(booking_date, leg.from_day_offset), { create: true });
+    if (!run) {
+        return failed(400, 'Train does not run on the selected date');
+    }
+
+    // The new selection replaces the user's earlier one on this run
+    const replaced = await repos.seatHolds.listForRun(userId, run.id);
+    await repos.seatHolds.deleteForRun(userId, run.id);
+    recordSeatChange(repos, 'hold_released', replaced);
+
+    const held = await repos.seatHolds.countLive(userId);
+    if (held + seatIds.length > seatHoldConfig.max_seats) {
+        return failed(400, `At most ${seatHoldConfig.max_seats} seats can be held at a time`);
+    }
+
+    // Lock the seats with any bookings or other users' holds on this leg
+    const seats = await repos.seats.findOnLeg(train_id, run.id, leg, { seatIds, userId, lock: true });
+
+    if (new Set(seats.map(seat => seat.id)).size !== seatIds.length) {
+        return failed(400, 'Some selected seats do not belong to this train or are out of service');
+    }
+
+    const unavailable = [...new Set(
+        seats.filter(seat => seat.seat_booking_id !== null || seat.seat_hold_id !== null).map(seat => seat.seat_number)
+    )];
+    if (unavailable.length > 0) {
+        return failed(409, `Seats ${unavailable.join(', ')} are no longer available`);
+    }
+
+    for (const seatId of seatIds) {
+        await repos.seatHolds.create({
+            user_id: userId,
+            train_run_id: run.id,
+            seat_id: seatId,
+            from_sequence: leg.from_sequence,
+            to_sequence: leg.to_sequence,
+            seconds: seatHoldConfig.ttl_seconds
+        });
+    }
+
+    const holds = await getSeatHolds(repos, userId, { trainRunId: run.id });
+    recordSeatChange(repos, 'held', holds);
+
+    return { holds };
+};
+
+// The user's live holds, optionally on one run only
+const getSeatHolds = (repos, userId, { trainRunId = null } = {}) => repos.seatHolds.listLive(userId, { trainRunId });
+
+// Release one of the user's holds. Returns whether there was one.
+const releaseSeatHold = async (repos, userId, holdId) => {
+    const hold = await repos.seatHolds.findForUser(holdId, userId);
+    if (!hold) {
+        return false;
+    }
+
+    await repos.seatHolds.deleteByIds([hold.id]);
+    recordSeatChange(repos, 'hold_released', [hold]);
+    return true;
+};
+
+// A booking takes over the user's own holds on the seats it books
+const consumeSeatHolds = async (repos, userId, trainRunId, seatIds) => {
+    await repos.seatHolds.deleteForSeats(userId, trainRunId, seatIds);
+};
+
+// Delete holds that ran out. Returns the released holds.
+const releaseExpiredSeatHolds = async (repos) => {
+    const expired = await repos.seatHolds.listExpired();
+
+    if (expired.length > 0) {
+        await repos.seatHolds.deleteByIds(expired.map(hold => hold.id));
+    }
+
+    recordSeatChange(repos, 'hold_released', expired);
+    return expired;
+};
+
+module.exports = {
+    holdSeats,
+    getSeatHolds,
+    releaseSeatHold,
+    consumeSeatHolds,
+    releaseExpiredSeatHolds
+};
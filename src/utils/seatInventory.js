@@ -0,0 +1,62 @@
+const { describeStop } = require('./routeTiming');
+
+// Resolve the route sequence numbers of a leg, or null if the train
+// does not call at both stations in that order. Also carries the leg's
+// timings so callers can find the run a boarding date belongs to.
+const getLegSequences = async (repos, trainId, fromStationId, toStationId) => {
+    const stops = await repos.routes.findStops(trainId, [fromStationId, toStationId]);
+
+    const from = stops.find(stop => stop.station_id === Number(fromStationId));
+    const to = from && stops.find(stop =>
+        stop.station_id === Number(toStationId) && stop.sequence_number > from.sequence_number
+    );
+
+    if (!from || !to) {
+        return null;
+    }
+
+    const departure = describeStop(from).departure_minutes;
+    const arrival = describeStop(to).arrival_minutes;
+
+    return {
+        from_sequence: from.sequence_number,
+        to_sequence: to.sequence_number,
+        from_distance: from.distance_km,
+        to_distance: to.distance_km,
+        from_day_offset: from.departure_day_offset,
+        to_day_offset: to.arrival_day_offset,
+        duration_minutes: departure !== null && arrival !== null ? arrival - departure : null
+    };
+};
+
+// Sequence numbers spanning the whole route of a train
+const getRouteSequences = async (repos, trainId) => {
+    const route = await repos.routes.getSpan(trainId);
+
+    return route.from_sequence === null ? null : route;
+};
+
+// Seats of a train in service that are free on a leg of the given run, optionally in
+// one class only. Seats held by anyone but `userId` are not free. Pass `lock`
+// inside a transaction to hold the seat rows until it commits.
+const findFreeSeats = async (repos, trainId, trainRunId, leg, { lock = false, classCode = null, userId = null } = {}) => {
+    const rows = await repos.seats.findOnLeg(trainId, trainRunId, leg, { classCode, userId, lock });
+
+    const takenSeatIds = new Set(
+        rows.filter(row => row.seat_booking_id !== null || row.seat_hold_id !== null).map(row => row.id)
+    );
+    const freeSeats = new Map();
+    for (const { seat_booking_id, seat_hold_id, ...seat } of rows) {
+        if (!takenSeatIds.has(seat.id)) {
+            freeSeats.set(seat.id, seat);
+        }
+    }
+
+    return [...freeSeats.values()];
+};
+
+module.exports = {
+    getLegSequences,
+    getRouteSequences,
+    findFreeSeats
+};
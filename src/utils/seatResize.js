@@ -0,0 +1,158 @@
+const { buildCoachSeats } = require('./coachComposition');
+const { findFreeSeats } = require('./seatInventory');
+const { promoteQueue } = require('./waitlist');
+const { recordSeatChange } = require('./seatEvents');
+
+// Resizing a train never deletes seat rows, since past bookings still point
+// at them. Shrinking retires seats from the back of the train and growing
+// brings retired seats back before adding new ones to the last coach.
+
+// Active or retired seats of a train (optionally one class) in marshalling order
+const getSeats = (repos, trainId, classCode, { active }) => repos.seats.listForTrain(trainId, { active, classCode });
+
+// Seat bookings still to travel on any of the given seats
+const findUpcomingSeatBookings = (repos, seatIds) => repos.seatBookings.listUpcomingOnSeats(seatIds);
+
+// Move seat bookings off retired seats onto free seats of the same class
+// on the same run and leg. Returns the moves, or the bookings left without
+// a seat.
+const moveSeatBookings = async (repos, trainId, seatBookings) => {
+    const moved = [];
+    const stranded = new Set();
+
+    for (const seatBooking of seatBookings) {
+        const [seat] = await findFreeSeats(repos, trainId, seatBooking.train_run_id, seatBooking, {
+            lock: true,
+            classCode: seatBooking.class_code
+        });
+
+        if (!seat) {
+            stranded.add(seatBooking.booking_id);
+            continue;
+        }
+
+        await repos.seatBookings.moveToSeat(seatBooking.id, seat.id);
+        recordSeatChange(repos, 'released', [seatBooking]);
+        recordSeatChange(repos, 'booked', [{ ...seatBooking, seat_id: seat.id }]);
+        moved.push({
+            booking_id: seatBooking.booking_id,
+            train_run_id: seatBooking.train_run_id,
+            from_seat: seatBooking.seat_number,
+            to_seat: seat.seat_number
+        });
+    }
+
+    return { moved, stranded: [...stranded] };
+};
+
+// Append `count` new seats to the end of a coach
+const extendCoach = async (repos, trainId, coach, count) => {
+    const lastBerth = await repos.seats.lastBerth(coach.id);
+
+    const seats = buildCoachSeats({
+        code: coach.coach_code,
+        layout: coach.layout,
+        capacity: lastBerth + count
+    }).slice(lastBerth);
+
+    await repos.seats.createMany(seats.map(seat => ({
+        ...seat,
+        train_id: trainId,
+        coach_id: coach.id,
+        class_code: coach.class_code
+    })));
+
+    return seats.map(seat => seat.seat_number);
+};
+
+// Bring a train (or one of its classes) to `totalSeats` active seats inside
+// the caller's transaction. Seats with upcoming bookings are only retired
+// when `reaccommodate` is set and every such booking can be moved.
+// Returns a summary or { error: { status, message, booking_ids } }.
+const resizeSeats = async (repos, trainId, totalSeats, { classCode = null, reaccommodate = false } = {}) => {
+    const active = await getSeats(repos, trainId, classCode, { active: true });
+    const summary = {
+        added: [],
+        reactivated: [],
+        retired: [],
+        reaccommodated: [],
+        promoted: []
+    };
+
+    if (totalSeats < active.length) {
+        const retiring = active.slice(totalSeats);
+        const retiringIds = retiring.map(seat => seat.id);
+
+        const seatBookings = await findUpcomingSeatBookings(repos, retiringIds);
+        if (seatBookings.length > 0 && !reaccommodate) {
+            return {
+                error: {
+                    status: 409,
+                    message: 'Seats being removed have upcoming bookings; pass reaccommodate to move them',
+                    booking_ids: [...new Set(seatBookings.map(seatBooking => seatBooking.booking_id))]
+                }
+            };
+        }
+
+        await repos.seats.setActive(retiringIds, false);
+        summary.retired = retiring.map(seat => seat.seat_number);
+
+        const { moved, stranded } = await moveSeatBookings(repos, trainId, seatBookings);
+        if (stranded.length > 0) {
+            return {
+                error: {
+                    status: 409,
+                    message: 'Not enough free seats left to move every upcoming booking',
+                    booking_ids: stranded
+                }
+            };
+        }
+        summary.reaccommodated = moved;
+    }
+
+    if (totalSeats > active.length) {
+        let missing = totalSeats - active.length;
+
+        const retired = (await getSeats(repos, trainId, classCode, { active: false })).slice(0, missing);
+        if (retired.length > 0) {
+            await repos.seats.setActive(retired.map(seat => seat.id), true);
+            summary.reactivated = retired.map(seat => seat.seat_number);
+            missing -= retired.length;
+        }
+
+        if (missing > 0) {
+            const coach = await repos.coaches.findLast(trainId, classCode);
+            if (!coach) {
+                return {
+                    error: {
+                        status: 400,
+                        message: classCode
+                            ? `Train has no ${classCode} coach to add seats to`
+                            : 'Train has no coaches to add seats to'
+                    }
+                };
+            }
+
+            summary.added = await extendCoach(repos, trainId, coach, missing);
+        }
+
+        // New seats go to the queues of upcoming runs first
+        const runs = await repos.runs.listUpcoming(trainId);
+        for (const run of runs) {
+            const { confirmed } = await promoteQueue(repos, trainId, run.id);
+            summary.promoted.push(...confirmed);
+        }
+    }
+
+    // Coach capacities and total_seats count active seats only
+    await repos.coaches.refreshCapacities(trainId);
+    await repos.trains.refreshTotalSeats(trainId);
+
+    const { total_seats } = await repos.trains.findById(trainId);
+
+    return { total_seats, ...summary };
+};
+
+module.exports = {
+    resizeSeats
+};
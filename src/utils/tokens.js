@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const authConfig = require('../config/auth');
+
+// Access tokens carry the user's token_version; bumping it (logging out
+// everywhere, changing the password, disabling the account) invalidates
+// every access token already issued. Refresh tokens rotate within a family
+// started at login, and presenting one that was already used revokes the
+// whole family, since it has most likely been stolen.
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user) => jwt.sign(
+    { id: user.id, role: user.role, ver: user.token_version },
+    process.env.JWT_SECRET,
+    { expiresIn: `${authConfig.access_token_minutes}m` }
+);
+
+// Store a new refresh token for a user and pair it with an access token
+const issueTokens = async (repos, user, familyId = crypto.randomUUID()) => {
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+
+    const refreshTokenId = await repos.refreshTokens.create({
+        user_id: user.id,
+        token_hash: hashToken(refreshToken),
+        family_id: familyId,
+        days: authConfig.refresh_token_days
+    });
+
+    return {
+        refresh_token_id: refreshTokenId,
+        tokens: {
+            token: signAccessToken(user),
+            refresh_token: refreshToken,
+            expires_in: authConfig.access_token_minutes * 60
+        }
+    };
+};
+
+// Exchange a refresh token for a new pair inside the caller's transaction.
+// Returns { tokens } or { error }.
+const rotateRefreshToken = async (repos, refreshToken) => {
+    const current = await repos.refreshTokens.findByHash(hashToken(refreshToken), { lock: true });
+
+    if (!current) {
+        return { error: 'Invalid refresh token' };
+    }
+
+    if (current.revoked_at) {
+        await repos.refreshTokens.revokeFamily(current.family_id);
+        return { error: 'Refresh token has already been used; please log in again' };
+    }
+    if (!current.is_active) {
+        return { error: 'This account has been disabled' };
+    }
+    if (current.expired) {
+        return { error: 'Refresh token has expired' };
+    }
+
+    const user = { id: current.user_id, role: current.role, token_version: current.token_version };
+    const { refresh_token_id, tokens } = await issueTokens(repos, user, current.family_id);
+
+    await repos.refreshTokens.markReplaced(current.id, refresh_token_id);
+
+    return { tokens };
+};
+
+// Log out the device a refresh token belongs to
+const revokeRefreshToken = async (repos, refreshToken) => {
+    const stored = await repos.refreshTokens.findByHash(hashToken(refreshToken));
+
+    if (!stored) {
+        return false;
+    }
+
+    await repos.refreshTokens.revokeFamily(stored.family_id);
+    return true;
+};
+
+// Log a user out everywhere: existing access tokens stop verifying and no
+// refresh token can be used again
+const revokeUserTokens = async (repos, userId) => {
+    await repos.users.bumpTokenVersion(userId);
+    await repos.refreshTokens.revokeForUser(userId);
+};
+
+// The user an access token was issued to, provided the account is still
+// active and the token has not been revoked since. Null otherwise.
+const verifyAccessToken = async (repos, token) => {
+    let verified;
+    try {
+        verified = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+        return null;
+    }
+
+    const user = await repos.users.findById(verified.id);
+    if (!user || !user.is_active || user.token_version !== verified.ver) {
+        return null;
+    }
+
+    return { id: user.id, role: user.role, token_version: user.token_version, is_active: user.is_active };
+};
+
+module.exports = {
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeUserTokens,
+    verifyAccessToken
+};
@@ -0,0 +1,112 @@
+// Service calendars: the weekdays a train runs within a validity period,
+// adjusted by per-date exceptions. Each date the calendar yields becomes a
+// concrete train run that scopes seat inventory and bookings.
+const WEEKDAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+// Normalise a DATE column or YYYY-MM-DD string to YYYY-MM-DD
+const formatDate = (value) => {
+    if (typeof value === 'string') {
+        return value.slice(0, 10);
+    }
+
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+};
+
+const weekdayOf = (date) => WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+const addDays = (date, days) => {
+    const next = new Date(`${date}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + days);
+    return next.toISOString().slice(0, 10);
+};
+
+// Whether a calendar produces a run on the given date. Trains created before
+// calendars existed have no schedule and are treated as running daily.
+const runsOn = (calendar, date) => {
+    const exception = calendar.exceptions.find(item => formatDate(item.exception_date) === date);
+    if (exception) {
+        return exception.exception_type === 'added';
+    }
+
+    const { schedule } = calendar;
+    if (!schedule) {
+        return true;
+    }
+
+    if (date < formatDate(schedule.valid_from)) {
+        return false;
+    }
+    if (schedule.valid_until && date > formatDate(schedule.valid_until)) {
+        return false;
+    }
+
+    return schedule.running_days.split(',').includes(weekdayOf(date));
+};
+
+// Dates between from and to (inclusive) on which the calendar runs
+const listRunDates = (calendar, from, to) => {
+    const dates = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+        if (runsOn(calendar, date)) {
+            dates.push(date);
+        }
+    }
+    return dates;
+};
+
+const getTrainCalendar = async (repos, trainId) => {
+    const schedule = await repos.schedules.find(trainId);
+    const exceptions = await repos.schedules.listExceptions(trainId);
+
+    return { schedule: schedule || null, exceptions };
+};
+
+// Find the run of a train on a date, or null if the train does not run then.
+// With `create` the run is materialised so bookings can reference it;
+// otherwise a run that has not been booked yet comes back with a null id.
+const getTrainRun = async (repos, trainId, date, { create = false } = {}) => {
+    const runDate = formatDate(date);
+    const calendar = await getTrainCalendar(repos, trainId);
+
+    if (!runsOn(calendar, runDate)) {
+        return null;
+    }
+
+    if (create) {
+        await repos.runs.ensure(trainId, runDate);
+    }
+
+    const run = await repos.runs.find(trainId, runDate);
+
+    return run || { id: null, train_id: Number(trainId), run_date: runDate };
+};
+
+// Run dates from today onwards that still carry active bookings
+const getBookedRunDates = async (repos, trainId) => {
+    const runs = await repos.runs.listBookedDates(trainId);
+
+    return runs.map(run => formatDate(run.run_date));
+};
+
+// Replace a train's calendar. Exceptions are only replaced when given.
+const saveTrainSchedule = async (repos, trainId, schedule) => {
+    await repos.schedules.save(trainId, schedule);
+
+    if (schedule.exceptions) {
+        await repos.schedules.replaceExceptions(trainId, schedule.exceptions);
+    }
+};
+
+module.exports = {
+    WEEKDAYS,
+    formatDate,
+    addDays,
+    runsOn,
+    listRunDates,
+    getTrainCalendar,
+    getTrainRun,
+    getBookedRunDates,
+    saveTrainSchedule
+};
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const mailConfig = require('../config/mail');
+
+// Single-use tokens emailed to users. Only a hash is stored, and issuing a
+// new token for a purpose voids the user's earlier ones.
+const TOKEN_LIFETIMES = {
+    verify_email: () => mailConfig.verification_token_hours * 60,
+    reset_password: () => mailConfig.reset_token_minutes
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createUserToken = async (repos, userId, purpose) => {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await repos.userTokens.voidUnused(userId, purpose);
+    await repos.userTokens.create({
+        user_id: userId,
+        purpose,
+        token_hash: hashToken(token),
+        minutes: TOKEN_LIFETIMES[purpose]()
+    });
+
+    return token;
+};
+
+// Mark a token used inside the caller's transaction and return its user's
+// id, or null if it is unknown, expired or already used
+const consumeUserToken = async (repos, token, purpose) => {
+    const stored = await repos.userTokens.findUsable(hashToken(token), purpose);
+
+    if (!stored) {
+        return null;
+    }
+
+    await repos.userTokens.markUsed(stored.id);
+    return stored.user_id;
+};
+
+module.exports = {
+    createUserToken,
+    consumeUserToken
+};
@@ -0,0 +1,103 @@
+const { getLegSequences, findFreeSeats } = require('./seatInventory');
+const { recordSeatChange } = require('./seatEvents');
+
+// Bookings that could not get seats queue per train run. RAC holders
+// share a berth and are first in line for freed seats; the waitlist queues
+// behind them and moves into RAC as slots open up.
+const QUEUE_STATUSES = ['rac', 'waitlisted'];
+
+// Number of passengers currently holding RAC on a train run
+const countRacPassengers = (repos, trainRunId) => repos.bookings.countRacPassengers(trainRunId);
+
+// Pick the queue a new booking joins: RAC while slots remain, else the waitlist
+const getQueueStatus = async (repos, train, trainRunId, seatsRequested) => {
+    const racPassengers = await countRacPassengers(repos, trainRunId);
+    return racPassengers + seatsRequested <= train.rac_seats ? 'rac' : 'waitlisted';
+};
+
+// Current 1-based position of a queued booking within its queue
+const getQueuePosition = async (repos, booking) => {
+    if (!QUEUE_STATUSES.includes(booking.booking_status)) {
+        return null;
+    }
+
+    return await repos.bookings.countAhead(booking) + 1;
+};
+
+// Offer freed seats to queued bookings in order: RAC first, then the
+// waitlist. A booking is confirmed only when every seat it asked for is free
+// on its leg; smaller bookings further back may still fit. Waitlisted
+// bookings then fill any RAC slots that opened up. Must run inside the
+// transaction that freed the seats.
+const promoteQueue = async (repos, trainId, trainRunId) => {
+    const train = await repos.trains.findById(trainId, { lock: true });
+    const queued = await repos.bookings.listQueued(trainRunId);
+
+    const confirmed = [];
+    const movedToRac = [];
+
+    for (const booking of queued) {
+        const leg = await getLegSequences(repos, trainId, booking.from_station_id, booking.to_station_id);
+        const freeSeats = await findFreeSeats(repos, trainId, trainRunId, leg, {
+            lock: true,
+            classCode: booking.class_code
+        });
+
+        if (freeSeats.length < booking.seats_booked) {
+            continue;
+        }
+
+        // Seat the booking's passengers in the order they were listed
+        const passengers = await repos.passengers.listUnseated(booking.id);
+
+        for (const [index, seat] of freeSeats.slice(0, booking.seats_booked).entries()) {
+            const seatBookingId = await repos.seatBookings.create({
+                booking_id: booking.id,
+                seat_id: seat.id,
+                train_run_id: trainRunId,
+                booking_date: booking.booking_date,
+                from_sequence: leg.from_sequence,
+                to_sequence: leg.to_sequence
+            });
+
+            if (passengers[index]) {
+                await repos.passengers.assignSeat(passengers[index].id, seatBookingId);
+            }
+        }
+
+        recordSeatChange(repos, 'booked', freeSeats.slice(0, booking.seats_booked).map(seat => ({
+            train_run_id: trainRunId,
+            seat_id: seat.id,
+            ...leg
+        })));
+
+        await repos.bookings.setStatus(booking.id, 'confirmed');
+
+        booking.booking_status = 'confirmed';
+        confirmed.push(booking.id);
+    }
+
+    let racPassengers = queued
+        .filter(booking => booking.booking_status === 'rac')
+        .reduce((total, booking) => total + booking.seats_booked, 0);
+
+    for (const booking of queued) {
+        if (booking.booking_status !== 'waitlisted' || racPassengers + booking.seats_booked > train.rac_seats) {
+            continue;
+        }
+
+        await repos.bookings.setStatus(booking.id, 'rac');
+
+        racPassengers += booking.seats_booked;
+        movedToRac.push(booking.id);
+    }
+
+    return { confirmed, moved_to_rac: movedToRac };
+};
+
+module.exports = {
+    QUEUE_STATUSES,
+    getQueueStatus,
+    getQueuePosition,
+    promoteQueue
+};
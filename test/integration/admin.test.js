@@ -0,0 +1,192 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, resetStore, daysFromToday, signUp, createAdmin, createTrain, passenger } = require('./helpers');
+
+describe('admin', () => {
+    let server;
+    let request;
+    let admin;
+
+    before(async () => {
+        ({ server, request } = await startServer());
+    });
+
+    after(() => stopServer(server));
+
+    beforeEach(async () => {
+        resetStore();
+        admin = await createAdmin(request);
+    });
+
+    it('only accepts the shared admin key for making the first admin', async () => {
+        const refused = await request('GET', '/admin/users', { adminKey: true });
+        assert.equal(refused.status, 401);
+
+        await signUp(request, 'ravi');
+        const second = await request('POST', '/admin/bootstrap', {
+            adminKey: true,
+            body: { email: 'ravi@example.com' }
+        });
+        assert.equal(second.status, 409);
+    });
+
+    it('logs admin actions against the admin who made them', async () => {
+        const { user } = await signUp(request, 'ravi');
+
+        const changed = await request('PATCH', `/admin/users/${user.id}/role`, {
+            apiKey: admin.apiKey,
+            body: { role: 'support_agent' }
+        });
+        assert.equal(changed.status, 200);
+
+        const { body } = await request('GET', '/admin/audit-logs', { token: admin.token });
+        assert.ok(body.entries.length > 0);
+        assert.ok(body.entries.every(entry => entry.user_id === admin.user.id));
+        assert.equal(body.entries[0].path, `/api/admin/users/${user.id}/role`);
+    });
+
+    it('keeps the last active admin', async () => {
+        const demoted = await request('PATCH', `/admin/users/${admin.user.id}/role`, {
+            token: admin.token,
+            body: { role: 'user' }
+        });
+        assert.equal(demoted.status, 409);
+
+        const disabled = await request('PATCH', `/admin/users/${admin.user.id}/status`, {
+            token: admin.token,
+            body: { is_active: false }
+        });
+        assert.equal(disabled.status, 409);
+
+        // With a second admin, the first may step down
+        const { user } = await signUp(request, 'ravi');
+        await request('PATCH', `/admin/users/${user.id}/role`, { token: admin.token, body: { role: 'admin' } });
+
+        const stepDown = await request('PATCH', `/admin/users/${admin.user.id}/role`, {
+            token: admin.token,
+            body: { role: 'user' }
+        });
+        assert.equal(stepDown.status, 200);
+    });
+
+    it('issues API keys within the holder\'s role and revokes them', async () => {
+        const { user } = await signUp(request, 'ravi');
+
+        const users = await request('GET', '/admin/users', { token: admin.token });
+        assert.deepEqual(users.body.users.map(item => item.username), ['admin', 'ravi']);
+
+        const beyondRole = await request('POST', '/admin/api-keys', {
+            token: admin.token,
+            body: { name: 'Ravi key', user_id: user.id, permissions: ['trains:manage'] }
+        });
+        assert.equal(beyondRole.status, 400);
+
+        const issued = await request('POST', '/admin/api-keys', {
+            token: admin.token,
+            body: { name: 'Reporting', permissions: ['audit_logs:read', 'audit_logs:read'] }
+        });
+        assert.equal(issued.status, 201);
+
+        const keys = await request('GET', '/admin/api-keys', { token: admin.token });
+        const key = keys.body.api_keys.find(item => item.id === issued.body.api_key_id);
+        assert.deepEqual(key.permissions, ['audit_logs:read']);
+        assert.equal(key.username, 'admin');
+        assert.equal(key.key_hash, undefined);
+
+        const revoked = await request('DELETE', `/admin/api-keys/${key.id}`, { token: admin.token });
+        assert.equal(revoked.status, 200);
+
+        const again = await request('DELETE', `/admin/api-keys/${key.id}`, { token: admin.token });
+        assert.equal(again.status, 404);
+
+        const refused = await request('GET', '/admin/users', { apiKey: issued.body.api_key });
+        assert.equal(refused.status, 401);
+    });
+
+    it('lists lockouts and lifts one early', async () => {
+        const { user } = await signUp(request, 'ravi');
+        const login = (password) => request('POST', '/auth/login', { body: { email: 'ravi@example.com', password } });
+
+        for (let attempt = 0; attempt < 5; attempt++) {
+            await login('wrong-password');
+        }
+        const locked = await login('secret123');
+        assert.equal(locked.status, 429);
+
+        const { body } = await request('GET', '/admin/lockouts?scope=account', { token: admin.token });
+        assert.equal(body.lockouts.length, 1);
+        assert.equal(body.lockouts[0].username, 'ravi');
+
+        const unlocked = await request('POST', `/admin/users/${user.id}/unlock`, { token: admin.token });
+        assert.equal(unlocked.status, 200);
+
+        const loggedIn = await login('secret123');
+        assert.equal(loggedIn.status, 200);
+
+        const unknown = await request('POST', '/admin/users/9999/unlock', { token: admin.token });
+        assert.equal(unknown.status, 404);
+    });
+
+    it('looks up any customer\'s booking with its passengers', async () => {
+        const train = await createTrain(request, admin.apiKey);
+        const { token } = await signUp(request, 'ravi');
+        const booked = await request('POST', '/bookings', {
+            token,
+            body: {
+                train_id: train.trainId,
+                from_station_id: train.stations.NDLS,
+                to_station_id: train.stations.BPL,
+                booking_date: daysFromToday(7),
+                class_code: 'SL',
+                seats_requested: 1,
+                passengers: [passenger('Ravi', { gender: 'male' })]
+            }
+        });
+
+        const { status, body } = await request('GET', `/admin/bookings/${booked.body.booking_id}`, { token: admin.token });
+        assert.equal(status, 200);
+        assert.equal(body.booking.username, 'ravi');
+        assert.equal(body.booking.train_number, '90001');
+        assert.deepEqual(body.booking.passengers.map(item => item.name), ['Ravi']);
+
+        const missing = await request('GET', '/admin/bookings/9999', { token: admin.token });
+        assert.equal(missing.status, 404);
+    });
+
+    it('manages refund rules', async () => {
+        const rule = { name: 'Sleeper last minute', class_code: 'SL', max_hours_before: 4, deduction_type: 'no_refund' };
+
+        const unknownClass = await request('POST', '/refund-rules', { token: admin.token, body: { ...rule, class_code: 'ZZ' } });
+        assert.equal(unknownClass.status, 400);
+
+        const added = await request('POST', '/refund-rules', { token: admin.token, body: rule });
+        assert.equal(added.status, 201);
+
+        const duplicate = await request('POST', '/refund-rules', { token: admin.token, body: rule });
+        assert.equal(duplicate.status, 409);
+
+        const inverted = await request('PUT', `/refund-rules/${added.body.rule_id}`, {
+            token: admin.token,
+            body: { min_hours_before: 6 }
+        });
+        assert.equal(inverted.status, 400);
+
+        const updated = await request('PUT', `/refund-rules/${added.body.rule_id}`, {
+            token: admin.token,
+            body: { max_hours_before: 6 }
+        });
+        assert.equal(updated.status, 200);
+
+        const removed = await request('DELETE', `/refund-rules/${added.body.rule_id}`, { token: admin.token });
+        assert.equal(removed.status, 200);
+
+        const { body } = await request('GET', '/refund-rules', { token: admin.token });
+        const listed = body.rules.find(item => item.id === added.body.rule_id);
+        assert.equal(Number(listed.max_hours_before), 6);
+        assert.equal(Boolean(listed.is_active), false);
+        assert.equal(body.rules.at(-1).id, listed.id);
+
+        const missing = await request('DELETE', '/refund-rules/9999', { token: admin.token });
+        assert.equal(missing.status, 404);
+    });
+});
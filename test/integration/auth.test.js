@@ -0,0 +1,90 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, resetStore, mailTo, signUp } = require('./helpers');
+
+describe('auth', () => {
+    let server;
+    let request;
+
+    before(async () => {
+        ({ server, request } = await startServer());
+    });
+
+    after(() => stopServer(server));
+
+    beforeEach(resetStore);
+
+    it('registers a user and refuses a second account with the same email', async () => {
+        const credentials = { username: 'asha', email: 'asha@example.com', password: 'secret123' };
+
+        const created = await request('POST', '/auth/register', { body: credentials });
+        assert.equal(created.status, 201);
+
+        const duplicate = await request('POST', '/auth/register', { body: { ...credentials, username: 'asha2' } });
+        assert.equal(duplicate.status, 400);
+        assert.equal(duplicate.body.message, 'User already exists');
+    });
+
+    it('logs in and rejects a wrong password', async () => {
+        const login = await signUp(request, 'ravi');
+        assert.equal(login.success, true);
+        assert.ok(login.token);
+        assert.ok(login.refresh_token);
+        assert.equal(login.user.email_verified, false);
+
+        const wrong = await request('POST', '/auth/login', {
+            body: { email: 'ravi@example.com', password: 'not-it' }
+        });
+        assert.equal(wrong.status, 400);
+        assert.equal(wrong.body.message, 'Invalid credentials');
+    });
+
+    it('verifies the email address with the emailed link', async () => {
+        await signUp(request, 'meera');
+
+        const [message] = mailTo('meera@example.com').slice(-1);
+        const token = /token=(\w+)/.exec(message.text)[1];
+
+        const verified = await request('POST', '/auth/verify-email', { body: { token } });
+        assert.equal(verified.status, 200);
+
+        const reused = await request('POST', '/auth/verify-email', { body: { token } });
+        assert.equal(reused.status, 400);
+
+        const login = await request('POST', '/auth/login', {
+            body: { email: 'meera@example.com', password: 'secret123' }
+        });
+        assert.equal(login.body.user.email_verified, true);
+    });
+
+    it('rotates refresh tokens and revokes the family when one is reused', async () => {
+        const { refresh_token } = await signUp(request, 'kiran');
+
+        const rotated = await request('POST', '/auth/refresh', { body: { refresh_token } });
+        assert.equal(rotated.status, 200);
+        assert.notEqual(rotated.body.refresh_token, refresh_token);
+
+        const reused = await request('POST', '/auth/refresh', { body: { refresh_token } });
+        assert.equal(reused.status, 401);
+
+        // The token issued by the rotation went with its family
+        const revoked = await request('POST', '/auth/refresh', { body: { refresh_token: rotated.body.refresh_token } });
+        assert.equal(revoked.status, 401);
+    });
+
+    it('logs out every session after a password change', async () => {
+        const { token } = await signUp(request, 'dev');
+
+        const changed = await request('POST', '/auth/change-password', {
+            token,
+            body: { current_password: 'secret123', new_password: 'secret456' }
+        });
+        assert.equal(changed.status, 200);
+
+        const stale = await request('GET', '/bookings/user/bookings', { token });
+        assert.equal(stale.status, 401);
+
+        const fresh = await request('GET', '/bookings/user/bookings', { token: changed.body.token });
+        assert.equal(fresh.status, 200);
+    });
+});
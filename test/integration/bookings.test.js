@@ -0,0 +1,305 @@
+// Set before the helpers load the app's configuration
+process.env.IDEMPOTENCY_LEASE_SECONDS = '1';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const memoryStore = require('../../src/repositories/memoryStore');
+const { startServer, stopServer, resetStore, daysFromToday, signUp, createAdmin, createTrain, passenger } = require('./helpers');
+
+describe('bookings', () => {
+    let server;
+    let request;
+    let apiKey;
+    let train;
+    let token;
+    let user;
+
+    const date = daysFromToday(7);
+
+    // Book seats on the train for the signed-in user
+    const book = (body, as = token, headers) => request('POST', '/bookings', {
+        token: as,
+        headers,
+        body: {
+            train_id: train.trainId,
+            from_station_id: train.stations.NDLS,
+            to_station_id: train.stations.BPL,
+            booking_date: date,
+            class_code: 'SL',
+            seats_requested: 1,
+            passengers: [passenger('Asha')],
+            ...body
+        }
+    });
+
+    const pay = (booking, as = token, status = 'succeeded') => request('POST', `/payments/${booking.payment.payment_id}/simulate`, {
+        token: as,
+        body: { status }
+    });
+
+    const availability = async (from, to, as = token) => {
+        const { body } = await request('GET', `/bookings/seats/availability?train_id=${train.trainId}&booking_date=${date}&from_station_id=${from}&to_station_id=${to}`, { token: as });
+        return body;
+    };
+
+    before(async () => {
+        ({ server, request } = await startServer());
+    });
+
+    after(() => stopServer(server));
+
+    beforeEach(async () => {
+        resetStore();
+        ({ apiKey } = await createAdmin(request));
+        train = await createTrain(request, apiKey, { seats: 4 });
+        ({ token, user } = await signUp(request, 'asha'));
+    });
+
+    it('holds seats until the booking is paid for', async () => {
+        const booked = await book({ seats_requested: 2, passengers: [passenger('Asha'), passenger('Ravi', { gender: 'male' })] });
+        assert.equal(booked.status, 201);
+        assert.equal(booked.body.booking_status, 'payment_pending');
+        assert.equal(booked.body.seats_booked, 2);
+
+        const { classes } = await availability(train.stations.NDLS, train.stations.BPL);
+        assert.deepEqual(classes, [{ class_code: 'SL', total_seats: 4, available_seats: 2 }]);
+
+        const paid = await pay(booked.body);
+        assert.equal(paid.status, 200);
+        assert.deepEqual(paid.body.bookings, [{ booking_id: booked.body.booking_id, booking_status: 'confirmed' }]);
+
+        const { body } = await request('GET', `/bookings/${booked.body.booking_id}`, { token });
+        assert.equal(body.booking.booking_status, 'confirmed');
+        assert.equal(body.booking.total_fare, booked.body.total_fare);
+        assert.deepEqual(body.booking.passengers.map(item => item.name), ['Asha', 'Ravi']);
+
+        const list = await request('GET', '/bookings/user/bookings', { token });
+        assert.deepEqual(list.body.bookings.map(item => item.id), [booked.body.booking_id]);
+    });
+
+    it('rejects a payment callback with a forged signature', async () => {
+        const booked = await book();
+        const body = { reference: booked.body.payment.gateway_reference, status: 'succeeded' };
+
+        // As long as a real signature, but longer in bytes
+        const forged = await request('POST', '/payments/callback', {
+            body,
+            headers: { 'X-Fake-Signature': `\u00e9${'0'.repeat(63)}` }
+        });
+        assert.equal(forged.status, 401);
+
+        const { body: { booking } } = await request('GET', `/bookings/${booked.body.booking_id}`, { token });
+        assert.equal(booking.booking_status, 'payment_pending');
+    });
+
+    it('releases the seats of a failed payment', async () => {
+        const booked = await book();
+
+        const failed = await pay(booked.body, token, 'failed');
+        assert.equal(failed.body.bookings[0].booking_status, 'payment_failed');
+
+        const { classes } = await availability(train.stations.NDLS, train.stations.BPL);
+        assert.equal(classes[0].available_seats, 4);
+    });
+
+    it('sells a seat again on a leg that does not overlap', async () => {
+        const booked = await book({ to_station_id: train.stations.AGC });
+        await pay(booked.body);
+
+        const before = await availability(train.stations.NDLS, train.stations.AGC);
+        assert.equal(before.classes[0].available_seats, 3);
+
+        const after = await availability(train.stations.AGC, train.stations.BPL);
+        assert.equal(after.classes[0].available_seats, 4);
+    });
+
+    it('keeps bookings private to their owner', async () => {
+        const booked = await book();
+        const other = await signUp(request, 'ravi');
+
+        const { status } = await request('GET', `/bookings/${booked.body.booking_id}`, { token: other.token });
+        assert.equal(status, 404);
+    });
+
+    it('replays a booking retried with the same Idempotency-Key', async () => {
+        const headers = { 'Idempotency-Key': 'booking-attempt-1' };
+
+        const first = await book({}, token, headers);
+        const retry = await book({}, token, headers);
+        assert.equal(retry.status, 201);
+        assert.equal(retry.body.booking_id, first.body.booking_id);
+
+        const list = await request('GET', '/bookings/user/bookings', { token });
+        assert.equal(list.body.bookings.length, 1);
+    });
+
+    it('takes over a key left in progress past its lease', async () => {
+        // As if a process died while handling the first attempt
+        await memoryStore.repositories.idempotencyKeys.create({
+            user_id: user.id,
+            idempotency_key: 'booking-attempt-2',
+            method: 'POST',
+            path: '/api/bookings',
+            request_hash: 'abandoned',
+            hours: 24
+        });
+
+        // Within the lease the key still belongs to the abandoned request
+        const running = await book({}, token, { 'Idempotency-Key': 'booking-attempt-2' });
+        assert.equal(running.status, 422);
+
+        await new Promise(resolve => setTimeout(resolve, 1100));
+
+        const retried = await book({}, token, { 'Idempotency-Key': 'booking-attempt-2' });
+        assert.equal(retried.status, 201);
+    });
+
+    it('keeps held seats for the user holding them', async () => {
+        const { seats } = await availability(train.stations.NDLS, train.stations.BPL);
+        const seatId = seats[0].id;
+
+        const held = await request('POST', '/bookings/seats/holds', {
+            token,
+            body: {
+                train_id: train.trainId,
+                from_station_id: train.stations.NDLS,
+                to_station_id: train.stations.BPL,
+                booking_date: date,
+                seat_ids: [seatId]
+            }
+        });
+        assert.equal(held.status, 201);
+
+        const other = await signUp(request, 'ravi');
+        const taken = await book({ selected_seats: [seatId], seats_requested: undefined }, other.token);
+        assert.equal(taken.status, 400);
+        assert.match(taken.body.message, /held by another user/);
+
+        const mine = await book({ selected_seats: [seatId], seats_requested: undefined });
+        assert.equal(mine.status, 201);
+
+        const holds = await request('GET', '/bookings/seats/holds', { token });
+        assert.equal(holds.body.holds.length, 0);
+    });
+
+    it('moves held seats with their stops when the route changes', async () => {
+        const { seats } = await availability(train.stations.NDLS, train.stations.BPL);
+        const seatId = seats[0].id;
+        await request('POST', '/bookings/seats/holds', {
+            token,
+            body: {
+                train_id: train.trainId,
+                from_station_id: train.stations.NDLS,
+                to_station_id: train.stations.BPL,
+                booking_date: date,
+                seat_ids: [seatId]
+            }
+        });
+
+        const station = await request('POST', '/stations', { apiKey, body: { station_name: 'Mathura', station_code: 'MTJ' } });
+        const added = await request('POST', `/trains/${train.trainId}/stops`, {
+            apiKey,
+            body: { station_id: station.body.station_id, position: 2, arrival_time: '11:00', departure_time: '11:02' }
+        });
+        assert.equal(added.status, 200);
+
+        const moved = await request('GET', '/bookings/seats/holds', { token });
+        assert.deepEqual(moved.body.holds.map(hold => [hold.from_sequence, hold.to_sequence]), [[1, 4]]);
+
+        // The hold still covers Agra to Bhopal
+        const other = await signUp(request, 'ravi');
+        const taken = await book({
+            from_station_id: train.stations.AGC,
+            selected_seats: [seatId],
+            seats_requested: undefined,
+            passengers: [passenger('Ravi', { gender: 'male' })]
+        }, other.token);
+        assert.equal(taken.status, 400);
+
+        // Without its last stop the held leg is gone, and so is the hold
+        const removed = await request('DELETE', `/trains/${train.trainId}/stops/${train.stations.BPL}`, { apiKey });
+        assert.equal(removed.status, 200);
+
+        const released = await request('GET', '/bookings/seats/holds', { token });
+        assert.equal(released.body.holds.length, 0);
+    });
+
+    it('cancels a paid booking and refunds it less the deduction', async () => {
+        const booked = await book();
+        await pay(booked.body);
+
+        const quote = await request('GET', `/bookings/${booked.body.booking_id}/refund-quote`, { token });
+        assert.equal(quote.status, 200);
+        assert.equal(quote.body.quote.rule.name, 'More than 48 hours');
+
+        const cancelled = await request('PATCH', `/bookings/${booked.body.booking_id}/cancel`, { token, body: {} });
+        assert.equal(cancelled.status, 200);
+        assert.equal(cancelled.body.refund_amount, quote.body.quote.refund_amount);
+        assert.equal(cancelled.body.refund_status, 'processed');
+
+        const again = await request('PATCH', `/bookings/${booked.body.booking_id}/cancel`, { token, body: {} });
+        assert.equal(again.status, 404);
+
+        const history = await request('GET', `/bookings/${booked.body.booking_id}/cancellations`, { token });
+        assert.equal(history.body.cancellations.length, 1);
+
+        const { classes } = await availability(train.stations.NDLS, train.stations.BPL);
+        assert.equal(classes[0].available_seats, 4);
+    });
+
+    it('queues bookings on a full train and confirms them as seats free up', async () => {
+        const full = await book({ seats_requested: 4, passengers: ['A', 'B', 'C', 'D'].map(name => passenger(name)) });
+        await pay(full.body);
+
+        const other = await signUp(request, 'ravi');
+        const queued = await book({ passengers: [passenger('Ravi', { gender: 'male' })] }, other.token);
+        assert.equal(queued.status, 201);
+
+        const paid = await pay(queued.body, other.token);
+        assert.equal(paid.body.bookings[0].booking_status, 'waitlisted');
+
+        const waiting = await request('GET', `/bookings/${queued.body.booking_id}`, { token: other.token });
+        assert.equal(waiting.body.booking.queue_position, 1);
+
+        const cancelled = await request('PATCH', `/bookings/${full.body.booking_id}/cancel`, { token, body: {} });
+        assert.deepEqual(cancelled.body.promoted_bookings.confirmed, [queued.body.booking_id]);
+
+        const confirmed = await request('GET', `/bookings/${queued.body.booking_id}`, { token: other.token });
+        assert.equal(confirmed.body.booking.booking_status, 'confirmed');
+        assert.equal(confirmed.body.booking.queue_position, null);
+    });
+
+    it('streams seat changes to clients that are not signed in', async () => {
+        const { port } = server.address();
+        const controller = new AbortController();
+        const response = await fetch(
+            `http://127.0.0.1:${port}/api/bookings/seats/events?train_id=${train.trainId}&booking_date=${date}`,
+            { signal: controller.signal }
+        );
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+        // Read events until one of `type` arrives
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffered = '';
+        const nextEvent = async (type) => {
+            for (;;) {
+                const match = new RegExp(`event: ${type}\n(?:id: .*\n)?data: (.*)\n\n`).exec(buffered);
+                if (match) {
+                    buffered = buffered.slice(match.index + match[0].length);
+                    return JSON.parse(match[1]);
+                }
+                const { value } = await reader.read();
+                buffered += value;
+            }
+        };
+
+        await nextEvent('ready');
+        const booked = await book();
+        const event = await nextEvent('seats');
+        controller.abort();
+
+        assert.equal(event.change, 'booked');
+        assert.equal(event.seats.length, booked.body.seats_booked);
+    });
+});
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The API runs on the in-memory store, so no database server is needed.
+// Configuration is read when modules load, so it is set before the app is
+// required.
+process.env.NODE_ENV = 'test';
+process.env.DATA_STORE = 'memory';
+process.env.JWT_SECRET = 'integration-test-secret';
+process.env.ADMIN_API_KEY = 'integration-test-admin-key';
+process.env.PAYMENT_GATEWAY = 'fake';
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_FILE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'railway-test-mail-'));
+process.on('exit', () => fs.rmSync(process.env.MAIL_FILE_DIR, { recursive: true, force: true }));
+// Suites share one address; a suite testing a limit sets it first
+for (const name of ['BOOKINGS', 'BOOKINGS_PER_IP', 'JOURNEY_BOOKINGS', 'JOURNEY_BOOKINGS_PER_IP', 'LOGIN']) {
+    process.env[`RATE_LIMIT_${name}`] ??= '1000/60';
+}
+
+const app = require('../../src/app');
+const memoryStore = require('../../src/repositories/memoryStore');
+const { WEEKDAYS, formatDate, addDays } = require('../../src/utils/trainCalendar');
+
+// Start the app on a free port. Returns the server and a request helper
+// resolving to { status, body, headers }.
+const startServer = () => new Promise((resolve) => {
+    const server = app.listen(0, () => {
+        const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+        const request = async (method, url, { token, apiKey, adminKey, body, headers = {} } = {}) => {
+            const response = await fetch(`${baseUrl}${url}`, {
+                method,
+                headers: {
+                    ...(body !== undefined && { 'Content-Type': 'application/json' }),
+                    ...(token && { Authorization: `Bearer ${token}` }),
+                    ...(apiKey && { 'X-API-Key': apiKey }),
+                    ...(adminKey && { 'X-Admin-API-Key': process.env.ADMIN_API_KEY }),
+                    ...headers
+                },
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+
+            return {
+                status: response.status,
+                headers: response.headers,
+                body: await response.json()
+            };
+        };
+
+        resolve({ server, request });
+    });
+});
+
+const stopServer = (server) => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+});
+
+// Start every test on an empty store
+const resetStore = () => memoryStore.reset();
+
+// Days from today, as YYYY-MM-DD
+const daysFromToday = (days) => addDays(formatDate(new Date()), days);
+
+// Emails sent to `address`, oldest first
+const mailTo = (address) => fs.readdirSync(process.env.MAIL_FILE_DIR)
+    .sort()
+    .map(file => JSON.parse(fs.readFileSync(path.join(process.env.MAIL_FILE_DIR, file), 'utf8')))
+    .filter(message => message.to === address);
+
+// Register and log in a user. Returns the login response body.
+const signUp = async (request, username) => {
+    const credentials = { username, email: `${username}@example.com`, password: 'secret123' };
+
+    await request('POST', '/auth/register', { body: credentials });
+    const { body } = await request('POST', '/auth/login', {
+        body: { email: credentials.email, password: credentials.password }
+    });
+    return body;
+};
+
+// Make a registered user the first admin. Returns their login response body
+// and personal API key.
+const createAdmin = async (request, username = 'admin') => {
+    const login = await signUp(request, username);
+    const { status, body } = await request('POST', '/admin/bootstrap', {
+        adminKey: true,
+        body: { email: `${username}@example.com` }
+    });
+    if (status !== 201) {
+        throw new Error(`Could not create admin: ${JSON.stringify(body)}`);
+    }
+
+    return { ...login, apiKey: body.api_key };
+};
+
+// The route trains run unless told otherwise
+const DEFAULT_STOPS = [
+    { name: 'New Delhi', code: 'NDLS', departure_time: '10:00', distance_km: 0 },
+    { name: 'Agra Cantt', code: 'AGC', arrival_time: '12:00', departure_time: '12:05', distance_km: 195 },
+    { name: 'Bhopal', code: 'BPL', arrival_time: '18:00', distance_km: 701 }
+];
+
+// Add a daily train with `seats` sleeper seats, calling at NDLS, AGC and BPL
+// by default, as the admin holding `apiKey`. Returns the train id and
+// station ids by code.
+const createTrain = async (request, apiKey, { trainNumber = '90001', seats = 10, racSeats = 0, stops = DEFAULT_STOPS } = {}) => {
+    const { status, body } = await request('POST', '/trains', {
+        apiKey,
+        body: {
+            train_number: trainNumber,
+            train_name: 'Test Express',
+            total_seats: seats,
+            class_code: 'SL',
+            base_fare: 100,
+            rac_seats: racSeats,
+            schedule: { running_days: WEEKDAYS, valid_from: daysFromToday(0) },
+            stations: stops
+        }
+    });
+    if (status !== 201) {
+        throw new Error(`Could not create train: ${JSON.stringify(body)}`);
+    }
+
+    const { body: { stations } } = await request('GET', '/trains/stations');
+    return {
+        trainId: body.train_id,
+        stations: Object.fromEntries(stations.map(station => [station.station_code, station.id]))
+    };
+};
+
+const passenger = (name, extra = {}) => ({ name, age: 35, gender: 'female', ...extra });
+
+module.exports = {
+    startServer,
+    stopServer,
+    resetStore,
+    daysFromToday,
+    mailTo,
+    signUp,
+    createAdmin,
+    createTrain,
+    passenger
+};
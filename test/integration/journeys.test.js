@@ -0,0 +1,114 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, resetStore, daysFromToday, signUp, createAdmin, createTrain, passenger } = require('./helpers');
+
+describe('journeys', () => {
+    let server;
+    let request;
+    let stations;
+    let token;
+
+    const date = daysFromToday(10);
+
+    before(async () => {
+        ({ server, request } = await startServer());
+    });
+
+    after(() => stopServer(server));
+
+    // NDLS to BPL, then a connection at BPL onward to NGP
+    beforeEach(async () => {
+        resetStore();
+        const { apiKey } = await createAdmin(request);
+        await createTrain(request, apiKey, { trainNumber: '90001', seats: 4 });
+        ({ stations } = await createTrain(request, apiKey, {
+            trainNumber: '90002',
+            seats: 4,
+            stops: [
+                { name: 'Bhopal', code: 'BPL', departure_time: '19:30', distance_km: 0 },
+                { name: 'Nagpur', code: 'NGP', arrival_time: '23:30', distance_km: 390 }
+            ]
+        }));
+        ({ token } = await signUp(request, 'asha'));
+    });
+
+    const search = async () => {
+        const { body } = await request('GET', `/journeys/search?from_station_id=${stations.NDLS}&to_station_id=${stations.NGP}&date=${date}`);
+        return body.itineraries;
+    };
+
+    // A booking request for each leg of an itinerary
+    const legsOf = (itinerary) => itinerary.legs.map(leg => ({
+        train_id: leg.train.id,
+        from_station_id: leg.from_station.id,
+        to_station_id: leg.to_station.id,
+        booking_date: leg.booking_date,
+        class_code: 'SL',
+        seats_requested: 1
+    }));
+
+    it('plans an itinerary with a change of train', async () => {
+        const itineraries = await search();
+        assert.equal(itineraries.length, 1);
+
+        const [itinerary] = itineraries;
+        assert.equal(itinerary.changes, 1);
+        assert.equal(itinerary.connections[0].station.code, 'BPL');
+        assert.equal(itinerary.connections[0].wait_minutes, 90);
+        assert.deepEqual(itinerary.legs.map(leg => leg.train.number), ['90001', '90002']);
+    });
+
+    it('books and pays for every leg together', async () => {
+        const [itinerary] = await search();
+        const legs = legsOf(itinerary);
+
+        const booked = await request('POST', '/journeys/bookings', {
+            token,
+            body: { legs, passengers: [passenger('Asha')] }
+        });
+        assert.equal(booked.status, 201);
+        assert.equal(booked.body.bookings.length, 2);
+
+        const paid = await request('POST', `/payments/${booked.body.payment.payment_id}/simulate`, {
+            token,
+            body: { status: 'succeeded' }
+        });
+        assert.deepEqual(paid.body.bookings.map(booking => booking.booking_status), ['confirmed', 'confirmed']);
+
+        const { body } = await request('GET', `/journeys/${booked.body.journey_id}`, { token });
+        assert.deepEqual(body.journey.bookings.map(booking => booking.train_number), ['90001', '90002']);
+    });
+
+    it('books nothing when the connection is too tight', async () => {
+        const [itinerary] = await search();
+        const legs = legsOf(itinerary);
+
+        // Leave NDLS a day later, so the first leg arrives after the second departs
+        legs[0].booking_date = daysFromToday(11);
+
+        const refused = await request('POST', '/journeys/bookings', {
+            token,
+            body: { legs, passengers: [passenger('Asha')] }
+        });
+        assert.equal(refused.status, 400);
+
+        const list = await request('GET', '/bookings/user/bookings', { token });
+        assert.equal(list.body.bookings.length, 0);
+    });
+
+    it('rolls back every leg when a later one fails', async () => {
+        const [itinerary] = await search();
+        const legs = legsOf(itinerary);
+        legs[1] = { ...legs[1], selected_seats: [99999], seats_requested: undefined };
+
+        const refused = await request('POST', '/journeys/bookings', {
+            token,
+            body: { legs, passengers: [passenger('Asha')] }
+        });
+        assert.equal(refused.status, 400);
+        assert.match(refused.body.message, /^Leg 2: /);
+
+        const list = await request('GET', '/bookings/user/bookings', { token });
+        assert.equal(list.body.bookings.length, 0);
+    });
+});
@@ -0,0 +1,31 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const memoryStore = require('../../src/repositories/memoryStore');
+const { transaction } = require('../../src/repositories');
+
+describe('memory store', () => {
+    const { users } = memoryStore.repositories;
+
+    const createUser = (username) => users.create({ username, email: `${username}@example.com`, password: 'hash' });
+
+    beforeEach(() => memoryStore.reset());
+
+    it('rolls back a transaction without losing writes made outside it', async () => {
+        const ashaId = await createUser('asha');
+
+        const result = await transaction(async (repos) => {
+            await createUser('ravi');
+            await repos.users.create({ username: 'meera', email: 'meera@example.com', password: 'hash' });
+            await repos.users.setActive(ashaId, false);
+            await users.setRole(ashaId, 'support_agent');
+            return { error: { status: 400, message: 'Changed my mind' } };
+        }, memoryStore);
+        assert.equal(result.error.message, 'Changed my mind');
+
+        const asha = await users.findById(ashaId);
+        assert.equal(asha.is_active, true);
+        assert.equal(asha.role, 'support_agent');
+        assert.ok(await users.findByEmail('ravi@example.com'));
+        assert.equal(await users.findByEmail('meera@example.com'), undefined);
+    });
+});
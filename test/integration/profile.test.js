@@ -0,0 +1,130 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, resetStore, daysFromToday, mailTo, signUp, createAdmin, createTrain, passenger } = require('./helpers');
+
+describe('profile', () => {
+    let server;
+    let request;
+    let token;
+    let user;
+
+    const savedPassenger = (name, extra = {}) => ({ name, date_of_birth: '1990-04-12', gender: 'female', ...extra });
+
+    before(async () => {
+        ({ server, request } = await startServer());
+    });
+
+    after(() => stopServer(server));
+
+    beforeEach(async () => {
+        resetStore();
+        ({ token, user } = await signUp(request, 'asha'));
+    });
+
+    it('updates contact details and asks to verify a new email address', async () => {
+        const profile = await request('GET', '/auth/me', { token });
+        assert.equal(profile.status, 200);
+        assert.equal(profile.body.user.username, 'asha');
+        assert.deepEqual(profile.body.user.preferences, {});
+        assert.equal(profile.body.user.password, undefined);
+
+        const updated = await request('PATCH', '/auth/me', {
+            token,
+            body: { full_name: 'Asha Rao', email: 'asha.rao@example.com' }
+        });
+        assert.equal(updated.status, 200);
+        assert.match(updated.body.message, /verify the new address/);
+        assert.equal(updated.body.user.full_name, 'Asha Rao');
+        assert.equal(updated.body.user.email_verified, false);
+        assert.equal(mailTo('asha.rao@example.com').length, 1);
+
+        await signUp(request, 'ravi');
+        const taken = await request('PATCH', '/auth/me', { token, body: { username: 'ravi' } });
+        assert.equal(taken.status, 409);
+    });
+
+    it('keeps booking preferences, clearing those sent as null', async () => {
+        await request('PATCH', '/auth/me/preferences', { token, body: { preferred_berth: 'lower', seat_together: true } });
+
+        const cleared = await request('PATCH', '/auth/me/preferences', { token, body: { preferred_berth: null } });
+        assert.equal(cleared.status, 200);
+        assert.deepEqual(cleared.body.preferences, { seat_together: true });
+
+        const { body } = await request('GET', '/auth/me', { token });
+        assert.deepEqual(body.user.preferences, { seat_together: true });
+    });
+
+    it('saves passengers for the user who saved them', async () => {
+        const saved = await request('POST', '/auth/me/passengers', { token, body: savedPassenger('Ravi', { gender: 'male' }) });
+        assert.equal(saved.status, 201);
+        await request('POST', '/auth/me/passengers', { token, body: savedPassenger('Meera') });
+
+        const edited = await request('PATCH', `/auth/me/passengers/${saved.body.saved_passenger_id}`, {
+            token,
+            body: { concession: 'senior' }
+        });
+        assert.equal(edited.status, 200);
+
+        const { body } = await request('GET', '/auth/me/passengers', { token });
+        assert.deepEqual(body.passengers.map(item => [item.name, item.concession]), [['Meera', null], ['Ravi', 'senior']]);
+
+        const other = await signUp(request, 'kiran');
+        const notTheirs = await request('DELETE', `/auth/me/passengers/${saved.body.saved_passenger_id}`, { token: other.token });
+        assert.equal(notTheirs.status, 404);
+
+        const removed = await request('DELETE', `/auth/me/passengers/${saved.body.saved_passenger_id}`, { token });
+        assert.equal(removed.status, 200);
+    });
+
+    it('exports the account, and deletes it once nothing is left to travel on', async () => {
+        const admin = await createAdmin(request);
+        const train = await createTrain(request, admin.apiKey);
+        await request('POST', '/auth/me/passengers', { token, body: savedPassenger('Ravi') });
+
+        const booked = await request('POST', '/bookings', {
+            token,
+            body: {
+                train_id: train.trainId,
+                from_station_id: train.stations.NDLS,
+                to_station_id: train.stations.BPL,
+                booking_date: daysFromToday(7),
+                class_code: 'SL',
+                seats_requested: 1,
+                passengers: [passenger('Asha', { id_document_type: 'passport', id_document_number: 'P1234567' })]
+            }
+        });
+        const bookingId = booked.body.booking_id;
+        await request('POST', `/payments/${booked.body.payment.payment_id}/simulate`, { token, body: { status: 'succeeded' } });
+
+        const exported = await request('GET', '/auth/me/export', { token });
+        assert.equal(exported.status, 200);
+        assert.match(exported.headers.get('content-disposition'), new RegExp(`account-${user.id}\\.json`));
+        assert.equal(exported.body.data.profile.username, 'asha');
+        assert.equal(exported.body.data.saved_passengers.length, 1);
+        assert.deepEqual(exported.body.data.bookings.map(item => item.id), [bookingId]);
+        assert.deepEqual(exported.body.data.bookings[0].passengers.map(item => item.name), ['Asha']);
+        assert.equal(exported.body.data.payments[0].status, 'succeeded');
+
+        const wrongPassword = await request('DELETE', '/auth/me', { token, body: { password: 'not-it' } });
+        assert.equal(wrongPassword.status, 400);
+
+        const travelling = await request('DELETE', '/auth/me', { token, body: { password: 'secret123' } });
+        assert.equal(travelling.status, 409);
+        assert.deepEqual(travelling.body.booking_ids, [bookingId]);
+
+        await request('PATCH', `/bookings/${bookingId}/cancel`, { token, body: {} });
+        const deleted = await request('DELETE', '/auth/me', { token, body: { password: 'secret123' } });
+        assert.equal(deleted.status, 200);
+
+        const signedOut = await request('GET', '/auth/me', { token });
+        assert.equal(signedOut.status, 401);
+
+        const login = await request('POST', '/auth/login', { body: { email: 'asha@example.com', password: 'secret123' } });
+        assert.equal(login.status, 400);
+
+        // The booking stays on record without naming anyone
+        const { body } = await request('GET', `/admin/bookings/${bookingId}`, { apiKey: admin.apiKey });
+        assert.equal(body.booking.username, `deleted_${user.id}`);
+        assert.deepEqual(body.booking.passengers.map(item => [item.name, item.id_document_number]), [['Deleted passenger', null]]);
+    });
+});
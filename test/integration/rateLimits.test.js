@@ -0,0 +1,50 @@
+// Set before the helpers load the app's configuration
+process.env.RATE_LIMIT_BOOKINGS_PER_IP = '3/60';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, resetStore, signUp } = require('./helpers');
+
+describe('rate limits', () => {
+    let server;
+    let request;
+
+    before(async () => {
+        resetStore();
+        ({ server, request } = await startServer());
+    });
+
+    after(() => stopServer(server));
+
+    it('limits booking attempts per address across accounts', async () => {
+        const statuses = [];
+        for (const username of ['asha', 'ravi', 'meera', 'kiran']) {
+            const { token } = await signUp(request, username);
+            const { status } = await request('POST', '/bookings', { token, body: {} });
+            statuses.push(status);
+        }
+
+        // Each account is well under its own limit; the address is not
+        assert.deepEqual(statuses, [400, 400, 400, 429]);
+    });
+
+    it('refuses to start with a malformed limit override', () => {
+        const configPath = require.resolve('../../src/config/rateLimits');
+        const loaded = require.cache[configPath];
+
+        try {
+            for (const override of ['20per60', 'abc', '0/60', '20/']) {
+                process.env.RATE_LIMIT_PASSWORD_RESET = override;
+                delete require.cache[configPath];
+                assert.throws(() => require(configPath), /RATE_LIMIT_PASSWORD_RESET/);
+            }
+
+            process.env.RATE_LIMIT_PASSWORD_RESET = '7';
+            delete require.cache[configPath];
+            assert.deepEqual(require(configPath).routes.password_reset, { max: 7, window_seconds: 3600 });
+        } finally {
+            delete process.env.RATE_LIMIT_PASSWORD_RESET;
+            require.cache[configPath] = loaded;
+        }
+    });
+});
@@ -0,0 +1,136 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, resetStore, daysFromToday, signUp, createAdmin, createTrain, passenger } = require('./helpers');
+
+describe('stations', () => {
+    let server;
+    let request;
+    let apiKey;
+    let train;
+
+    before(async () => {
+        ({ server, request } = await startServer());
+    });
+
+    after(() => stopServer(server));
+
+    beforeEach(async () => {
+        resetStore();
+        ({ apiKey } = await createAdmin(request));
+        train = await createTrain(request, apiKey);
+    });
+
+    const addStation = (station_name, station_code) => request('POST', '/stations', {
+        apiKey,
+        body: { station_name, station_code }
+    });
+
+    it('lists stations by name and finds them by name or code', async () => {
+        const all = await request('GET', '/stations');
+        assert.deepEqual(all.body.stations.map(station => station.station_code), ['AGC', 'BPL', 'NDLS']);
+
+        const byName = await request('GET', '/stations?q=delhi');
+        assert.deepEqual(byName.body.stations.map(station => station.station_code), ['NDLS']);
+
+        const byCode = await request('GET', '/stations?q=AG');
+        assert.deepEqual(byCode.body.stations.map(station => station.station_code), ['AGC']);
+    });
+
+    it('shows the trains calling at a station', async () => {
+        const { status, body } = await request('GET', `/stations/${train.stations.AGC}`);
+        assert.equal(status, 200);
+        assert.equal(body.station.station_name, 'Agra Cantt');
+        assert.deepEqual(body.station.trains.map(item => [item.id, item.sequence_number]), [[train.trainId, 2]]);
+
+        const missing = await request('GET', '/stations/9999');
+        assert.equal(missing.status, 404);
+    });
+
+    it('only lets admins add and rename stations, each code once', async () => {
+        const { token } = await signUp(request, 'asha');
+        const refused = await request('POST', '/stations', { token, body: { station_name: 'Jhansi', station_code: 'JHS' } });
+        assert.equal(refused.status, 403);
+
+        const added = await addStation('Jhansi', 'JHS');
+        assert.equal(added.status, 201);
+
+        const duplicate = await addStation('Jhansi Junction', 'JHS');
+        assert.equal(duplicate.status, 409);
+
+        const renamed = await request('PATCH', `/stations/${added.body.station_id}`, {
+            apiKey,
+            body: { station_name: 'Jhansi Junction' }
+        });
+        assert.equal(renamed.status, 200);
+
+        const taken = await request('PATCH', `/stations/${added.body.station_id}`, { apiKey, body: { station_code: 'AGC' } });
+        assert.equal(taken.status, 409);
+
+        const { body } = await request('GET', `/stations/${added.body.station_id}`);
+        assert.deepEqual([body.station.station_name, body.station.station_code], ['Jhansi Junction', 'JHS']);
+    });
+
+    it('merges a duplicate station, moving its stops and bookings over', async () => {
+        const other = await createTrain(request, apiKey, {
+            trainNumber: '90002',
+            stops: [
+                { name: 'Agra Cantonment', code: 'AGRA', departure_time: '08:00', distance_km: 0 },
+                { name: 'Bhopal', code: 'BPL', arrival_time: '14:00', distance_km: 506 }
+            ]
+        });
+        const duplicate = other.stations.AGRA;
+
+        const { token } = await signUp(request, 'asha');
+        const booked = await request('POST', '/bookings', {
+            token,
+            body: {
+                train_id: other.trainId,
+                from_station_id: duplicate,
+                to_station_id: other.stations.BPL,
+                booking_date: daysFromToday(7),
+                class_code: 'SL',
+                seats_requested: 1,
+                passengers: [passenger('Asha')]
+            }
+        });
+        assert.equal(booked.status, 201);
+
+        const shared = await request('POST', `/stations/${train.stations.BPL}/merge`, {
+            apiKey,
+            body: { into_station_id: train.stations.AGC }
+        });
+        assert.equal(shared.status, 409);
+        assert.deepEqual(shared.body.train_numbers, ['90001']);
+
+        const itself = await request('POST', `/stations/${duplicate}/merge`, { apiKey, body: { into_station_id: duplicate } });
+        assert.equal(itself.status, 400);
+
+        const merged = await request('POST', `/stations/${duplicate}/merge`, {
+            apiKey,
+            body: { into_station_id: train.stations.AGC }
+        });
+        assert.equal(merged.status, 200);
+        assert.equal(merged.body.station_id, train.stations.AGC);
+
+        const gone = await request('GET', `/stations/${duplicate}`);
+        assert.equal(gone.status, 404);
+
+        const { body } = await request('GET', `/stations/${train.stations.AGC}`);
+        assert.deepEqual(body.station.trains.map(item => item.train_number).sort(), ['90001', '90002']);
+
+        const booking = await request('GET', `/bookings/${booked.body.booking_id}`, { token });
+        assert.equal(booking.body.booking.from_station.code, 'AGC');
+    });
+
+    it('deletes only stations nothing uses', async () => {
+        const used = await request('DELETE', `/stations/${train.stations.AGC}`, { apiKey });
+        assert.equal(used.status, 409);
+
+        const { body } = await addStation('Jhansi', 'JHS');
+        const deleted = await request('DELETE', `/stations/${body.station_id}`, { apiKey });
+        assert.equal(deleted.status, 200);
+
+        const again = await request('DELETE', `/stations/${body.station_id}`, { apiKey });
+        assert.equal(again.status, 404);
+    });
+});
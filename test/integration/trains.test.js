@@ -0,0 +1,131 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, resetStore, daysFromToday, signUp, createAdmin, createTrain } = require('./helpers');
+
+describe('trains', () => {
+    let server;
+    let request;
+    let apiKey;
+
+    before(async () => {
+        ({ server, request } = await startServer());
+    });
+
+    after(() => stopServer(server));
+
+    beforeEach(async () => {
+        resetStore();
+        ({ apiKey } = await createAdmin(request));
+    });
+
+    it('only lets admins add trains', async () => {
+        const { token } = await signUp(request, 'asha');
+
+        const refused = await request('POST', '/trains', { token, body: {} });
+        assert.equal(refused.status, 403);
+    });
+
+    it('adds a train with its route, coaches and seats', async () => {
+        const { trainId, stations } = await createTrain(request, apiKey, { seats: 8 });
+
+        const { status, body } = await request('GET', `/trains/${trainId}`);
+        assert.equal(status, 200);
+        assert.equal(body.train.train_number, '90001');
+        assert.equal(body.train.total_seats, 8);
+        assert.deepEqual(body.train.stops.map(stop => stop.station_id), [stations.NDLS, stations.AGC, stations.BPL]);
+        assert.equal(body.train.duration_minutes, 480);
+
+        const byNumber = await request('GET', '/trains/number/90001');
+        assert.equal(byNumber.body.train.id, trainId);
+
+        const missing = await request('GET', '/trains/number/12345');
+        assert.equal(missing.status, 404);
+        assert.equal(missing.body.searchedNumber, '12345');
+    });
+
+    it('refuses a second train with the same number', async () => {
+        await createTrain(request, apiKey);
+
+        const copy = await request('POST', '/trains', {
+            apiKey,
+            body: {
+                train_number: '90001',
+                train_name: 'Copy Express',
+                total_seats: 4,
+                journey_date: daysFromToday(1),
+                stations: [
+                    { name: 'New Delhi', code: 'NDLS', departure_time: '06:00' },
+                    { name: 'Bhopal', code: 'BPL', arrival_time: '14:00' }
+                ]
+            }
+        });
+        assert.equal(copy.status, 409);
+
+        const { trainId } = await createTrain(request, apiKey, { trainNumber: '90002' });
+        const clash = await request('PATCH', `/trains/${trainId}`, {
+            apiKey,
+            body: { train_number: '90001' }
+        });
+        assert.equal(clash.status, 409);
+    });
+
+    it('finds trains between two stops on a running day', async () => {
+        const { trainId, stations } = await createTrain(request, apiKey, { seats: 8 });
+        const date = daysFromToday(3);
+
+        const { body } = await request('GET', `/trains/search?from_station_id=${stations.AGC}&to_station_id=${stations.BPL}&date=${date}`);
+        assert.equal(body.trains.length, 1);
+        assert.equal(body.trains[0].id, trainId);
+        assert.equal(body.trains[0].run_date, date);
+        assert.equal(body.trains[0].available_seats, 8);
+        assert.equal(body.trains[0].duration_minutes, 355);
+
+        // A seat someone holds on the leg is not offered
+        const { token } = await signUp(request, 'asha');
+        const seats = await request('GET', `/bookings/seats/availability?train_id=${trainId}&booking_date=${date}&from_station_id=${stations.NDLS}&to_station_id=${stations.BPL}`, { token });
+        const held = await request('POST', '/bookings/seats/holds', {
+            token,
+            body: {
+                train_id: trainId,
+                from_station_id: stations.NDLS,
+                to_station_id: stations.BPL,
+                booking_date: date,
+                seat_ids: [seats.body.seats[0].id]
+            }
+        });
+        assert.equal(held.status, 201);
+
+        const withHold = await request('GET', `/trains/search?from_station_id=${stations.AGC}&to_station_id=${stations.BPL}&date=${date}`);
+        assert.equal(withHold.body.trains[0].available_seats, 7);
+
+        // Against the direction of travel
+        const reverse = await request('GET', `/trains/search?from_station_id=${stations.BPL}&to_station_id=${stations.AGC}&date=${date}`);
+        assert.equal(reverse.body.trains.length, 0);
+    });
+
+    it('leaves cancelled runs out of search results', async () => {
+        const { trainId, stations } = await createTrain(request, apiKey);
+        const date = daysFromToday(4);
+
+        const cancelled = await request('POST', `/trains/${trainId}/schedule/exceptions`, {
+            apiKey,
+            body: { date, type: 'cancelled', reason: 'Track maintenance' }
+        });
+        assert.equal(cancelled.status, 201);
+
+        const { body } = await request('GET', `/trains/search?from_station_id=${stations.NDLS}&to_station_id=${stations.BPL}&date=${date}`);
+        assert.equal(body.trains.length, 0);
+    });
+
+    it('prices a leg by class and concession', async () => {
+        const { trainId, stations } = await createTrain(request, apiKey);
+        const leg = `from_station_id=${stations.NDLS}&to_station_id=${stations.BPL}&date=${daysFromToday(5)}&class_code=SL`;
+
+        const adult = await request('GET', `/trains/${trainId}/fare?${leg}`);
+        assert.equal(adult.status, 200);
+        assert.ok(adult.body.fare.total > 0);
+
+        const senior = await request('GET', `/trains/${trainId}/fare?${leg}&concessions[]=senior`);
+        assert.ok(senior.body.fare.total < adult.body.fare.total);
+    });
+});